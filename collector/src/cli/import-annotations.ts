@@ -0,0 +1,139 @@
+/**
+ * Converts a MOT Challenge CSV or CVAT XML annotation file into camera frames.
+ *
+ *   npm run import-annotations -- --camera-id cam-dock --input gt.txt --out dock.jsonl
+ *   npm run import-annotations -- --camera-id cam-dock --input annotations.xml --collector-url http://localhost:3001 --wait
+ *
+ * With --out the frames are written locally as JSONL, one frame per line, using
+ * CALIBRATION_FILE, CAMERA_GRIDS and GRIDS_FILE for grid cells. Otherwise the file is sent
+ * to the collector's POST /import and played through it.
+ */
+import { readFile, writeFile } from 'fs/promises';
+import { extname } from 'path';
+import { parseArgs } from 'util';
+import { config } from 'dotenv';
+import { CalibrationService } from '../services/calibration.js';
+import { GridRegistry } from '../services/grid-registry.js';
+import { prepareImport } from '../services/annotation-importer.js';
+import { ImportRequestSchema, type ImportJob } from '../types/import.js';
+import { DEFAULT_GRID_SIZE, parseCameraGridSpec } from '../utils/grid.js';
+
+config();
+
+const USAGE = `Usage: import-annotations --camera-id <id> --input <file> (--out <file.jsonl> | --collector-url <url> [--wait])
+  [--format mot|cvat] [--frame-rate 30] [--speed 10] [--start-ts-ms <ms>] [--class-map 1=worker,3=forklift]
+  [--default-class worker] [--image-width <px>] [--image-height <px>] [--sequence <name>] [--api-key <key>]`;
+
+// Flags that map straight onto POST /import query parameters.
+const REQUEST_FLAGS = [
+  'format', 'camera-id', 'frame-rate', 'speed', 'start-ts-ms', 'class-map',
+  'default-class', 'image-width', 'image-height', 'sequence',
+] as const;
+
+const { values } = parseArgs({
+  options: {
+    format: { type: 'string' },
+    'camera-id': { type: 'string' },
+    'frame-rate': { type: 'string' },
+    speed: { type: 'string' },
+    'start-ts-ms': { type: 'string' },
+    'class-map': { type: 'string' },
+    'default-class': { type: 'string' },
+    'image-width': { type: 'string' },
+    'image-height': { type: 'string' },
+    sequence: { type: 'string' },
+    input: { type: 'string' },
+    out: { type: 'string' },
+    'collector-url': { type: 'string', default: process.env.COLLECTOR_URL || 'http://localhost:3001' },
+    'api-key': { type: 'string', default: process.env.COLLECTOR_API_KEY },
+    wait: { type: 'boolean', default: false },
+    help: { type: 'boolean', default: false },
+  },
+});
+
+function fail(message: string): never {
+  console.error(message);
+  process.exit(1);
+}
+
+async function waitForImport(collectorUrl: string, importId: string): Promise<ImportJob> {
+  for (;;) {
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    const response = await fetch(`${collectorUrl}/imports/${importId}`);
+    const job = await response.json() as ImportJob;
+
+    console.log(`  ${Math.round(job.progress * 100)}% (${job.frames_sent}/${job.frame_count} frames, ${job.frames_failed} failed)`);
+    if (job.status !== 'running') return job;
+  }
+}
+
+async function main() {
+  const input = values.input;
+  if (values.help || !input) {
+    fail(USAGE);
+  }
+
+  const query: Record<string, string> = {
+    format: extname(input).toLowerCase() === '.xml' ? 'cvat' : 'mot',
+  };
+  for (const flag of REQUEST_FLAGS) {
+    const value = values[flag];
+    if (typeof value === 'string') query[flag.replace(/-/g, '_')] = value;
+  }
+
+  const parsed = ImportRequestSchema.safeParse(query);
+  if (!parsed.success) {
+    fail(parsed.error.issues.map(issue => `--${issue.path.join('.').replace(/_/g, '-')}: ${issue.message}`).join('\n'));
+  }
+  const request = parsed.data;
+  const content = await readFile(input, 'utf8');
+
+  const out = values.out;
+  if (out) {
+    const gridRegistry = new GridRegistry(parseCameraGridSpec(process.env.CAMERA_GRIDS || ''), DEFAULT_GRID_SIZE, process.env.GRIDS_FILE);
+    await gridRegistry.load();
+    const calibrationService = new CalibrationService(gridRegistry, process.env.CALIBRATION_FILE);
+    await calibrationService.load();
+
+    const prepared = prepareImport(request, content, calibrationService, gridRegistry, Infinity);
+    if (!prepared.ok) {
+      fail(prepared.issues.map(issue => `${issue.field}: ${issue.message}`).join('\n'));
+    }
+
+    await writeFile(out, prepared.frames.map(frame => JSON.stringify(frame)).join('\n') + '\n');
+    console.log(`Wrote ${prepared.summary.frame_count} frames to ${out}`);
+    console.log(JSON.stringify(prepared.summary, null, 2));
+    return;
+  }
+
+  const collectorUrl = values['collector-url'].replace(/\/$/, '');
+  const apiKey = values['api-key'];
+  const response = await fetch(`${collectorUrl}/import?${new URLSearchParams({ ...query, mode: 'process' })}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': request.format === 'cvat' ? 'application/xml' : 'text/csv',
+      ...(apiKey && { 'X-API-Key': apiKey }),
+    },
+    body: content,
+  });
+  const body = await response.json();
+
+  if (!response.ok) {
+    fail(`Import rejected (${response.status}): ${JSON.stringify(body, null, 2)}`);
+  }
+
+  const job = body as ImportJob;
+  console.log(`Import ${job.import_id} started: ${job.frame_count} frames at ${job.speed}x`);
+  console.log(JSON.stringify(job, null, 2));
+
+  if (values.wait) {
+    const finished = await waitForImport(collectorUrl, job.import_id);
+    console.log(`Import ${finished.status}`);
+    if (finished.status !== 'completed') process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exit(1);
+});
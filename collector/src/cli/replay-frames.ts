@@ -0,0 +1,179 @@
+/**
+ * Pushes recorded frames back into a collector's POST /frames.
+ *
+ *   npm run replay-frames -- ./recordings/cam-dock --speed 4 --timestamps rebase
+ *   npm run replay-frames -- incident.jsonl --speed max --from-ts-ms 1760000000000 --to-ts-ms 1760000600000
+ *
+ * Takes JSONL files with one frame per line, as written by RECORDING_DIR or
+ * import-annotations --out, or directories of them. Frames from all inputs are
+ * merged by timestamp and sent with the gaps between them divided by --speed.
+ * With --timestamps rebase the first frame is stamped now and the rest keep
+ * their spacing; preserve sends the recorded timestamps unchanged. Frames are
+ * sent with X-Frame-Source: replay so the collector does not skew correct or
+ * record them. The collector only believes that with --admin-key or an
+ * --api-key created with allow_replay; otherwise they count as live frames.
+ */
+import { readdir, readFile, stat } from 'fs/promises';
+import { join } from 'path';
+import { parseArgs } from 'util';
+import { config } from 'dotenv';
+import type { CameraFrame } from '../types/detection.js';
+
+config();
+
+const USAGE = `Usage: replay-frames <file.jsonl|dir>... [--collector-url <url>] [--speed 1|<n>|max]
+  [--timestamps preserve|rebase] [--camera <id>]... [--from-ts-ms <ms>] [--to-ts-ms <ms>]
+  [--frame-id-suffix <text>] [--api-key <key>] [--admin-key <key>]`;
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    'collector-url': { type: 'string', default: process.env.COLLECTOR_URL || 'http://localhost:3001' },
+    speed: { type: 'string', default: '1' },
+    timestamps: { type: 'string', default: 'preserve' },
+    camera: { type: 'string', multiple: true },
+    'from-ts-ms': { type: 'string' },
+    'to-ts-ms': { type: 'string' },
+    'frame-id-suffix': { type: 'string' },
+    'api-key': { type: 'string', default: process.env.COLLECTOR_API_KEY },
+    'admin-key': { type: 'string', default: process.env.ADMIN_API_KEY },
+    help: { type: 'boolean', default: false },
+  },
+});
+
+function fail(message: string): never {
+  console.error(message);
+  process.exit(1);
+}
+
+function isFrame(value: unknown): value is CameraFrame {
+  const frame = value as Partial<CameraFrame> | null;
+  return typeof frame?.camera_id === 'string' && typeof frame.frame_id === 'string' && Number.isFinite(frame.timestamp_ms);
+}
+
+async function collectFiles(paths: string[]): Promise<string[]> {
+  const files: string[] = [];
+
+  for (const path of paths) {
+    if ((await stat(path)).isDirectory()) {
+      const entries = await readdir(path, { recursive: true });
+      files.push(...entries.filter(entry => entry.endsWith('.jsonl')).sort().map(entry => join(path, entry)));
+    } else {
+      files.push(path);
+    }
+  }
+
+  return files;
+}
+
+async function loadFrames(files: string[], keep: (frame: CameraFrame) => boolean): Promise<{ frames: CameraFrame[]; malformed: number }> {
+  const frames: CameraFrame[] = [];
+  let malformed = 0;
+
+  for (const file of files) {
+    for (const line of (await readFile(file, 'utf8')).split('\n')) {
+      if (!line.trim()) continue;
+
+      // A recording cut off mid-write ends in a partial line.
+      let frame: unknown;
+      try {
+        frame = JSON.parse(line);
+      } catch {
+        malformed++;
+        continue;
+      }
+
+      if (!isFrame(frame)) {
+        malformed++;
+      } else if (keep(frame)) {
+        frames.push(frame);
+      }
+    }
+  }
+
+  // Stable, so frames with equal timestamps keep their file order.
+  frames.sort((a, b) => a.timestamp_ms - b.timestamp_ms);
+  return { frames, malformed };
+}
+
+async function main() {
+  if (values.help || positionals.length === 0) {
+    fail(USAGE);
+  }
+
+  const speed = values.speed === 'max' ? Infinity : Number(values.speed);
+  if (!(speed > 0)) {
+    fail(`--speed must be a positive number or max, got ${values.speed}`);
+  }
+  if (values.timestamps !== 'preserve' && values.timestamps !== 'rebase') {
+    fail(`--timestamps must be preserve or rebase, got ${values.timestamps}`);
+  }
+
+  const cameras = values.camera && new Set(values.camera);
+  const fromTsMs = values['from-ts-ms'] ? Number(values['from-ts-ms']) : -Infinity;
+  const toTsMs = values['to-ts-ms'] ? Number(values['to-ts-ms']) : Infinity;
+
+  const files = await collectFiles(positionals);
+  const { frames, malformed } = await loadFrames(files, frame =>
+    (!cameras || cameras.has(frame.camera_id)) && frame.timestamp_ms >= fromTsMs && frame.timestamp_ms <= toTsMs
+  );
+
+  if (malformed > 0) {
+    console.warn(`Skipped ${malformed} malformed lines`);
+  }
+  if (frames.length === 0) {
+    fail(`No frames to replay in ${files.length} files`);
+  }
+
+  const collectorUrl = values['collector-url'].replace(/\/$/, '');
+  const apiKey = values['api-key'];
+  const adminKey = values['admin-key'];
+  const suffix = values['frame-id-suffix'];
+  const firstTsMs = frames[0].timestamp_ms;
+  const startedAt = Date.now();
+  const offsetMs = values.timestamps === 'rebase' ? startedAt - firstTsMs : 0;
+
+  console.log(`Replaying ${frames.length} frames from ${files.length} files at ${speed === Infinity ? 'max' : `${speed}x`} speed`);
+
+  const results: Record<string, number> = {};
+  for (const [index, frame] of frames.entries()) {
+    // Scheduled from the start time so slow requests don't stretch the replay.
+    const waitMs = startedAt + (frame.timestamp_ms - firstTsMs) / speed - Date.now();
+    if (waitMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+
+    const response = await fetch(`${collectorUrl}/frames`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Frame-Source': 'replay',
+        ...(apiKey && { 'X-API-Key': apiKey }),
+        ...(adminKey && { Authorization: `Bearer ${adminKey}` }),
+      },
+      body: JSON.stringify({
+        ...frame,
+        timestamp_ms: frame.timestamp_ms + offsetMs,
+        ...(suffix && { frame_id: `${frame.frame_id}${suffix}` }),
+      }),
+    }).catch(error => {
+      fail(`Could not reach ${collectorUrl}: ${error instanceof Error ? error.message : error}`);
+    });
+
+    const body = await response.json().catch(() => ({})) as { status?: string };
+    const outcome = response.ok ? body.status ?? 'ok' : `http_${response.status}`;
+    results[outcome] = (results[outcome] ?? 0) + 1;
+
+    if ((index + 1) % 1000 === 0) {
+      console.log(`  ${index + 1}/${frames.length} frames sent`);
+    }
+  }
+
+  console.log(`Replayed ${frames.length} frames in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+  console.log(JSON.stringify(results, null, 2));
+}
+
+main().catch(error => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exit(1);
+});
@@ -1,10 +1,47 @@
 import { config } from 'dotenv';
 import fastify from 'fastify';
 import cors from '@fastify/cors';
+import websocket from '@fastify/websocket';
 import pino from 'pino';
 import { CollectorService } from './services/collector.js';
 import { RedisPublisher } from './services/redis-publisher.js';
-import type { CameraFrame } from './types/detection.js';
+import { CalibrationService } from './services/calibration.js';
+import { PrivacyMaskService } from './services/privacy-masks.js';
+import { GridRegistry } from './services/grid-registry.js';
+import { IouTracker } from './services/iou-tracker.js';
+import { MqttIngestAdapter } from './services/mqtt-ingest.js';
+import { EventOutbox } from './services/event-outbox.js';
+import { FrameRecorder } from './services/frame-recorder.js';
+import { KafkaProducer } from './services/kafka-producer.js';
+import { TransportPublisher, parseTransportMode, type EventTransport } from './services/event-transport.js';
+import { FrameDeduplicator } from './services/frame-deduplicator.js';
+import { LateEventFilter } from './services/late-event-filter.js';
+import { ClockSkewEstimator } from './services/clock-skew.js';
+import { RateLimiter } from './services/rate-limiter.js';
+import { AdaptiveSampler } from './services/adaptive-sampler.js';
+import { CollectorMetrics } from './services/metrics.js';
+import { CameraLivenessMonitor } from './services/camera-liveness.js';
+import { ManagerRegistration, loadCameraMetadata } from './services/manager-registration.js';
+import { SimulationRunner } from './services/simulation-runner.js';
+import { AnnotationImporter } from './services/annotation-importer.js';
+import { ApiKeyStore } from './services/api-keys.js';
+import { IngestAuth } from './services/ingest-auth.js';
+import { calibrationRoutes } from './routes/calibration.js';
+import { privacyRoutes } from './routes/privacy.js';
+import { gridRoutes } from './routes/grids.js';
+import { debugRoutes } from './routes/debug.js';
+import { streamRoutes } from './routes/stream.js';
+import { clockSkewRoutes } from './routes/clock-skew.js';
+import { metricsRoutes } from './routes/metrics.js';
+import { simulationRoutes } from './routes/simulations.js';
+import { apiKeyRoutes } from './routes/api-keys.js';
+import { importRoutes } from './routes/import.js';
+import { recordingRoutes } from './routes/recordings.js';
+import { framesRoutes } from './routes/frames.js';
+import { DEFAULT_GRID_SIZE, parseCameraGridSpec } from './utils/grid.js';
+import { createRandom, type Seed } from './utils/random.js';
+import { parseFrameFormat } from './utils/frame-codecs.js';
+import type { ValidationMode } from './types/detection.js';
 
 config();
 
@@ -13,6 +50,70 @@ const logger = pino({ name: 'collector-main' });
 const COLLECTOR_ID = process.env.COLLECTOR_ID || 'collector-01';
 const PORT = parseInt(process.env.PORT || '3001');
 const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const EVENT_TRANSPORT = parseTransportMode(process.env.EVENT_TRANSPORT || 'redis');
+const KAFKA_BROKERS = (process.env.KAFKA_BROKERS || 'localhost:9092').split(',').map(broker => broker.trim()).filter(Boolean);
+const KAFKA_PARTITIONS = parseInt(process.env.KAFKA_PARTITIONS || '3');
+const CALIBRATION_FILE = process.env.CALIBRATION_FILE;
+const PRIVACY_MASKS_FILE = process.env.PRIVACY_MASKS_FILE;
+const CAMERA_GRIDS = parseCameraGridSpec(process.env.CAMERA_GRIDS || '');
+const GRIDS_FILE = process.env.GRIDS_FILE;
+const TRACKER_ENABLED = process.env.TRACKER_ENABLED === 'true';
+const TRACKER_IOU_THRESHOLD = parseFloat(process.env.TRACKER_IOU_THRESHOLD || '0.3');
+const TRACKER_MAX_AGE = parseInt(process.env.TRACKER_MAX_AGE || '5');
+const TRACKER_MIN_HITS = parseInt(process.env.TRACKER_MIN_HITS || '3');
+const FRAME_VALIDATION_MODE: ValidationMode = process.env.FRAME_VALIDATION_MODE === 'partial' ? 'partial' : 'strict';
+const FRAME_DEDUP_TTL_MS = parseInt(process.env.FRAME_DEDUP_TTL_MS || '300000');
+const FRAME_DEDUP_MAX_ENTRIES = parseInt(process.env.FRAME_DEDUP_MAX_ENTRIES || '50000');
+const LATENESS_WINDOW_MS = parseInt(process.env.LATENESS_WINDOW_MS || '5000');
+const WATERMARK_FUTURE_TOLERANCE_MS = parseInt(process.env.WATERMARK_FUTURE_TOLERANCE_MS || '1000');
+const WATERMARK_RESET_MS = parseInt(process.env.WATERMARK_RESET_MS || '60000');
+const CLOCK_SKEW_CORRECTION = process.env.CLOCK_SKEW_CORRECTION === 'true';
+const CLOCK_SKEW_WARN_MS = parseInt(process.env.CLOCK_SKEW_WARN_MS || '2000');
+const CLOCK_SKEW_SMOOTHING = parseFloat(process.env.CLOCK_SKEW_SMOOTHING || '0.1');
+const RATE_LIMIT_CAMERA_FPS = parseFloat(process.env.RATE_LIMIT_CAMERA_FPS || '0');
+const RATE_LIMIT_CAMERA_EPS = parseFloat(process.env.RATE_LIMIT_CAMERA_EPS || '0');
+const RATE_LIMIT_GLOBAL_FPS = parseFloat(process.env.RATE_LIMIT_GLOBAL_FPS || '0');
+const RATE_LIMIT_GLOBAL_EPS = parseFloat(process.env.RATE_LIMIT_GLOBAL_EPS || '0');
+const SAMPLING_QUEUE_THRESHOLD = parseInt(process.env.SAMPLING_QUEUE_THRESHOLD || '0');
+const SAMPLING_KEEP_EVERY = parseInt(process.env.SAMPLING_KEEP_EVERY || '5');
+const CAMERA_DEGRADED_AFTER_MS = parseInt(process.env.CAMERA_DEGRADED_AFTER_MS || '5000');
+const CAMERA_OFFLINE_AFTER_MS = parseInt(process.env.CAMERA_OFFLINE_AFTER_MS || '30000');
+const CAMERA_MIN_FRAME_RATE = parseFloat(process.env.CAMERA_MIN_FRAME_RATE || '0');
+const OUTBOX_DIR = process.env.OUTBOX_DIR;
+const OUTBOX_MAX_BYTES = parseInt(process.env.OUTBOX_MAX_BYTES || '52428800');
+const OUTBOX_SEGMENT_BYTES = parseInt(process.env.OUTBOX_SEGMENT_BYTES || '1048576');
+const OUTBOX_REPLAY_INTERVAL_MS = parseInt(process.env.OUTBOX_REPLAY_INTERVAL_MS || '5000');
+const RECORDING_DIR = process.env.RECORDING_DIR;
+const RECORDING_MAX_FILE_BYTES = parseInt(process.env.RECORDING_MAX_FILE_BYTES || '10485760');
+const RECORDING_MAX_FILES = parseInt(process.env.RECORDING_MAX_FILES || '24');
+const RECORDING_ROTATE_INTERVAL_MS = parseInt(process.env.RECORDING_ROTATE_INTERVAL_MS || '3600000');
+const STREAM_HIGH_WATER_MARK = parseInt(process.env.STREAM_HIGH_WATER_MARK || '50');
+const STREAM_LOW_WATER_MARK = parseInt(process.env.STREAM_LOW_WATER_MARK || '10');
+const STREAM_MAX_QUEUED_FRAMES = parseInt(process.env.STREAM_MAX_QUEUED_FRAMES || '200');
+const MANAGER_URL = process.env.MANAGER_URL;
+const MANAGER_HEARTBEAT_INTERVAL_MS = parseInt(process.env.MANAGER_HEARTBEAT_INTERVAL_MS || '10000');
+const COLLECTOR_NAME = process.env.COLLECTOR_NAME;
+const COLLECTOR_LOCATION = process.env.COLLECTOR_LOCATION;
+const COLLECTOR_PUBLIC_URL = process.env.COLLECTOR_PUBLIC_URL;
+const CAMERAS_FILE = process.env.CAMERAS_FILE;
+const INGEST_AUTH_REQUIRED = process.env.INGEST_AUTH_REQUIRED === 'true';
+const API_KEYS_FILE = process.env.API_KEYS_FILE;
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+const SIGNATURE_TOLERANCE_MS = parseInt(process.env.SIGNATURE_TOLERANCE_MS || '300000');
+const ENABLE_TEST_ROUTES = process.env.ENABLE_TEST_ROUTES === 'true';
+const SIMULATION_MAX_CONCURRENT_JOBS = parseInt(process.env.SIMULATION_MAX_CONCURRENT_JOBS || '4');
+const SIMULATION_MAX_CAMERAS = parseInt(process.env.SIMULATION_MAX_CAMERAS || '20');
+const SIMULATION_MAX_DURATION_MS = parseInt(process.env.SIMULATION_MAX_DURATION_MS || '3600000');
+const SIMULATION_MAX_FRAME_RATE = parseFloat(process.env.SIMULATION_MAX_FRAME_RATE || '10');
+const IMPORT_MAX_CONCURRENT_JOBS = parseInt(process.env.IMPORT_MAX_CONCURRENT_JOBS || '2');
+const IMPORT_MAX_FRAMES = parseInt(process.env.IMPORT_MAX_FRAMES || '100000');
+const IMPORT_MAX_BYTES = parseInt(process.env.IMPORT_MAX_BYTES || '52428800');
+const MQTT_URL = process.env.MQTT_URL;
+const MQTT_TOPICS = (process.env.MQTT_TOPICS || 'site/+/camera/+/detections').split(',').map(topic => topic.trim()).filter(Boolean);
+const MQTT_CAMERA_ID_TEMPLATE = process.env.MQTT_CAMERA_ID_TEMPLATE;
+const MQTT_QOS = parseInt(process.env.MQTT_QOS || '1') as 0 | 1 | 2;
+const MQTT_PAYLOAD_FORMAT = parseFrameFormat(process.env.MQTT_PAYLOAD_FORMAT || 'json');
+const MQTT_PROTOCOL_VERSION = parseInt(process.env.MQTT_PROTOCOL_VERSION || '4') === 5 ? 5 : 4;
 
 async function main() {
   const server = fastify({ logger: true });
@@ -21,79 +122,320 @@ async function main() {
     origin: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE']
   });
+  await server.register(websocket);
 
+  // JSON bodies keep their bytes so signed requests can be verified.
+  const parseJson = server.getDefaultJsonParser('error', 'error');
+  server.removeContentTypeParser('application/json');
+  server.addContentTypeParser('application/json', { parseAs: 'buffer' }, (request, body, done) => {
+    request.rawBody = body as Buffer;
+    parseJson(request, body.toString(), done);
+  });
+
+  const metrics = new CollectorMetrics();
+  const apiKeys = new ApiKeyStore(API_KEYS_FILE, { signatureToleranceMs: SIGNATURE_TOLERANCE_MS });
+  const ingestAuth = new IngestAuth(apiKeys, INGEST_AUTH_REQUIRED, metrics);
   const redisPublisher = new RedisPublisher(REDIS_URL);
-  const collectorService = new CollectorService(COLLECTOR_ID, redisPublisher);
+  const transports: EventTransport[] = EVENT_TRANSPORT.map(name =>
+    name === 'kafka' ? new KafkaProducer(KAFKA_BROKERS, KAFKA_PARTITIONS) : redisPublisher
+  );
+  const gridRegistry = new GridRegistry(CAMERA_GRIDS, DEFAULT_GRID_SIZE, GRIDS_FILE);
+  const calibrationService = new CalibrationService(gridRegistry, CALIBRATION_FILE);
+  const privacyMasks = new PrivacyMaskService(gridRegistry, PRIVACY_MASKS_FILE);
+  const frameRecorder = RECORDING_DIR
+    ? new FrameRecorder(RECORDING_DIR, {
+        maxFileBytes: RECORDING_MAX_FILE_BYTES,
+        maxFilesPerCamera: RECORDING_MAX_FILES,
+        rotateIntervalMs: RECORDING_ROTATE_INTERVAL_MS,
+      })
+    : undefined;
+  const collectorService = new CollectorService(COLLECTOR_ID, redisPublisher, {
+    validationMode: FRAME_VALIDATION_MODE,
+    gridRegistry,
+    calibrationService,
+    privacyMasks,
+    tracker: TRACKER_ENABLED
+      ? new IouTracker({ iouThreshold: TRACKER_IOU_THRESHOLD, maxAge: TRACKER_MAX_AGE, minHits: TRACKER_MIN_HITS })
+      : undefined,
+    transport: new TransportPublisher(transports, metrics),
+    metrics,
+    liveness: new CameraLivenessMonitor(COLLECTOR_ID, status => redisPublisher.publishCameraStatus(status), {
+      degradedAfterMs: CAMERA_DEGRADED_AFTER_MS,
+      offlineAfterMs: CAMERA_OFFLINE_AFTER_MS,
+      minFrameRate: CAMERA_MIN_FRAME_RATE,
+    }),
+    deduplicator: new FrameDeduplicator({ ttlMs: FRAME_DEDUP_TTL_MS, maxEntries: FRAME_DEDUP_MAX_ENTRIES }),
+    clockSkew: new ClockSkewEstimator({
+      smoothing: CLOCK_SKEW_SMOOTHING,
+      warnThresholdMs: CLOCK_SKEW_WARN_MS,
+      correct: CLOCK_SKEW_CORRECTION,
+    }),
+    sampler: SAMPLING_QUEUE_THRESHOLD > 0
+      ? new AdaptiveSampler(() => redisPublisher.getQueueDepth(), {
+          queueDepthThreshold: SAMPLING_QUEUE_THRESHOLD,
+          keepEvery: SAMPLING_KEEP_EVERY,
+        })
+      : undefined,
+    lateEventFilter: LATENESS_WINDOW_MS > 0
+      ? new LateEventFilter(LATENESS_WINDOW_MS, {
+          futureToleranceMs: WATERMARK_FUTURE_TOLERANCE_MS,
+          resetMs: WATERMARK_RESET_MS,
+        })
+      : undefined,
+    outbox: OUTBOX_DIR
+      ? new EventOutbox(OUTBOX_DIR, {
+          maxBytes: OUTBOX_MAX_BYTES,
+          segmentBytes: OUTBOX_SEGMENT_BYTES,
+          replayIntervalMs: OUTBOX_REPLAY_INTERVAL_MS,
+        })
+      : undefined,
+    recorder: frameRecorder,
+  });
+  metrics.observeOutbox(() => collectorService.getOutboxStats());
+  metrics.observeCameras(cameraId => collectorService.isKnownCamera(cameraId));
+  const rateLimiter = new RateLimiter({
+    cameraFramesPerSecond: RATE_LIMIT_CAMERA_FPS,
+    cameraEventsPerSecond: RATE_LIMIT_CAMERA_EPS,
+    globalFramesPerSecond: RATE_LIMIT_GLOBAL_FPS,
+    globalEventsPerSecond: RATE_LIMIT_GLOBAL_EPS,
+  });
+  const mqttIngest = MQTT_URL
+    ? new MqttIngestAdapter(collectorService, {
+        brokerUrl: MQTT_URL,
+        topics: MQTT_TOPICS,
+        cameraIdTemplate: MQTT_CAMERA_ID_TEMPLATE,
+        qos: MQTT_QOS,
+        payloadFormat: MQTT_PAYLOAD_FORMAT,
+        protocolVersion: MQTT_PROTOCOL_VERSION,
+        clientId: `${COLLECTOR_ID}-ingest`,
+      })
+    : undefined;
+  const simulationRunner = new SimulationRunner(collectorService, {
+    maxConcurrentJobs: SIMULATION_MAX_CONCURRENT_JOBS,
+    maxCamerasPerJob: SIMULATION_MAX_CAMERAS,
+    maxDurationMs: SIMULATION_MAX_DURATION_MS,
+    maxFrameRate: SIMULATION_MAX_FRAME_RATE,
+  });
+  const annotationImporter = new AnnotationImporter(collectorService, calibrationService, gridRegistry, {
+    maxConcurrentJobs: IMPORT_MAX_CONCURRENT_JOBS,
+    maxFrames: IMPORT_MAX_FRAMES,
+  });
+  const cameraMetadata = await loadCameraMetadata(CAMERAS_FILE);
+  const registration = MANAGER_URL
+    ? new ManagerRegistration(MANAGER_URL, heartbeatIntervalMs => ({
+        collector_id: COLLECTOR_ID,
+        display_name: COLLECTOR_NAME,
+        location: COLLECTOR_LOCATION,
+        url: COLLECTOR_PUBLIC_URL,
+        heartbeat_interval_ms: heartbeatIntervalMs,
+        cameras: [...new Set([...Object.keys(cameraMetadata), ...collectorService.listCameraIds()])]
+          .sort()
+          .map(cameraId => ({
+            camera_id: cameraId,
+            ...cameraMetadata[cameraId],
+            grid_size: gridRegistry.getGrid(cameraId),
+          })),
+      }), { heartbeatIntervalMs: MANAGER_HEARTBEAT_INTERVAL_MS })
+    : undefined;
+
+  await server.register(calibrationRoutes, { calibrationService, ingestAuth, adminKey: ADMIN_API_KEY });
+  await server.register(privacyRoutes, { privacyMasks, ingestAuth, adminKey: ADMIN_API_KEY });
+  await server.register(gridRoutes, { collectorService, gridRegistry, ingestAuth, adminKey: ADMIN_API_KEY });
+  await server.register(debugRoutes, { collectorService });
+  await server.register(clockSkewRoutes, { clockSkew: collectorService.getClockSkew() });
+  await server.register(metricsRoutes, { metrics });
+  await server.register(apiKeyRoutes, { apiKeys, adminKey: ADMIN_API_KEY });
+  await server.register(importRoutes, { annotationImporter, ingestAuth, maxBytes: IMPORT_MAX_BYTES });
+  await server.register(recordingRoutes, { frameRecorder, adminKey: ADMIN_API_KEY });
+  await server.register(streamRoutes, {
+    collectorId: COLLECTOR_ID,
+    collectorService,
+    ingestAuth,
+    flow: {
+      highWaterMark: STREAM_HIGH_WATER_MARK,
+      lowWaterMark: STREAM_LOW_WATER_MARK,
+      maxQueuedFrames: STREAM_MAX_QUEUED_FRAMES,
+    },
+  });
 
   server.get('/health', async (request, reply) => {
-    return { status: 'healthy', collector_id: COLLECTOR_ID, timestamp: Date.now() };
+    const outbox = collectorService.getOutboxStats();
+
+    return {
+      status: 'healthy',
+      collector_id: COLLECTOR_ID,
+      transports: collectorService.getTransportStats(),
+      ...(outbox && { outbox }),
+      ...(mqttIngest && { mqtt: mqttIngest.getStats() }),
+      ...(registration && { registration: registration.getStats() }),
+      ...(frameRecorder && { recording: frameRecorder.getStats() }),
+      ingest_auth_required: ingestAuth.isRequired(),
+      test_routes_enabled: ENABLE_TEST_ROUTES,
+      timestamp: Date.now(),
+    };
   });
 
-  server.post<{ Body: CameraFrame }>('/frames', async (request, reply) => {
-    try {
-      await collectorService.processCameraFrame(request.body);
-      return { status: 'processed', frame_id: request.body.frame_id };
-    } catch (error) {
-      logger.error({ error }, 'Failed to process frame');
-      reply.status(500).send({ error: 'Failed to process frame' });
-    }
+  await server.register(framesRoutes, { collectorService, ingestAuth, rateLimiter, metrics, adminKey: ADMIN_API_KEY });
+
+  server.get('/stats/rejections', async () => {
+    return {
+      collector_id: COLLECTOR_ID,
+      validation_mode: FRAME_VALIDATION_MODE,
+      cameras: collectorService.getRejectionStats(),
+      timestamp: Date.now(),
+    };
   });
 
-  server.post<{ Body: { camera_id: string; object_count?: number } }>('/generate-test-frame', async (request, reply) => {
-    try {
-      const { camera_id, object_count = 3 } = request.body;
-      const testFrame = collectorService.generateTestFrame(camera_id, object_count);
-      await collectorService.processCameraFrame(testFrame);
-      return { 
-        status: 'generated_and_processed', 
-        frame: testFrame,
-        event_count: testFrame.objects.length 
-      };
-    } catch (error) {
-      logger.error({ error }, 'Failed to generate test frame');
-      reply.status(500).send({ error: 'Failed to generate test frame' });
-    }
+  server.get('/cameras/status', async () => {
+    const cameras = collectorService.getCameraStatuses();
+
+    return {
+      collector_id: COLLECTOR_ID,
+      cameras,
+      count: cameras.length,
+      timestamp: Date.now(),
+    };
+  });
+
+  server.get('/stats/rate-limits', async () => {
+    return {
+      collector_id: COLLECTOR_ID,
+      limits: rateLimiter.getLimits(),
+      cameras: rateLimiter.getStats(),
+      sampling: collectorService.getSamplerStats() ?? { active: false },
+      timestamp: Date.now(),
+    };
+  });
+
+  server.get('/stats/late', async () => {
+    const lateness = collectorService.getLatenessStats();
+
+    return {
+      collector_id: COLLECTOR_ID,
+      enabled: Boolean(lateness),
+      lateness_ms: lateness?.lateness_ms ?? 0,
+      cameras: lateness?.cameras ?? {},
+      timestamp: Date.now(),
+    };
   });
 
-  server.post<{ Body: { camera_ids: string[]; frames_per_camera?: number; interval_ms?: number } }>('/simulate-batch', async (request, reply) => {
-    try {
-      const { camera_ids, frames_per_camera = 5, interval_ms = 1000 } = request.body;
-      
-      reply.send({ status: 'simulation_started', camera_ids, frames_per_camera, interval_ms });
-
-      for (let i = 0; i < frames_per_camera; i++) {
-        const frames = camera_ids.map(cameraId => 
-          collectorService.generateTestFrame(cameraId, Math.floor(Math.random() * 5) + 1)
-        );
-        
-        await collectorService.processMultipleFrames(frames);
-        
-        if (i < frames_per_camera - 1) {
-          await new Promise(resolve => setTimeout(resolve, interval_ms));
+  server.get('/stats/duplicates', async () => {
+    return {
+      collector_id: COLLECTOR_ID,
+      ttl_ms: FRAME_DEDUP_TTL_MS,
+      cameras: collectorService.getDuplicateStats(),
+      timestamp: Date.now(),
+    };
+  });
+
+  // Synthetic frame generators, off unless ENABLE_TEST_ROUTES is set so a
+  // production collector can't be fed made-up detections.
+  if (ENABLE_TEST_ROUTES) {
+    await server.register(simulationRoutes, { simulationRunner, ingestAuth });
+
+    server.post<{ Body: { camera_id?: unknown; object_count?: number; seed?: Seed; timestamp_ms?: number } | undefined }>('/generate-test-frame', async (request, reply) => {
+      const { camera_id, object_count = 3, seed, timestamp_ms } = request.body ?? {};
+      if (typeof camera_id !== 'string' || camera_id.length === 0) {
+        return reply.status(400).send({
+          error: 'Invalid test frame request',
+          issues: [{ field: 'camera_id', message: 'Required' }],
+        });
+      }
+      if (!ingestAuth.authorize(request, reply, [camera_id])) return reply;
+
+      try {
+        const testFrame = collectorService.generateTestFrame(camera_id, object_count, {
+          random: createRandom(seed),
+          timestampMs: timestamp_ms,
+        });
+        // Validated and counted like any other frame; its timestamp may be made up, so it counts as a replay.
+        const result = await collectorService.ingestFrame(testFrame, undefined, 'replay');
+
+        if (result.status === 'rejected') {
+          return reply.status(400).send({ error: 'Invalid camera frame', ...result });
         }
+
+        return {
+          status: 'generated_and_processed',
+          frame: testFrame,
+          event_count: result.accepted_count,
+          result,
+        };
+      } catch (error) {
+        logger.error({ error }, 'Failed to generate test frame');
+        return reply.status(500).send({ error: 'Failed to generate test frame' });
       }
+    });
 
-      logger.info({ camera_ids, frames_per_camera, interval_ms }, 'Batch simulation completed');
-    } catch (error) {
-      logger.error({ error }, 'Failed to run batch simulation');
-    }
-  });
+    // Kept for existing callers; runs as a simulation job, see /simulations.
+    server.post<{
+      Body: { camera_ids: string[]; frames_per_camera?: number; interval_ms?: number; seed?: Seed; start_ts_ms?: number }
+    }>('/simulate-batch', async (request, reply) => {
+      const { camera_ids, frames_per_camera = 5, interval_ms = 1000, seed, start_ts_ms } = request.body ?? {};
+
+      if (!Array.isArray(camera_ids) || camera_ids.length === 0 || !Number.isInteger(frames_per_camera) || frames_per_camera < 1 || interval_ms <= 0) {
+        return reply.status(400).send({ error: 'camera_ids, frames_per_camera and interval_ms are required' });
+      }
+      if (!ingestAuth.authorize(request, reply, camera_ids)) return reply;
+
+      const result = simulationRunner.start({
+        scenario: 'steady',
+        camera_ids,
+        duration_ms: frames_per_camera * interval_ms,
+        frame_rate: 1000 / interval_ms,
+        // Counted out directly; working it back from duration_ms can come up a frame short.
+        frame_count: frames_per_camera,
+        seed,
+        start_ts_ms,
+      });
+
+      if (!result.started) {
+        return reply.status(result.reason === 'too_many_jobs' ? 429 : 400).send({ error: result.message, reason: result.reason });
+      }
+
+      return {
+        status: 'simulation_started',
+        simulation_id: result.job.simulation_id,
+        camera_ids,
+        frames_per_camera,
+        interval_ms,
+        seed: result.job.seed,
+      };
+    });
+  }
 
   process.on('SIGTERM', async () => {
     logger.info('Received SIGTERM, shutting down gracefully');
+    registration?.stop();
+    simulationRunner.cancelAll();
+    annotationImporter.cancelAll();
+    await mqttIngest?.stop();
     await collectorService.stop();
+    await frameRecorder?.flush();
     await server.close();
   });
 
   process.on('SIGINT', async () => {
     logger.info('Received SIGINT, shutting down gracefully');
+    registration?.stop();
+    simulationRunner.cancelAll();
+    annotationImporter.cancelAll();
+    await mqttIngest?.stop();
     await collectorService.stop();
+    await frameRecorder?.flush();
     await server.close();
   });
 
   try {
+    // Grids first: calibrations and privacy masks refer to their cells.
+    await gridRegistry.load();
+    await calibrationService.load();
+    await privacyMasks.load();
+    await apiKeys.load();
     await collectorService.start();
+    await mqttIngest?.start();
     await server.listen({ port: PORT, host: '0.0.0.0' });
+    registration?.start();
     logger.info(`Collector service started on port ${PORT} with ID: ${COLLECTOR_ID}`);
   } catch (err) {
     logger.error(err);
@@ -0,0 +1,90 @@
+import type { FastifyInstance } from 'fastify';
+import { ApiKeyCreateSchema, ApiKeyRotateSchema } from '../types/auth.js';
+import type { ApiKeyStore } from '../services/api-keys.js';
+import { requireAdminKey } from '../services/ingest-auth.js';
+
+interface KeyParams {
+  key_id: string;
+}
+
+interface ApiKeyRouteOptions {
+  apiKeys: ApiKeyStore;
+  /** Key management is refused entirely when no admin key is configured. */
+  adminKey?: string;
+}
+
+export async function apiKeyRoutes(fastify: FastifyInstance, { apiKeys, adminKey }: ApiKeyRouteOptions) {
+
+  fastify.addHook('preHandler', requireAdminKey(adminKey, 'Key management'));
+
+  fastify.get('/api-keys', async () => {
+    const keys = apiKeys.list();
+
+    return {
+      keys,
+      count: keys.length,
+      timestamp: Date.now(),
+    };
+  });
+
+  fastify.post<{ Body: unknown }>('/api-keys', async (request, reply) => {
+    const parsed = ApiKeyCreateSchema.safeParse(request.body);
+
+    if (!parsed.success) {
+      return reply.status(400).send({
+        error: 'Invalid API key request',
+        issues: parsed.error.issues.map(issue => ({ field: issue.path.join('.'), message: issue.message })),
+      });
+    }
+
+    try {
+      return reply.status(201).send(await apiKeys.create(parsed.data));
+    } catch (error) {
+      fastify.log.error({ error }, 'Failed to create API key');
+      return reply.status(500).send({ error: 'Failed to create API key' });
+    }
+  });
+
+  fastify.post<{ Params: KeyParams; Body: unknown }>('/api-keys/:key_id/rotate', async (request, reply) => {
+    const parsed = ApiKeyRotateSchema.safeParse(request.body ?? {});
+
+    if (!parsed.success) {
+      return reply.status(400).send({
+        error: 'Invalid rotation request',
+        issues: parsed.error.issues.map(issue => ({ field: issue.path.join('.'), message: issue.message })),
+      });
+    }
+
+    if (!apiKeys.get(request.params.key_id)) {
+      return reply.status(404).send({ error: 'API key not found' });
+    }
+
+    try {
+      const issued = await apiKeys.rotate(request.params.key_id, parsed.data.grace_period_ms);
+
+      if (!issued) {
+        return reply.status(409).send({ error: 'Only active keys that have not been rotated yet can be rotated' });
+      }
+
+      return reply.status(201).send(issued);
+    } catch (error) {
+      fastify.log.error({ error }, 'Failed to rotate API key');
+      return reply.status(500).send({ error: 'Failed to rotate API key' });
+    }
+  });
+
+  fastify.delete<{ Params: KeyParams }>('/api-keys/:key_id', async (request, reply) => {
+    try {
+      const revoked = await apiKeys.revoke(request.params.key_id);
+
+      if (!revoked) {
+        return reply.status(404).send({ error: 'API key not found' });
+      }
+
+      return revoked;
+    } catch (error) {
+      fastify.log.error({ error }, 'Failed to revoke API key');
+      return reply.status(500).send({ error: 'Failed to revoke API key' });
+    }
+  });
+}
@@ -0,0 +1,79 @@
+import type { FastifyInstance } from 'fastify';
+import { CameraCalibrationSchema } from '../types/calibration.js';
+import type { CalibrationService } from '../services/calibration.js';
+import { configChangeOptions, type IngestAuth } from '../services/ingest-auth.js';
+
+interface CameraParams {
+  camera_id: string;
+}
+
+interface CalibrationRouteOptions {
+  calibrationService: CalibrationService;
+  ingestAuth: IngestAuth;
+  adminKey?: string;
+}
+
+export async function calibrationRoutes(fastify: FastifyInstance, { calibrationService, ingestAuth, adminKey }: CalibrationRouteOptions) {
+  const changeOptions = configChangeOptions(ingestAuth, adminKey, 'Calibration changes');
+
+  fastify.get('/calibrations', async () => {
+    const calibrations = calibrationService.listCalibrations();
+
+    return {
+      calibrations,
+      count: calibrations.length,
+      timestamp: Date.now(),
+    };
+  });
+
+  fastify.get<{ Params: CameraParams }>('/cameras/:camera_id/calibration', async (request, reply) => {
+    const stored = calibrationService.getCalibration(request.params.camera_id);
+
+    if (!stored) {
+      return reply.status(404).send({ error: 'Calibration not found' });
+    }
+
+    return stored;
+  });
+
+  fastify.put<{ Params: CameraParams; Body: unknown }>('/cameras/:camera_id/calibration', changeOptions, async (request, reply) => {
+    const parsed = CameraCalibrationSchema.safeParse(request.body);
+
+    if (!parsed.success) {
+      return reply.status(400).send({
+        error: 'Invalid calibration',
+        issues: parsed.error.issues.map(issue => ({ field: issue.path.join('.'), message: issue.message })),
+      });
+    }
+
+    try {
+      return await calibrationService.setCalibration(request.params.camera_id, parsed.data);
+    } catch (error) {
+      fastify.log.error({ error }, 'Failed to store calibration');
+      return reply.status(500).send({ error: 'Failed to store calibration' });
+    }
+  });
+
+  fastify.delete<{ Params: CameraParams }>('/cameras/:camera_id/calibration', changeOptions, async (request, reply) => {
+    try {
+      const deleted = await calibrationService.deleteCalibration(request.params.camera_id);
+
+      if (!deleted) {
+        return reply.status(404).send({ error: 'Calibration not found' });
+      }
+
+      return { status: 'deleted', camera_id: request.params.camera_id };
+    } catch (error) {
+      fastify.log.error({ error }, 'Failed to delete calibration');
+      return reply.status(500).send({ error: 'Failed to delete calibration' });
+    }
+  });
+
+  fastify.get<{ Params: CameraParams }>('/cameras/:camera_id/calibration/check', async (request) => {
+    return {
+      ...calibrationService.getCheckReport(request.params.camera_id),
+      calibrated: calibrationService.getCalibration(request.params.camera_id) !== null,
+      timestamp: Date.now(),
+    };
+  });
+}
@@ -0,0 +1,30 @@
+import type { FastifyInstance } from 'fastify';
+import type { ClockSkewEstimator } from '../services/clock-skew.js';
+
+interface CameraParams {
+  camera_id: string;
+}
+
+export async function clockSkewRoutes(fastify: FastifyInstance, { clockSkew }: { clockSkew: ClockSkewEstimator }) {
+
+  fastify.get('/clock-skew', async () => {
+    const cameras = clockSkew.list();
+
+    return {
+      options: clockSkew.getOptions(),
+      cameras,
+      count: cameras.length,
+      timestamp: Date.now(),
+    };
+  });
+
+  fastify.get<{ Params: CameraParams }>('/cameras/:camera_id/clock-skew', async (request, reply) => {
+    const skew = clockSkew.getSkew(request.params.camera_id);
+
+    if (!skew) {
+      return reply.status(404).send({ error: 'No frames received from this camera yet' });
+    }
+
+    return skew;
+  });
+}
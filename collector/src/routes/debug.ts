@@ -0,0 +1,20 @@
+import type { FastifyInstance } from 'fastify';
+import type { CollectorService } from '../services/collector.js';
+
+export async function debugRoutes(fastify: FastifyInstance, { collectorService }: { collectorService: CollectorService }) {
+
+  fastify.get<{ Querystring: { camera_id?: string } }>('/debug/tracks', async (request) => {
+    const tracker = collectorService.getTracker();
+
+    if (!tracker) {
+      return { enabled: false, cameras: {}, timestamp: Date.now() };
+    }
+
+    return {
+      enabled: true,
+      options: tracker.getOptions(),
+      cameras: tracker.getTracks(request.query.camera_id),
+      timestamp: Date.now(),
+    };
+  });
+}
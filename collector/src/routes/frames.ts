@@ -0,0 +1,85 @@
+import type { FastifyInstance } from 'fastify';
+import type { CollectorService } from '../services/collector.js';
+import { readFrameIdentity } from '../services/frame-deduplicator.js';
+import type { IngestAuth } from '../services/ingest-auth.js';
+import type { CollectorMetrics } from '../services/metrics.js';
+import type { RateLimiter } from '../services/rate-limiter.js';
+import { decodeFrame, formatForContentType, FRAME_CONTENT_TYPES } from '../utils/frame-codecs.js';
+
+interface FramesRouteOptions {
+  collectorService: CollectorService;
+  ingestAuth: IngestAuth;
+  rateLimiter: RateLimiter;
+  metrics: CollectorMetrics;
+  /** Lets operators replay frames even while ingest auth is off. */
+  adminKey?: string;
+}
+
+export async function framesRoutes(
+  fastify: FastifyInstance,
+  { collectorService, ingestAuth, rateLimiter, metrics, adminKey }: FramesRouteOptions
+) {
+
+  // Binary frame bodies reach the handler as raw bytes and are decoded there.
+  fastify.addContentTypeParser(
+    [...FRAME_CONTENT_TYPES.msgpack, ...FRAME_CONTENT_TYPES.protobuf],
+    { parseAs: 'buffer' },
+    (request, body, done) => done(null, body)
+  );
+
+  fastify.post<{ Body: unknown; Querystring: { mode?: string } }>('/frames', async (request, reply) => {
+    try {
+      const mode = request.query.mode === 'partial' || request.query.mode === 'strict'
+        ? request.query.mode
+        : undefined;
+
+      let frame = request.body;
+      if (Buffer.isBuffer(frame)) {
+        const format = formatForContentType(request.headers['content-type'])!;
+        try {
+          frame = decodeFrame(format, frame);
+        } catch (error) {
+          return reply.status(400).send({
+            error: 'Malformed frame body',
+            issues: [{ field: '', message: `Not a valid ${format} CameraFrame: ${(error as Error).message}` }],
+          });
+        }
+      }
+
+      const frameCameraId = readFrameIdentity(frame)?.camera_id;
+      if (!ingestAuth.authorize(request, reply, frameCameraId ? [frameCameraId] : [])) return reply;
+
+      if (rateLimiter.isEnabled()) {
+        const body = frame as { objects?: unknown } | null;
+        const eventCount = Array.isArray(body?.objects) ? body.objects.length : 0;
+        const cameraId = frameCameraId;
+        const decision = rateLimiter.check(cameraId, eventCount);
+
+        if (!decision.allowed) {
+          metrics.recordFrameReceived(cameraId);
+          metrics.recordFrameSkipped(cameraId, 'rate_limited');
+          return reply
+            .status(429)
+            .header('Retry-After', Math.ceil(decision.retry_after_ms / 1000))
+            .send({ error: 'Rate limit exceeded', ...decision });
+        }
+      }
+
+      // Replayed frames keep their recorded timestamps instead of being skew
+      // corrected and aren't recorded again, so only trusted senders may say so.
+      const source = request.headers['x-frame-source'] === 'replay' && ingestAuth.allowsReplay(request, adminKey)
+        ? 'replay'
+        : 'live';
+      const result = await collectorService.ingestFrame(frame, mode, source);
+
+      if (result.status === 'rejected') {
+        return reply.status(400).send({ error: 'Invalid camera frame', ...result });
+      }
+
+      return result;
+    } catch (error) {
+      fastify.log.error({ error }, 'Failed to process frame');
+      return reply.status(500).send({ error: 'Failed to process frame' });
+    }
+  });
+}
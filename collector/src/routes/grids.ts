@@ -0,0 +1,52 @@
+import type { FastifyInstance } from 'fastify';
+import { GridSizeSchema } from '../types/grid.js';
+import type { CollectorService } from '../services/collector.js';
+import type { GridRegistry } from '../services/grid-registry.js';
+import { configChangeOptions, type IngestAuth } from '../services/ingest-auth.js';
+
+interface CameraParams {
+  camera_id: string;
+}
+
+interface GridRouteOptions {
+  collectorService: CollectorService;
+  gridRegistry: GridRegistry;
+  ingestAuth: IngestAuth;
+  adminKey?: string;
+}
+
+export async function gridRoutes(fastify: FastifyInstance, { collectorService, gridRegistry, ingestAuth, adminKey }: GridRouteOptions) {
+  const changeOptions = configChangeOptions(ingestAuth, adminKey, 'Grid changes');
+
+  fastify.get('/grids', async () => {
+    const grids = gridRegistry.list();
+
+    return {
+      grids,
+      count: grids.length,
+      timestamp: Date.now(),
+    };
+  });
+
+  fastify.get<{ Params: CameraParams }>('/cameras/:camera_id/grid', async (request) => {
+    return gridRegistry.getCameraGrid(request.params.camera_id);
+  });
+
+  fastify.put<{ Params: CameraParams; Body: unknown }>('/cameras/:camera_id/grid', changeOptions, async (request, reply) => {
+    const parsed = GridSizeSchema.safeParse(request.body);
+
+    if (!parsed.success) {
+      return reply.status(400).send({
+        error: 'Invalid grid size',
+        issues: parsed.error.issues.map(issue => ({ field: issue.path.join('.'), message: issue.message })),
+      });
+    }
+
+    try {
+      return await collectorService.setCameraGrid(request.params.camera_id, parsed.data);
+    } catch (error) {
+      fastify.log.error({ error }, 'Failed to update camera grid');
+      return reply.status(500).send({ error: 'Failed to update camera grid' });
+    }
+  });
+}
@@ -0,0 +1,104 @@
+import type { FastifyInstance } from 'fastify';
+import { ImportRequestSchema } from '../types/import.js';
+import type { AnnotationImporter } from '../services/annotation-importer.js';
+import type { IngestAuth } from '../services/ingest-auth.js';
+
+interface ImportParams {
+  import_id: string;
+}
+
+interface ImportRouteOptions {
+  annotationImporter: AnnotationImporter;
+  ingestAuth: IngestAuth;
+  /** Largest annotation file accepted, in bytes. */
+  maxBytes: number;
+}
+
+// MOT files are usually .txt, CVAT exports .xml; the body is read as text either way.
+const ANNOTATION_CONTENT_TYPES = ['text/plain', 'text/csv', 'application/xml', 'text/xml'];
+
+export async function importRoutes(fastify: FastifyInstance, { annotationImporter, ingestAuth, maxBytes }: ImportRouteOptions) {
+
+  // Keeps the bytes for signature checks, like the JSON parser.
+  fastify.removeContentTypeParser('text/plain');
+  fastify.addContentTypeParser(ANNOTATION_CONTENT_TYPES, { parseAs: 'buffer' }, (request, body, done) => {
+    request.rawBody = body as Buffer;
+    done(null, body.toString());
+  });
+
+  // Options go in the query string so the file can be posted as-is, e.g. with curl --data-binary.
+  fastify.post<{ Querystring: unknown; Body: unknown }>('/import', { bodyLimit: maxBytes }, async (request, reply) => {
+    const parsed = ImportRequestSchema.safeParse(request.query);
+
+    if (!parsed.success) {
+      return reply.status(400).send({
+        error: 'Invalid import request',
+        issues: parsed.error.issues.map(issue => ({ field: issue.path.join('.'), message: issue.message })),
+      });
+    }
+
+    if (typeof request.body !== 'string' || !request.body.trim()) {
+      return reply.status(400).send({
+        error: 'Invalid import request',
+        issues: [{ field: 'body', message: 'Send the annotation file as text/plain, text/csv or application/xml' }],
+      });
+    }
+
+    if (!ingestAuth.authorize(request, reply, [parsed.data.camera_id])) return reply;
+
+    const prepared = annotationImporter.prepare(parsed.data, request.body);
+
+    if (!prepared.ok) {
+      return reply.status(400).send({ error: 'Could not read annotation file', issues: prepared.issues });
+    }
+
+    if (parsed.data.mode === 'file') {
+      return reply
+        .header('Content-Type', 'application/x-ndjson')
+        .header('Content-Disposition', `attachment; filename="${parsed.data.camera_id.replace(/[^\w.-]/g, '_')}.jsonl"`)
+        .header('X-Import-Summary', JSON.stringify(prepared.summary))
+        .send(prepared.frames.map(frame => JSON.stringify(frame)).join('\n') + '\n');
+    }
+
+    const result = annotationImporter.start(prepared.frames, prepared.summary, parsed.data.speed);
+
+    if (!result.started) {
+      return reply.status(429).send({ error: result.message, reason: result.reason, limits: annotationImporter.getLimits() });
+    }
+
+    return reply.status(202).send(result.job);
+  });
+
+  fastify.get('/imports', async () => {
+    const imports = annotationImporter.list();
+
+    return {
+      imports,
+      count: imports.length,
+      limits: annotationImporter.getLimits(),
+      timestamp: Date.now(),
+    };
+  });
+
+  fastify.get<{ Params: ImportParams }>('/imports/:import_id', async (request, reply) => {
+    const job = annotationImporter.get(request.params.import_id);
+
+    if (!job) {
+      return reply.status(404).send({ error: 'Import not found' });
+    }
+
+    return job;
+  });
+
+  fastify.delete<{ Params: ImportParams }>('/imports/:import_id', async (request, reply) => {
+    const existing = annotationImporter.get(request.params.import_id);
+
+    if (!existing) {
+      return reply.status(404).send({ error: 'Import not found' });
+    }
+
+    if (!ingestAuth.authorize(request, reply, [existing.camera_id])) return reply;
+
+    return annotationImporter.cancel(request.params.import_id);
+  });
+}
@@ -0,0 +1,10 @@
+import type { FastifyInstance } from 'fastify';
+import type { CollectorMetrics } from '../services/metrics.js';
+
+export async function metricsRoutes(fastify: FastifyInstance, { metrics }: { metrics: CollectorMetrics }) {
+
+  fastify.get('/metrics', async (request, reply) => {
+    const { contentType, body } = await metrics.render();
+    return reply.type(contentType).send(body);
+  });
+}
@@ -0,0 +1,79 @@
+import type { FastifyInstance } from 'fastify';
+import { CameraPrivacyMasksSchema } from '../types/privacy.js';
+import type { PrivacyMaskService } from '../services/privacy-masks.js';
+import { configChangeOptions, type IngestAuth } from '../services/ingest-auth.js';
+
+interface CameraParams {
+  camera_id: string;
+}
+
+interface PrivacyRouteOptions {
+  privacyMasks: PrivacyMaskService;
+  ingestAuth: IngestAuth;
+  adminKey?: string;
+}
+
+export async function privacyRoutes(fastify: FastifyInstance, { privacyMasks, ingestAuth, adminKey }: PrivacyRouteOptions) {
+  const changeOptions = configChangeOptions(ingestAuth, adminKey, 'Privacy mask changes');
+
+  fastify.get('/privacy-masks', async () => {
+    const cameras = privacyMasks.listMasks();
+
+    return {
+      cameras,
+      count: cameras.length,
+      timestamp: Date.now(),
+    };
+  });
+
+  // Counts only: suppressed detections are never stored.
+  fastify.get('/privacy-masks/audit', async () => {
+    return {
+      cameras: privacyMasks.getAuditStats(),
+      timestamp: Date.now(),
+    };
+  });
+
+  fastify.get<{ Params: CameraParams }>('/cameras/:camera_id/privacy-masks', async (request, reply) => {
+    const stored = privacyMasks.getMasks(request.params.camera_id);
+
+    if (!stored) {
+      return reply.status(404).send({ error: 'Privacy masks not found' });
+    }
+
+    return stored;
+  });
+
+  fastify.put<{ Params: CameraParams; Body: unknown }>('/cameras/:camera_id/privacy-masks', changeOptions, async (request, reply) => {
+    const parsed = CameraPrivacyMasksSchema.safeParse(request.body);
+    const issues = parsed.success
+      ? privacyMasks.checkMasks(request.params.camera_id, parsed.data.masks)
+      : parsed.error.issues.map(issue => ({ field: issue.path.join('.'), message: issue.message }));
+
+    if (!parsed.success || issues.length > 0) {
+      return reply.status(400).send({ error: 'Invalid privacy masks', issues });
+    }
+
+    try {
+      return await privacyMasks.setMasks(request.params.camera_id, parsed.data.masks);
+    } catch (error) {
+      fastify.log.error({ error }, 'Failed to store privacy masks');
+      return reply.status(500).send({ error: 'Failed to store privacy masks' });
+    }
+  });
+
+  fastify.delete<{ Params: CameraParams }>('/cameras/:camera_id/privacy-masks', changeOptions, async (request, reply) => {
+    try {
+      const deleted = await privacyMasks.deleteMasks(request.params.camera_id);
+
+      if (!deleted) {
+        return reply.status(404).send({ error: 'Privacy masks not found' });
+      }
+
+      return { status: 'deleted', camera_id: request.params.camera_id };
+    } catch (error) {
+      fastify.log.error({ error }, 'Failed to delete privacy masks');
+      return reply.status(500).send({ error: 'Failed to delete privacy masks' });
+    }
+  });
+}
@@ -0,0 +1,55 @@
+import { createReadStream } from 'fs';
+import { stat } from 'fs/promises';
+import type { FastifyInstance } from 'fastify';
+import type { FrameRecorder } from '../services/frame-recorder.js';
+import { requireAdminKey } from '../services/ingest-auth.js';
+
+interface RecordingParams {
+  camera_id: string;
+  file: string;
+}
+
+interface RecordingRouteOptions {
+  frameRecorder?: FrameRecorder;
+  adminKey?: string;
+}
+
+// Recordings hold every tracked object a camera saw, so they are behind the
+// admin key like key management.
+export async function recordingRoutes(fastify: FastifyInstance, { frameRecorder, adminKey }: RecordingRouteOptions) {
+
+  fastify.addHook('preHandler', requireAdminKey(adminKey, 'Recording access'));
+
+  fastify.get<{ Querystring: { camera_id?: string } }>('/recordings', async (request, reply) => {
+    if (!frameRecorder) {
+      return reply.status(404).send({ error: 'Frame recording is disabled; set RECORDING_DIR to enable it' });
+    }
+
+    const files = await frameRecorder.list(request.query.camera_id);
+
+    return {
+      files,
+      count: files.length,
+      recorder: frameRecorder.getStats(),
+      timestamp: Date.now(),
+    };
+  });
+
+  fastify.get<{ Params: RecordingParams }>('/recordings/:camera_id/:file', async (request, reply) => {
+    if (!frameRecorder) {
+      return reply.status(404).send({ error: 'Frame recording is disabled; set RECORDING_DIR to enable it' });
+    }
+
+    const path = frameRecorder.resolveFile(request.params.camera_id, request.params.file);
+    const info = path ? await stat(path).catch(() => null) : null;
+
+    if (!path || !info?.isFile()) {
+      return reply.status(404).send({ error: 'Recording not found' });
+    }
+
+    return reply
+      .header('Content-Type', 'application/x-ndjson')
+      .header('Content-Disposition', `attachment; filename="${request.params.file}"`)
+      .send(createReadStream(path));
+  });
+}
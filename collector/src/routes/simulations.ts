@@ -0,0 +1,70 @@
+import type { FastifyInstance } from 'fastify';
+import { SimulationRequestSchema } from '../types/simulation.js';
+import type { SimulationRunner } from '../services/simulation-runner.js';
+import type { IngestAuth } from '../services/ingest-auth.js';
+
+interface SimulationParams {
+  simulation_id: string;
+}
+
+export async function simulationRoutes(
+  fastify: FastifyInstance,
+  { simulationRunner, ingestAuth }: { simulationRunner: SimulationRunner; ingestAuth: IngestAuth }
+) {
+
+  fastify.post<{ Body: unknown }>('/simulations', async (request, reply) => {
+    const parsed = SimulationRequestSchema.safeParse(request.body);
+
+    if (!parsed.success) {
+      return reply.status(400).send({
+        error: 'Invalid simulation request',
+        issues: parsed.error.issues.map(issue => ({ field: issue.path.join('.'), message: issue.message })),
+      });
+    }
+
+    if (!ingestAuth.authorize(request, reply, parsed.data.camera_ids)) return reply;
+
+    const result = simulationRunner.start(parsed.data);
+
+    if (!result.started) {
+      return reply
+        .status(result.reason === 'too_many_jobs' ? 429 : 400)
+        .send({ error: result.message, reason: result.reason, limits: simulationRunner.getLimits() });
+    }
+
+    return reply.status(202).send(result.job);
+  });
+
+  fastify.get('/simulations', async () => {
+    const simulations = simulationRunner.list();
+
+    return {
+      simulations,
+      count: simulations.length,
+      limits: simulationRunner.getLimits(),
+      timestamp: Date.now(),
+    };
+  });
+
+  fastify.get<{ Params: SimulationParams }>('/simulations/:simulation_id', async (request, reply) => {
+    const job = simulationRunner.get(request.params.simulation_id);
+
+    if (!job) {
+      return reply.status(404).send({ error: 'Simulation not found' });
+    }
+
+    return job;
+  });
+
+  fastify.delete<{ Params: SimulationParams }>('/simulations/:simulation_id', async (request, reply) => {
+    const existing = simulationRunner.get(request.params.simulation_id);
+
+    if (!existing) {
+      return reply.status(404).send({ error: 'Simulation not found' });
+    }
+
+    if (!ingestAuth.authorize(request, reply, existing.camera_ids)) return reply;
+
+    return simulationRunner.cancel(request.params.simulation_id);
+  });
+}
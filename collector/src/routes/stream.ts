@@ -0,0 +1,75 @@
+import type { FastifyInstance } from 'fastify';
+import type { CollectorService } from '../services/collector.js';
+import { StreamSession, type StreamBinaryFormat, type StreamFlowOptions } from '../services/stream-session.js';
+import type { IngestAuth } from '../services/ingest-auth.js';
+import { parseFrameFormat } from '../utils/frame-codecs.js';
+
+interface StreamRouteOptions {
+  collectorId: string;
+  collectorService: CollectorService;
+  flow?: StreamFlowOptions;
+  ingestAuth: IngestAuth;
+}
+
+export async function streamRoutes(fastify: FastifyInstance, { collectorId, collectorService, flow, ingestAuth }: StreamRouteOptions) {
+  const sessions = new Map<string, StreamSession>();
+
+  // `?format=msgpack|protobuf` picks how binary messages are decoded.
+  fastify.get<{ Querystring: { format?: string } }>('/stream', { websocket: true }, (connection, request) => {
+    const socket = connection.socket;
+
+    let binaryFormat: StreamBinaryFormat | undefined;
+    try {
+      const format = parseFrameFormat(request.query.format ?? 'json');
+      binaryFormat = format === 'json' ? undefined : format;
+    } catch (error) {
+      socket.send(JSON.stringify({ type: 'error', code: 'invalid_message', message: (error as Error).message }));
+      socket.close(1008);
+      return;
+    }
+
+    // Authenticated at connect time; a signature covers an empty body.
+    const auth = ingestAuth.authenticate(request);
+    if (auth && !auth.ok) {
+      socket.send(JSON.stringify({ type: 'error', code: 'unauthorized', message: auth.message }));
+      socket.close(1008);
+      return;
+    }
+    const apiKey = auth?.key;
+
+    const session = new StreamSession(collectorId, collectorService, (message) => {
+      if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify(message));
+      }
+    }, flow, {
+      remoteAddress: request.ip,
+      binaryFormat,
+      apiKeyId: apiKey?.key_id,
+      allowsCamera: apiKey && (cameraId => ingestAuth.allowsCamera(apiKey, cameraId)),
+    });
+
+    sessions.set(session.sessionId, session);
+    fastify.log.info({ sessionId: session.sessionId, remoteAddress: request.ip }, 'Stream connected');
+
+    socket.on('message', (data, isBinary) => {
+      if (isBinary) {
+        session.handleBinaryMessage(Array.isArray(data) ? Buffer.concat(data) : Buffer.isBuffer(data) ? data : Buffer.from(data));
+      } else {
+        session.handleMessage(data.toString());
+      }
+    });
+
+    socket.on('close', () => {
+      session.close();
+      sessions.delete(session.sessionId);
+    });
+  });
+
+  fastify.get('/streams', async () => {
+    return {
+      collector_id: collectorId,
+      sessions: [...sessions.values()].map(session => session.getInfo()),
+      timestamp: Date.now(),
+    };
+  });
+}
@@ -0,0 +1,87 @@
+import pino from 'pino';
+
+const logger = pino({ name: 'adaptive-sampler' });
+
+export interface AdaptiveSamplerOptions {
+  queueDepthThreshold: number;
+  keepEvery?: number;
+  pollIntervalMs?: number;
+}
+
+export interface SamplerStats {
+  active: boolean;
+  queue_depth: number | null;
+  queue_depth_threshold: number;
+  keep_every: number;
+  cameras: Record<string, { frames_seen: number; frames_sampled_out: number }>;
+}
+
+/**
+ * Polls the downstream queue depth and, while it is above the threshold,
+ * keeps only every Nth frame per camera so the manager can catch up.
+ */
+export class AdaptiveSampler {
+  private active = false;
+  private queueDepth: number | null = null;
+  private counters = new Map<string, { frames_seen: number; frames_sampled_out: number }>();
+  private timer?: NodeJS.Timeout;
+  private keepEvery: number;
+  private pollIntervalMs: number;
+
+  constructor(private readQueueDepth: () => Promise<number>, private options: AdaptiveSamplerOptions) {
+    this.keepEvery = Math.max(1, options.keepEvery ?? 5);
+    this.pollIntervalMs = options.pollIntervalMs ?? 1000;
+  }
+
+  start(): void {
+    this.stop();
+    this.timer = setInterval(() => {
+      this.poll().catch(error => {
+        logger.error({ error }, 'Failed to read downstream queue depth');
+      });
+    }, this.pollIntervalMs);
+  }
+
+  stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = undefined;
+    }
+  }
+
+  async poll(): Promise<void> {
+    this.queueDepth = await this.readQueueDepth();
+    const shouldSample = this.queueDepth > this.options.queueDepthThreshold;
+
+    if (shouldSample !== this.active) {
+      logger.warn({
+        queueDepth: this.queueDepth,
+        threshold: this.options.queueDepthThreshold,
+        keepEvery: this.keepEvery,
+      }, shouldSample ? 'Downstream queue is backed up, sampling frames' : 'Downstream queue recovered, sampling stopped');
+      this.active = shouldSample;
+    }
+  }
+
+  /** False when this frame should be dropped to relieve the queue. */
+  shouldKeep(cameraId: string): boolean {
+    const counter = this.counters.get(cameraId) ?? { frames_seen: 0, frames_sampled_out: 0 };
+    this.counters.set(cameraId, counter);
+
+    const keep = !this.active || counter.frames_seen % this.keepEvery === 0;
+    counter.frames_seen++;
+    if (!keep) counter.frames_sampled_out++;
+
+    return keep;
+  }
+
+  getStats(): SamplerStats {
+    return {
+      active: this.active,
+      queue_depth: this.queueDepth,
+      queue_depth_threshold: this.options.queueDepthThreshold,
+      keep_every: this.keepEvery,
+      cameras: Object.fromEntries(this.counters),
+    };
+  }
+}
@@ -0,0 +1,311 @@
+import { v4 as uuidv4 } from 'uuid';
+import pino from 'pino';
+import type { CollectorService } from './collector.js';
+import { locateWithCalibration, type CalibrationService } from './calibration.js';
+import type { GridRegistry } from './grid-registry.js';
+import { cancellableDelay } from './simulation-runner.js';
+import { MOT_CLASS_MAP, parseAnnotations, parseClassMapSpec } from '../utils/annotation-formats.js';
+import type { Bbox, CameraFrame, DetectedObject, FieldIssue } from '../types/detection.js';
+import type {
+  AnnotationSequence,
+  ImportJob,
+  ImportLimits,
+  ImportRequest,
+  ImportStartResult,
+  ImportSummary,
+} from '../types/import.js';
+
+const logger = pino({ name: 'annotation-importer' });
+
+// Finished jobs kept around so their final counts can still be read.
+const MAX_FINISHED_JOBS = 50;
+
+const DEFAULT_LIMITS: ImportLimits = {
+  maxConcurrentJobs: 2,
+  maxFrames: 100000,
+};
+
+export type PreparedImport =
+  | { ok: true; frames: CameraFrame[]; summary: ImportSummary }
+  | { ok: false; issues: FieldIssue[] };
+
+interface RunningJob {
+  job: ImportJob;
+  frames: CameraFrame[];
+  abort: AbortController;
+}
+
+function cellLocator(
+  request: ImportRequest,
+  sequence: AnnotationSequence,
+  calibrationService: CalibrationService,
+  gridRegistry: GridRegistry
+): (bbox: Bbox) => string | null {
+  if (calibrationService.getCalibration(request.camera_id)) {
+    return bbox => calibrationService.locate(request.camera_id, bbox);
+  }
+
+  const imageWidth = request.image_width ?? sequence.image_width;
+  const imageHeight = request.image_height ?? sequence.image_height;
+  if (!imageWidth || !imageHeight) {
+    return () => null;
+  }
+
+  const calibration = { type: 'rect' as const, image_width: imageWidth, image_height: imageHeight };
+  const grid = gridRegistry.getGrid(request.camera_id);
+  return bbox => locateWithCalibration(calibration, grid, bbox);
+}
+
+/**
+ * Parses an annotation file and builds its frames. Grid cells come from the
+ * camera's calibration, or from scaling the whole image onto the camera's grid
+ * when it has none; objects that can't be placed on the grid are dropped.
+ */
+export function prepareImport(
+  request: ImportRequest,
+  content: string,
+  calibrationService: CalibrationService,
+  gridRegistry: GridRegistry,
+  maxFrames: number = DEFAULT_LIMITS.maxFrames
+): PreparedImport {
+  let classMap: Record<string, string>;
+  try {
+    classMap = {
+      ...(request.format === 'mot' ? MOT_CLASS_MAP : {}),
+      ...parseClassMapSpec(request.class_map ?? ''),
+    };
+  } catch (error) {
+    return { ok: false, issues: [{ field: 'class_map', message: (error as Error).message }] };
+  }
+
+  const parsed = parseAnnotations(request.format, content);
+  if (!parsed.ok) {
+    return parsed;
+  }
+
+  const { sequence } = parsed;
+  if (sequence.frames.length > maxFrames) {
+    return {
+      ok: false,
+      issues: [{ field: 'content', message: `File spans ${sequence.frames.length} frames, the limit is ${maxFrames}` }],
+    };
+  }
+
+  const locate = cellLocator(request, sequence, calibrationService, gridRegistry);
+  const prefix = request.sequence ?? sequence.name ?? request.format;
+  const startTsMs = request.start_ts_ms ?? Date.now();
+  const firstFrame = sequence.frames[0]?.frame ?? 0;
+
+  const summary: ImportSummary = {
+    camera_id: request.camera_id,
+    format: request.format,
+    frame_count: sequence.frames.length,
+    object_count: 0,
+    skipped_annotations: sequence.skipped_annotations,
+    unmapped_objects: 0,
+    unplaced_objects: 0,
+    untracked_objects: 0,
+    first_ts_ms: null,
+    last_ts_ms: null,
+  };
+
+  const frames = sequence.frames.map(({ frame, objects }): CameraFrame => {
+    const detected: DetectedObject[] = [];
+
+    for (const obj of objects) {
+      const className = obj.label === undefined
+        ? request.default_class
+        : classMap[obj.label] ?? (request.format === 'cvat' ? obj.label : undefined);
+      if (!className) {
+        summary.unmapped_objects++;
+        continue;
+      }
+
+      const cell = locate(obj.bbox);
+      if (!cell) {
+        summary.unplaced_objects++;
+        continue;
+      }
+
+      if (obj.track_id === undefined) summary.untracked_objects++;
+      detected.push({
+        ...(obj.track_id !== undefined && { object_id: `${prefix}-${obj.track_id}` }),
+        class: className,
+        confidence: obj.confidence,
+        grid_cell_id: cell,
+        bbox: obj.bbox,
+      });
+    }
+
+    summary.object_count += detected.length;
+    return {
+      camera_id: request.camera_id,
+      timestamp_ms: startTsMs + Math.round(((frame - firstFrame) * 1000) / request.frame_rate),
+      frame_id: `${prefix}-${String(frame).padStart(6, '0')}`,
+      objects: detected,
+    };
+  });
+
+  summary.first_ts_ms = frames[0]?.timestamp_ms ?? null;
+  summary.last_ts_ms = frames[frames.length - 1]?.timestamp_ms ?? null;
+
+  return { ok: true, frames, summary };
+}
+
+/**
+ * Turns MOT Challenge and CVAT annotation files into timed camera frames, for
+ * checking detectors and dwell logic against annotated footage. Frames are
+ * either returned for writing to a replay file or played through the
+ * collector's normal processing path as a background job, faster than real
+ * time if asked.
+ */
+export class AnnotationImporter {
+  private jobs = new Map<string, RunningJob>();
+  private limits: ImportLimits;
+
+  constructor(
+    private collectorService: CollectorService,
+    private calibrationService: CalibrationService,
+    private gridRegistry: GridRegistry,
+    limits: Partial<ImportLimits> = {}
+  ) {
+    this.limits = { ...DEFAULT_LIMITS, ...limits };
+  }
+
+  prepare(request: ImportRequest, content: string): PreparedImport {
+    return prepareImport(request, content, this.calibrationService, this.gridRegistry, this.limits.maxFrames);
+  }
+
+  /** Plays prepared frames through the collector, spaced by their timestamps divided by `speed`. */
+  start(frames: CameraFrame[], summary: ImportSummary, speed: number): ImportStartResult {
+    const running = this.list().filter(job => job.status === 'running').length;
+    if (running >= this.limits.maxConcurrentJobs) {
+      return {
+        started: false,
+        reason: 'too_many_jobs',
+        message: `${running} imports are already running, the limit is ${this.limits.maxConcurrentJobs}`,
+      };
+    }
+
+    const job: ImportJob = {
+      ...summary,
+      import_id: uuidv4(),
+      status: 'running',
+      speed,
+      progress: 0,
+      frames_sent: 0,
+      frames_failed: 0,
+      created_at: Date.now(),
+      finished_at: null,
+      error: null,
+    };
+
+    const entry: RunningJob = { job, frames, abort: new AbortController() };
+    this.jobs.set(job.import_id, entry);
+    this.pruneFinished();
+
+    logger.info({
+      importId: job.import_id,
+      cameraId: job.camera_id,
+      format: job.format,
+      frameCount: job.frame_count,
+      speed,
+    }, 'Import started');
+
+    this.run(entry)
+      .catch(error => {
+        job.status = 'failed';
+        job.error = error instanceof Error ? error.message : String(error);
+        job.finished_at = Date.now();
+        logger.error({ error, importId: job.import_id }, 'Import failed');
+      })
+      // Only the counts are kept once a job is over.
+      .finally(() => {
+        entry.frames = [];
+      });
+
+    return { started: true, job: { ...job } };
+  }
+
+  get(importId: string): ImportJob | null {
+    const entry = this.jobs.get(importId);
+    return entry ? { ...entry.job } : null;
+  }
+
+  list(): ImportJob[] {
+    return [...this.jobs.values()].map(entry => ({ ...entry.job }));
+  }
+
+  /** Returns the job as it stands; cancelling a finished job leaves it unchanged. */
+  cancel(importId: string): ImportJob | null {
+    const entry = this.jobs.get(importId);
+    if (!entry) return null;
+
+    if (entry.job.status === 'running') {
+      entry.job.status = 'cancelled';
+      entry.job.finished_at = Date.now();
+      entry.abort.abort();
+      logger.info({ importId, framesSent: entry.job.frames_sent }, 'Import cancelled');
+    }
+
+    return { ...entry.job };
+  }
+
+  cancelAll(): void {
+    for (const importId of this.jobs.keys()) {
+      this.cancel(importId);
+    }
+  }
+
+  getLimits(): ImportLimits {
+    return { ...this.limits };
+  }
+
+  private async run({ job, frames, abort }: RunningJob): Promise<void> {
+    const startedAt = Date.now();
+    const firstTsMs = frames[0]?.timestamp_ms ?? 0;
+
+    for (const frame of frames) {
+      if (abort.signal.aborted) break;
+
+      // Scheduled from the start time so slow processing doesn't stretch the run.
+      if (job.speed > 0) {
+        const waitMs = startedAt + (frame.timestamp_ms - firstTsMs) / job.speed - Date.now();
+        if (waitMs > 0) {
+          await cancellableDelay(waitMs, abort.signal);
+          if (abort.signal.aborted) break;
+        }
+      }
+
+      try {
+        await this.collectorService.processCameraFrame(frame, 'replay');
+      } catch (error) {
+        job.frames_failed++;
+        logger.warn({ error, importId: job.import_id, frameId: frame.frame_id }, 'Failed to process imported frame');
+      }
+
+      job.frames_sent++;
+      job.progress = job.frames_sent / frames.length;
+    }
+
+    if (job.status === 'running') {
+      job.status = 'completed';
+      job.progress = 1;
+      job.finished_at = Date.now();
+      logger.info({
+        importId: job.import_id,
+        framesSent: job.frames_sent,
+        framesFailed: job.frames_failed,
+      }, 'Import completed');
+    }
+  }
+
+  private pruneFinished(): void {
+    const finished = [...this.jobs.values()].filter(entry => entry.job.status !== 'running');
+
+    // Map iteration follows insertion order, so the oldest jobs go first.
+    for (const entry of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+      this.jobs.delete(entry.job.import_id);
+    }
+  }
+}
@@ -0,0 +1,235 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { readFile, writeFile } from 'fs/promises';
+import pino from 'pino';
+import {
+  ALL_CAMERAS,
+  type ApiKeyCreateRequest,
+  type ApiKeyInfo,
+  type ApiKeyStatus,
+  type AuthCredentials,
+  type AuthResult,
+  type IssuedApiKey,
+  type StoredApiKey,
+} from '../types/auth.js';
+
+const logger = pino({ name: 'api-keys' });
+
+const TOKEN_PATTERN = /^vlk_([0-9a-f]{12})_([0-9a-f]{64})$/;
+
+export interface ApiKeyStoreOptions {
+  /** How far a signature timestamp may be from the collector's clock. */
+  signatureToleranceMs?: number;
+}
+
+function safeEqual(a: string, b: string): boolean {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+/** HMAC-SHA256 of `<timestamp>.<body>`, as sent in X-Signature. */
+export function signBody(secret: string, timestamp: string, body: Buffer | string = ''): string {
+  const hmac = createHmac('sha256', secret).update(`${timestamp}.`).update(body);
+  return `sha256=${hmac.digest('hex')}`;
+}
+
+/**
+ * API keys for frame ingestion. A key is scoped to camera IDs and may require
+ * every request to be signed. Signatures cover a timestamp that must be close
+ * to the collector's clock, and each signature is accepted once, so a
+ * captured request can't be replayed.
+ */
+export class ApiKeyStore {
+  private keys = new Map<string, StoredApiKey>();
+  private lastUsed = new Map<string, number>();
+  // Signatures seen within the tolerance window, with when they can be forgotten.
+  private seenSignatures = new Map<string, number>();
+  private lastPruneMs = 0;
+  private signatureToleranceMs: number;
+
+  constructor(private storePath?: string, options: ApiKeyStoreOptions = {}) {
+    this.signatureToleranceMs = options.signatureToleranceMs ?? 300000;
+  }
+
+  async load(): Promise<void> {
+    if (!this.storePath) return;
+
+    try {
+      const stored = JSON.parse(await readFile(this.storePath, 'utf8')) as StoredApiKey[];
+
+      for (const entry of stored) {
+        this.keys.set(entry.key_id, entry);
+      }
+
+      logger.info({ path: this.storePath, keyCount: this.keys.size }, 'Loaded API keys');
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') return;
+      logger.error({ error, path: this.storePath }, 'Failed to load API keys');
+      throw error;
+    }
+  }
+
+  list(now: number = Date.now()): ApiKeyInfo[] {
+    return [...this.keys.values()].map(key => this.toInfo(key, now));
+  }
+
+  get(keyId: string): ApiKeyInfo | null {
+    const key = this.keys.get(keyId);
+    return key ? this.toInfo(key, Date.now()) : null;
+  }
+
+  async create(request: ApiKeyCreateRequest): Promise<IssuedApiKey> {
+    const key: StoredApiKey = {
+      key_id: randomBytes(6).toString('hex'),
+      name: request.name,
+      camera_ids: [...new Set(request.camera_ids)],
+      require_signature: request.require_signature,
+      allow_replay: request.allow_replay,
+      secret: randomBytes(32).toString('hex'),
+      created_at: Date.now(),
+      expires_at: request.expires_at ?? null,
+      revoked_at: null,
+      replaced_by: null,
+    };
+
+    this.keys.set(key.key_id, key);
+    await this.persist();
+
+    logger.info({ keyId: key.key_id, keyName: key.name, cameraIds: key.camera_ids }, 'API key created');
+    return { key: this.toInfo(key, key.created_at), api_key: this.token(key) };
+  }
+
+  /**
+   * Issues a new key with the same name and scopes. The old key keeps working
+   * until the grace period ends, then expires; rotating it again is refused.
+   */
+  async rotate(keyId: string, gracePeriodMs: number): Promise<IssuedApiKey | null> {
+    const old = this.keys.get(keyId);
+    const now = Date.now();
+    if (!old || !this.isUsable(old, now) || old.replaced_by) return null;
+
+    const issued = await this.create({
+      name: old.name,
+      camera_ids: old.camera_ids,
+      require_signature: old.require_signature,
+      allow_replay: old.allow_replay ?? false,
+      expires_at: old.expires_at ?? undefined,
+    });
+
+    old.expires_at = Math.min(old.expires_at ?? Infinity, now + gracePeriodMs);
+    old.replaced_by = issued.key.key_id;
+    await this.persist();
+
+    logger.info({ keyId, replacedBy: old.replaced_by, expiresAt: old.expires_at }, 'API key rotated');
+    return { ...issued, replaced: this.toInfo(old, now) };
+  }
+
+  async revoke(keyId: string): Promise<ApiKeyInfo | null> {
+    const key = this.keys.get(keyId);
+    if (!key) return null;
+
+    if (!key.revoked_at) {
+      key.revoked_at = Date.now();
+      await this.persist();
+      logger.info({ keyId }, 'API key revoked');
+    }
+
+    return this.toInfo(key, Date.now());
+  }
+
+  authenticate(credentials: AuthCredentials, now: number = Date.now()): AuthResult {
+    if (!credentials.apiKey) {
+      return { ok: false, reason: 'missing_key', message: 'An API key is required' };
+    }
+
+    const match = credentials.apiKey.match(TOKEN_PATTERN);
+    const key = match && this.keys.get(match[1]);
+    if (!match || !key || !safeEqual(key.secret, match[2])) {
+      return { ok: false, reason: 'invalid_key', message: 'Invalid API key' };
+    }
+
+    if (key.revoked_at) {
+      return { ok: false, reason: 'revoked_key', message: 'API key has been revoked' };
+    }
+    if (key.expires_at !== null && key.expires_at <= now) {
+      return { ok: false, reason: 'expired_key', message: 'API key has expired' };
+    }
+
+    if (key.require_signature || credentials.signature) {
+      const failure = this.verifySignature(key, credentials, now);
+      if (failure) return failure;
+    }
+
+    this.lastUsed.set(key.key_id, now);
+    return { ok: true, key: this.toInfo(key, now) };
+  }
+
+  allowsCamera(key: ApiKeyInfo, cameraId: string): boolean {
+    return key.camera_ids.includes(ALL_CAMERAS) || key.camera_ids.includes(cameraId);
+  }
+
+  private verifySignature(key: StoredApiKey, credentials: AuthCredentials, now: number): AuthResult | null {
+    if (!credentials.signature || !credentials.timestamp) {
+      return { ok: false, reason: 'missing_signature', message: 'X-Signature and X-Signature-Timestamp are required' };
+    }
+
+    const timestamp = Number(credentials.timestamp);
+    if (!Number.isFinite(timestamp) || Math.abs(now - timestamp) > this.signatureToleranceMs) {
+      return {
+        ok: false,
+        reason: 'stale_timestamp',
+        message: `Signature timestamp must be within ${this.signatureToleranceMs}ms of the collector's clock`,
+      };
+    }
+
+    if (!safeEqual(signBody(key.secret, credentials.timestamp, credentials.body), credentials.signature)) {
+      return { ok: false, reason: 'invalid_signature', message: 'Signature does not match the request body' };
+    }
+
+    this.pruneSignatures(now);
+    const seenKey = `${key.key_id}:${credentials.signature}`;
+    if (this.seenSignatures.has(seenKey)) {
+      return { ok: false, reason: 'replayed_signature', message: 'Signature has already been used' };
+    }
+    // Past the tolerance window the timestamp check rejects it anyway.
+    this.seenSignatures.set(seenKey, timestamp + this.signatureToleranceMs);
+
+    return null;
+  }
+
+  private pruneSignatures(now: number): void {
+    if (now - this.lastPruneMs < 1000) return;
+    this.lastPruneMs = now;
+
+    for (const [seenKey, forgetAt] of this.seenSignatures) {
+      if (forgetAt < now) {
+        this.seenSignatures.delete(seenKey);
+      }
+    }
+  }
+
+  private isUsable(key: StoredApiKey, now: number): boolean {
+    return !key.revoked_at && (key.expires_at === null || key.expires_at > now);
+  }
+
+  private status(key: StoredApiKey, now: number): ApiKeyStatus {
+    if (key.revoked_at) return 'revoked';
+    if (key.expires_at === null) return 'active';
+    return key.expires_at > now ? 'expiring' : 'expired';
+  }
+
+  private toInfo(key: StoredApiKey, now: number): ApiKeyInfo {
+    const { secret: _secret, ...info } = key;
+    return { ...info, camera_ids: [...key.camera_ids], status: this.status(key, now), last_used_at: this.lastUsed.get(key.key_id) ?? null };
+  }
+
+  private token(key: StoredApiKey): string {
+    return `vlk_${key.key_id}_${key.secret}`;
+  }
+
+  private async persist(): Promise<void> {
+    if (!this.storePath) return;
+    // The file holds signing secrets.
+    await writeFile(this.storePath, JSON.stringify([...this.keys.values()], null, 2), { mode: 0o600 });
+  }
+}
@@ -0,0 +1,203 @@
+import { readFile, writeFile } from 'fs/promises';
+import pino from 'pino';
+import type { Bbox, CameraFrame, DetectedObject } from '../types/detection.js';
+import {
+  CameraCalibrationSchema,
+  type CalibrationCheckReport,
+  type CameraCalibration,
+  type CellMismatch,
+  type StoredCalibration,
+} from '../types/calibration.js';
+import type { GridSize } from '../types/grid.js';
+import { formatGridCellId } from '../utils/grid.js';
+import { GridRegistry } from './grid-registry.js';
+
+const logger = pino({ name: 'calibration-service' });
+
+const MAX_RECENT_MISMATCHES = 20;
+
+interface MismatchStats {
+  checked: number;
+  mismatched: number;
+  recent: CellMismatch[];
+}
+
+export class CalibrationService {
+  private calibrations = new Map<string, StoredCalibration>();
+  private mismatchStats = new Map<string, MismatchStats>();
+  private gridRegistry: GridRegistry;
+  private storePath?: string;
+
+  constructor(gridRegistry: GridRegistry, storePath?: string) {
+    this.gridRegistry = gridRegistry;
+    this.storePath = storePath;
+  }
+
+  async load(): Promise<void> {
+    if (!this.storePath) return;
+
+    try {
+      const stored = JSON.parse(await readFile(this.storePath, 'utf8')) as StoredCalibration[];
+
+      for (const entry of stored) {
+        this.calibrations.set(entry.camera_id, {
+          ...entry,
+          calibration: CameraCalibrationSchema.parse(entry.calibration),
+        });
+      }
+
+      logger.info({ path: this.storePath, cameraCount: this.calibrations.size }, 'Loaded camera calibrations');
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') return;
+      logger.error({ error, path: this.storePath }, 'Failed to load camera calibrations');
+      throw error;
+    }
+  }
+
+  getCalibration(cameraId: string): StoredCalibration | null {
+    return this.calibrations.get(cameraId) ?? null;
+  }
+
+  listCalibrations(): StoredCalibration[] {
+    return [...this.calibrations.values()];
+  }
+
+  async setCalibration(cameraId: string, calibration: CameraCalibration): Promise<StoredCalibration> {
+    const stored: StoredCalibration = { camera_id: cameraId, calibration, updated_at: Date.now() };
+
+    this.calibrations.set(cameraId, stored);
+    this.mismatchStats.delete(cameraId);
+    await this.persist();
+
+    logger.info({ cameraId, type: calibration.type }, 'Camera calibration updated');
+    return stored;
+  }
+
+  async deleteCalibration(cameraId: string): Promise<boolean> {
+    const existed = this.calibrations.delete(cameraId);
+    this.mismatchStats.delete(cameraId);
+
+    if (existed) {
+      await this.persist();
+    }
+
+    return existed;
+  }
+
+  /**
+   * Maps a bbox's foot point (bottom centre) to a grid cell. Returns null when
+   * the camera is uncalibrated or the point falls outside the calibrated area.
+   */
+  locate(cameraId: string, bbox: Bbox): string | null {
+    const stored = this.calibrations.get(cameraId);
+    if (!stored) return null;
+    return locateWithCalibration(stored.calibration, this.gridRegistry.getGrid(cameraId), bbox);
+  }
+
+  /**
+   * Fills in missing grid cells from the calibration and records whether the
+   * detector's own cell agrees with it. Objects that end up without a cell are
+   * dropped.
+   */
+  assignGridCells(frame: CameraFrame): CameraFrame {
+    const objects: DetectedObject[] = [];
+
+    for (const obj of frame.objects) {
+      const computedCell = this.locate(frame.camera_id, obj.bbox);
+
+      if (!obj.grid_cell_id) {
+        if (computedCell) {
+          objects.push({ ...obj, grid_cell_id: computedCell });
+        } else {
+          logger.warn({
+            cameraId: frame.camera_id,
+            frameId: frame.frame_id,
+            objectId: obj.object_id,
+          }, 'Dropping object without grid cell');
+        }
+        continue;
+      }
+
+      if (this.calibrations.has(frame.camera_id)) {
+        this.recordCheck(frame, obj, computedCell);
+      }
+
+      objects.push(obj);
+    }
+
+    return { ...frame, objects };
+  }
+
+  getCheckReport(cameraId: string): CalibrationCheckReport {
+    const stats = this.mismatchStats.get(cameraId) ?? { checked: 0, mismatched: 0, recent: [] };
+
+    return {
+      camera_id: cameraId,
+      checked_objects: stats.checked,
+      mismatched_objects: stats.mismatched,
+      mismatch_rate: stats.checked > 0 ? stats.mismatched / stats.checked : 0,
+      recent_mismatches: [...stats.recent],
+    };
+  }
+
+  private recordCheck(frame: CameraFrame, obj: DetectedObject, computedCell: string | null): void {
+    const stats = this.mismatchStats.get(frame.camera_id) ?? { checked: 0, mismatched: 0, recent: [] };
+    stats.checked++;
+
+    if (computedCell !== obj.grid_cell_id) {
+      stats.mismatched++;
+      stats.recent.unshift({
+        frame_id: frame.frame_id,
+        object_id: obj.object_id,
+        reported_cell: obj.grid_cell_id!,
+        computed_cell: computedCell,
+        ts_ms: frame.timestamp_ms,
+      });
+      stats.recent.length = Math.min(stats.recent.length, MAX_RECENT_MISMATCHES);
+
+      logger.debug({
+        cameraId: frame.camera_id,
+        objectId: obj.object_id,
+        reportedCell: obj.grid_cell_id,
+        computedCell,
+      }, 'Detector grid cell disagrees with calibration');
+    }
+
+    this.mismatchStats.set(frame.camera_id, stats);
+  }
+
+  private async persist(): Promise<void> {
+    if (!this.storePath) return;
+    await writeFile(this.storePath, JSON.stringify(this.listCalibrations(), null, 2));
+  }
+}
+
+export function locateWithCalibration(calibration: CameraCalibration, grid: GridSize, bbox: Bbox): string | null {
+  const [x, y, width, height] = bbox;
+  const footX = x + width / 2;
+  const footY = y + height;
+
+  let u: number;
+  let v: number;
+
+  if (calibration.type === 'rect') {
+    const [regionX, regionY, regionWidth, regionHeight] = calibration.region
+      ?? [0, 0, calibration.image_width, calibration.image_height];
+    if (regionWidth === 0 || regionHeight === 0) return null;
+    u = (footX - regionX) / regionWidth;
+    v = (footY - regionY) / regionHeight;
+  } else {
+    const m = calibration.matrix;
+    const w = m[6] * footX + m[7] * footY + m[8];
+    if (w === 0) return null;
+    u = (m[0] * footX + m[1] * footY + m[2]) / w / calibration.floor_width;
+    v = (m[3] * footX + m[4] * footY + m[5]) / w / calibration.floor_height;
+  }
+
+  // The bottom and right edges belong to the last row/column.
+  if (u < 0 || u > 1 || v < 0 || v > 1) return null;
+
+  const gridX = Math.min(Math.floor(u * grid.width), grid.width - 1);
+  const gridY = Math.min(Math.floor(v * grid.height), grid.height - 1);
+  return formatGridCellId(gridX, gridY);
+}
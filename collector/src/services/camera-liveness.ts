@@ -0,0 +1,167 @@
+import pino from 'pino';
+import type { CameraLiveness, CameraStatus } from '../types/liveness.js';
+
+const logger = pino({ name: 'camera-liveness' });
+
+// Frame rate is measured over this trailing window.
+const FRAME_RATE_WINDOW_MS = 10000;
+
+export interface LivenessOptions {
+  degradedAfterMs?: number;
+  offlineAfterMs?: number;
+  /** Below this frame rate a camera that is still sending counts as degraded; 0 disables. */
+  minFrameRate?: number;
+  checkIntervalMs?: number;
+}
+
+interface CameraActivity {
+  status: CameraLiveness;
+  changedAt: number;
+  lastFrameAt: number | null;
+  recentFrames: number[];
+}
+
+/**
+ * Tracks when each known camera last sent a frame and classifies it as live,
+ * degraded or offline. Status changes are handed to `publish`; cameras that
+ * are configured but have never sent a frame start out offline.
+ */
+export class CameraLivenessMonitor {
+  private cameras = new Map<string, CameraActivity>();
+  private timer?: NodeJS.Timeout;
+  private degradedAfterMs: number;
+  private offlineAfterMs: number;
+  private minFrameRate: number;
+  private checkIntervalMs: number;
+
+  constructor(
+    private collectorId: string,
+    private publish: (status: CameraStatus) => Promise<void>,
+    options: LivenessOptions = {}
+  ) {
+    this.degradedAfterMs = options.degradedAfterMs ?? 5000;
+    this.offlineAfterMs = Math.max(options.offlineAfterMs ?? 30000, this.degradedAfterMs);
+    this.minFrameRate = options.minFrameRate ?? 0;
+    this.checkIntervalMs = options.checkIntervalMs ?? 1000;
+  }
+
+  registerCamera(cameraId: string, now: number = Date.now()): void {
+    if (this.cameras.has(cameraId)) return;
+
+    this.cameras.set(cameraId, { status: 'offline', changedAt: now, lastFrameAt: null, recentFrames: [] });
+    this.emit(cameraId, now);
+  }
+
+  recordFrame(cameraId: string, now: number = Date.now()): void {
+    let activity = this.cameras.get(cameraId);
+    if (!activity) {
+      activity = { status: 'offline', changedAt: now, lastFrameAt: null, recentFrames: [] };
+      this.cameras.set(cameraId, activity);
+    }
+
+    activity.lastFrameAt = now;
+    activity.recentFrames.push(now);
+    this.pruneFrames(activity, now);
+
+    // Recovery is reported on the frame that causes it rather than on the next sweep.
+    if (activity.status !== 'live') {
+      this.evaluate(cameraId, activity, now);
+    }
+  }
+
+  start(): void {
+    this.stop();
+    this.timer = setInterval(() => this.checkAll(), this.checkIntervalMs);
+  }
+
+  stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = undefined;
+    }
+  }
+
+  checkAll(now: number = Date.now()): void {
+    for (const [cameraId, activity] of this.cameras) {
+      this.evaluate(cameraId, activity, now);
+    }
+  }
+
+  getStatus(cameraId: string, now: number = Date.now()): CameraStatus | null {
+    const activity = this.cameras.get(cameraId);
+    return activity ? this.toStatus(cameraId, activity, now) : null;
+  }
+
+  list(now: number = Date.now()): CameraStatus[] {
+    return [...this.cameras.entries()].map(([cameraId, activity]) => this.toStatus(cameraId, activity, now));
+  }
+
+  private evaluate(cameraId: string, activity: CameraActivity, now: number): void {
+    const status = this.classify(activity, now);
+    if (status === activity.status) return;
+
+    const previous = activity.status;
+    activity.status = status;
+    activity.changedAt = now;
+
+    const log = status === 'live' ? logger.info.bind(logger) : logger.warn.bind(logger);
+    log({ cameraId, previous, status, frameRate: this.frameRate(activity, now) }, 'Camera status changed');
+
+    this.emit(cameraId, now);
+  }
+
+  private classify(activity: CameraActivity, now: number): CameraLiveness {
+    if (activity.lastFrameAt === null) return 'offline';
+
+    const age = now - activity.lastFrameAt;
+    if (age >= this.offlineAfterMs) return 'offline';
+    if (age >= this.degradedAfterMs) return 'degraded';
+
+    if (this.minFrameRate > 0) {
+      const frameRate = this.frameRate(activity, now);
+      // A camera that just came back hasn't had time to reach its rate yet.
+      const enoughHistory = now - (activity.recentFrames[0] ?? now) >= FRAME_RATE_WINDOW_MS / 2;
+      if (enoughHistory && frameRate < this.minFrameRate) {
+        return 'degraded';
+      }
+    }
+
+    return 'live';
+  }
+
+  private frameRate(activity: CameraActivity, now: number): number {
+    this.pruneFrames(activity, now);
+    return activity.recentFrames.length / (FRAME_RATE_WINDOW_MS / 1000);
+  }
+
+  private pruneFrames(activity: CameraActivity, now: number): void {
+    const cutoff = now - FRAME_RATE_WINDOW_MS;
+    let expired = 0;
+    while (expired < activity.recentFrames.length && activity.recentFrames[expired] < cutoff) {
+      expired++;
+    }
+    if (expired > 0) {
+      activity.recentFrames.splice(0, expired);
+    }
+  }
+
+  private toStatus(cameraId: string, activity: CameraActivity, now: number): CameraStatus {
+    return {
+      collector_id: this.collectorId,
+      camera_id: cameraId,
+      status: activity.status,
+      last_frame_ts_ms: activity.lastFrameAt,
+      frame_rate: Math.round(this.frameRate(activity, now) * 100) / 100,
+      changed_at: activity.changedAt,
+      offline_after_ms: this.offlineAfterMs,
+    };
+  }
+
+  private emit(cameraId: string, now: number): void {
+    const status = this.getStatus(cameraId, now)!;
+
+    this.publish(status).catch(error => {
+      logger.error({ error, cameraId }, 'Failed to publish camera status');
+    });
+  }
+}
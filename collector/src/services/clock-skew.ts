@@ -0,0 +1,97 @@
+import pino from 'pino';
+import type { CameraFrame } from '../types/detection.js';
+
+const logger = pino({ name: 'clock-skew' });
+
+export interface ClockSkewOptions {
+  /** Weight of each new sample in the moving average (0..1]. */
+  smoothing?: number;
+  warnThresholdMs?: number;
+  correct?: boolean;
+}
+
+export interface CameraClockSkew {
+  camera_id: string;
+  /** Smoothed receive time minus frame time; positive means the camera clock is behind. */
+  skew_ms: number;
+  last_offset_ms: number;
+  samples: number;
+  over_threshold: boolean;
+  last_sample_ts_ms: number;
+}
+
+/**
+ * Estimates each camera's clock offset from the gap between a frame's
+ * timestamp and when the collector received it. Network latency is folded
+ * into the estimate, which is fine for keeping cameras consistent with each
+ * other and with the collector's clock.
+ */
+export class ClockSkewEstimator {
+  private cameras = new Map<string, CameraClockSkew>();
+  private smoothing: number;
+  private warnThresholdMs: number;
+  private correct: boolean;
+
+  constructor(options: ClockSkewOptions = {}) {
+    this.smoothing = Math.min(Math.max(options.smoothing ?? 0.1, 0.001), 1);
+    this.warnThresholdMs = options.warnThresholdMs ?? 2000;
+    this.correct = options.correct ?? false;
+  }
+
+  /** Records a sample and, when correction is on, returns the frame with its timestamp shifted by the skew. */
+  apply(frame: CameraFrame, receivedAt: number = Date.now()): CameraFrame {
+    const skew = this.observe(frame.camera_id, frame.timestamp_ms, receivedAt);
+
+    if (!this.correct) {
+      return frame;
+    }
+
+    return { ...frame, timestamp_ms: Math.max(0, Math.round(frame.timestamp_ms + skew.skew_ms)) };
+  }
+
+  observe(cameraId: string, frameTsMs: number, receivedAt: number): CameraClockSkew {
+    const offset = receivedAt - frameTsMs;
+    const current = this.cameras.get(cameraId);
+
+    const skew: CameraClockSkew = current
+      ? {
+          ...current,
+          skew_ms: current.skew_ms + this.smoothing * (offset - current.skew_ms),
+          last_offset_ms: offset,
+          samples: current.samples + 1,
+          last_sample_ts_ms: receivedAt,
+        }
+      : {
+          camera_id: cameraId,
+          skew_ms: offset,
+          last_offset_ms: offset,
+          samples: 1,
+          over_threshold: false,
+          last_sample_ts_ms: receivedAt,
+        };
+
+    const overThreshold = Math.abs(skew.skew_ms) > this.warnThresholdMs;
+    if (overThreshold && !skew.over_threshold) {
+      logger.warn({ cameraId, skewMs: Math.round(skew.skew_ms), thresholdMs: this.warnThresholdMs }, 'Camera clock skew over threshold');
+    } else if (!overThreshold && skew.over_threshold) {
+      logger.info({ cameraId, skewMs: Math.round(skew.skew_ms) }, 'Camera clock skew back within threshold');
+    }
+    skew.over_threshold = overThreshold;
+
+    this.cameras.set(cameraId, skew);
+    return skew;
+  }
+
+  getSkew(cameraId: string): CameraClockSkew | null {
+    const skew = this.cameras.get(cameraId);
+    return skew ? { ...skew, skew_ms: Math.round(skew.skew_ms) } : null;
+  }
+
+  list(): CameraClockSkew[] {
+    return [...this.cameras.keys()].map(cameraId => this.getSkew(cameraId)!);
+  }
+
+  getOptions(): Required<ClockSkewOptions> {
+    return { smoothing: this.smoothing, warnThresholdMs: this.warnThresholdMs, correct: this.correct };
+  }
+}
@@ -1,43 +1,333 @@
-import { v4 as uuidv4 } from 'uuid';
 import pino from 'pino';
-import type { DetectionPayload, NormalizedEvent, CameraFrame, DetectedObject } from '../types/detection.js';
+import type {
+  DetectionPayload,
+  NormalizedEvent,
+  CameraFrame,
+  DetectedObject,
+  FieldIssue,
+  FrameIngestResult,
+  FrameSource,
+  ValidationMode,
+} from '../types/detection.js';
 import { RedisPublisher } from './redis-publisher.js';
+import { FrameValidator, type CameraRejectionStats } from './frame-validator.js';
+import { CalibrationService, locateWithCalibration } from './calibration.js';
+import { GridRegistry } from './grid-registry.js';
+import { IouTracker } from './iou-tracker.js';
+import type { EventOutbox, OutboxStats } from './event-outbox.js';
+import { TransportPublisher, type TransportStats } from './event-transport.js';
+import { FrameDeduplicator, readFrameIdentity, type CameraDuplicateStats, type FrameIdentity } from './frame-deduplicator.js';
+import type { CameraLatenessStats, LateEventFilter } from './late-event-filter.js';
+import { ClockSkewEstimator } from './clock-skew.js';
+import type { AdaptiveSampler, SamplerStats } from './adaptive-sampler.js';
+import type { CollectorMetrics } from './metrics.js';
+import type { CameraLivenessMonitor } from './camera-liveness.js';
+import { PrivacyMaskService } from './privacy-masks.js';
+import type { FrameRecorder } from './frame-recorder.js';
+import type { CameraStatus } from '../types/liveness.js';
+import type { RectCalibration } from '../types/calibration.js';
+import type { CameraGrid, GridSize } from '../types/grid.js';
+import { formatGridCellId } from '../utils/grid.js';
+import { createRandom, type RandomSource } from '../utils/random.js';
 
 const logger = pino({ name: 'collector-service' });
 
+// Used for test frames from cameras that have no calibration uploaded.
+const DEFAULT_TEST_CALIBRATION: RectCalibration = {
+  type: 'rect',
+  image_width: 1280,
+  image_height: 960,
+};
+
+// Stands in for the object_id of detections anonymized by a privacy mask.
+export const ANONYMOUS_OBJECT_ID = 'anonymous';
+
+const TEST_OBJECT_CLASSES = ['pallet', 'forklift', 'worker', 'box', 'container', 'truck'];
+
+export interface TestFrameOptions {
+  /** Seeded source for reproducible frames; defaults to Math.random. */
+  random?: RandomSource;
+  /** Defaults to the current time. */
+  timestampMs?: number;
+}
+
+export interface CollectorOptions {
+  validationMode?: ValidationMode;
+  gridRegistry?: GridRegistry;
+  calibrationService?: CalibrationService;
+  tracker?: IouTracker;
+  outbox?: EventOutbox;
+  /** Where detection events go; defaults to the Redis publisher alone. */
+  transport?: TransportPublisher;
+  deduplicator?: FrameDeduplicator;
+  lateEventFilter?: LateEventFilter;
+  clockSkew?: ClockSkewEstimator;
+  sampler?: AdaptiveSampler;
+  metrics?: CollectorMetrics;
+  liveness?: CameraLivenessMonitor;
+  privacyMasks?: PrivacyMaskService;
+  recorder?: FrameRecorder;
+}
+
 export class CollectorService {
   private collectorId: string;
   private redisPublisher: RedisPublisher;
+  private transport: TransportPublisher;
+  private frameValidator = new FrameValidator();
+  private deduplicator: FrameDeduplicator;
+  private lateEventFilter?: LateEventFilter;
+  private clockSkew: ClockSkewEstimator;
+  private sampler?: AdaptiveSampler;
+  private metrics?: CollectorMetrics;
+  private liveness?: CameraLivenessMonitor;
+  private gridRegistry: GridRegistry;
+  private calibrationService: CalibrationService;
+  private privacyMasks: PrivacyMaskService;
+  private tracker?: IouTracker;
+  private outbox?: EventOutbox;
+  private recorder?: FrameRecorder;
+  private validationMode: ValidationMode;
   private isProcessing = false;
 
-  constructor(collectorId: string, redisPublisher: RedisPublisher) {
+  constructor(collectorId: string, redisPublisher: RedisPublisher, options: CollectorOptions = {}) {
     this.collectorId = collectorId;
     this.redisPublisher = redisPublisher;
+    this.transport = options.transport ?? new TransportPublisher([redisPublisher]);
+    this.validationMode = options.validationMode ?? 'strict';
+    this.gridRegistry = options.gridRegistry ?? new GridRegistry();
+    this.calibrationService = options.calibrationService ?? new CalibrationService(this.gridRegistry);
+    this.privacyMasks = options.privacyMasks ?? new PrivacyMaskService(this.gridRegistry);
+    this.tracker = options.tracker;
+    this.outbox = options.outbox;
+    this.recorder = options.recorder;
+    this.deduplicator = options.deduplicator ?? new FrameDeduplicator();
+    this.lateEventFilter = options.lateEventFilter;
+    this.clockSkew = options.clockSkew ?? new ClockSkewEstimator();
+    this.sampler = options.sampler;
+    this.metrics = options.metrics;
+    this.liveness = options.liveness;
   }
 
   async start(): Promise<void> {
+    // Redis always carries camera grids, whichever transport carries events.
     await this.redisPublisher.connect();
+    await this.transport.connect();
+
+    for (const grid of this.gridRegistry.list()) {
+      await this.redisPublisher.publishCameraGrid(this.collectorId, grid);
+    }
+
+    if (this.outbox) {
+      await this.outbox.load();
+      this.outbox.startReplay(
+        batch => batch.watermarkTsMs === undefined
+          ? this.transport.publishDetectionEvents(batch.events)
+          : this.redisPublisher.publishLateEvents(batch.events, batch.watermarkTsMs),
+        // Late events always go to Redis, whichever transport carries the rest.
+        () => this.transport.isReady() && this.redisPublisher.isReady()
+      );
+    }
+
+    if (this.liveness) {
+      for (const cameraId of this.listCameraIds()) {
+        this.liveness.registerCamera(cameraId);
+      }
+      this.liveness.start();
+    }
+
+    this.sampler?.start();
     this.isProcessing = true;
     logger.info({ collectorId: this.collectorId }, 'Collector service started');
   }
 
   async stop(): Promise<void> {
     this.isProcessing = false;
+    this.outbox?.stopReplay();
+    this.sampler?.stop();
+    this.liveness?.stop();
+    await this.transport.disconnect();
     await this.redisPublisher.disconnect();
     logger.info({ collectorId: this.collectorId }, 'Collector service stopped');
   }
 
-  async processCameraFrame(frame: CameraFrame): Promise<void> {
+  /**
+   * Validates an untrusted frame and processes whatever passes. In strict mode a
+   * single invalid object rejects the whole frame; in partial mode only the
+   * invalid objects are dropped. A frame that was already processed is not
+   * processed again; the caller gets the original result as `already_processed`.
+   * While the downstream queue is backed up, valid frames may come back
+   * `sampled_out` without being processed. Only live frames are recorded and
+   * feed the camera's clock skew estimate and are corrected by it.
+   */
+  async ingestFrame(
+    input: unknown,
+    mode: ValidationMode = this.validationMode,
+    source: FrameSource = 'live'
+  ): Promise<FrameIngestResult> {
+    const identity = readFrameIdentity(input);
+    const result = await this.ingest(input, identity, mode, source);
+    this.metrics?.recordFrameResult(result);
+    return result;
+  }
+
+  private async ingest(
+    input: unknown,
+    identity: FrameIdentity | null,
+    mode: ValidationMode,
+    source: FrameSource
+  ): Promise<FrameIngestResult> {
+    const previous = identity && this.deduplicator.lookup(identity);
+    if (previous) {
+      return { ...(await previous), status: 'already_processed' };
+    }
+
+    const { frame, result } = this.frameValidator.validate(input, mode, (cameraId, obj) => this.checkObject(cameraId, obj));
+
+    if (!frame) {
+      return result;
+    }
+
+    this.liveness?.recordFrame(frame.camera_id);
+
+    if (this.sampler && !this.sampler.shouldKeep(frame.camera_id)) {
+      return { ...result, status: 'sampled_out' };
+    }
+
+    // Everything downstream, including the late check, sees corrected time.
+    const corrected = source === 'live' ? this.clockSkew.apply(frame) : frame;
+    const processing = this.processCameraFrame(corrected, source).then(() => result);
+    this.deduplicator.remember({ camera_id: frame.camera_id, frame_id: frame.frame_id }, processing);
+    return processing;
+  }
+
+  getRejectionStats(): Record<string, CameraRejectionStats> {
+    return this.frameValidator.getRejectionStats();
+  }
+
+  getDuplicateStats(): Record<string, CameraDuplicateStats> {
+    return this.deduplicator.getDuplicateStats();
+  }
+
+  /** Cameras with a grid or calibration configured, plus any that have sent frames. */
+  listCameraIds(): string[] {
+    const cameraIds = new Set([
+      ...this.gridRegistry.list().map(grid => grid.camera_id),
+      ...this.calibrationService.listCalibrations().map(calibration => calibration.camera_id),
+      ...(this.liveness?.list().map(status => status.camera_id) ?? []),
+    ]);
+    return [...cameraIds].sort();
+  }
+
+  isKnownCamera(cameraId: string): boolean {
+    return this.gridRegistry.getCameraGrid(cameraId).configured
+      || this.calibrationService.getCalibration(cameraId) !== null
+      || this.liveness?.getStatus(cameraId) != null;
+  }
+
+  getCameraStatuses(): CameraStatus[] {
+    return this.liveness?.list() ?? [];
+  }
+
+  getSamplerStats(): SamplerStats | undefined {
+    return this.sampler?.getStats();
+  }
+
+  getClockSkew(): ClockSkewEstimator {
+    return this.clockSkew;
+  }
+
+  getLatenessStats(): { lateness_ms: number; cameras: Record<string, CameraLatenessStats> } | undefined {
+    if (!this.lateEventFilter) return undefined;
+    return { lateness_ms: this.lateEventFilter.getLatenessMs(), cameras: this.lateEventFilter.getStats() };
+  }
+
+  /**
+   * Publishes the grid before switching to it, so if Redis is down the change
+   * fails as a whole and the collector and manager stay on the same grid.
+   */
+  async setCameraGrid(cameraId: string, grid: GridSize): Promise<CameraGrid> {
+    await this.redisPublisher.publishCameraGrid(this.collectorId, { camera_id: cameraId, ...grid, configured: true });
+    const cameraGrid = await this.gridRegistry.setGrid(cameraId, grid);
+    this.liveness?.registerCamera(cameraId);
+    return cameraGrid;
+  }
+
+  getTracker(): IouTracker | undefined {
+    return this.tracker;
+  }
+
+  getOutboxStats(): OutboxStats | undefined {
+    return this.outbox?.getStats();
+  }
+
+  getTransportStats(): Record<string, TransportStats> {
+    return this.transport.getStats();
+  }
+
+  getPrivacyMasks(): PrivacyMaskService {
+    return this.privacyMasks;
+  }
+
+  private checkObject(cameraId: string, obj: DetectedObject): FieldIssue[] {
+    if (!obj.object_id && !this.tracker) {
+      return [{ field: 'object_id', message: 'Required when object tracking is disabled' }];
+    }
+
+    if (obj.grid_cell_id) {
+      const cellIssue = this.gridRegistry.checkCell(cameraId, obj.grid_cell_id);
+      return cellIssue ? [{ field: 'grid_cell_id', message: cellIssue }] : [];
+    }
+
+    if (!this.calibrationService.getCalibration(cameraId)) {
+      return [{ field: 'grid_cell_id', message: 'Required when the camera has no calibration' }];
+    }
+
+    if (!this.calibrationService.locate(cameraId, obj.bbox)) {
+      return [{ field: 'bbox', message: 'Foot point is outside the calibrated floor area' }];
+    }
+
+    return [];
+  }
+
+  /**
+   * Frames from anything but a camera should come in as `replay`; only those may
+   * restart the camera's watermark when they jump back in time. Live frames are
+   * recorded once masked, so nothing a mask suppressed reaches the recording.
+   */
+  async processCameraFrame(frame: CameraFrame, source: FrameSource): Promise<void> {
     if (!this.isProcessing) {
       throw new Error('Collector service not started');
     }
 
     try {
-      const detectionPayload = this.buildDetectionPayload(frame);
-      const normalizedEvents = this.normalizeDetectionPayload(detectionPayload);
-      
-      if (normalizedEvents.length > 0) {
-        await this.redisPublisher.publishDetectionEvents(normalizedEvents);
+      const replayed = source === 'replay';
+      const late = this.lateEventFilter?.check(frame.camera_id, frame.timestamp_ms, Date.now(), replayed) ?? false;
+      // Masks go after cell assignment so they can match on cells, and before
+      // tracking so masked detections never reach tracker state or leave with
+      // an identity.
+      const masked = this.privacyMasks.apply(this.calibrationService.assignGridCells(frame));
+      if (masked.dropped > 0 || masked.anonymized.size > 0) {
+        this.metrics?.recordPrivacySuppressed(frame.camera_id, masked.dropped, masked.anonymized.size);
+      }
+      // Anonymized detections skip the tracker, which would give them an id again.
+      const identified = { ...masked.frame, objects: masked.frame.objects.filter(obj => !masked.anonymized.has(obj)) };
+      // A late frame must not move tracks that later frames already advanced.
+      const trackedFrame = this.tracker && !late ? this.tracker.update(identified) : identified;
+      // A recorded line can't mark an object as anonymized, so those are left out.
+      if (source === 'live') this.recorder?.record(trackedFrame);
+      const detectionPayload = this.buildDetectionPayload({
+        ...trackedFrame,
+        objects: [...trackedFrame.objects, ...masked.anonymized],
+      });
+      const normalizedEvents = this.normalizeDetectionPayload(detectionPayload, masked.anonymized, replayed);
+
+      if (late) {
+        const watermarkTsMs = this.lateEventFilter!.recordLate(frame.camera_id, frame.timestamp_ms, normalizedEvents.length);
+        if (normalizedEvents.length > 0) {
+          await this.publishLateEvents(normalizedEvents, watermarkTsMs);
+        }
+      } else if (normalizedEvents.length > 0) {
+        await this.publishEvents(normalizedEvents);
       }
 
       logger.info({
@@ -45,7 +335,8 @@ export class CollectorService {
         cameraId: frame.camera_id,
         frameId: frame.frame_id,
         objectCount: frame.objects.length,
-        eventCount: normalizedEvents.length
+        eventCount: normalizedEvents.length,
+        late,
       }, 'Processed camera frame');
 
     } catch (error) {
@@ -54,6 +345,44 @@ export class CollectorService {
     }
   }
 
+  private async publishEvents(events: NormalizedEvent[]): Promise<void> {
+    if (!this.outbox) {
+      await this.transport.publishDetectionEvents(events);
+      return;
+    }
+
+    // Once anything is spooled, new events queue behind it so replay keeps order.
+    if (this.outbox.depth === 0 && this.transport.isReady()) {
+      try {
+        await this.transport.publishDetectionEvents(events);
+        return;
+      } catch (error) {
+        logger.warn({ error, eventCount: events.length }, 'Publish failed, spooling events to outbox');
+      }
+    }
+
+    await this.outbox.append(events);
+  }
+
+  private async publishLateEvents(events: NormalizedEvent[], watermarkTsMs: number): Promise<void> {
+    if (!this.outbox) {
+      await this.redisPublisher.publishLateEvents(events, watermarkTsMs);
+      return;
+    }
+
+    // Spooled with the other events so a late frame during an outage isn't lost either.
+    if (this.outbox.depth === 0 && this.redisPublisher.isReady()) {
+      try {
+        await this.redisPublisher.publishLateEvents(events, watermarkTsMs);
+        return;
+      } catch (error) {
+        logger.warn({ error, eventCount: events.length }, 'Late event publish failed, spooling events to outbox');
+      }
+    }
+
+    await this.outbox.append(events, watermarkTsMs);
+  }
+
   private buildDetectionPayload(frame: CameraFrame): DetectionPayload {
     return {
       collector_id: this.collectorId,
@@ -64,23 +393,48 @@ export class CollectorService {
     };
   }
 
-  private normalizeDetectionPayload(payload: DetectionPayload): NormalizedEvent[] {
-    return payload.objects.map(obj => ({
-      event_id: `evt-${payload.collector_id}-${payload.camera_id}-${payload.timestamp_ms}-${obj.object_id}`,
-      collector_id: payload.collector_id,
-      camera_id: payload.camera_id,
-      object_id: obj.object_id,
-      grid_cell_id: obj.grid_cell_id,
-      ts_ms: payload.timestamp_ms,
-    }));
+  /**
+   * Anonymized objects are published as `anonymous` with `anonymized: true`.
+   * The manager shows them in its recent events but keeps no dwell, timeline
+   * or site state for them, so they don't count towards occupancy either.
+   */
+  private normalizeDetectionPayload(
+    payload: DetectionPayload,
+    anonymized: Set<DetectedObject> = new Set(),
+    replayed: boolean = false
+  ): NormalizedEvent[] {
+    const events: NormalizedEvent[] = [];
+
+    payload.objects.forEach((obj, index) => {
+      const isAnonymized = anonymized.has(obj);
+      if (!obj.grid_cell_id || (!obj.object_id && !isAnonymized)) return;
+
+      const objectId = isAnonymized ? ANONYMOUS_OBJECT_ID : obj.object_id!;
+      events.push({
+        // Anonymous objects share an id, so the frame position keeps event ids unique.
+        event_id: `evt-${payload.collector_id}-${payload.camera_id}-${payload.timestamp_ms}-${isAnonymized ? `${objectId}-${index}` : objectId}`,
+        collector_id: payload.collector_id,
+        camera_id: payload.camera_id,
+        object_id: objectId,
+        grid_cell_id: obj.grid_cell_id,
+        ts_ms: payload.timestamp_ms,
+        class: obj.class,
+        confidence: obj.confidence,
+        bbox: obj.bbox,
+        ...(isAnonymized && { anonymized: true }),
+        ...(replayed && { replayed: true }),
+      });
+    });
+
+    return events;
   }
 
-  async processMultipleFrames(frames: CameraFrame[]): Promise<void> {
+  async processMultipleFrames(frames: CameraFrame[], source: FrameSource): Promise<void> {
     const batchSize = 10;
     
     for (let i = 0; i < frames.length; i += batchSize) {
       const batch = frames.slice(i, i + batchSize);
-      await Promise.all(batch.map(frame => this.processCameraFrame(frame)));
+      await Promise.all(batch.map(frame => this.processCameraFrame(frame, source)));
       
       if (i + batchSize < frames.length) {
         await new Promise(resolve => setTimeout(resolve, 100));
@@ -88,25 +442,39 @@ export class CollectorService {
     }
   }
 
-  generateTestFrame(cameraId: string, objectCount: number = 3): CameraFrame {
-    const timestamp = Date.now();
+  generateTestFrame(cameraId: string, objectCount: number = 3, options: TestFrameOptions = {}): CameraFrame {
+    const random = options.random ?? createRandom();
+    const timestamp = options.timestampMs ?? Date.now();
     const objects: DetectedObject[] = [];
 
+    const grid = this.gridRegistry.getGrid(cameraId);
+    const calibration = this.calibrationService.getCalibration(cameraId)?.calibration ?? DEFAULT_TEST_CALIBRATION;
+    const imageWidth = calibration.type === 'rect' ? calibration.image_width : DEFAULT_TEST_CALIBRATION.image_width;
+    const imageHeight = calibration.type === 'rect' ? calibration.image_height : DEFAULT_TEST_CALIBRATION.image_height;
+
     for (let i = 0; i < objectCount; i++) {
-      const gridX = Math.floor(Math.random() * 20);
-      const gridY = Math.floor(Math.random() * 15);
-      
+      const width = 50 + Math.floor(random.next() * 200);
+      const height = 50 + Math.floor(random.next() * 200);
+      const bbox: DetectedObject['bbox'] = [
+        Math.floor(random.next() * Math.max(1, imageWidth - width)),
+        Math.floor(random.next() * Math.max(1, imageHeight - height)),
+        width,
+        height,
+      ];
+
+      // Keep the cell consistent with the bbox; fall back to a random cell when
+      // the foot point lands outside a homography's floor area.
+      const gridCellId = locateWithCalibration(calibration, grid, bbox) ?? formatGridCellId(
+        Math.floor(random.next() * grid.width),
+        Math.floor(random.next() * grid.height)
+      );
+
       objects.push({
-        object_id: `obj-${uuidv4().slice(0, 8)}`,
-        class: this.getRandomObjectClass(),
-        confidence: 0.7 + Math.random() * 0.3,
-        grid_cell_id: `G_${gridX.toString().padStart(2, '0')}_${gridY.toString().padStart(2, '0')}`,
-        bbox: [
-          Math.floor(Math.random() * 1000),
-          Math.floor(Math.random() * 800), 
-          50 + Math.floor(Math.random() * 200),
-          50 + Math.floor(Math.random() * 200)
-        ]
+        object_id: `obj-${random.hex(8)}`,
+        class: random.pick(TEST_OBJECT_CLASSES),
+        confidence: 0.7 + random.next() * 0.3,
+        grid_cell_id: gridCellId,
+        bbox,
       });
     }
 
@@ -117,9 +485,4 @@ export class CollectorService {
       objects
     };
   }
-
-  private getRandomObjectClass(): string {
-    const classes = ['pallet', 'forklift', 'worker', 'box', 'container', 'truck'];
-    return classes[Math.floor(Math.random() * classes.length)];
-  }
 }
\ No newline at end of file
@@ -0,0 +1,330 @@
+import { appendFile, mkdir, readdir, readFile, rename, rm, writeFile } from 'fs/promises';
+import { join } from 'path';
+import pino from 'pino';
+import type { NormalizedEvent } from '../types/detection.js';
+
+const logger = pino({ name: 'event-outbox' });
+
+const SEGMENT_FILE_PATTERN = /^(\d+)\.jsonl$/;
+
+export interface EventOutboxOptions {
+  maxBytes?: number;
+  /** Size at which appends move on to a new segment file; capped at maxBytes. */
+  segmentBytes?: number;
+  replayIntervalMs?: number;
+  replayBatchSize?: number;
+}
+
+export interface OutboxStats {
+  dir: string;
+  depth: number;
+  bytes: number;
+  max_bytes: number;
+  segments: number;
+  oldest_event_age_ms: number | null;
+  spooled_events: number;
+  replayed_events: number;
+  dropped_events: number;
+}
+
+/** Events spooled together, replayed to the same destination. */
+export interface OutboxBatch {
+  events: NormalizedEvent[];
+  /** Set for late events, which are published to detection:late rather than the transport. */
+  watermarkTsMs?: number;
+}
+
+interface OutboxLine {
+  spooled_at: number;
+  event: NormalizedEvent;
+  watermark_ts_ms?: number;
+}
+
+interface Segment {
+  seq: number;
+  path: string;
+  count: number;
+  bytes: number;
+  oldestSpooledAt: number | null;
+}
+
+/**
+ * Append-only JSONL spool for events that could not be published, split into
+ * numbered segment files. Appends only touch the newest segment; replay works
+ * through the oldest one and deletes it once it is fully published. Past the
+ * cap, whole segments are dropped oldest first, so a full outbox never
+ * rewrites more than one segment. File operations are serialized so appends
+ * never interleave with a replay.
+ */
+export class EventOutbox {
+  private segments: Segment[] = [];
+  private nextSeq = 1;
+  private spooledEvents = 0;
+  private replayedEvents = 0;
+  private droppedEvents = 0;
+  private lock: Promise<unknown> = Promise.resolve();
+  private replayTimer?: NodeJS.Timeout;
+  private maxBytes: number;
+  private segmentBytes: number;
+  private replayIntervalMs: number;
+  private replayBatchSize: number;
+
+  constructor(private dir: string, options: EventOutboxOptions = {}) {
+    this.maxBytes = options.maxBytes ?? 50 * 1024 * 1024;
+    this.segmentBytes = Math.min(options.segmentBytes ?? 1024 * 1024, this.maxBytes);
+    this.replayIntervalMs = options.replayIntervalMs ?? 5000;
+    this.replayBatchSize = options.replayBatchSize ?? 100;
+  }
+
+  get depth(): number {
+    return this.segments.reduce((sum, segment) => sum + segment.count, 0);
+  }
+
+  async load(): Promise<void> {
+    await this.exclusive(async () => {
+      await mkdir(this.dir, { recursive: true });
+
+      const seqs = (await readdir(this.dir))
+        .map(file => file.match(SEGMENT_FILE_PATTERN))
+        .filter((match): match is RegExpMatchArray => match !== null)
+        .map(match => parseInt(match[1]))
+        .sort((a, b) => a - b);
+
+      this.segments = [];
+      let skipped = 0;
+
+      for (const seq of seqs) {
+        const segment = this.createSegment(seq);
+        const lines = await readLines(segment.path);
+        const valid = lines.filter(line => parseLine(line));
+
+        if (valid.length !== lines.length) {
+          skipped += lines.length - valid.length;
+          await rewriteSegment(segment.path, valid);
+        }
+
+        if (valid.length > 0) {
+          this.track(segment, valid);
+          this.segments.push(segment);
+        }
+      }
+
+      this.nextSeq = (seqs[seqs.length - 1] ?? 0) + 1;
+
+      if (skipped > 0) {
+        logger.warn({ dir: this.dir, skipped }, 'Skipped malformed outbox entries');
+      }
+      if (this.segments.length > 0) {
+        logger.info({ dir: this.dir, depth: this.depth, segments: this.segments.length }, 'Loaded pending outbox events');
+      }
+    });
+  }
+
+  async append(events: NormalizedEvent[], watermarkTsMs?: number): Promise<void> {
+    if (events.length === 0) return;
+
+    await this.exclusive(async () => {
+      const spooledAt = Date.now();
+      const lines = events.map(event => JSON.stringify({
+        spooled_at: spooledAt,
+        event,
+        ...(watermarkTsMs !== undefined && { watermark_ts_ms: watermarkTsMs }),
+      } satisfies OutboxLine));
+
+      let segment = this.segments[this.segments.length - 1];
+      if (!segment || segment.bytes >= this.segmentBytes) {
+        await mkdir(this.dir, { recursive: true });
+        segment = this.createSegment(this.nextSeq++);
+        this.segments.push(segment);
+      }
+
+      await appendFile(segment.path, lines.map(line => `${line}\n`).join(''));
+      this.track(segment, lines);
+      this.spooledEvents += events.length;
+
+      logger.warn({ eventCount: events.length, depth: this.depth, late: watermarkTsMs !== undefined }, 'Spooled events to outbox');
+
+      await this.dropOldest();
+    });
+  }
+
+  /**
+   * Publishes spooled events in order until the outbox is empty or a publish
+   * fails; whatever was not published stays on disk for the next attempt.
+   * Consecutive events headed for the same destination go out together.
+   */
+  async replay(publish: (batch: OutboxBatch) => Promise<void>): Promise<number> {
+    return this.exclusive(async () => {
+      let published = 0;
+
+      while (this.segments.length > 0) {
+        const segment = this.segments[0];
+        const lines = await readLines(segment.path);
+        let sent = 0;
+
+        try {
+          while (sent < lines.length) {
+            const batch = takeBatch(lines, sent, this.replayBatchSize);
+            await publish(batch.batch);
+            sent += batch.lineCount;
+          }
+        } catch (error) {
+          logger.warn({ error, published: published + sent, remaining: this.depth - sent }, 'Outbox replay interrupted');
+        }
+
+        published += sent;
+        this.replayedEvents += sent;
+
+        if (sent === lines.length) {
+          await rm(segment.path, { force: true });
+          this.segments.shift();
+          continue;
+        }
+
+        // Only the segment being replayed is rewritten, never the whole outbox.
+        if (sent > 0) {
+          const remaining = lines.slice(sent);
+          await rewriteSegment(segment.path, remaining);
+          segment.count = 0;
+          segment.bytes = 0;
+          segment.oldestSpooledAt = null;
+          this.track(segment, remaining);
+        }
+        break;
+      }
+
+      if (published > 0) {
+        logger.info({ published, depth: this.depth }, 'Replayed outbox events');
+      }
+
+      return published;
+    });
+  }
+
+  startReplay(publish: (batch: OutboxBatch) => Promise<void>, canPublish: () => boolean): void {
+    this.stopReplay();
+    this.replayTimer = setInterval(() => {
+      if (this.segments.length === 0 || !canPublish()) return;
+
+      this.replay(publish).catch(error => {
+        logger.error({ error }, 'Outbox replay failed');
+      });
+    }, this.replayIntervalMs);
+  }
+
+  stopReplay(): void {
+    if (this.replayTimer) {
+      clearInterval(this.replayTimer);
+      this.replayTimer = undefined;
+    }
+  }
+
+  getStats(): OutboxStats {
+    const oldest = this.segments[0]?.oldestSpooledAt;
+
+    return {
+      dir: this.dir,
+      depth: this.depth,
+      bytes: this.totalBytes(),
+      max_bytes: this.maxBytes,
+      segments: this.segments.length,
+      oldest_event_age_ms: oldest != null ? Date.now() - oldest : null,
+      spooled_events: this.spooledEvents,
+      replayed_events: this.replayedEvents,
+      dropped_events: this.droppedEvents,
+    };
+  }
+
+  private createSegment(seq: number): Segment {
+    return {
+      seq,
+      path: join(this.dir, `${seq.toString().padStart(12, '0')}.jsonl`),
+      count: 0,
+      bytes: 0,
+      oldestSpooledAt: null,
+    };
+  }
+
+  private track(segment: Segment, lines: string[]): void {
+    for (const line of lines) {
+      segment.count++;
+      segment.bytes += Buffer.byteLength(line) + 1;
+      segment.oldestSpooledAt ??= (JSON.parse(line) as OutboxLine).spooled_at;
+    }
+  }
+
+  private totalBytes(): number {
+    return this.segments.reduce((sum, segment) => sum + segment.bytes, 0);
+  }
+
+  // The newest segment is never dropped, so the events just appended survive.
+  private async dropOldest(): Promise<void> {
+    let dropped = 0;
+    let droppedSegments = 0;
+
+    while (this.totalBytes() > this.maxBytes && this.segments.length > 1) {
+      const segment = this.segments.shift()!;
+      await rm(segment.path, { force: true });
+      dropped += segment.count;
+      droppedSegments++;
+    }
+
+    if (dropped > 0) {
+      this.droppedEvents += dropped;
+      logger.warn({ dropped, droppedSegments, depth: this.depth, maxBytes: this.maxBytes }, 'Outbox over capacity, dropped oldest events');
+    }
+  }
+
+  private exclusive<T>(task: () => Promise<T>): Promise<T> {
+    const result = this.lock.then(task);
+    this.lock = result.catch(() => undefined);
+    return result;
+  }
+}
+
+/** Reads consecutive lines with the same destination, up to the batch size. */
+function takeBatch(lines: string[], start: number, maxSize: number): { batch: OutboxBatch; lineCount: number } {
+  const first = JSON.parse(lines[start]) as OutboxLine;
+  const events = [first.event];
+
+  for (let i = start + 1; i < lines.length && events.length < maxSize; i++) {
+    const line = JSON.parse(lines[i]) as OutboxLine;
+    if (line.watermark_ts_ms !== first.watermark_ts_ms) break;
+    events.push(line.event);
+  }
+
+  return {
+    batch: { events, ...(first.watermark_ts_ms !== undefined && { watermarkTsMs: first.watermark_ts_ms }) },
+    lineCount: events.length,
+  };
+}
+
+async function readLines(path: string): Promise<string[]> {
+  try {
+    const content = await readFile(path, 'utf8');
+    return content.split('\n').filter(line => line.length > 0);
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+async function rewriteSegment(path: string, lines: string[]): Promise<void> {
+  if (lines.length === 0) {
+    await rm(path, { force: true });
+    return;
+  }
+
+  const tempPath = `${path}.tmp`;
+  await writeFile(tempPath, lines.map(line => `${line}\n`).join(''));
+  await rename(tempPath, path);
+}
+
+function parseLine(line: string): OutboxLine | null {
+  try {
+    const parsed = JSON.parse(line) as OutboxLine;
+    return typeof parsed.spooled_at === 'number' && parsed.event ? parsed : null;
+  } catch {
+    return null;
+  }
+}
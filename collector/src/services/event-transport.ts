@@ -0,0 +1,132 @@
+import pino from 'pino';
+import type { NormalizedEvent } from '../types/detection.js';
+import type { CollectorMetrics } from './metrics.js';
+
+const logger = pino({ name: 'event-transport' });
+
+export type TransportName = 'redis' | 'kafka';
+
+export interface EventTransport {
+  readonly name: TransportName;
+  connect(): Promise<void>;
+  disconnect(): Promise<void>;
+  isReady(): boolean;
+  publishDetectionEvents(events: NormalizedEvent[]): Promise<void>;
+}
+
+export interface TransportStats {
+  ready: boolean;
+  published_events: number;
+  published_batches: number;
+  failed_events: number;
+  failed_batches: number;
+  last_error: string | null;
+  last_failure_ts_ms: number | null;
+}
+
+/** Parses EVENT_TRANSPORT: `redis`, `kafka` or `both` (dual-write). */
+export function parseTransportMode(value: string): TransportName[] {
+  switch (value.trim().toLowerCase()) {
+    case 'kafka':
+      return ['kafka'];
+    case 'both':
+      return ['redis', 'kafka'];
+    case '':
+    case 'redis':
+      return ['redis'];
+    default:
+      throw new Error(`Unknown EVENT_TRANSPORT "${value}", expected redis, kafka or both`);
+  }
+}
+
+/**
+ * Fans events out to every configured transport. A batch only counts as
+ * published when all transports accept it, so a dual-write never silently
+ * diverges; a retry may re-deliver to the transport that succeeded, and
+ * consumers can dedupe on event_id.
+ */
+export class TransportPublisher {
+  private transports: EventTransport[];
+  private stats = new Map<TransportName, TransportStats>();
+
+  constructor(transports: EventTransport[], private metrics?: CollectorMetrics) {
+    if (transports.length === 0) {
+      throw new Error('At least one event transport is required');
+    }
+
+    this.transports = transports;
+    for (const transport of transports) {
+      this.stats.set(transport.name, {
+        ready: false,
+        published_events: 0,
+        published_batches: 0,
+        failed_events: 0,
+        failed_batches: 0,
+        last_error: null,
+        last_failure_ts_ms: null,
+      });
+    }
+  }
+
+  async connect(): Promise<void> {
+    for (const transport of this.transports) {
+      await transport.connect();
+    }
+  }
+
+  async disconnect(): Promise<void> {
+    await Promise.allSettled(this.transports.map(transport => transport.disconnect()));
+  }
+
+  isReady(): boolean {
+    return this.transports.every(transport => transport.isReady());
+  }
+
+  async publishDetectionEvents(events: NormalizedEvent[]): Promise<void> {
+    const results = await Promise.allSettled(
+      this.transports.map(transport => this.publishTo(transport, events))
+    );
+
+    let firstError: unknown;
+    results.forEach((result, index) => {
+      const stats = this.stats.get(this.transports[index].name)!;
+
+      if (result.status === 'fulfilled') {
+        stats.published_events += events.length;
+        stats.published_batches++;
+        return;
+      }
+
+      stats.failed_events += events.length;
+      stats.failed_batches++;
+      stats.last_error = result.reason instanceof Error ? result.reason.message : String(result.reason);
+      stats.last_failure_ts_ms = Date.now();
+      firstError ??= result.reason;
+
+      logger.warn({ transport: this.transports[index].name, error: result.reason, eventCount: events.length }, 'Transport publish failed');
+    });
+
+    if (firstError) {
+      throw firstError;
+    }
+  }
+
+  private async publishTo(transport: EventTransport, events: NormalizedEvent[]): Promise<void> {
+    const startedAt = performance.now();
+    try {
+      await transport.publishDetectionEvents(events);
+      this.metrics?.recordPublish(transport.name, performance.now() - startedAt, true);
+    } catch (error) {
+      this.metrics?.recordPublish(transport.name, performance.now() - startedAt, false);
+      throw error;
+    }
+  }
+
+  getStats(): Record<string, TransportStats> {
+    const stats: Record<string, TransportStats> = {};
+    for (const transport of this.transports) {
+      stats[transport.name] = { ...this.stats.get(transport.name)!, ready: transport.isReady() };
+    }
+    return stats;
+  }
+}
@@ -0,0 +1,105 @@
+import pino from 'pino';
+import type { FrameIngestResult } from '../types/detection.js';
+
+const logger = pino({ name: 'frame-deduplicator' });
+
+export interface FrameDeduplicatorOptions {
+  ttlMs?: number;
+  maxEntries?: number;
+}
+
+export interface CameraDuplicateStats {
+  duplicates: number;
+  last_duplicate_ts_ms: number | null;
+}
+
+interface SeenFrame {
+  seenAt: number;
+  result: Promise<FrameIngestResult>;
+}
+
+export interface FrameIdentity {
+  camera_id: string;
+  frame_id: string;
+}
+
+/** Reads camera_id and frame_id from an unvalidated body, if both are present. */
+export function readFrameIdentity(input: unknown): FrameIdentity | null {
+  if (typeof input !== 'object' || input === null) return null;
+
+  const { camera_id, frame_id } = input as Record<string, unknown>;
+  if (typeof camera_id !== 'string' || typeof frame_id !== 'string' || !camera_id || !frame_id) {
+    return null;
+  }
+
+  return { camera_id, frame_id };
+}
+
+/**
+ * Remembers recently processed (camera_id, frame_id) pairs so gateway retries
+ * don't publish the same events twice. Entries expire after the TTL and the
+ * oldest are evicted once the record is full. A frame is remembered from the
+ * moment processing starts, so a retry that races the original waits for it
+ * instead of processing in parallel.
+ */
+export class FrameDeduplicator {
+  private seen = new Map<string, SeenFrame>();
+  private duplicateStats = new Map<string, CameraDuplicateStats>();
+  private ttlMs: number;
+  private maxEntries: number;
+
+  constructor(options: FrameDeduplicatorOptions = {}) {
+    this.ttlMs = options.ttlMs ?? 5 * 60 * 1000;
+    this.maxEntries = options.maxEntries ?? 50000;
+  }
+
+  /** Returns the original result when this frame was already processed, counting the duplicate. */
+  lookup(identity: FrameIdentity): Promise<FrameIngestResult> | null {
+    this.evict(Date.now());
+
+    const entry = this.seen.get(this.key(identity));
+    if (!entry) return null;
+
+    const stats = this.duplicateStats.get(identity.camera_id) ?? { duplicates: 0, last_duplicate_ts_ms: null };
+    stats.duplicates++;
+    stats.last_duplicate_ts_ms = Date.now();
+    this.duplicateStats.set(identity.camera_id, stats);
+
+    logger.info({ cameraId: identity.camera_id, frameId: identity.frame_id }, 'Suppressed duplicate frame');
+    return entry.result;
+  }
+
+  /** Records a frame whose processing has started; failed processing is forgotten so a retry can succeed. */
+  remember(identity: FrameIdentity, result: Promise<FrameIngestResult>): void {
+    const key = this.key(identity);
+
+    this.seen.set(key, { seenAt: Date.now(), result });
+    this.evict(Date.now());
+
+    result.catch(() => {
+      if (this.seen.get(key)?.result === result) {
+        this.seen.delete(key);
+      }
+    });
+  }
+
+  getDuplicateStats(): Record<string, CameraDuplicateStats> {
+    return Object.fromEntries(this.duplicateStats);
+  }
+
+  get size(): number {
+    return this.seen.size;
+  }
+
+  private evict(now: number): void {
+    // Map iteration follows insertion order, so the oldest entries come first.
+    for (const [key, entry] of this.seen) {
+      if (this.seen.size <= this.maxEntries && now - entry.seenAt < this.ttlMs) break;
+      this.seen.delete(key);
+    }
+  }
+
+  private key(identity: FrameIdentity): string {
+    return `${identity.camera_id}\u0000${identity.frame_id}`;
+  }
+}
@@ -0,0 +1,190 @@
+import { appendFile, mkdir, readdir, rm, stat } from 'fs/promises';
+import { join } from 'path';
+import pino from 'pino';
+import type { CameraFrame } from '../types/detection.js';
+import type { CameraRecordingStats, RecorderStats, RecordingFile } from '../types/recording.js';
+
+const logger = pino({ name: 'frame-recorder' });
+
+const RECORDING_FILE_PATTERN = /^[0-9TZ-]+\.jsonl$/;
+
+export interface FrameRecorderOptions {
+  maxFileBytes?: number;
+  maxFilesPerCamera?: number;
+  /** Starts a new file after this long even if the current one isn't full. */
+  rotateIntervalMs?: number;
+}
+
+interface CameraRecording {
+  dir: string;
+  file: string | null;
+  bytes: number;
+  openedAt: number;
+  framesRecorded: number;
+  // Appends for one camera are chained so lines never interleave.
+  queue: Promise<void>;
+}
+
+/** Directory name for a camera; encoded so IDs can't escape the recording directory. */
+export function cameraDirName(cameraId: string): string {
+  return encodeURIComponent(cameraId).replace(/\./g, '%2E');
+}
+
+/**
+ * Records frames as JSONL, one file set per camera, so an incident can be
+ * replayed later with replay-frames. Each line is the frame after clock skew
+ * correction, privacy masks and tracking, with every masked object left out.
+ * Only live frames are recorded, never replayed, imported or simulated ones.
+ * Files rotate by size and age and are named by their start time, so the
+ * oldest are removed first once a camera has too many.
+ */
+export class FrameRecorder {
+  private cameras = new Map<string, CameraRecording>();
+  private framesRecorded = 0;
+  private writeErrors = 0;
+  private maxFileBytes: number;
+  private maxFilesPerCamera: number;
+  private rotateIntervalMs: number;
+
+  constructor(private dir: string, options: FrameRecorderOptions = {}) {
+    this.maxFileBytes = options.maxFileBytes ?? 10 * 1024 * 1024;
+    this.maxFilesPerCamera = options.maxFilesPerCamera ?? 24;
+    this.rotateIntervalMs = options.rotateIntervalMs ?? 3600000;
+  }
+
+  /** Queues the frame for writing; failures are logged and counted, never thrown. */
+  record(frame: CameraFrame): void {
+    const recording = this.getRecording(frame.camera_id);
+    const line = `${JSON.stringify(frame)}\n`;
+
+    recording.queue = recording.queue
+      .then(() => this.append(recording, frame.camera_id, line))
+      .catch(error => {
+        this.writeErrors++;
+        logger.error({ error, cameraId: frame.camera_id, frameId: frame.frame_id }, 'Failed to record frame');
+      });
+  }
+
+  /** Resolves once every queued frame has been written. */
+  async flush(): Promise<void> {
+    await Promise.all([...this.cameras.values()].map(recording => recording.queue));
+  }
+
+  async list(cameraId?: string): Promise<RecordingFile[]> {
+    let cameraDirs: string[];
+    try {
+      cameraDirs = cameraId === undefined
+        ? (await readdir(this.dir, { withFileTypes: true })).filter(entry => entry.isDirectory()).map(entry => entry.name)
+        : [cameraDirName(cameraId)];
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const files: RecordingFile[] = [];
+    for (const cameraDir of cameraDirs) {
+      for (const file of await this.listFiles(join(this.dir, cameraDir))) {
+        const info = await stat(join(this.dir, cameraDir, file));
+        files.push({
+          camera_id: decodeURIComponent(cameraDir),
+          file,
+          bytes: info.size,
+          modified_at: info.mtimeMs,
+        });
+      }
+    }
+
+    return files;
+  }
+
+  /** Path of a recording file, or null when the name isn't one this recorder writes. */
+  resolveFile(cameraId: string, file: string): string | null {
+    return RECORDING_FILE_PATTERN.test(file) ? join(this.dir, cameraDirName(cameraId), file) : null;
+  }
+
+  getStats(): RecorderStats {
+    const cameras: Record<string, CameraRecordingStats> = {};
+    for (const [cameraId, recording] of this.cameras) {
+      cameras[cameraId] = {
+        current_file: recording.file,
+        current_bytes: recording.bytes,
+        frames_recorded: recording.framesRecorded,
+      };
+    }
+
+    return {
+      dir: this.dir,
+      max_file_bytes: this.maxFileBytes,
+      max_files_per_camera: this.maxFilesPerCamera,
+      rotate_interval_ms: this.rotateIntervalMs,
+      frames_recorded: this.framesRecorded,
+      write_errors: this.writeErrors,
+      cameras,
+    };
+  }
+
+  private getRecording(cameraId: string): CameraRecording {
+    let recording = this.cameras.get(cameraId);
+    if (!recording) {
+      // Each run starts a new file rather than appending to one left by a previous run.
+      recording = {
+        dir: join(this.dir, cameraDirName(cameraId)),
+        file: null,
+        bytes: 0,
+        openedAt: 0,
+        framesRecorded: 0,
+        queue: Promise.resolve(),
+      };
+      this.cameras.set(cameraId, recording);
+    }
+    return recording;
+  }
+
+  private async append(recording: CameraRecording, cameraId: string, line: string): Promise<void> {
+    const now = Date.now();
+    if (
+      !recording.file
+      || recording.bytes >= this.maxFileBytes
+      || now - recording.openedAt >= this.rotateIntervalMs
+    ) {
+      await this.rotate(recording, cameraId, now);
+    }
+
+    await appendFile(join(recording.dir, recording.file!), line);
+    recording.bytes += Buffer.byteLength(line);
+    recording.framesRecorded++;
+    this.framesRecorded++;
+  }
+
+  private async rotate(recording: CameraRecording, cameraId: string, now: number): Promise<void> {
+    await mkdir(recording.dir, { recursive: true });
+
+    // ISO time sorts in creation order; colons are replaced for filesystems that reject them.
+    let file = `${new Date(now).toISOString().replace(/[:.]/g, '-')}.jsonl`;
+    if (file === recording.file) {
+      file = `${new Date(now + 1).toISOString().replace(/[:.]/g, '-')}.jsonl`;
+    }
+
+    recording.file = file;
+    recording.bytes = 0;
+    recording.openedAt = now;
+
+    const files = await this.listFiles(recording.dir);
+    // The new file isn't on disk until its first append, so it needs one slot of room.
+    const excess = files.slice(0, Math.max(0, files.length - (this.maxFilesPerCamera - 1)));
+    for (const old of excess) {
+      await rm(join(recording.dir, old), { force: true });
+    }
+
+    logger.info({ cameraId, file, removed: excess.length }, 'Started new recording file');
+  }
+
+  private async listFiles(cameraDir: string): Promise<string[]> {
+    try {
+      return (await readdir(cameraDir)).filter(file => RECORDING_FILE_PATTERN.test(file)).sort();
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,171 @@
+import pino from 'pino';
+import type { ZodIssue } from 'zod';
+import {
+  CameraFrameEnvelopeSchema,
+  DetectedObjectSchema,
+  type CameraFrame,
+  type DetectedObject,
+  type FieldIssue,
+  type FrameIngestResult,
+  type ObjectRejection,
+  type ValidationMode,
+} from '../types/detection.js';
+
+const logger = pino({ name: 'frame-validator' });
+
+export interface CameraRejectionStats {
+  frames_rejected: number;
+  frames_partially_accepted: number;
+  objects_rejected: number;
+  last_rejection_ts_ms: number | null;
+}
+
+// Extra per-object checks that depend on collector state (calibration, grids).
+export type ObjectCheck = (cameraId: string, object: DetectedObject) => FieldIssue[];
+
+export interface FrameValidation {
+  frame: CameraFrame | null;
+  result: FrameIngestResult;
+}
+
+export class FrameValidator {
+  private rejectionStats = new Map<string, CameraRejectionStats>();
+
+  validate(input: unknown, mode: ValidationMode = 'strict', objectCheck?: ObjectCheck): FrameValidation {
+    const envelope = CameraFrameEnvelopeSchema.safeParse(input);
+
+    if (!envelope.success) {
+      const cameraId = this.readCameraId(input);
+      const frameErrors = this.toFieldIssues(envelope.error.issues);
+
+      if (cameraId) {
+        this.recordRejection(cameraId, { frameRejected: true, objectsRejected: 0 });
+      }
+
+      logger.warn({ cameraId, frameErrors }, 'Rejected malformed camera frame');
+
+      return {
+        frame: null,
+        result: {
+          status: 'rejected',
+          camera_id: cameraId,
+          frame_id: this.readFrameId(input),
+          accepted_count: 0,
+          rejected_count: 0,
+          frame_errors: frameErrors,
+          rejected_objects: [],
+        },
+      };
+    }
+
+    const { camera_id, frame_id, timestamp_ms, objects } = envelope.data;
+    const accepted: DetectedObject[] = [];
+    const rejected: ObjectRejection[] = [];
+
+    objects.forEach((candidate, index) => {
+      const parsed = DetectedObjectSchema.safeParse(candidate);
+      const issues = parsed.success
+        ? objectCheck?.(camera_id, parsed.data) ?? []
+        : this.toFieldIssues(parsed.error.issues);
+
+      if (parsed.success && issues.length === 0) {
+        accepted.push(parsed.data);
+      } else {
+        rejected.push({
+          index,
+          object_id: this.readObjectId(candidate),
+          issues,
+        });
+      }
+    });
+
+    const baseResult = {
+      camera_id,
+      frame_id,
+      accepted_count: accepted.length,
+      rejected_count: rejected.length,
+      frame_errors: [],
+      rejected_objects: rejected,
+    };
+
+    if (rejected.length === 0) {
+      return {
+        frame: { camera_id, frame_id, timestamp_ms, objects: accepted },
+        result: { status: 'processed', ...baseResult },
+      };
+    }
+
+    const frameRejected = mode === 'strict';
+
+    this.recordRejection(camera_id, { frameRejected, objectsRejected: rejected.length });
+
+    logger.warn({
+      cameraId: camera_id,
+      frameId: frame_id,
+      mode,
+      acceptedCount: accepted.length,
+      rejectedCount: rejected.length,
+      rejected,
+    }, frameRejected ? 'Rejected camera frame with invalid objects' : 'Dropped invalid objects from camera frame');
+
+    if (frameRejected) {
+      return {
+        frame: null,
+        result: { status: 'rejected', ...baseResult, accepted_count: 0 },
+      };
+    }
+
+    return {
+      frame: { camera_id, frame_id, timestamp_ms, objects: accepted },
+      result: { status: 'partially_processed', ...baseResult },
+    };
+  }
+
+  getRejectionStats(): Record<string, CameraRejectionStats> {
+    return Object.fromEntries(this.rejectionStats);
+  }
+
+  private recordRejection(cameraId: string, { frameRejected, objectsRejected }: { frameRejected: boolean; objectsRejected: number }): void {
+    const stats = this.rejectionStats.get(cameraId) ?? {
+      frames_rejected: 0,
+      frames_partially_accepted: 0,
+      objects_rejected: 0,
+      last_rejection_ts_ms: null,
+    };
+
+    if (frameRejected) {
+      stats.frames_rejected++;
+    } else {
+      stats.frames_partially_accepted++;
+    }
+
+    stats.objects_rejected += objectsRejected;
+    stats.last_rejection_ts_ms = Date.now();
+    this.rejectionStats.set(cameraId, stats);
+  }
+
+  private toFieldIssues(issues: ZodIssue[]): FieldIssue[] {
+    return issues.map(issue => ({
+      field: issue.path.length > 0 ? issue.path.join('.') : '(root)',
+      message: issue.message,
+    }));
+  }
+
+  private readCameraId(input: unknown): string | undefined {
+    return this.readStringField(input, 'camera_id');
+  }
+
+  private readFrameId(input: unknown): string | undefined {
+    return this.readStringField(input, 'frame_id');
+  }
+
+  private readObjectId(input: unknown): string | undefined {
+    return this.readStringField(input, 'object_id');
+  }
+
+  private readStringField(input: unknown, field: string): string | undefined {
+    if (typeof input !== 'object' || input === null) return undefined;
+    const value = (input as Record<string, unknown>)[field];
+    return typeof value === 'string' && value.length > 0 ? value : undefined;
+  }
+}
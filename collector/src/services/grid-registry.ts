@@ -0,0 +1,84 @@
+import { readFile, writeFile } from 'fs/promises';
+import pino from 'pino';
+import { GridSizeSchema, type CameraGrid, type GridSize, type StoredCameraGrid } from '../types/grid.js';
+import { DEFAULT_GRID_SIZE, parseGridCellId } from '../utils/grid.js';
+
+const logger = pino({ name: 'grid-registry' });
+
+export class GridRegistry {
+  private grids = new Map<string, GridSize>();
+  // Grids set through the API; these override CAMERA_GRIDS and are the only ones persisted.
+  private stored = new Map<string, StoredCameraGrid>();
+  private defaultGrid: GridSize;
+  private storePath?: string;
+
+  constructor(initialGrids: Record<string, GridSize> = {}, defaultGrid: GridSize = DEFAULT_GRID_SIZE, storePath?: string) {
+    this.defaultGrid = defaultGrid;
+    this.storePath = storePath;
+
+    for (const [cameraId, grid] of Object.entries(initialGrids)) {
+      this.grids.set(cameraId, grid);
+    }
+  }
+
+  async load(): Promise<void> {
+    if (!this.storePath) return;
+
+    try {
+      const stored = JSON.parse(await readFile(this.storePath, 'utf8')) as StoredCameraGrid[];
+
+      for (const entry of stored) {
+        const grid = GridSizeSchema.parse({ width: entry.width, height: entry.height });
+        this.stored.set(entry.camera_id, { camera_id: entry.camera_id, ...grid, updated_at: entry.updated_at });
+        this.grids.set(entry.camera_id, grid);
+      }
+
+      logger.info({ path: this.storePath, cameraCount: this.stored.size }, 'Loaded camera grids');
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') return;
+      logger.error({ error, path: this.storePath }, 'Failed to load camera grids');
+      throw error;
+    }
+  }
+
+  getGrid(cameraId: string): GridSize {
+    return this.grids.get(cameraId) ?? this.defaultGrid;
+  }
+
+  getCameraGrid(cameraId: string): CameraGrid {
+    return { camera_id: cameraId, ...this.getGrid(cameraId), configured: this.grids.has(cameraId) };
+  }
+
+  async setGrid(cameraId: string, grid: GridSize): Promise<CameraGrid> {
+    this.grids.set(cameraId, grid);
+    this.stored.set(cameraId, { camera_id: cameraId, ...grid, updated_at: Date.now() });
+    await this.persist();
+
+    logger.info({ cameraId, grid }, 'Camera grid updated');
+    return this.getCameraGrid(cameraId);
+  }
+
+  list(): CameraGrid[] {
+    return [...this.grids.keys()].map(cameraId => this.getCameraGrid(cameraId));
+  }
+
+  /**
+   * Returns a reason the cell is not valid for the camera's grid, or null.
+   */
+  checkCell(cameraId: string, cellId: string): string | null {
+    const cell = parseGridCellId(cellId);
+    if (!cell) return 'Must look like G_XX_YY';
+
+    const grid = this.getGrid(cameraId);
+    if (cell.x >= grid.width || cell.y >= grid.height) {
+      return `Outside the camera's ${grid.width}x${grid.height} grid`;
+    }
+
+    return null;
+  }
+
+  private async persist(): Promise<void> {
+    if (!this.storePath) return;
+    await writeFile(this.storePath, JSON.stringify([...this.stored.values()], null, 2));
+  }
+}
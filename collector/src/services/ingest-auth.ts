@@ -0,0 +1,133 @@
+import { timingSafeEqual } from 'crypto';
+import type { FastifyReply, FastifyRequest } from 'fastify';
+import type { ApiKeyStore } from './api-keys.js';
+import type { CollectorMetrics } from './metrics.js';
+import type { ApiKeyInfo, AuthCredentials, AuthResult } from '../types/auth.js';
+
+declare module 'fastify' {
+  interface FastifyRequest {
+    /** Body bytes as received, kept for signature checks. */
+    rawBody?: Buffer;
+    /** The key that authorized the request, while ingest auth is required. */
+    ingestKey?: ApiKeyInfo;
+  }
+}
+
+function header(request: FastifyRequest, name: string): string | undefined {
+  const value = request.headers[name];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/** Reads the key from X-API-Key or an `Authorization: Bearer` header. */
+export function readCredentials(request: FastifyRequest): AuthCredentials {
+  const authorization = header(request, 'authorization');
+  const bearer = authorization?.match(/^Bearer\s+(.+)$/i)?.[1];
+
+  return {
+    apiKey: header(request, 'x-api-key') ?? bearer,
+    timestamp: header(request, 'x-signature-timestamp'),
+    signature: header(request, 'x-signature'),
+    body: request.rawBody ?? (Buffer.isBuffer(request.body) ? request.body : undefined),
+  };
+}
+
+/** True when the request carries `Authorization: Bearer <admin key>`. */
+export function hasAdminKey(request: FastifyRequest, adminKey: string | undefined): boolean {
+  if (!adminKey) return false;
+
+  const presented = Buffer.from(header(request, 'authorization')?.match(/^Bearer\s+(.+)$/i)?.[1] ?? '');
+  const expected = Buffer.from(adminKey);
+  return presented.length === expected.length && timingSafeEqual(presented, expected);
+}
+
+/**
+ * preHandler hook for operator-only routes: requires `Authorization: Bearer
+ * <admin key>`, and refuses everything when no admin key is configured.
+ */
+export function requireAdminKey(adminKey: string | undefined, feature: string) {
+  return async (request: FastifyRequest, reply: FastifyReply) => {
+    if (!adminKey) {
+      return reply.status(403).send({ error: `${feature} is disabled; set ADMIN_API_KEY to enable it` });
+    }
+
+    if (!hasAdminKey(request, adminKey)) {
+      return reply.status(401).send({ error: 'Admin key required' });
+    }
+  };
+}
+
+/**
+ * Route options for changes to camera config. Once ingest authentication is
+ * required they need the admin key as well, so calibration, privacy masks and
+ * grids can't be rewritten by anyone who can reach the collector.
+ */
+export function configChangeOptions(ingestAuth: IngestAuth, adminKey: string | undefined, feature: string) {
+  return ingestAuth.isRequired() ? { preHandler: requireAdminKey(adminKey, feature) } : {};
+}
+
+/**
+ * Guards the routes that feed frames into the collector. With authentication
+ * off every request is let through, so existing senders keep working until
+ * keys are handed out.
+ */
+export class IngestAuth {
+  constructor(
+    private keys: ApiKeyStore,
+    private required: boolean,
+    private metrics?: CollectorMetrics
+  ) {}
+
+  isRequired(): boolean {
+    return this.required;
+  }
+
+  authenticate(request: FastifyRequest): AuthResult | null {
+    if (!this.required) return null;
+
+    const result = this.keys.authenticate(readCredentials(request));
+    if (!result.ok) {
+      this.metrics?.recordAuthFailure(result.reason);
+      request.log.warn({ reason: result.reason, remoteAddress: request.ip }, 'Rejected unauthenticated ingest request');
+    }
+    return result;
+  }
+
+  allowsCamera(key: ApiKeyInfo | undefined, cameraId: string): boolean {
+    return !key || this.keys.allowsCamera(key, cameraId);
+  }
+
+  /**
+   * Checks the request's key and that it covers every camera. Sends the 401 or
+   * 403 itself and returns false when the request must stop.
+   */
+  authorize(request: FastifyRequest, reply: FastifyReply, cameraIds: string[]): boolean {
+    const result = this.authenticate(request);
+    if (!result) return true;
+
+    if (!result.ok) {
+      reply.status(401).send({ error: result.message, reason: result.reason });
+      return false;
+    }
+
+    const denied = cameraIds.filter(cameraId => !this.keys.allowsCamera(result.key, cameraId));
+    if (denied.length > 0) {
+      this.metrics?.recordAuthFailure('camera_not_allowed');
+      reply.status(403).send({
+        error: `API key ${result.key.key_id} may not send frames for ${denied.join(', ')}`,
+        reason: 'camera_not_allowed',
+      });
+      return false;
+    }
+
+    request.ingestKey = result.key;
+    return true;
+  }
+
+  /**
+   * Whether an authorized request may send replayed frames: it needs the admin
+   * key or, while ingest auth is required, a key created with `allow_replay`.
+   */
+  allowsReplay(request: FastifyRequest, adminKey: string | undefined): boolean {
+    return hasAdminKey(request, adminKey) || request.ingestKey?.allow_replay === true;
+  }
+}
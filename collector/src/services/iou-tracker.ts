@@ -0,0 +1,161 @@
+import { v4 as uuidv4 } from 'uuid';
+import pino from 'pino';
+import type { Bbox, CameraFrame, DetectedObject } from '../types/detection.js';
+
+const logger = pino({ name: 'iou-tracker' });
+
+export interface TrackerOptions {
+  iouThreshold?: number;
+  maxAge?: number;
+  minHits?: number;
+}
+
+export interface Track {
+  track_id: string;
+  class: string;
+  bbox: Bbox;
+  hits: number;
+  frames_since_update: number;
+  confirmed: boolean;
+  first_seen_ts_ms: number;
+  last_seen_ts_ms: number;
+}
+
+/**
+ * Assigns stable object IDs to detections that arrive without one, by greedily
+ * matching each frame's boxes to the camera's existing tracks on IoU and class.
+ * Tracks are only reported once they have been matched `minHits` times, and are
+ * dropped after going `maxAge` frames without a match.
+ */
+export class IouTracker {
+  private tracks = new Map<string, Track[]>();
+  private iouThreshold: number;
+  private maxAge: number;
+  private minHits: number;
+
+  constructor(options: TrackerOptions = {}) {
+    this.iouThreshold = options.iouThreshold ?? 0.3;
+    this.maxAge = options.maxAge ?? 5;
+    this.minHits = options.minHits ?? 3;
+  }
+
+  update(frame: CameraFrame): CameraFrame {
+    const tracks = this.tracks.get(frame.camera_id) ?? [];
+    const untracked = frame.objects
+      .map((obj, index) => ({ obj, index }))
+      .filter(({ obj }) => !obj.object_id);
+
+    if (untracked.length === 0 && tracks.length === 0) {
+      return frame;
+    }
+
+    const candidates: Array<{ iou: number; trackIndex: number; detectionIndex: number }> = [];
+
+    tracks.forEach((track, trackIndex) => {
+      untracked.forEach(({ obj }, detectionIndex) => {
+        if (obj.class !== track.class) return;
+        const iou = intersectionOverUnion(track.bbox, obj.bbox);
+        if (iou >= this.iouThreshold) {
+          candidates.push({ iou, trackIndex, detectionIndex });
+        }
+      });
+    });
+
+    candidates.sort((a, b) => b.iou - a.iou);
+
+    const matchedTracks = new Set<number>();
+    const assignments = new Map<number, Track>();
+
+    for (const { trackIndex, detectionIndex } of candidates) {
+      if (matchedTracks.has(trackIndex) || assignments.has(detectionIndex)) continue;
+
+      const track = tracks[trackIndex];
+      const { obj } = untracked[detectionIndex];
+
+      track.bbox = obj.bbox;
+      track.hits++;
+      track.frames_since_update = 0;
+      track.last_seen_ts_ms = frame.timestamp_ms;
+      track.confirmed = track.confirmed || track.hits >= this.minHits;
+
+      matchedTracks.add(trackIndex);
+      assignments.set(detectionIndex, track);
+    }
+
+    const survivingTracks = tracks.filter((track, trackIndex) => {
+      if (matchedTracks.has(trackIndex)) return true;
+      track.frames_since_update++;
+      return track.frames_since_update <= this.maxAge;
+    });
+
+    untracked.forEach(({ obj }, detectionIndex) => {
+      if (assignments.has(detectionIndex)) return;
+
+      const track: Track = {
+        track_id: `trk-${uuidv4().slice(0, 8)}`,
+        class: obj.class,
+        bbox: obj.bbox,
+        hits: 1,
+        frames_since_update: 0,
+        confirmed: this.minHits <= 1,
+        first_seen_ts_ms: frame.timestamp_ms,
+        last_seen_ts_ms: frame.timestamp_ms,
+      };
+
+      survivingTracks.push(track);
+      assignments.set(detectionIndex, track);
+    });
+
+    this.tracks.set(frame.camera_id, survivingTracks);
+
+    // Detections matched to tentative tracks are held back until the track confirms.
+    const trackByObjectIndex = new Map(
+      [...assignments].map(([detectionIndex, track]) => [untracked[detectionIndex].index, track])
+    );
+    const objects: DetectedObject[] = [];
+
+    frame.objects.forEach((obj, index) => {
+      const track = trackByObjectIndex.get(index);
+
+      if (!track) {
+        objects.push(obj);
+      } else if (track.confirmed) {
+        objects.push({ ...obj, object_id: track.track_id });
+      }
+    });
+
+    logger.debug({
+      cameraId: frame.camera_id,
+      frameId: frame.frame_id,
+      detections: untracked.length,
+      activeTracks: survivingTracks.length,
+    }, 'Updated object tracks');
+
+    return { ...frame, objects };
+  }
+
+  getTracks(cameraId?: string): Record<string, Track[]> {
+    const entries = cameraId
+      ? [[cameraId, this.tracks.get(cameraId) ?? []] as const]
+      : [...this.tracks.entries()];
+
+    return Object.fromEntries(entries.map(([id, tracks]) => [id, tracks.map(track => ({ ...track }))]));
+  }
+
+  getOptions(): Required<TrackerOptions> {
+    return { iouThreshold: this.iouThreshold, maxAge: this.maxAge, minHits: this.minHits };
+  }
+}
+
+export function intersectionOverUnion(a: Bbox, b: Bbox): number {
+  const [ax, ay, aw, ah] = a;
+  const [bx, by, bw, bh] = b;
+
+  const overlapWidth = Math.min(ax + aw, bx + bw) - Math.max(ax, bx);
+  const overlapHeight = Math.min(ay + ah, by + bh) - Math.max(ay, by);
+  if (overlapWidth <= 0 || overlapHeight <= 0) return 0;
+
+  const intersection = overlapWidth * overlapHeight;
+  const union = aw * ah + bw * bh - intersection;
+  return union > 0 ? intersection / union : 0;
+}
@@ -2,15 +2,23 @@ import { Kafka } from 'kafkajs';
 import type { Producer, ProducerRecord } from 'kafkajs';
 import pino from 'pino';
 import type { NormalizedEvent } from '../types/detection.js';
+import type { EventTransport } from './event-transport.js';
 
 const logger = pino({ name: 'kafka-producer' });
 
-export class KafkaProducer {
+export class KafkaProducer implements EventTransport {
+  readonly name = 'kafka';
   private kafka: Kafka;
   private producer: Producer;
   private isConnected = false;
+  private partitionCount: number;
+
+  constructor(brokers: string[] = ['localhost:9092'], partitionCount: number = 3) {
+    if (!Number.isInteger(partitionCount) || partitionCount < 1) {
+      throw new Error(`Kafka partition count must be a positive integer, got ${partitionCount}`);
+    }
+    this.partitionCount = partitionCount;
 
-  constructor(brokers: string[] = ['localhost:9092']) {
     this.kafka = new Kafka({
       clientId: 'vision-collector-producer',
       brokers,
@@ -49,6 +57,14 @@ export class KafkaProducer {
     }
   }
 
+  isReady(): boolean {
+    return this.isConnected;
+  }
+
+  async publishDetectionEvents(events: NormalizedEvent[]): Promise<void> {
+    await this.sendDetectionEvents(events);
+  }
+
   async sendDetectionEvents(events: NormalizedEvent[]): Promise<void> {
     if (!this.isConnected) {
       throw new Error('Producer not connected');
@@ -86,7 +102,7 @@ export class KafkaProducer {
 
   private getPartition(collectorId: string, cameraId: string): number {
     const key = `${collectorId}:${cameraId}`;
-    return Math.abs(this.hashCode(key)) % 3;
+    return Math.abs(this.hashCode(key)) % this.partitionCount;
   }
 
   private hashCode(str: string): number {
@@ -0,0 +1,116 @@
+import pino from 'pino';
+
+const logger = pino({ name: 'late-event-filter' });
+
+export interface CameraLatenessStats {
+  max_ts_ms: number;
+  watermark_ts_ms: number;
+  last_frame_at: number;
+  late_frames: number;
+  late_events: number;
+  last_late_ts_ms: number | null;
+  watermark_resets: number;
+}
+
+export interface WatermarkOptions {
+  /**
+   * How far ahead of its receive time a frame's timestamp may move the
+   * watermark. Kept below the lateness window, a future timestamp can't make
+   * frames stamped with the current time late.
+   */
+  futureToleranceMs?: number;
+  /**
+   * A replayed frame this far behind the watermark restarts it instead of
+   * counting as late. Live frames behind the watermark are always late.
+   */
+  resetMs?: number;
+}
+
+/**
+ * Tracks an event-time watermark per camera (newest frame timestamp minus the
+ * lateness window). Frames behind the watermark are too late for the manager's
+ * reorder buffer to place, so the collector diverts them to the late-events
+ * channel instead of the detection stream.
+ *
+ * Timestamps only count up to the receive time plus a tolerance, so one frame
+ * stamped in the future can't push every later frame behind the watermark.
+ * Only replayed frames, whose source the collector vouches for, may restart
+ * the watermark by jumping far back in time; a live frame behind it is late
+ * however far back it is.
+ */
+export class LateEventFilter {
+  private cameras = new Map<string, CameraLatenessStats>();
+  private futureToleranceMs: number;
+  private resetMs: number;
+
+  constructor(private latenessMs: number = 5000, options: WatermarkOptions = {}) {
+    this.futureToleranceMs = options.futureToleranceMs ?? 1000;
+    this.resetMs = options.resetMs ?? 60000;
+  }
+
+  /** Returns true when the frame is late; otherwise advances the camera's watermark. */
+  check(cameraId: string, tsMs: number, now: number = Date.now(), replayed: boolean = false): boolean {
+    const stats = this.cameras.get(cameraId);
+    const boundedTsMs = Math.min(tsMs, now + this.futureToleranceMs);
+
+    if (!stats) {
+      this.cameras.set(cameraId, {
+        max_ts_ms: boundedTsMs,
+        watermark_ts_ms: boundedTsMs - this.latenessMs,
+        last_frame_at: now,
+        late_frames: 0,
+        late_events: 0,
+        last_late_ts_ms: null,
+        watermark_resets: 0,
+      });
+      return false;
+    }
+
+    stats.last_frame_at = now;
+
+    if (replayed && tsMs < stats.watermark_ts_ms - this.resetMs) {
+      logger.info({ cameraId, tsMs, watermarkTsMs: stats.watermark_ts_ms }, 'Restarting camera watermark for replayed frames');
+      stats.max_ts_ms = boundedTsMs;
+      stats.watermark_ts_ms = boundedTsMs - this.latenessMs;
+      stats.watermark_resets++;
+      return false;
+    }
+
+    if (tsMs < stats.watermark_ts_ms) {
+      return true;
+    }
+
+    if (boundedTsMs > stats.max_ts_ms) {
+      stats.max_ts_ms = boundedTsMs;
+      stats.watermark_ts_ms = boundedTsMs - this.latenessMs;
+    }
+    return false;
+  }
+
+  /** Counts a diverted frame and returns the watermark it missed. */
+  recordLate(cameraId: string, tsMs: number, eventCount: number): number {
+    const stats = this.cameras.get(cameraId);
+    if (!stats) return tsMs;
+
+    stats.late_frames++;
+    stats.late_events += eventCount;
+    stats.last_late_ts_ms = Date.now();
+
+    logger.warn({
+      cameraId,
+      tsMs,
+      watermarkTsMs: stats.watermark_ts_ms,
+      lagMs: stats.max_ts_ms - tsMs,
+    }, 'Frame arrived behind the watermark, diverted to late events');
+
+    return stats.watermark_ts_ms;
+  }
+
+  getLatenessMs(): number {
+    return this.latenessMs;
+  }
+
+  getStats(): Record<string, CameraLatenessStats> {
+    return Object.fromEntries([...this.cameras].map(([cameraId, stats]) => [cameraId, { ...stats }]));
+  }
+}
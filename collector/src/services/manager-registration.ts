@@ -0,0 +1,152 @@
+import { readFile } from 'fs/promises';
+import pino from 'pino';
+import {
+  CameraMetadataFileSchema,
+  type CameraMetadata,
+  type CollectorRegistration,
+  type RegistrationStats,
+} from '../types/registry.js';
+
+const logger = pino({ name: 'manager-registration' });
+
+export interface ManagerRegistrationOptions {
+  heartbeatIntervalMs?: number;
+  requestTimeoutMs?: number;
+}
+
+export async function loadCameraMetadata(path?: string): Promise<Record<string, CameraMetadata>> {
+  if (!path) return {};
+
+  try {
+    const metadata = CameraMetadataFileSchema.parse(JSON.parse(await readFile(path, 'utf8')));
+    logger.info({ path, cameraCount: Object.keys(metadata).length }, 'Loaded camera metadata');
+    return metadata;
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') return {};
+    logger.error({ error, path }, 'Failed to load camera metadata');
+    throw error;
+  }
+}
+
+/**
+ * Registers this collector and its cameras with the manager, then sends
+ * heartbeats. The registration is rebuilt on every tick and re-sent whenever
+ * it changes (a camera appears or its grid is resized) or the manager has
+ * forgotten the collector. The manager being down never blocks ingestion.
+ */
+export class ManagerRegistration {
+  private timer?: NodeJS.Timeout;
+  private heartbeatIntervalMs: number;
+  private requestTimeoutMs: number;
+  private registeredSnapshot: string | null = null;
+  private ticking = false;
+  private stats: Omit<RegistrationStats, 'manager_url' | 'registered'> = {
+    camera_count: 0,
+    last_registered_ts_ms: null,
+    last_heartbeat_ts_ms: null,
+    last_error: null,
+  };
+
+  constructor(
+    private managerUrl: string,
+    private buildRegistration: (heartbeatIntervalMs: number) => CollectorRegistration,
+    options: ManagerRegistrationOptions = {}
+  ) {
+    this.managerUrl = managerUrl.replace(/\/+$/, '');
+    this.heartbeatIntervalMs = options.heartbeatIntervalMs ?? 10000;
+    this.requestTimeoutMs = options.requestTimeoutMs ?? 5000;
+  }
+
+  start(): void {
+    this.stop();
+    void this.tick();
+    this.timer = setInterval(() => void this.tick(), this.heartbeatIntervalMs);
+  }
+
+  stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = undefined;
+    }
+  }
+
+  async tick(): Promise<void> {
+    // A slow manager must not pile up overlapping requests.
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      const registration = this.buildRegistration(this.heartbeatIntervalMs);
+      const snapshot = JSON.stringify(registration);
+
+      if (snapshot !== this.registeredSnapshot || !await this.heartbeat(registration.collector_id)) {
+        await this.register(registration, snapshot);
+      }
+
+      if (this.stats.last_error) {
+        logger.info({ managerUrl: this.managerUrl }, 'Manager registration recovered');
+      }
+      this.stats.last_error = null;
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      if (this.stats.last_error === null) {
+        logger.warn({ managerUrl: this.managerUrl, error: message }, 'Failed to reach manager, will retry');
+      }
+      this.stats.last_error = message;
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  getStats(): RegistrationStats {
+    return {
+      manager_url: this.managerUrl,
+      registered: this.registeredSnapshot !== null,
+      ...this.stats,
+    };
+  }
+
+  private async register(registration: CollectorRegistration, snapshot: string): Promise<void> {
+    const response = await this.post('/collectors/register', registration);
+    if (!response.ok) {
+      throw new Error(`Registration failed with status ${response.status}`);
+    }
+
+    this.registeredSnapshot = snapshot;
+    this.stats.camera_count = registration.cameras.length;
+    this.stats.last_registered_ts_ms = Date.now();
+    this.stats.last_heartbeat_ts_ms = this.stats.last_registered_ts_ms;
+
+    logger.info({
+      managerUrl: this.managerUrl,
+      collectorId: registration.collector_id,
+      cameraCount: registration.cameras.length,
+    }, 'Registered with manager');
+  }
+
+  /** False when the manager no longer knows this collector. */
+  private async heartbeat(collectorId: string): Promise<boolean> {
+    const response = await this.post(`/collectors/${encodeURIComponent(collectorId)}/heartbeat`, {});
+
+    if (response.status === 404) {
+      logger.warn({ collectorId }, 'Manager does not know this collector, registering again');
+      this.registeredSnapshot = null;
+      return false;
+    }
+    if (!response.ok) {
+      throw new Error(`Heartbeat failed with status ${response.status}`);
+    }
+
+    this.stats.last_heartbeat_ts_ms = Date.now();
+    return true;
+  }
+
+  private async post(path: string, body: unknown): Promise<Response> {
+    return fetch(`${this.managerUrl}${path}`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(this.requestTimeoutMs),
+    });
+  }
+}
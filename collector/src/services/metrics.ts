@@ -0,0 +1,197 @@
+import { Counter, Gauge, Histogram, Registry, collectDefaultMetrics } from 'prom-client';
+import type { FrameIngestResult } from '../types/detection.js';
+import type { AuthFailureReason } from '../types/auth.js';
+import type { OutboxStats } from './event-outbox.js';
+
+// Shared label for frames whose camera ID can't be trusted.
+const UNKNOWN_CAMERA = 'unknown';
+
+/**
+ * Prometheus metrics for the collector. Frame counters are labelled by camera;
+ * gauges that mirror other services' state are read at scrape time. Camera IDs
+ * from frames that never passed validation only become labels when the camera
+ * is already known, so junk IDs all share the `unknown` label.
+ */
+export class CollectorMetrics {
+  readonly registry = new Registry();
+  private lastFrameAt = new Map<string, number>();
+  private outboxStats?: () => OutboxStats | undefined;
+  private isKnownCamera?: (cameraId: string) => boolean;
+
+  private framesReceived = new Counter({
+    name: 'collector_frames_received_total',
+    help: 'Frames received, including rejected and rate limited frames',
+    labelNames: ['camera_id'],
+    registers: [this.registry],
+  });
+
+  private framesAccepted = new Counter({
+    name: 'collector_frames_accepted_total',
+    help: 'Frames accepted for processing, including partially accepted frames',
+    labelNames: ['camera_id'],
+    registers: [this.registry],
+  });
+
+  private framesRejected = new Counter({
+    name: 'collector_frames_rejected_total',
+    help: 'Frames rejected by validation',
+    labelNames: ['camera_id'],
+    registers: [this.registry],
+  });
+
+  private framesSkipped = new Counter({
+    name: 'collector_frames_skipped_total',
+    help: 'Valid frames not processed, by reason',
+    labelNames: ['camera_id', 'reason'],
+    registers: [this.registry],
+  });
+
+  private privacySuppressed = new Counter({
+    name: 'collector_privacy_suppressed_total',
+    help: 'Detections dropped or anonymized by privacy masks',
+    labelNames: ['camera_id', 'action'],
+    registers: [this.registry],
+  });
+
+  private authFailures = new Counter({
+    name: 'collector_auth_failures_total',
+    help: 'Ingest requests refused by API key authentication, by reason',
+    labelNames: ['reason'],
+    registers: [this.registry],
+  });
+
+  private objectsPerFrame = new Histogram({
+    name: 'collector_objects_per_frame',
+    help: 'Detected objects in each accepted frame',
+    buckets: [0, 1, 2, 5, 10, 20, 50, 100],
+    registers: [this.registry],
+  });
+
+  private publishLatency = new Histogram({
+    name: 'collector_publish_duration_seconds',
+    help: 'Time to publish a batch of detection events',
+    labelNames: ['transport'],
+    buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+    registers: [this.registry],
+  });
+
+  private publishFailures = new Counter({
+    name: 'collector_publish_failures_total',
+    help: 'Failed detection event publishes',
+    labelNames: ['transport'],
+    registers: [this.registry],
+  });
+
+  constructor() {
+    collectDefaultMetrics({ register: this.registry, prefix: 'collector_' });
+
+    const metrics = this;
+
+    new Gauge({
+      name: 'collector_last_frame_age_seconds',
+      help: 'Seconds since the last frame was received from each camera',
+      labelNames: ['camera_id'],
+      registers: [this.registry],
+      collect() {
+        const now = Date.now();
+        for (const [cameraId, receivedAt] of metrics.lastFrameAt) {
+          this.set({ camera_id: cameraId }, (now - receivedAt) / 1000);
+        }
+      },
+    });
+
+    new Gauge({
+      name: 'collector_outbox_depth',
+      help: 'Events spooled in the local outbox awaiting replay',
+      registers: [this.registry],
+      collect() {
+        const stats = metrics.outboxStats?.();
+        if (stats) this.set(stats.depth);
+      },
+    });
+
+    new Gauge({
+      name: 'collector_outbox_oldest_event_age_seconds',
+      help: 'Age of the oldest event in the local outbox',
+      registers: [this.registry],
+      collect() {
+        const stats = metrics.outboxStats?.();
+        if (stats) this.set((stats.oldest_event_age_ms ?? 0) / 1000);
+      },
+    });
+  }
+
+  /** Wires the outbox gauges; they read 0 when no outbox is configured. */
+  observeOutbox(readStats: () => OutboxStats | undefined): void {
+    this.outboxStats = readStats;
+  }
+
+  /** Lets frames that were never validated keep the label of a configured camera. */
+  observeCameras(isKnownCamera: (cameraId: string) => boolean): void {
+    this.isKnownCamera = isKnownCamera;
+  }
+
+  /** For frames turned away before validation, e.g. by the rate limiter. */
+  recordFrameReceived(cameraId: string | undefined): void {
+    this.countReceived(this.cameraLabel(cameraId, false));
+  }
+
+  /** Counts the frame as received too, labelled by camera only once it has passed validation. */
+  recordFrameResult(result: FrameIngestResult): void {
+    const cameraId = this.cameraLabel(result.camera_id, result.status !== 'rejected');
+    this.countReceived(cameraId);
+
+    switch (result.status) {
+      case 'processed':
+      case 'partially_processed':
+        this.framesAccepted.inc({ camera_id: cameraId });
+        this.objectsPerFrame.observe(result.accepted_count);
+        break;
+      case 'rejected':
+        this.framesRejected.inc({ camera_id: cameraId });
+        break;
+      case 'already_processed':
+        this.recordFrameSkipped(cameraId, 'duplicate');
+        break;
+      case 'sampled_out':
+        this.recordFrameSkipped(cameraId, 'sampled');
+        break;
+    }
+  }
+
+  recordFrameSkipped(cameraId: string | undefined, reason: 'duplicate' | 'sampled' | 'rate_limited'): void {
+    this.framesSkipped.inc({ camera_id: this.cameraLabel(cameraId, false), reason });
+  }
+
+  recordPrivacySuppressed(cameraId: string, dropped: number, anonymized: number): void {
+    if (dropped > 0) this.privacySuppressed.inc({ camera_id: cameraId, action: 'drop' }, dropped);
+    if (anonymized > 0) this.privacySuppressed.inc({ camera_id: cameraId, action: 'anonymize' }, anonymized);
+  }
+
+  recordAuthFailure(reason: AuthFailureReason | 'camera_not_allowed'): void {
+    this.authFailures.inc({ reason });
+  }
+
+  recordPublish(transport: string, durationMs: number, succeeded: boolean): void {
+    this.publishLatency.observe({ transport }, durationMs / 1000);
+    if (!succeeded) {
+      this.publishFailures.inc({ transport });
+    }
+  }
+
+  async render(): Promise<{ contentType: string; body: string }> {
+    return { contentType: this.registry.contentType, body: await this.registry.metrics() };
+  }
+
+  private cameraLabel(cameraId: string | undefined, validated: boolean): string {
+    if (!cameraId) return UNKNOWN_CAMERA;
+    return validated || this.lastFrameAt.has(cameraId) || this.isKnownCamera?.(cameraId) ? cameraId : UNKNOWN_CAMERA;
+  }
+
+  private countReceived(label: string): void {
+    this.framesReceived.inc({ camera_id: label });
+    if (label !== UNKNOWN_CAMERA) {
+      this.lastFrameAt.set(label, Date.now());
+    }
+  }
+}
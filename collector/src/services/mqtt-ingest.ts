@@ -0,0 +1,226 @@
+import { connectAsync, type MqttClient } from 'mqtt';
+import pino from 'pino';
+import type { CollectorService } from './collector.js';
+import { decodeFrame, formatForContentType, type FrameFormat } from '../utils/frame-codecs.js';
+
+const logger = pino({ name: 'mqtt-ingest' });
+
+export interface MqttIngestOptions {
+  brokerUrl: string;
+  topics: string[];
+  /**
+   * Builds camera_id from the topic's wildcard segments: `$1` is the first `+`
+   * in the matching pattern, `$2` the second, and so on. Defaults to the last
+   * `+`, so `site/+/camera/+/detections` maps the camera segment.
+   */
+  cameraIdTemplate?: string;
+  qos?: 0 | 1 | 2;
+  clientId?: string;
+  /** Payload encoding, unless an MQTT 5 message says otherwise with its content type. */
+  payloadFormat?: FrameFormat;
+  /** MQTT 3.1.1 (4) by default; content types only arrive over MQTT 5. */
+  protocolVersion?: 4 | 5;
+}
+
+export interface MqttIngestStats {
+  connected: boolean;
+  broker_url: string;
+  topics: string[];
+  messages_received: number;
+  frames_processed: number;
+  frames_rejected: number;
+  unmatched_topics: number;
+  parse_errors: number;
+  processing_errors: number;
+  last_message_ts_ms: number | null;
+}
+
+/** Returns the segments captured by `+` wildcards, or null when the topic doesn't match. */
+export function matchTopic(pattern: string, topic: string): string[] | null {
+  const patternLevels = pattern.split('/');
+  const topicLevels = topic.split('/');
+  const captures: string[] = [];
+
+  for (let i = 0; i < patternLevels.length; i++) {
+    const level = patternLevels[i];
+
+    if (level === '#') {
+      return captures;
+    }
+
+    if (i >= topicLevels.length) {
+      return null;
+    }
+
+    if (level === '+') {
+      captures.push(topicLevels[i]);
+    } else if (level !== topicLevels[i]) {
+      return null;
+    }
+  }
+
+  return patternLevels.length === topicLevels.length ? captures : null;
+}
+
+export function resolveCameraId(template: string | undefined, captures: string[]): string | undefined {
+  if (!template) {
+    return captures[captures.length - 1] || undefined;
+  }
+
+  let missing = false;
+  const cameraId = template.replace(/\$(\d+)/g, (_, index: string) => {
+    const capture = captures[parseInt(index) - 1];
+    if (!capture) missing = true;
+    return capture ?? '';
+  });
+
+  return missing || !cameraId ? undefined : cameraId;
+}
+
+/**
+ * Subscribes to edge detection topics and feeds each payload through the same
+ * validation and processing path as POST /frames. The camera ID always comes
+ * from the topic so a misconfigured edge box can't publish as another camera.
+ */
+export class MqttIngestAdapter {
+  private client?: MqttClient;
+  private options: MqttIngestOptions;
+  // Frames from one camera are processed in the order they arrive.
+  private cameraQueues = new Map<string, Promise<void>>();
+  private stats: MqttIngestStats;
+
+  constructor(private collectorService: CollectorService, options: MqttIngestOptions) {
+    this.options = options;
+    this.stats = {
+      connected: false,
+      broker_url: options.brokerUrl,
+      topics: options.topics,
+      messages_received: 0,
+      frames_processed: 0,
+      frames_rejected: 0,
+      unmatched_topics: 0,
+      parse_errors: 0,
+      processing_errors: 0,
+      last_message_ts_ms: null,
+    };
+  }
+
+  async start(): Promise<void> {
+    this.client = await connectAsync(this.options.brokerUrl, {
+      clientId: this.options.clientId,
+      protocolVersion: this.options.protocolVersion ?? 4,
+    });
+
+    this.client.on('connect', () => {
+      this.stats.connected = true;
+      logger.info({ brokerUrl: this.options.brokerUrl }, 'MQTT client reconnected');
+    });
+
+    this.client.on('close', () => {
+      this.stats.connected = false;
+    });
+
+    this.client.on('error', (error) => {
+      logger.error({ error }, 'MQTT client error');
+    });
+
+    this.client.on('message', (topic, payload, packet) => {
+      this.handleMessage(topic, payload, packet.properties?.contentType);
+    });
+
+    await this.client.subscribeAsync(this.options.topics, { qos: this.options.qos ?? 1 });
+    this.stats.connected = true;
+
+    logger.info({ brokerUrl: this.options.brokerUrl, topics: this.options.topics }, 'MQTT ingestion started');
+  }
+
+  async stop(): Promise<void> {
+    if (!this.client) return;
+
+    await this.client.endAsync();
+    await Promise.allSettled(this.cameraQueues.values());
+    this.client = undefined;
+    this.stats.connected = false;
+    logger.info('MQTT ingestion stopped');
+  }
+
+  getStats(): MqttIngestStats {
+    return { ...this.stats };
+  }
+
+  /** Resolves once every frame received so far has been processed. */
+  async flush(): Promise<void> {
+    await Promise.allSettled(this.cameraQueues.values());
+  }
+
+  handleMessage(topic: string, payload: Buffer, contentType?: string): void {
+    this.stats.messages_received++;
+    this.stats.last_message_ts_ms = Date.now();
+
+    const cameraId = this.cameraIdForTopic(topic);
+    if (!cameraId) {
+      this.stats.unmatched_topics++;
+      logger.warn({ topic }, 'No camera ID could be derived from MQTT topic');
+      return;
+    }
+
+    const format = contentType ? formatForContentType(contentType) : this.options.payloadFormat ?? 'json';
+    if (!format) {
+      this.stats.parse_errors++;
+      logger.warn({ topic, cameraId, contentType }, 'Unsupported MQTT payload content type');
+      return;
+    }
+
+    let body: unknown;
+    try {
+      body = decodeFrame(format, payload);
+    } catch {
+      this.stats.parse_errors++;
+      logger.warn({ topic, cameraId, format }, 'MQTT payload could not be decoded');
+      return;
+    }
+
+    if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+      this.stats.parse_errors++;
+      logger.warn({ topic, cameraId }, 'MQTT payload is not a frame object');
+      return;
+    }
+
+    const frame = { ...body, camera_id: cameraId };
+    const previous = this.cameraQueues.get(cameraId) ?? Promise.resolve();
+    const next = previous.then(() => this.processFrame(topic, frame));
+
+    this.cameraQueues.set(cameraId, next);
+    void next.then(() => {
+      if (this.cameraQueues.get(cameraId) === next) {
+        this.cameraQueues.delete(cameraId);
+      }
+    });
+  }
+
+  private cameraIdForTopic(topic: string): string | undefined {
+    for (const pattern of this.options.topics) {
+      const captures = matchTopic(pattern, topic);
+      if (captures) {
+        return resolveCameraId(this.options.cameraIdTemplate, captures);
+      }
+    }
+
+    return undefined;
+  }
+
+  private async processFrame(topic: string, frame: Record<string, unknown>): Promise<void> {
+    try {
+      const result = await this.collectorService.ingestFrame(frame);
+
+      if (result.status === 'rejected') {
+        this.stats.frames_rejected++;
+      } else {
+        this.stats.frames_processed++;
+      }
+    } catch (error) {
+      this.stats.processing_errors++;
+      logger.error({ error, topic }, 'Failed to process MQTT frame');
+    }
+  }
+}
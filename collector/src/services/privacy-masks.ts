@@ -0,0 +1,195 @@
+import { readFile, writeFile } from 'fs/promises';
+import pino from 'pino';
+import type { Bbox, CameraFrame, DetectedObject, FieldIssue } from '../types/detection.js';
+import {
+  PrivacyMaskSchema,
+  type PrivacyAction,
+  type PrivacyAuditStats,
+  type PrivacyMask,
+  type StoredPrivacyMasks,
+} from '../types/privacy.js';
+import { GridRegistry } from './grid-registry.js';
+
+const logger = pino({ name: 'privacy-masks' });
+
+export interface MaskedFrame {
+  /** The frame without dropped detections. */
+  frame: CameraFrame;
+  /** Detections in the frame that must be published without an object_id. */
+  anonymized: Set<DetectedObject>;
+  dropped: number;
+}
+
+function pointInPolygon([x, y]: [number, number], polygon: Array<[number, number]>): boolean {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+function maskCovers(mask: PrivacyMask, obj: DetectedObject): boolean {
+  if (mask.classes && !mask.classes.includes(obj.class)) return false;
+  if (obj.grid_cell_id && mask.cells.includes(obj.grid_cell_id)) return true;
+
+  const [x, y, width, height]: Bbox = obj.bbox;
+  const footPoint: [number, number] = [x + width / 2, y + height];
+  return mask.polygons.some(polygon => pointInPolygon(footPoint, polygon));
+}
+
+/**
+ * Per-camera privacy masks for areas where people must not be tracked. Masks
+ * are applied before tracking and before events are built, so suppressed
+ * detections never get a track or leave the collector with an identity; only
+ * their counts are kept for audit.
+ */
+export class PrivacyMaskService {
+  private masks = new Map<string, StoredPrivacyMasks>();
+  private audit = new Map<string, PrivacyAuditStats>();
+  private gridRegistry: GridRegistry;
+  private storePath?: string;
+
+  constructor(gridRegistry: GridRegistry, storePath?: string) {
+    this.gridRegistry = gridRegistry;
+    this.storePath = storePath;
+  }
+
+  async load(): Promise<void> {
+    if (!this.storePath) return;
+
+    try {
+      const stored = JSON.parse(await readFile(this.storePath, 'utf8')) as StoredPrivacyMasks[];
+
+      for (const entry of stored) {
+        this.masks.set(entry.camera_id, {
+          ...entry,
+          masks: entry.masks.map(mask => PrivacyMaskSchema.parse(mask)),
+        });
+      }
+
+      logger.info({ path: this.storePath, cameraCount: this.masks.size }, 'Loaded privacy masks');
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') return;
+      logger.error({ error, path: this.storePath }, 'Failed to load privacy masks');
+      throw error;
+    }
+  }
+
+  getMasks(cameraId: string): StoredPrivacyMasks | null {
+    return this.masks.get(cameraId) ?? null;
+  }
+
+  listMasks(): StoredPrivacyMasks[] {
+    return [...this.masks.values()];
+  }
+
+  /** Cells must exist on the camera's grid; polygons are not bounded by the image. */
+  checkMasks(cameraId: string, masks: PrivacyMask[]): FieldIssue[] {
+    const issues: FieldIssue[] = [];
+
+    masks.forEach((mask, maskIndex) => {
+      mask.cells.forEach((cellId, cellIndex) => {
+        const cellIssue = this.gridRegistry.checkCell(cameraId, cellId);
+        if (cellIssue) {
+          issues.push({ field: `masks.${maskIndex}.cells.${cellIndex}`, message: cellIssue });
+        }
+      });
+    });
+
+    return issues;
+  }
+
+  async setMasks(cameraId: string, masks: PrivacyMask[]): Promise<StoredPrivacyMasks> {
+    const stored: StoredPrivacyMasks = { camera_id: cameraId, masks, updated_at: Date.now() };
+
+    this.masks.set(cameraId, stored);
+    await this.persist();
+
+    logger.info({ cameraId, maskCount: masks.length }, 'Privacy masks updated');
+    return stored;
+  }
+
+  async deleteMasks(cameraId: string): Promise<boolean> {
+    const existed = this.masks.delete(cameraId);
+
+    if (existed) {
+      await this.persist();
+      logger.info({ cameraId }, 'Privacy masks removed');
+    }
+
+    return existed;
+  }
+
+  /**
+   * Drops or anonymizes detections inside the camera's masks. When several
+   * masks cover a detection, dropping wins over anonymizing.
+   */
+  apply(frame: CameraFrame): MaskedFrame {
+    const stored = this.masks.get(frame.camera_id);
+    if (!stored) {
+      return { frame, anonymized: new Set(), dropped: 0 };
+    }
+
+    const objects: DetectedObject[] = [];
+    const anonymized = new Set<DetectedObject>();
+    let dropped = 0;
+
+    for (const obj of frame.objects) {
+      const actions = stored.masks.filter(mask => maskCovers(mask, obj)).map(mask => mask.action);
+
+      if (actions.includes('drop')) {
+        dropped++;
+        this.recordSuppressed(frame.camera_id, obj, 'drop', frame.timestamp_ms);
+        continue;
+      }
+
+      if (actions.includes('anonymize')) {
+        const anonymous: DetectedObject = { ...obj, object_id: undefined };
+        anonymized.add(anonymous);
+        objects.push(anonymous);
+        this.recordSuppressed(frame.camera_id, obj, 'anonymize', frame.timestamp_ms);
+        continue;
+      }
+
+      objects.push(obj);
+    }
+
+    return { frame: { ...frame, objects }, anonymized, dropped };
+  }
+
+  getAuditStats(): Record<string, PrivacyAuditStats> {
+    const stats: Record<string, PrivacyAuditStats> = {};
+    for (const [cameraId, audit] of this.audit) {
+      stats[cameraId] = { ...audit, by_class: { ...audit.by_class } };
+    }
+    return stats;
+  }
+
+  private recordSuppressed(cameraId: string, obj: DetectedObject, action: PrivacyAction, tsMs: number): void {
+    let audit = this.audit.get(cameraId);
+    if (!audit) {
+      audit = { dropped: 0, anonymized: 0, by_class: {}, last_suppressed_ts_ms: null };
+      this.audit.set(cameraId, audit);
+    }
+
+    if (action === 'drop') {
+      audit.dropped++;
+    } else {
+      audit.anonymized++;
+    }
+    audit.by_class[obj.class] = (audit.by_class[obj.class] ?? 0) + 1;
+    audit.last_suppressed_ts_ms = tsMs;
+  }
+
+  private async persist(): Promise<void> {
+    if (!this.storePath) return;
+    await writeFile(this.storePath, JSON.stringify(this.listMasks(), null, 2));
+  }
+}
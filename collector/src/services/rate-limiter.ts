@@ -0,0 +1,142 @@
+import pino from 'pino';
+
+const logger = pino({ name: 'rate-limiter' });
+
+export interface RateLimits {
+  /** Limits are per second; 0 or unset means unlimited. */
+  cameraFramesPerSecond?: number;
+  cameraEventsPerSecond?: number;
+  globalFramesPerSecond?: number;
+  globalEventsPerSecond?: number;
+}
+
+export type RateLimitScope = 'camera' | 'global';
+export type RateLimitKind = 'frames' | 'events';
+
+export type RateLimitDecision =
+  | { allowed: true }
+  | { allowed: false; scope: RateLimitScope; limit: RateLimitKind; retry_after_ms: number };
+
+export interface CameraRateLimitStats {
+  frames_limited: number;
+  last_limited_ts_ms: number | null;
+}
+
+// Holds up to one second of tokens, so short bursts at the limit pass.
+class TokenBucket {
+  private tokens: number;
+  private updatedAt: number;
+
+  constructor(private ratePerSecond: number, now: number) {
+    this.tokens = ratePerSecond;
+    this.updatedAt = now;
+  }
+
+  /** Milliseconds until `amount` tokens are available; 0 when they already are. */
+  waitMs(amount: number, now: number): number {
+    this.refill(now);
+    // A single frame larger than the bucket passes once the bucket is full.
+    const needed = Math.min(amount, this.ratePerSecond);
+    return needed <= this.tokens ? 0 : Math.ceil(((needed - this.tokens) / this.ratePerSecond) * 1000);
+  }
+
+  take(amount: number): void {
+    this.tokens = Math.max(0, this.tokens - amount);
+  }
+
+  private refill(now: number): void {
+    this.tokens = Math.min(this.ratePerSecond, this.tokens + ((now - this.updatedAt) / 1000) * this.ratePerSecond);
+    this.updatedAt = now;
+  }
+}
+
+interface BucketCheck {
+  bucket: TokenBucket;
+  amount: number;
+  scope: RateLimitScope;
+  limit: RateLimitKind;
+}
+
+/**
+ * Token-bucket limits on frames and detected objects, per camera and across
+ * the collector. A frame consumes from every bucket only when all of them
+ * have room, so a refused frame costs nothing.
+ */
+export class RateLimiter {
+  private cameraFrames = new Map<string, TokenBucket>();
+  private cameraEvents = new Map<string, TokenBucket>();
+  private globalFrames?: TokenBucket;
+  private globalEvents?: TokenBucket;
+  private stats = new Map<string, CameraRateLimitStats>();
+  private limits: RateLimits;
+
+  constructor(limits: RateLimits = {}) {
+    this.limits = limits;
+    const now = Date.now();
+
+    if (limits.globalFramesPerSecond) this.globalFrames = new TokenBucket(limits.globalFramesPerSecond, now);
+    if (limits.globalEventsPerSecond) this.globalEvents = new TokenBucket(limits.globalEventsPerSecond, now);
+  }
+
+  isEnabled(): boolean {
+    return Object.values(this.limits).some(limit => Boolean(limit));
+  }
+
+  check(cameraId: string | undefined, eventCount: number, now: number = Date.now()): RateLimitDecision {
+    const checks: BucketCheck[] = [];
+
+    if (cameraId && this.limits.cameraFramesPerSecond) {
+      checks.push({ bucket: this.bucketFor(this.cameraFrames, cameraId, this.limits.cameraFramesPerSecond, now), amount: 1, scope: 'camera', limit: 'frames' });
+    }
+    if (cameraId && this.limits.cameraEventsPerSecond) {
+      checks.push({ bucket: this.bucketFor(this.cameraEvents, cameraId, this.limits.cameraEventsPerSecond, now), amount: eventCount, scope: 'camera', limit: 'events' });
+    }
+    if (this.globalFrames) {
+      checks.push({ bucket: this.globalFrames, amount: 1, scope: 'global', limit: 'frames' });
+    }
+    if (this.globalEvents) {
+      checks.push({ bucket: this.globalEvents, amount: eventCount, scope: 'global', limit: 'events' });
+    }
+
+    for (const { bucket, amount, scope, limit } of checks) {
+      const waitMs = bucket.waitMs(amount, now);
+      if (waitMs > 0) {
+        this.recordLimited(cameraId ?? 'unknown', now, scope, limit);
+        return { allowed: false, scope, limit, retry_after_ms: waitMs };
+      }
+    }
+
+    for (const { bucket, amount } of checks) {
+      bucket.take(amount);
+    }
+    return { allowed: true };
+  }
+
+  getLimits(): RateLimits {
+    return { ...this.limits };
+  }
+
+  getStats(): Record<string, CameraRateLimitStats> {
+    return Object.fromEntries(this.stats);
+  }
+
+  private bucketFor(buckets: Map<string, TokenBucket>, cameraId: string, rate: number, now: number): TokenBucket {
+    let bucket = buckets.get(cameraId);
+    if (!bucket) {
+      bucket = new TokenBucket(rate, now);
+      buckets.set(cameraId, bucket);
+    }
+    return bucket;
+  }
+
+  private recordLimited(cameraId: string, now: number, scope: RateLimitScope, limit: RateLimitKind): void {
+    const stats = this.stats.get(cameraId) ?? { frames_limited: 0, last_limited_ts_ms: null };
+    // Log the first refusal of a burst rather than every frame in it.
+    if (stats.last_limited_ts_ms === null || now - stats.last_limited_ts_ms > 5000) {
+      logger.warn({ cameraId, scope, limit }, 'Camera frames are being rate limited');
+    }
+    stats.frames_limited++;
+    stats.last_limited_ts_ms = now;
+    this.stats.set(cameraId, stats);
+  }
+}
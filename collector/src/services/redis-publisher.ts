@@ -1,15 +1,21 @@
 import { createClient } from 'redis';
 import pino from 'pino';
 import type { NormalizedEvent } from '../types/detection.js';
+import type { CameraGrid } from '../types/grid.js';
+import type { CameraStatus } from '../types/liveness.js';
+import type { EventTransport } from './event-transport.js';
 
 const logger = pino({ name: 'redis-publisher' });
 
-export class RedisPublisher {
+export class RedisPublisher implements EventTransport {
+  readonly name = 'redis';
   private client: any;
   private isConnected = false;
 
   constructor(redisUrl: string = 'redis://localhost:6379') {
-    this.client = createClient({ url: redisUrl });
+    // Fail fast while disconnected so the collector can spool to its outbox
+    // instead of waiting on the client's offline queue.
+    this.client = createClient({ url: redisUrl, disableOfflineQueue: true });
     
     this.client.on('error', (err) => {
       logger.error({ error: err }, 'Redis client error');
@@ -24,6 +30,11 @@ export class RedisPublisher {
       this.isConnected = true;
     });
 
+    this.client.on('reconnecting', () => {
+      logger.warn('Redis client reconnecting');
+      this.isConnected = false;
+    });
+
     this.client.on('end', () => {
       logger.info('Redis client disconnected');
       this.isConnected = false;
@@ -37,11 +48,16 @@ export class RedisPublisher {
   }
 
   async disconnect(): Promise<void> {
-    if (this.isConnected) {
+    // isOpen also covers a client that is mid-reconnect.
+    if (this.client.isOpen) {
       await this.client.disconnect();
     }
   }
 
+  isReady(): boolean {
+    return this.isConnected;
+  }
+
   async publishDetectionEvents(events: NormalizedEvent[]): Promise<void> {
     if (!this.isConnected) {
       throw new Error('Redis client not connected');
@@ -66,4 +82,58 @@ export class RedisPublisher {
       throw error;
     }
   }
+
+  async getQueueDepth(): Promise<number> {
+    if (!this.isConnected) {
+      throw new Error('Redis client not connected');
+    }
+
+    return this.client.zCard('detection:queue');
+  }
+
+  /**
+   * Late events bypass the detection queue; they are kept on a capped list for
+   * inspection and announced on a channel for anything that wants to replay them.
+   */
+  async publishLateEvents(events: NormalizedEvent[], watermarkTsMs: number): Promise<void> {
+    if (!this.isConnected) {
+      throw new Error('Redis client not connected');
+    }
+
+    const multi = this.client.multi();
+    for (const event of events) {
+      const payload = JSON.stringify({ source: 'collector', watermark_ts_ms: watermarkTsMs, received_at: Date.now(), event });
+      multi.publish('detection:late', payload);
+      multi.lPush('detection:late', payload);
+    }
+    multi.lTrim('detection:late', 0, 999);
+
+    await multi.exec();
+    logger.warn({ eventCount: events.length, watermarkTsMs }, 'Published late detection events');
+  }
+
+  async publishCameraGrid(collectorId: string, grid: CameraGrid): Promise<void> {
+    if (!this.isConnected) {
+      throw new Error('Redis client not connected');
+    }
+
+    // The manager reads this hash to size heatmaps per camera.
+    await this.client.hSet('camera:grids', `${collectorId}:${grid.camera_id}`, JSON.stringify({
+      width: grid.width,
+      height: grid.height,
+    }));
+
+    logger.info({ collectorId, cameraId: grid.camera_id, width: grid.width, height: grid.height }, 'Published camera grid');
+  }
+
+  async publishCameraStatus(status: CameraStatus): Promise<void> {
+    if (!this.isConnected) {
+      throw new Error('Redis client not connected');
+    }
+
+    // The hash holds the latest status for the manager; the channel announces changes.
+    const payload = JSON.stringify(status);
+    await this.client.hSet('camera:status', `${status.collector_id}:${status.camera_id}`, payload);
+    await this.client.publish('camera:status', payload);
+  }
 }
\ No newline at end of file
@@ -0,0 +1,240 @@
+import { v4 as uuidv4 } from 'uuid';
+import pino from 'pino';
+import type { CollectorService } from './collector.js';
+import { createRandom, type RandomSource } from '../utils/random.js';
+import type {
+  SimulationJob,
+  SimulationLimits,
+  SimulationRequest,
+  SimulationScenario,
+  SimulationStartResult,
+} from '../types/simulation.js';
+
+const logger = pino({ name: 'simulation-runner' });
+
+// Finished jobs kept around so their final counts can still be read.
+const MAX_FINISHED_JOBS = 50;
+
+const DEFAULT_LIMITS: SimulationLimits = {
+  maxConcurrentJobs: 4,
+  maxCamerasPerJob: 20,
+  maxDurationMs: 3600000,
+  maxFrameRate: 10,
+};
+
+interface RunningJob {
+  job: SimulationJob;
+  abort: AbortController;
+}
+
+function objectCountFor(scenario: SimulationScenario, progress: number, random: RandomSource): number {
+  const between = (min: number, max: number) => random.int(min, max);
+
+  switch (scenario) {
+    case 'busy':
+      return between(5, 15);
+    case 'sparse':
+      return between(0, 2);
+    case 'rush': {
+      // Builds to a peak halfway through the run, then tails off.
+      const peak = Math.round(12 * Math.sin(Math.PI * progress));
+      return between(1, 3) + peak;
+    }
+    case 'steady':
+    default:
+      return between(1, 5);
+  }
+}
+
+export function cancellableDelay(ms: number, signal: AbortSignal): Promise<void> {
+  return new Promise(resolve => {
+    const done = () => {
+      clearTimeout(timer);
+      signal.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal.addEventListener('abort', done, { once: true });
+  });
+}
+
+/**
+ * Runs simulated camera traffic as background jobs so a run can be watched
+ * and cancelled. Each tick generates one test frame per camera and pushes
+ * them through the collector's normal processing path.
+ */
+export class SimulationRunner {
+  private jobs = new Map<string, RunningJob>();
+  private limits: SimulationLimits;
+
+  constructor(private collectorService: CollectorService, limits: Partial<SimulationLimits> = {}) {
+    this.limits = { ...DEFAULT_LIMITS, ...limits };
+  }
+
+  start(request: SimulationRequest): SimulationStartResult {
+    const limitError = this.checkLimits(request);
+    if (limitError) {
+      return { started: false, reason: 'limit_exceeded', message: limitError };
+    }
+
+    const running = this.list().filter(job => job.status === 'running').length;
+    if (running >= this.limits.maxConcurrentJobs) {
+      return {
+        started: false,
+        reason: 'too_many_jobs',
+        message: `${running} simulations are already running, the limit is ${this.limits.maxConcurrentJobs}`,
+      };
+    }
+
+    const job: SimulationJob = {
+      simulation_id: uuidv4(),
+      status: 'running',
+      scenario: request.scenario,
+      camera_ids: [...new Set(request.camera_ids)],
+      duration_ms: request.duration_ms,
+      frame_rate: request.frame_rate,
+      seed: request.seed ?? null,
+      start_ts_ms: request.start_ts_ms ?? null,
+      progress: 0,
+      ticks_completed: 0,
+      ticks_planned: request.frame_count ?? Math.max(1, Math.floor((request.duration_ms / 1000) * request.frame_rate)),
+      frames_generated: 0,
+      objects_generated: 0,
+      frames_failed: 0,
+      created_at: Date.now(),
+      finished_at: null,
+      error: null,
+    };
+
+    const entry: RunningJob = { job, abort: new AbortController() };
+    this.jobs.set(job.simulation_id, entry);
+    this.pruneFinished();
+
+    logger.info({
+      simulationId: job.simulation_id,
+      scenario: job.scenario,
+      cameraIds: job.camera_ids,
+      ticks: job.ticks_planned,
+    }, 'Simulation started');
+
+    this.run(entry).catch(error => {
+      job.status = 'failed';
+      job.error = error instanceof Error ? error.message : String(error);
+      job.finished_at = Date.now();
+      logger.error({ error, simulationId: job.simulation_id }, 'Simulation failed');
+    });
+
+    return { started: true, job: { ...job } };
+  }
+
+  get(simulationId: string): SimulationJob | null {
+    const entry = this.jobs.get(simulationId);
+    return entry ? { ...entry.job } : null;
+  }
+
+  list(): SimulationJob[] {
+    return [...this.jobs.values()].map(entry => ({ ...entry.job }));
+  }
+
+  /** Returns the job as it stands; cancelling a finished job leaves it unchanged. */
+  cancel(simulationId: string): SimulationJob | null {
+    const entry = this.jobs.get(simulationId);
+    if (!entry) return null;
+
+    if (entry.job.status === 'running') {
+      entry.job.status = 'cancelled';
+      entry.job.finished_at = Date.now();
+      entry.abort.abort();
+      logger.info({ simulationId, ticksCompleted: entry.job.ticks_completed }, 'Simulation cancelled');
+    }
+
+    return { ...entry.job };
+  }
+
+  cancelAll(): void {
+    for (const simulationId of this.jobs.keys()) {
+      this.cancel(simulationId);
+    }
+  }
+
+  getLimits(): SimulationLimits {
+    return { ...this.limits };
+  }
+
+  private async run({ job, abort }: RunningJob): Promise<void> {
+    const intervalMs = 1000 / job.frame_rate;
+    const startedAt = Date.now();
+    const random = createRandom(job.seed ?? undefined);
+
+    for (let tick = 0; tick < job.ticks_planned && !abort.signal.aborted; tick++) {
+      // Ticks are scheduled from the start time so slow processing doesn't stretch the run.
+      const waitMs = startedAt + tick * intervalMs - Date.now();
+      if (waitMs > 0) {
+        await cancellableDelay(waitMs, abort.signal);
+        if (abort.signal.aborted) break;
+      }
+
+      const timestampMs = job.start_ts_ms === null ? Date.now() : job.start_ts_ms + Math.round(tick * intervalMs);
+      const frames = job.camera_ids.map(cameraId =>
+        this.collectorService.generateTestFrame(
+          cameraId,
+          objectCountFor(job.scenario, tick / job.ticks_planned, random),
+          { random, timestampMs }
+        )
+      );
+      job.frames_generated += frames.length;
+      job.objects_generated += frames.reduce((sum, frame) => sum + frame.objects.length, 0);
+
+      try {
+        // Start times may lie in the past, so these count as replayed.
+        await this.collectorService.processMultipleFrames(frames, 'replay');
+      } catch (error) {
+        job.frames_failed += frames.length;
+        logger.warn({ error, simulationId: job.simulation_id, tick }, 'Failed to process simulated frames');
+      }
+
+      job.ticks_completed = tick + 1;
+      job.progress = job.ticks_completed / job.ticks_planned;
+    }
+
+    if (job.status === 'running') {
+      job.status = 'completed';
+      job.finished_at = Date.now();
+      logger.info({
+        simulationId: job.simulation_id,
+        framesGenerated: job.frames_generated,
+        framesFailed: job.frames_failed,
+      }, 'Simulation completed');
+    }
+  }
+
+  private checkLimits(request: SimulationRequest): string | null {
+    const cameraCount = new Set(request.camera_ids).size;
+
+    if (cameraCount > this.limits.maxCamerasPerJob) {
+      return `At most ${this.limits.maxCamerasPerJob} cameras per simulation`;
+    }
+    if (request.duration_ms > this.limits.maxDurationMs) {
+      return `Duration is limited to ${this.limits.maxDurationMs}ms`;
+    }
+    if (request.frame_rate > this.limits.maxFrameRate) {
+      return `Frame rate is limited to ${this.limits.maxFrameRate} frames per second per camera`;
+    }
+    // frame_count sets how long the run lasts, so it is held to the same limit.
+    const frameCountMs = request.frame_count === undefined ? 0 : Math.round((request.frame_count / request.frame_rate) * 1000);
+    if (frameCountMs > this.limits.maxDurationMs) {
+      return `${request.frame_count} frames at ${request.frame_rate} per second run past the ${this.limits.maxDurationMs}ms duration limit`;
+    }
+
+    return null;
+  }
+
+  private pruneFinished(): void {
+    const finished = [...this.jobs.values()].filter(entry => entry.job.status !== 'running');
+
+    // Map iteration follows insertion order, so the oldest jobs go first.
+    for (const entry of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+      this.jobs.delete(entry.job.simulation_id);
+    }
+  }
+}
@@ -0,0 +1,259 @@
+import { v4 as uuidv4 } from 'uuid';
+import pino from 'pino';
+import type { CollectorService } from './collector.js';
+import { decodeStreamMessage, type FrameFormat } from '../utils/frame-codecs.js';
+import {
+  StreamClientMessageSchema,
+  type StreamErrorCode,
+  type StreamServerMessage,
+  type StreamSessionInfo,
+} from '../types/stream.js';
+
+const logger = pino({ name: 'stream-session' });
+
+export interface StreamFlowOptions {
+  highWaterMark?: number;
+  lowWaterMark?: number;
+  maxQueuedFrames?: number;
+}
+
+/** Text messages are always JSON; binary messages use the format the connection asked for. */
+export type StreamBinaryFormat = Exclude<FrameFormat, 'json'>;
+
+export interface StreamConnection {
+  remoteAddress?: string;
+  binaryFormat?: StreamBinaryFormat;
+  /** Set when the stream authenticated with an API key. */
+  apiKeyId?: string;
+  /** Cameras the connection may announce; any camera when unset. */
+  allowsCamera?: (cameraId: string) => boolean;
+}
+
+interface QueuedFrame {
+  seq?: number;
+  frame: unknown;
+}
+
+/**
+ * One gateway connection. Frames are processed in arrival order so a camera's
+ * events reach Redis in sequence; when publishing falls behind the queue grows
+ * and the gateway is asked to pause, and frames beyond the hard cap are refused.
+ */
+export class StreamSession {
+  readonly sessionId = uuidv4();
+  private cameraIds = new Set<string>();
+  private queue: QueuedFrame[] = [];
+  private draining = false;
+  private paused = false;
+  private closed = false;
+  private connectedAt = Date.now();
+  private framesReceived = 0;
+  private framesAcked = 0;
+  private framesFailed = 0;
+  private highWaterMark: number;
+  private lowWaterMark: number;
+  private maxQueuedFrames: number;
+
+  constructor(
+    private collectorId: string,
+    private collectorService: CollectorService,
+    private send: (message: StreamServerMessage) => void,
+    options: StreamFlowOptions = {},
+    private connection: StreamConnection = {}
+  ) {
+    this.highWaterMark = options.highWaterMark ?? 50;
+    this.lowWaterMark = Math.min(options.lowWaterMark ?? 10, this.highWaterMark);
+    this.maxQueuedFrames = Math.max(options.maxQueuedFrames ?? 200, this.highWaterMark);
+  }
+
+  handleMessage(data: string): void {
+    if (this.closed) return;
+
+    let parsed: unknown;
+    try {
+      parsed = JSON.parse(data);
+    } catch {
+      this.sendError('invalid_message', 'Message is not valid JSON');
+      return;
+    }
+
+    this.handleDecoded(parsed);
+  }
+
+  handleBinaryMessage(data: Buffer): void {
+    if (this.closed) return;
+
+    const { binaryFormat } = this.connection;
+    if (!binaryFormat) {
+      this.sendError('invalid_message', 'Binary messages need the stream opened with ?format=msgpack or ?format=protobuf');
+      return;
+    }
+
+    let decoded: unknown;
+    try {
+      decoded = decodeStreamMessage(binaryFormat, data);
+    } catch {
+      this.sendError('invalid_message', `Message is not a valid ${binaryFormat} stream message`);
+      return;
+    }
+
+    this.handleDecoded(decoded);
+  }
+
+  private handleDecoded(parsed: unknown): void {
+    const result = StreamClientMessageSchema.safeParse(parsed);
+    if (!result.success) {
+      this.sendError('invalid_message', result.error.issues.map(issue => issue.message).join('; '));
+      return;
+    }
+
+    const message = result.data;
+    if (message.type === 'hello') {
+      const { allowsCamera } = this.connection;
+      const denied = allowsCamera ? message.camera_ids.filter(cameraId => !allowsCamera(cameraId)) : [];
+      if (denied.length > 0) {
+        this.sendError('camera_not_allowed', `API key ${this.connection.apiKeyId} may not send frames for ${denied.join(', ')}`);
+        return;
+      }
+
+      for (const cameraId of message.camera_ids) {
+        this.cameraIds.add(cameraId);
+      }
+
+      logger.info({ sessionId: this.sessionId, cameraIds: [...this.cameraIds] }, 'Stream cameras announced');
+      this.send({
+        type: 'welcome',
+        session_id: this.sessionId,
+        collector_id: this.collectorId,
+        camera_ids: [...this.cameraIds],
+        max_queued_frames: this.maxQueuedFrames,
+      });
+      return;
+    }
+
+    this.enqueueFrame(message.seq, message.frame);
+  }
+
+  /** Drops queued frames; returns how many were never processed. */
+  close(): number {
+    this.closed = true;
+    const dropped = this.queue.length;
+    this.queue = [];
+
+    logger.info({
+      sessionId: this.sessionId,
+      framesReceived: this.framesReceived,
+      framesAcked: this.framesAcked,
+      droppedFrames: dropped,
+    }, 'Stream session closed');
+
+    return dropped;
+  }
+
+  getInfo(): StreamSessionInfo {
+    return {
+      session_id: this.sessionId,
+      remote_address: this.connection.remoteAddress,
+      binary_format: this.connection.binaryFormat,
+      api_key_id: this.connection.apiKeyId,
+      camera_ids: [...this.cameraIds],
+      connected_at: this.connectedAt,
+      frames_received: this.framesReceived,
+      frames_acked: this.framesAcked,
+      frames_failed: this.framesFailed,
+      queued_frames: this.queue.length,
+      paused: this.paused,
+    };
+  }
+
+  private enqueueFrame(seq: number | undefined, frame: unknown): void {
+    this.framesReceived++;
+
+    if (this.cameraIds.size === 0) {
+      this.failFrame('hello_required', 'Announce camera IDs with a hello message before streaming frames', seq, frame);
+      return;
+    }
+
+    const cameraId = readField(frame, 'camera_id');
+    if (cameraId && !this.cameraIds.has(cameraId)) {
+      this.failFrame('camera_not_announced', `Camera ${cameraId} was not announced on this stream`, seq, frame);
+      return;
+    }
+
+    if (this.queue.length >= this.maxQueuedFrames) {
+      this.failFrame('backpressure', 'Frame queue is full; resend after a resume message', seq, frame);
+      return;
+    }
+
+    this.queue.push({ seq, frame });
+
+    if (!this.paused && this.queue.length >= this.highWaterMark) {
+      this.paused = true;
+      logger.warn({ sessionId: this.sessionId, queuedFrames: this.queue.length }, 'Stream paused, publisher is falling behind');
+      this.send({ type: 'pause', queued_frames: this.queue.length });
+    }
+
+    void this.drain();
+  }
+
+  private async drain(): Promise<void> {
+    if (this.draining) return;
+    this.draining = true;
+
+    try {
+      while (!this.closed && this.queue.length > 0) {
+        const { seq, frame } = this.queue.shift()!;
+        await this.processFrame(seq, frame);
+
+        if (this.paused && this.queue.length <= this.lowWaterMark && !this.closed) {
+          this.paused = false;
+          this.send({ type: 'resume', queued_frames: this.queue.length });
+        }
+      }
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  private async processFrame(seq: number | undefined, frame: unknown): Promise<void> {
+    try {
+      const result = await this.collectorService.ingestFrame(frame);
+      if (this.closed) return;
+
+      if (result.status === 'rejected') {
+        this.framesFailed++;
+        this.send({
+          type: 'error',
+          code: 'invalid_frame',
+          message: 'Invalid camera frame',
+          seq,
+          frame_id: result.frame_id,
+          result,
+        });
+        return;
+      }
+
+      this.framesAcked++;
+      this.send({ type: 'ack', seq, ...result });
+    } catch (error) {
+      logger.error({ error, sessionId: this.sessionId, seq }, 'Failed to process streamed frame');
+      this.failFrame('processing_failed', 'Failed to process frame', seq, frame);
+    }
+  }
+
+  private failFrame(code: StreamErrorCode, message: string, seq: number | undefined, frame: unknown): void {
+    this.framesFailed++;
+    this.sendError(code, message, seq, readField(frame, 'frame_id'));
+  }
+
+  private sendError(code: StreamErrorCode, message: string, seq?: number, frameId?: string): void {
+    if (this.closed) return;
+    this.send({ type: 'error', code, message, seq, frame_id: frameId });
+  }
+}
+
+function readField(value: unknown, field: string): string | undefined {
+  if (typeof value !== 'object' || value === null) return undefined;
+  const fieldValue = (value as Record<string, unknown>)[field];
+  return typeof fieldValue === 'string' ? fieldValue : undefined;
+}
@@ -0,0 +1,75 @@
+import { z } from 'zod';
+
+// Scopes a key to every camera.
+export const ALL_CAMERAS = '*';
+
+export const ApiKeyCreateSchema = z.object({
+  name: z.string().min(1),
+  /** Cameras the key may send frames for; `*` allows any camera. */
+  camera_ids: z.array(z.string().min(1)).min(1),
+  /** Reject requests from this key unless they carry a valid HMAC signature. */
+  require_signature: z.boolean().default(false),
+  /** May send frames as replays (X-Frame-Source: replay), which keep their timestamps and aren't recorded. */
+  allow_replay: z.boolean().default(false),
+  expires_at: z.number().int().positive().optional(),
+});
+
+export const ApiKeyRotateSchema = z.object({
+  /** How long the old key keeps working, so senders can switch over. */
+  grace_period_ms: z.number().int().nonnegative().default(86400000),
+});
+
+export type ApiKeyCreateRequest = z.infer<typeof ApiKeyCreateSchema>;
+
+export interface StoredApiKey {
+  key_id: string;
+  name: string;
+  camera_ids: string[];
+  require_signature: boolean;
+  // Missing on keys stored before replay scopes existed.
+  allow_replay?: boolean;
+  /** Doubles as the HMAC signing key, so it is kept rather than hashed. */
+  secret: string;
+  created_at: number;
+  expires_at: number | null;
+  revoked_at: number | null;
+  /** Set on a rotated key to the key that replaced it. */
+  replaced_by: string | null;
+}
+
+export type ApiKeyStatus = 'active' | 'expiring' | 'expired' | 'revoked';
+
+export interface ApiKeyInfo extends Omit<StoredApiKey, 'secret'> {
+  status: ApiKeyStatus;
+  last_used_at: number | null;
+}
+
+/** Returned once, when a key is created or rotated; the token can't be read back later. */
+export interface IssuedApiKey {
+  key: ApiKeyInfo;
+  api_key: string;
+  replaced?: ApiKeyInfo;
+}
+
+export type AuthFailureReason =
+  | 'missing_key'
+  | 'invalid_key'
+  | 'expired_key'
+  | 'revoked_key'
+  | 'missing_signature'
+  | 'invalid_signature'
+  | 'stale_timestamp'
+  | 'replayed_signature';
+
+export interface AuthCredentials {
+  apiKey?: string;
+  /** Milliseconds since the epoch, as sent in X-Signature-Timestamp. */
+  timestamp?: string;
+  /** `sha256=<hex>` from X-Signature. */
+  signature?: string;
+  body?: Buffer;
+}
+
+export type AuthResult =
+  | { ok: true; key: ApiKeyInfo }
+  | { ok: false; reason: AuthFailureReason; message: string };
@@ -0,0 +1,52 @@
+import { z } from 'zod';
+import { BboxSchema } from './detection.js';
+
+// Calibrations map onto whatever grid the camera has in the grid registry.
+
+// Scales an image rectangle (the whole image unless `region` is set) onto the grid.
+export const RectCalibrationSchema = z.object({
+  type: z.literal('rect'),
+  image_width: z.number().positive(),
+  image_height: z.number().positive(),
+  region: BboxSchema.optional(),
+});
+
+// Row-major 3x3 image-to-floor homography; floor coordinates are in the same
+// units as floor_width/floor_height with the origin at the grid's top-left cell.
+export const HomographyCalibrationSchema = z.object({
+  type: z.literal('homography'),
+  matrix: z.array(z.number()).length(9),
+  floor_width: z.number().positive(),
+  floor_height: z.number().positive(),
+});
+
+export const CameraCalibrationSchema = z.discriminatedUnion('type', [
+  RectCalibrationSchema,
+  HomographyCalibrationSchema,
+]);
+
+export type RectCalibration = z.infer<typeof RectCalibrationSchema>;
+export type HomographyCalibration = z.infer<typeof HomographyCalibrationSchema>;
+export type CameraCalibration = z.infer<typeof CameraCalibrationSchema>;
+
+export interface StoredCalibration {
+  camera_id: string;
+  calibration: CameraCalibration;
+  updated_at: number;
+}
+
+export interface CellMismatch {
+  frame_id: string;
+  object_id?: string;
+  reported_cell: string;
+  computed_cell: string | null;
+  ts_ms: number;
+}
+
+export interface CalibrationCheckReport {
+  camera_id: string;
+  checked_objects: number;
+  mismatched_objects: number;
+  mismatch_rate: number;
+  recent_mismatches: CellMismatch[];
+}
@@ -1,23 +1,38 @@
 import { z } from 'zod';
 
-export const BboxSchema = z.tuple([z.number(), z.number(), z.number(), z.number()]);
+export const BboxSchema = z.tuple([
+  z.number(),
+  z.number(),
+  z.number().nonnegative(),
+  z.number().nonnegative(),
+]);
 
 export const DetectedObjectSchema = z.object({
-  object_id: z.string(),
-  class: z.string(),
+  // Optional when the collector's tracker is enabled; assigned from IoU tracks.
+  object_id: z.string().min(1).optional(),
+  class: z.string().min(1),
   confidence: z.number().min(0).max(1),
-  grid_cell_id: z.string(),
+  // Optional when the camera is calibrated; derived from the bbox foot point.
+  grid_cell_id: z.string().min(1).optional(),
   bbox: BboxSchema,
 });
 
 export const DetectionPayloadSchema = z.object({
   collector_id: z.string(),
-  camera_id: z.string(),
-  timestamp_ms: z.number(),
-  frame_id: z.string(),
+  camera_id: z.string().min(1),
+  timestamp_ms: z.number().int().nonnegative(),
+  frame_id: z.string().min(1),
   objects: z.array(DetectedObjectSchema),
 });
 
+export const CameraFrameSchema = DetectionPayloadSchema.omit({ collector_id: true });
+
+// Frame envelope with objects left unchecked, so each object can be validated
+// (and rejected) on its own in partial-accept mode.
+export const CameraFrameEnvelopeSchema = CameraFrameSchema.extend({
+  objects: z.array(z.unknown()),
+});
+
 export const NormalizedEventSchema = z.object({
   event_id: z.string(),
   collector_id: z.string(),
@@ -25,16 +40,49 @@ export const NormalizedEventSchema = z.object({
   object_id: z.string(),
   grid_cell_id: z.string(),
   ts_ms: z.number(),
+  class: z.string(),
+  confidence: z.number().min(0).max(1),
+  bbox: BboxSchema,
+  // Set when a privacy mask stripped the object's identity; object_id is then
+  // a placeholder and must not be used to follow the object.
+  anonymized: z.boolean().optional(),
+  // Set on events from replayed, imported or simulated frames, which may jump
+  // back in time and restart the camera's watermark.
+  replayed: z.boolean().optional(),
 });
 
 export type Bbox = z.infer<typeof BboxSchema>;
 export type DetectedObject = z.infer<typeof DetectedObjectSchema>;
 export type DetectionPayload = z.infer<typeof DetectionPayloadSchema>;
 export type NormalizedEvent = z.infer<typeof NormalizedEventSchema>;
+export type CameraFrame = z.infer<typeof CameraFrameSchema>;
+
+export type ValidationMode = 'strict' | 'partial';
+
+/**
+ * `live` frames come straight from a camera; `replay` frames are recorded,
+ * imported or simulated ones, which keep their timestamps, say nothing about
+ * the camera's clock and may restart its watermark.
+ */
+export type FrameSource = 'live' | 'replay';
+
+export interface FieldIssue {
+  field: string;
+  message: string;
+}
+
+export interface ObjectRejection {
+  index: number;
+  object_id?: string;
+  issues: FieldIssue[];
+}
 
-export interface CameraFrame {
-  camera_id: string;
-  frame_id: string;
-  timestamp_ms: number;
-  objects: DetectedObject[];
-}
\ No newline at end of file
+export interface FrameIngestResult {
+  status: 'processed' | 'partially_processed' | 'rejected' | 'already_processed' | 'sampled_out';
+  camera_id?: string;
+  frame_id?: string;
+  accepted_count: number;
+  rejected_count: number;
+  frame_errors: FieldIssue[];
+  rejected_objects: ObjectRejection[];
+}
@@ -0,0 +1,22 @@
+import { z } from 'zod';
+
+// Cell IDs carry two-digit coordinates and the UI draws every cell of a grid.
+export const MAX_GRID_DIMENSION = 100;
+
+export const GridSizeSchema = z.object({
+  width: z.number().int().positive().max(MAX_GRID_DIMENSION),
+  height: z.number().int().positive().max(MAX_GRID_DIMENSION),
+});
+
+export type GridSize = z.infer<typeof GridSizeSchema>;
+
+export interface CameraGrid extends GridSize {
+  camera_id: string;
+  configured: boolean;
+}
+
+/** A grid set through the API, kept in GRIDS_FILE across restarts. */
+export interface StoredCameraGrid extends GridSize {
+  camera_id: string;
+  updated_at: number;
+}
@@ -0,0 +1,99 @@
+import { z } from 'zod';
+import type { Bbox, FieldIssue } from './detection.js';
+
+export const AnnotationFormatSchema = z.enum(['mot', 'cvat']);
+
+// Query strings carry everything as text, so numbers are coerced.
+export const ImportRequestSchema = z.object({
+  format: AnnotationFormatSchema,
+  camera_id: z.string().min(1),
+  /** `process` feeds the frames through the collector, `file` returns them as JSONL for replay. */
+  mode: z.enum(['process', 'file']).default('process'),
+  /** Frame rate the footage was annotated at; spaces out the frame timestamps. */
+  frame_rate: z.coerce.number().positive().default(30),
+  /** Playback speed relative to the footage; 0 sends frames as fast as they are processed. */
+  speed: z.coerce.number().nonnegative().default(10),
+  /** Timestamp of the first frame; defaults to when the import starts. */
+  start_ts_ms: z.coerce.number().int().nonnegative().optional(),
+  /** `label=class` pairs, e.g. `1=worker,3=forklift` for MOT class IDs or CVAT labels. */
+  class_map: z.string().optional(),
+  /** Class for MOT rows without one (detection files use -1). */
+  default_class: z.string().min(1).default('worker'),
+  /** Image size for uncalibrated cameras; the whole image is then scaled onto the camera's grid. */
+  image_width: z.coerce.number().positive().optional(),
+  image_height: z.coerce.number().positive().optional(),
+  /** Prefix for frame IDs; defaults to the CVAT task name or the format. */
+  sequence: z.string().min(1).optional(),
+});
+
+export type AnnotationFormat = z.infer<typeof AnnotationFormatSchema>;
+export type ImportRequest = z.infer<typeof ImportRequestSchema>;
+
+export interface AnnotatedObject {
+  /** Annotation track ID; absent for untracked detections. */
+  track_id?: string;
+  /** MOT class ID or CVAT label, before class mapping; MOT files without a class column leave it out. */
+  label?: string;
+  confidence: number;
+  bbox: Bbox;
+}
+
+export interface AnnotatedFrame {
+  /** Frame number as written in the annotation file. */
+  frame: number;
+  objects: AnnotatedObject[];
+}
+
+export interface AnnotationSequence {
+  name?: string;
+  image_width?: number;
+  image_height?: number;
+  /** Sorted by frame number; frames without objects are kept so the timing is preserved. */
+  frames: AnnotatedFrame[];
+  /** Rows or boxes ignored by the format's own rules (MOT ignore flags, CVAT outside boxes). */
+  skipped_annotations: number;
+}
+
+export type AnnotationParseResult =
+  | { ok: true; sequence: AnnotationSequence }
+  | { ok: false; issues: FieldIssue[] };
+
+export interface ImportSummary {
+  camera_id: string;
+  format: AnnotationFormat;
+  frame_count: number;
+  object_count: number;
+  skipped_annotations: number;
+  /** Objects dropped because their label isn't mapped to a class. */
+  unmapped_objects: number;
+  /** Objects dropped because no grid cell could be assigned. */
+  unplaced_objects: number;
+  /** Objects without a track ID; they only produce events when the collector's tracker is on. */
+  untracked_objects: number;
+  first_ts_ms: number | null;
+  last_ts_ms: number | null;
+}
+
+export type ImportStatus = 'running' | 'completed' | 'cancelled' | 'failed';
+
+export interface ImportLimits {
+  maxConcurrentJobs: number;
+  maxFrames: number;
+}
+
+export interface ImportJob extends ImportSummary {
+  import_id: string;
+  status: ImportStatus;
+  speed: number;
+  /** Fraction of the frames sent so far, 0 to 1. */
+  progress: number;
+  frames_sent: number;
+  frames_failed: number;
+  created_at: number;
+  finished_at: number | null;
+  error: string | null;
+}
+
+export type ImportStartResult =
+  | { started: true; job: ImportJob }
+  | { started: false; reason: 'too_many_jobs'; message: string };
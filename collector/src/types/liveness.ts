@@ -0,0 +1,13 @@
+export type CameraLiveness = 'live' | 'degraded' | 'offline';
+
+export interface CameraStatus {
+  collector_id: string;
+  camera_id: string;
+  status: CameraLiveness;
+  last_frame_ts_ms: number | null;
+  /** Frames per second over the last 10 seconds. */
+  frame_rate: number;
+  changed_at: number;
+  /** Lets readers treat a status as stale if the collector stops reporting. */
+  offline_after_ms: number;
+}
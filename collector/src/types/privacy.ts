@@ -0,0 +1,45 @@
+import { z } from 'zod';
+
+// A point in image pixels.
+const ImagePointSchema = z.tuple([z.number(), z.number()]);
+
+export const PrivacyActionSchema = z.enum(['drop', 'anonymize']);
+
+// A detection is inside a mask when its grid cell is one of `cells` or its
+// bbox foot point (bottom centre) lies inside one of `polygons`.
+export const PrivacyMaskSchema = z.object({
+  name: z.string().min(1).optional(),
+  /**
+   * `drop` removes the detection; `anonymize` publishes it without an object_id,
+   * where it only appears in the manager's recent events, not in dwell or occupancy.
+   */
+  action: PrivacyActionSchema.default('drop'),
+  /** Classes the mask applies to; every class when omitted. */
+  classes: z.array(z.string().min(1)).min(1).optional(),
+  cells: z.array(z.string().min(1)).default([]),
+  polygons: z.array(z.array(ImagePointSchema).min(3)).default([]),
+}).refine(mask => mask.cells.length > 0 || mask.polygons.length > 0, {
+  message: 'A mask needs at least one cell or polygon',
+});
+
+export const CameraPrivacyMasksSchema = z.object({
+  masks: z.array(PrivacyMaskSchema).min(1),
+});
+
+export type PrivacyAction = z.infer<typeof PrivacyActionSchema>;
+export type PrivacyMask = z.infer<typeof PrivacyMaskSchema>;
+export type CameraPrivacyMasks = z.infer<typeof CameraPrivacyMasksSchema>;
+
+export interface StoredPrivacyMasks {
+  camera_id: string;
+  masks: PrivacyMask[];
+  updated_at: number;
+}
+
+export interface PrivacyAuditStats {
+  dropped: number;
+  anonymized: number;
+  /** Suppressed detections by class, across both actions. */
+  by_class: Record<string, number>;
+  last_suppressed_ts_ms: number | null;
+}
@@ -0,0 +1,24 @@
+export interface RecordingFile {
+  camera_id: string;
+  /** File name within the camera's recording directory. */
+  file: string;
+  bytes: number;
+  modified_at: number;
+}
+
+export interface CameraRecordingStats {
+  /** File currently being written; null until the camera's first frame. */
+  current_file: string | null;
+  current_bytes: number;
+  frames_recorded: number;
+}
+
+export interface RecorderStats {
+  dir: string;
+  max_file_bytes: number;
+  max_files_per_camera: number;
+  rotate_interval_ms: number;
+  frames_recorded: number;
+  write_errors: number;
+  cameras: Record<string, CameraRecordingStats>;
+}
@@ -0,0 +1,35 @@
+import { z } from 'zod';
+import type { GridSize } from './grid.js';
+
+export const CameraMetadataSchema = z.object({
+  display_name: z.string().optional(),
+  location: z.string().optional(),
+});
+
+/** Contents of CAMERAS_FILE, keyed by camera_id. */
+export const CameraMetadataFileSchema = z.record(CameraMetadataSchema);
+
+export type CameraMetadata = z.infer<typeof CameraMetadataSchema>;
+
+export interface CameraRegistration extends CameraMetadata {
+  camera_id: string;
+  grid_size: GridSize;
+}
+
+export interface CollectorRegistration {
+  collector_id: string;
+  display_name?: string;
+  location?: string;
+  url?: string;
+  heartbeat_interval_ms: number;
+  cameras: CameraRegistration[];
+}
+
+export interface RegistrationStats {
+  manager_url: string;
+  registered: boolean;
+  camera_count: number;
+  last_registered_ts_ms: number | null;
+  last_heartbeat_ts_ms: number | null;
+  last_error: string | null;
+}
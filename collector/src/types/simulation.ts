@@ -0,0 +1,55 @@
+import { z } from 'zod';
+import type { Seed } from '../utils/random.js';
+
+export const SimulationScenarioSchema = z.enum(['steady', 'busy', 'sparse', 'rush']);
+
+export const SimulationRequestSchema = z.object({
+  scenario: SimulationScenarioSchema.default('steady'),
+  camera_ids: z.array(z.string().min(1)).min(1),
+  duration_ms: z.number().int().positive(),
+  /** Frames per second generated for each camera. */
+  frame_rate: z.number().positive().default(1),
+  /** Frames generated for each camera; when set, it is used instead of working it out from duration_ms. */
+  frame_count: z.number().int().positive().optional(),
+  /** Makes the generated frames reproducible. */
+  seed: z.union([z.string(), z.number()]).optional(),
+  /** Stamps frames from this time instead of the wall clock; with a seed the frames are byte-identical across runs. */
+  start_ts_ms: z.number().int().nonnegative().optional(),
+});
+
+export type SimulationScenario = z.infer<typeof SimulationScenarioSchema>;
+export type SimulationRequest = z.infer<typeof SimulationRequestSchema>;
+
+export type SimulationStatus = 'running' | 'completed' | 'cancelled' | 'failed';
+
+export interface SimulationJob {
+  simulation_id: string;
+  status: SimulationStatus;
+  scenario: SimulationScenario;
+  camera_ids: string[];
+  duration_ms: number;
+  frame_rate: number;
+  seed: Seed | null;
+  start_ts_ms: number | null;
+  /** Fraction of the planned ticks that have run, 0 to 1. */
+  progress: number;
+  ticks_completed: number;
+  ticks_planned: number;
+  frames_generated: number;
+  objects_generated: number;
+  frames_failed: number;
+  created_at: number;
+  finished_at: number | null;
+  error: string | null;
+}
+
+export interface SimulationLimits {
+  maxConcurrentJobs: number;
+  maxCamerasPerJob: number;
+  maxDurationMs: number;
+  maxFrameRate: number;
+}
+
+export type SimulationStartResult =
+  | { started: true; job: SimulationJob }
+  | { started: false; reason: 'too_many_jobs' | 'limit_exceeded'; message: string };
@@ -0,0 +1,58 @@
+import { z } from 'zod';
+import type { FrameIngestResult } from './detection.js';
+
+export const StreamHelloSchema = z.object({
+  type: z.literal('hello'),
+  camera_ids: z.array(z.string().min(1)).min(1),
+});
+
+export const StreamFrameSchema = z.object({
+  type: z.literal('frame'),
+  seq: z.number().int().nonnegative().optional(),
+  frame: z.unknown(),
+});
+
+export const StreamClientMessageSchema = z.discriminatedUnion('type', [
+  StreamHelloSchema,
+  StreamFrameSchema,
+]);
+
+export type StreamClientMessage = z.infer<typeof StreamClientMessageSchema>;
+
+export type StreamErrorCode =
+  | 'invalid_message'
+  | 'hello_required'
+  | 'camera_not_announced'
+  | 'camera_not_allowed'
+  | 'unauthorized'
+  | 'invalid_frame'
+  | 'backpressure'
+  | 'processing_failed';
+
+export type StreamServerMessage =
+  | { type: 'welcome'; session_id: string; collector_id: string; camera_ids: string[]; max_queued_frames: number }
+  | ({ type: 'ack'; seq?: number } & FrameIngestResult)
+  | {
+      type: 'error';
+      code: StreamErrorCode;
+      message: string;
+      seq?: number;
+      frame_id?: string;
+      result?: FrameIngestResult;
+    }
+  | { type: 'pause'; queued_frames: number }
+  | { type: 'resume'; queued_frames: number };
+
+export interface StreamSessionInfo {
+  session_id: string;
+  remote_address?: string;
+  binary_format?: 'msgpack' | 'protobuf';
+  api_key_id?: string;
+  camera_ids: string[];
+  connected_at: number;
+  frames_received: number;
+  frames_acked: number;
+  frames_failed: number;
+  queued_frames: number;
+  paused: boolean;
+}
@@ -0,0 +1,232 @@
+import { XMLParser, XMLValidator } from 'fast-xml-parser';
+import type { FieldIssue } from '../types/detection.js';
+import type {
+  AnnotatedFrame,
+  AnnotatedObject,
+  AnnotationFormat,
+  AnnotationParseResult,
+  AnnotationSequence,
+} from '../types/import.js';
+
+// Enough to show what is wrong with a file without echoing all of it back.
+const MAX_PARSE_ISSUES = 20;
+
+/** MOT17/MOT20 ground-truth classes that are people; the rest are vehicles, distractors and occluders. */
+export const MOT_CLASS_MAP: Record<string, string> = {
+  '1': 'worker', // pedestrian
+  '2': 'worker', // person on vehicle
+  '7': 'worker', // static person
+};
+
+/** Parses a `label=class` list, e.g. `1=worker,3=forklift`. */
+export function parseClassMapSpec(spec: string): Record<string, string> {
+  const classMap: Record<string, string> = {};
+
+  for (const entry of spec.split(',').map(part => part.trim()).filter(Boolean)) {
+    const separator = entry.indexOf('=');
+    const label = entry.slice(0, separator).trim();
+    const className = entry.slice(separator + 1).trim();
+
+    if (separator <= 0 || !className) {
+      throw new Error(`Invalid class mapping "${entry}", expected label=class`);
+    }
+    classMap[label] = className;
+  }
+
+  return classMap;
+}
+
+/** Orders frames by number and fills gaps with empty frames, so replay keeps the footage's timing. */
+function toSequence(byFrame: Map<number, AnnotatedObject[]>, skipped: number, meta: Partial<AnnotationSequence> = {}): AnnotationSequence {
+  const numbers = [...byFrame.keys()].sort((a, b) => a - b);
+  const frames: AnnotatedFrame[] = [];
+
+  if (numbers.length > 0) {
+    for (let frame = numbers[0]; frame <= numbers[numbers.length - 1]; frame++) {
+      frames.push({ frame, objects: byFrame.get(frame) ?? [] });
+    }
+  }
+
+  return { ...meta, frames, skipped_annotations: skipped };
+}
+
+function addObject(byFrame: Map<number, AnnotatedObject[]>, frame: number, obj: AnnotatedObject): void {
+  const objects = byFrame.get(frame);
+  if (objects) {
+    objects.push(obj);
+  } else {
+    byFrame.set(frame, [obj]);
+  }
+}
+
+/**
+ * Parses MOT Challenge CSV: `frame,id,left,top,width,height,conf[,class,visibility]`
+ * for ground truth, or `frame,id,left,top,width,height,conf,x,y,z` for
+ * detections and tracker output. An ID of -1 means the row isn't tracked. In
+ * ground truth, conf is a 0/1 flag and rows flagged 0 are skipped.
+ */
+export function parseMotCsv(text: string): AnnotationParseResult {
+  const byFrame = new Map<number, AnnotatedObject[]>();
+  const issues: FieldIssue[] = [];
+  let skipped = 0;
+
+  const lines = text.split(/\r?\n/);
+  for (let index = 0; index < lines.length && issues.length < MAX_PARSE_ISSUES; index++) {
+    const line = lines[index].trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const field = `line ${index + 1}`;
+    const columns = line.split(',').map(column => column.trim());
+    if (columns.length < 6) {
+      issues.push({ field, message: `Expected at least 6 columns, got ${columns.length}` });
+      continue;
+    }
+
+    const [frame, id, left, top, width, height] = columns.slice(0, 6).map(Number);
+    const conf = columns.length > 6 ? Number(columns[6]) : 1;
+
+    if (![frame, id, left, top, width, height, conf].every(Number.isFinite)) {
+      issues.push({ field, message: 'Columns 1-7 must be numbers' });
+      continue;
+    }
+    if (!Number.isInteger(frame) || frame < 0) {
+      issues.push({ field, message: `Frame number must be a non-negative integer, got ${columns[0]}` });
+      continue;
+    }
+    if (width < 0 || height < 0) {
+      issues.push({ field, message: 'Box width and height must not be negative' });
+      continue;
+    }
+
+    if (conf === 0) {
+      skipped++;
+      continue;
+    }
+
+    addObject(byFrame, frame, {
+      track_id: id === -1 ? undefined : String(id),
+      // Only the 9-column ground-truth layout has a class column.
+      label: columns.length === 9 ? columns[7] : undefined,
+      // Detector scores outside 0-1 and the -1 placeholder of tracker output count as certain.
+      confidence: conf > 0 && conf <= 1 ? conf : 1,
+      bbox: [left, top, width, height],
+    });
+  }
+
+  if (issues.length > 0) {
+    return { ok: false, issues };
+  }
+  return { ok: true, sequence: toSequence(byFrame, skipped) };
+}
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  parseTagValue: false,
+  isArray: name => ['track', 'box', 'image'].includes(name),
+});
+
+interface CvatBox {
+  frame?: string;
+  label?: string;
+  outside?: string;
+  xtl?: string;
+  ytl?: string;
+  xbr?: string;
+  ybr?: string;
+}
+
+function readCvatBox(box: CvatBox, field: string, issues: FieldIssue[]): AnnotatedObject['bbox'] | null {
+  const [xtl, ytl, xbr, ybr] = [box.xtl, box.ytl, box.xbr, box.ybr].map(Number);
+
+  if (![xtl, ytl, xbr, ybr].every(Number.isFinite) || xbr < xtl || ybr < ytl) {
+    issues.push({ field, message: 'Box needs numeric xtl, ytl, xbr, ybr with xbr >= xtl and ybr >= ytl' });
+    return null;
+  }
+  return [xtl, ytl, xbr - xtl, ybr - ytl];
+}
+
+/**
+ * Parses CVAT XML in either export flavour: "for video" (tracks of per-frame
+ * boxes, so objects keep their track ID) or "for images" (boxes per image,
+ * untracked). Boxes marked outside are where a track has left the view and are
+ * skipped. Shapes other than boxes are ignored.
+ */
+export function parseCvatXml(text: string): AnnotationParseResult {
+  const valid = XMLValidator.validate(text);
+  if (valid !== true) {
+    return { ok: false, issues: [{ field: `line ${valid.err.line}`, message: valid.err.msg }] };
+  }
+
+  const annotations = xmlParser.parse(text)?.annotations;
+  if (!annotations || typeof annotations !== 'object') {
+    return { ok: false, issues: [{ field: 'annotations', message: 'Missing <annotations> root element' }] };
+  }
+
+  const byFrame = new Map<number, AnnotatedObject[]>();
+  const issues: FieldIssue[] = [];
+  let skipped = 0;
+
+  const tracks: Array<{ id?: string; label?: string; box?: CvatBox[] }> = annotations.track ?? [];
+  for (const track of tracks) {
+    for (const box of track.box ?? []) {
+      if (issues.length >= MAX_PARSE_ISSUES) break;
+      const field = `track ${track.id} frame ${box.frame}`;
+      const frame = Number(box.frame);
+
+      if (!Number.isInteger(frame) || frame < 0) {
+        issues.push({ field, message: 'Box needs a non-negative integer frame' });
+        continue;
+      }
+      if (box.outside === '1') {
+        skipped++;
+        continue;
+      }
+
+      const bbox = readCvatBox(box, field, issues);
+      if (bbox) {
+        addObject(byFrame, frame, { track_id: track.id, label: track.label, confidence: 1, bbox });
+      }
+    }
+  }
+
+  const images: Array<{ id?: string; width?: string; height?: string; box?: CvatBox[] }> = annotations.image ?? [];
+  for (const image of images) {
+    const frame = Number(image.id);
+    if (!Number.isInteger(frame) || frame < 0) {
+      issues.push({ field: `image ${image.id}`, message: 'Image needs a non-negative integer id' });
+      continue;
+    }
+
+    // Listed images without boxes still count as frames.
+    if (!byFrame.has(frame)) byFrame.set(frame, []);
+
+    for (const [index, box] of (image.box ?? []).entries()) {
+      if (issues.length >= MAX_PARSE_ISSUES) break;
+      const bbox = readCvatBox(box, `image ${image.id} box ${index}`, issues);
+      if (bbox) {
+        addObject(byFrame, frame, { label: box.label, confidence: 1, bbox });
+      }
+    }
+  }
+
+  if (issues.length > 0) {
+    return { ok: false, issues };
+  }
+
+  // Newer CVAT versions export per-job metadata instead of per-task.
+  const meta = annotations.meta?.task ?? annotations.meta?.job;
+  const size = meta?.original_size ?? images[0];
+  return {
+    ok: true,
+    sequence: toSequence(byFrame, skipped, {
+      name: typeof meta?.name === 'string' ? meta.name : undefined,
+      image_width: Number(size?.width) || undefined,
+      image_height: Number(size?.height) || undefined,
+    }),
+  };
+}
+
+export function parseAnnotations(format: AnnotationFormat, text: string): AnnotationParseResult {
+  return format === 'cvat' ? parseCvatXml(text) : parseMotCsv(text);
+}
@@ -0,0 +1,97 @@
+import { fileURLToPath } from 'url';
+import { decode as decodeMsgpack, encode as encodeMsgpack } from '@msgpack/msgpack';
+import protobuf from 'protobufjs';
+import type { CameraFrame } from '../types/detection.js';
+import type { StreamClientMessage as StreamMessage } from '../types/stream.js';
+
+export type FrameFormat = 'json' | 'msgpack' | 'protobuf';
+
+export const FRAME_FORMATS: FrameFormat[] = ['json', 'msgpack', 'protobuf'];
+
+/** Content types answered with each format; the first is the canonical one. */
+export const FRAME_CONTENT_TYPES: Record<FrameFormat, string[]> = {
+  json: ['application/json'],
+  msgpack: ['application/x-msgpack', 'application/msgpack', 'application/vnd.msgpack'],
+  protobuf: ['application/x-protobuf', 'application/protobuf', 'application/vnd.google.protobuf'],
+};
+
+// Works from src/ under tsx and from dist/ once built, both two levels below the package.
+const PROTO_PATH = fileURLToPath(new URL('../../proto/camera_frame.proto', import.meta.url));
+const protoRoot = new protobuf.Root().loadSync(PROTO_PATH, { keepCase: true });
+const CameraFrameMessage = protoRoot.lookupType('vision_logistics.collector.v1.CameraFrame');
+const StreamClientMessage = protoRoot.lookupType('vision_logistics.collector.v1.StreamClientMessage');
+
+// Unset proto3 `optional` fields stay absent, as in JSON; plain scalars get
+// their zero value, since protobuf doesn't send those on the wire.
+const PROTO_TO_OBJECT: protobuf.IConversionOptions = { longs: Number, defaults: true, arrays: true };
+
+export function parseFrameFormat(value: string): FrameFormat {
+  const format = value.trim().toLowerCase();
+  if (!FRAME_FORMATS.includes(format as FrameFormat)) {
+    throw new Error(`Unknown frame format "${value}", expected json, msgpack or protobuf`);
+  }
+  return format as FrameFormat;
+}
+
+export function formatForContentType(contentType: string | undefined): FrameFormat | null {
+  const mediaType = (contentType ?? FRAME_CONTENT_TYPES.json[0]).split(';')[0].trim().toLowerCase();
+  return FRAME_FORMATS.find(format => FRAME_CONTENT_TYPES[format].includes(mediaType)) ?? null;
+}
+
+/**
+ * Turns a request body into a plain object for the frame validator. Bodies are
+ * only decoded here, not checked: a well-formed message that isn't a valid
+ * frame is rejected by the same zod schemas as JSON. Throws on bytes that
+ * can't be decoded at all.
+ */
+export function decodeFrame(format: FrameFormat, body: Buffer | string): unknown {
+  switch (format) {
+    case 'msgpack':
+      return decodeMsgpack(body as Buffer);
+    case 'protobuf':
+      return CameraFrameMessage.toObject(CameraFrameMessage.decode(body as Buffer), PROTO_TO_OBJECT);
+    case 'json':
+    default:
+      return JSON.parse(body.toString());
+  }
+}
+
+export function encodeFrame(format: FrameFormat, frame: CameraFrame): Buffer {
+  switch (format) {
+    case 'msgpack':
+      return Buffer.from(encodeMsgpack(frame));
+    case 'protobuf':
+      return Buffer.from(CameraFrameMessage.encode(CameraFrameMessage.fromObject(frame)).finish());
+    case 'json':
+    default:
+      return Buffer.from(JSON.stringify(frame));
+  }
+}
+
+/** Encodes a stream message from its JSON form, as a gateway would send it. */
+export function encodeStreamMessage(format: Exclude<FrameFormat, 'json'>, message: StreamMessage): Buffer {
+  if (format === 'msgpack') {
+    return Buffer.from(encodeMsgpack(message));
+  }
+
+  const { type, ...body } = message;
+  return Buffer.from(StreamClientMessage.encode(StreamClientMessage.fromObject({ [type]: body })).finish());
+}
+
+/** Decodes a binary stream message into the same shape as its JSON form. */
+export function decodeStreamMessage(format: Exclude<FrameFormat, 'json'>, data: Buffer): unknown {
+  if (format === 'msgpack') {
+    return decodeMsgpack(data);
+  }
+
+  const message = StreamClientMessage.toObject(StreamClientMessage.decode(data), PROTO_TO_OBJECT);
+
+  if (message.hello) {
+    return { type: 'hello', ...message.hello };
+  }
+  if (message.frame) {
+    return { type: 'frame', ...message.frame };
+  }
+
+  throw new Error('Stream message has neither hello nor frame set');
+}
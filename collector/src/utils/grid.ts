@@ -0,0 +1,21 @@
+import { GridSizeSchema, type GridSize } from '../types/grid.js';
+
+export { DEFAULT_GRID_SIZE, formatGridCellId, parseGridCellId } from '@vision-logistics/shared/grid.js';
+
+/**
+ * Parses a `camera=WIDTHxHEIGHT` list, e.g. `cam-loading-dock=40x10,cam-storage-A=12x12`.
+ */
+export function parseCameraGridSpec(spec: string): Record<string, GridSize> {
+  const grids: Record<string, GridSize> = {};
+
+  for (const entry of spec.split(',').map(part => part.trim()).filter(Boolean)) {
+    const match = entry.match(/^([^=]+)=(\d+)x(\d+)$/);
+    const grid = match && GridSizeSchema.safeParse({ width: parseInt(match[2]), height: parseInt(match[3]) });
+    if (!match || !grid?.success) {
+      throw new Error(`Invalid camera grid entry: ${entry}`);
+    }
+    grids[match[1].trim()] = grid.data;
+  }
+
+  return grids;
+}
@@ -0,0 +1,49 @@
+export type Seed = string | number;
+
+export interface RandomSource {
+  /** Uniform in [0, 1). */
+  next(): number;
+  /** Integer in [min, max], both inclusive. */
+  int(min: number, max: number): number;
+  pick<T>(items: readonly T[]): T;
+  hex(length: number): string;
+}
+
+// xmur3: folds an arbitrary string seed into a 32-bit state.
+function hashSeed(seed: string): number {
+  let hash = 1779033703 ^ seed.length;
+  for (let i = 0; i < seed.length; i++) {
+    hash = Math.imul(hash ^ seed.charCodeAt(i), 3432918353);
+    hash = (hash << 13) | (hash >>> 19);
+  }
+  hash = Math.imul(hash ^ (hash >>> 16), 2246822507);
+  hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+  return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+// mulberry32: small and fast, plenty for test data.
+function mulberry32(state: number): () => number {
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Random source for generated test data. With a seed the sequence is fully
+ * reproducible; without one it falls back to Math.random. The same algorithm
+ * lives in scripts/seeded-random.js so the generator CLIs agree with it.
+ */
+export function createRandom(seed?: Seed): RandomSource {
+  const next = seed === undefined ? Math.random : mulberry32(hashSeed(String(seed)));
+
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: items => items[Math.floor(next() * items.length)],
+    hex: length => Array.from({ length }, () => Math.floor(next() * 16).toString(16)).join(''),
+  };
+}
@@ -0,0 +1,136 @@
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { ANONYMOUS_OBJECT_ID, CollectorService } from '../src/services/collector.js';
+import { ClockSkewEstimator } from '../src/services/clock-skew.js';
+import { FrameRecorder } from '../src/services/frame-recorder.js';
+import { IouTracker } from '../src/services/iou-tracker.js';
+import type { RedisPublisher } from '../src/services/redis-publisher.js';
+import type { CameraFrame } from '../src/types/detection.js';
+import { FakePublisher } from './fakes.js';
+
+function frame(frameId: string, timestampMs: number): CameraFrame {
+  return {
+    camera_id: 'cam-1',
+    frame_id: frameId,
+    timestamp_ms: timestampMs,
+    objects: [{ object_id: 'obj-1', class: 'worker', confidence: 0.9, grid_cell_id: 'G_01_02', bbox: [10, 20, 30, 40] }],
+  };
+}
+
+describe('CollectorService ingest sources', () => {
+  let publisher: FakePublisher;
+  let clockSkew: ClockSkewEstimator;
+  let recordingDir: string;
+  let recorder: FrameRecorder;
+  let service: CollectorService;
+
+  beforeEach(async () => {
+    publisher = new FakePublisher();
+    clockSkew = new ClockSkewEstimator({ smoothing: 1, correct: true });
+    recordingDir = await mkdtemp(join(tmpdir(), 'collector-recordings-'));
+    recorder = new FrameRecorder(recordingDir);
+    service = new CollectorService('collector-test', publisher as unknown as RedisPublisher, { clockSkew, recorder });
+    await service.start();
+  });
+
+  afterEach(async () => {
+    await service.stop();
+    await recorder.flush();
+    await rm(recordingDir, { recursive: true, force: true });
+  });
+
+  it('skew corrects live frames only', async () => {
+    const recordedTsMs = Date.now() - 60 * 60 * 1000;
+
+    await service.ingestFrame(frame('f-1', recordedTsMs), 'strict', 'replay');
+    expect(clockSkew.getSkew('cam-1')).toBeNull();
+    expect(publisher.events[0].ts_ms).toBe(recordedTsMs);
+
+    const liveTsMs = Date.now() - 5000;
+    await service.ingestFrame(frame('f-2', liveTsMs));
+    expect(clockSkew.getSkew('cam-1')?.samples).toBe(1);
+    expect(publisher.events[1].ts_ms).toBeGreaterThanOrEqual(liveTsMs + 5000);
+  });
+
+  it('marks events from replayed frames so only they may restart watermarks', async () => {
+    await service.ingestFrame(frame('f-1', Date.now() - 60 * 60 * 1000), 'strict', 'replay');
+    await service.ingestFrame(frame('f-2', Date.now()));
+
+    expect(publisher.events[0].replayed).toBe(true);
+    expect(publisher.events[1].replayed).toBeUndefined();
+  });
+
+  it('records live frames only', async () => {
+    await service.ingestFrame(frame('f-1', Date.now()), 'strict', 'replay');
+    await service.processCameraFrame(frame('f-2', Date.now()), 'replay');
+    expect(recorder.getStats().frames_recorded).toBe(0);
+
+    await service.ingestFrame(frame('f-3', Date.now()));
+    await recorder.flush();
+    expect(recorder.getStats().frames_recorded).toBe(1);
+  });
+
+  it('never records objects covered by a privacy mask', async () => {
+    await service.getPrivacyMasks().setMasks('cam-1', [
+      { action: 'drop', cells: ['G_01_01'], polygons: [] },
+      { action: 'anonymize', cells: ['G_02_02'], polygons: [] },
+    ]);
+
+    await service.ingestFrame({
+      ...frame('f-1', Date.now()),
+      objects: [
+        { object_id: 'obj-dropped', class: 'worker', confidence: 0.9, grid_cell_id: 'G_01_01', bbox: [10, 20, 30, 40] },
+        { object_id: 'obj-anonymized', class: 'worker', confidence: 0.9, grid_cell_id: 'G_02_02', bbox: [50, 60, 30, 40] },
+        { object_id: 'obj-visible', class: 'worker', confidence: 0.9, grid_cell_id: 'G_03_03', bbox: [90, 100, 30, 40] },
+      ],
+    });
+    await recorder.flush();
+
+    const [file] = await recorder.list('cam-1');
+    const lines = (await readFile(recorder.resolveFile('cam-1', file.file)!, 'utf8')).trim().split('\n');
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).not.toContain('obj-dropped');
+    expect(lines[0]).not.toContain('obj-anonymized');
+    expect(JSON.parse(lines[0]).objects).toEqual([
+      expect.objectContaining({ object_id: 'obj-visible', grid_cell_id: 'G_03_03' }),
+    ]);
+  });
+
+  it('leaves simulated frames alone', async () => {
+    const recordedTsMs = Date.now() - 60 * 60 * 1000;
+
+    await service.processCameraFrame(frame('f-1', recordedTsMs), 'replay');
+    expect(clockSkew.getSkew('cam-1')).toBeNull();
+    expect(publisher.events[0].ts_ms).toBe(recordedTsMs);
+  });
+});
+
+describe('CollectorService privacy masks', () => {
+  it('keeps masked detections out of the tracker', async () => {
+    const publisher = new FakePublisher();
+    const tracker = new IouTracker({ minHits: 1 });
+    const service = new CollectorService('collector-test', publisher as unknown as RedisPublisher, { tracker });
+    await service.start();
+    await service.getPrivacyMasks().setMasks('cam-1', [
+      { action: 'drop', cells: ['G_01_01'], polygons: [] },
+      { action: 'anonymize', cells: ['G_02_02'], polygons: [] },
+    ]);
+
+    await service.ingestFrame({
+      ...frame('f-1', Date.now()),
+      objects: [
+        { class: 'worker', confidence: 0.9, grid_cell_id: 'G_01_01', bbox: [10, 20, 30, 40] },
+        { class: 'worker', confidence: 0.9, grid_cell_id: 'G_02_02', bbox: [300, 20, 30, 40] },
+        { class: 'worker', confidence: 0.9, grid_cell_id: 'G_03_03', bbox: [600, 20, 30, 40] },
+      ],
+    });
+    await service.stop();
+
+    const tracks = tracker.getTracks('cam-1')['cam-1'];
+    expect(tracks).toHaveLength(1);
+    expect(tracks[0].bbox).toEqual([600, 20, 30, 40]);
+    expect(publisher.events.map(event => event.object_id).sort()).toEqual([ANONYMOUS_OBJECT_ID, tracks[0].track_id].sort());
+  });
+});
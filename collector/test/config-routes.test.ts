@@ -0,0 +1,101 @@
+import fastify, { type FastifyInstance } from 'fastify';
+import { afterEach, describe, expect, it } from 'vitest';
+import { calibrationRoutes } from '../src/routes/calibration.js';
+import { gridRoutes } from '../src/routes/grids.js';
+import { privacyRoutes } from '../src/routes/privacy.js';
+import { ApiKeyStore } from '../src/services/api-keys.js';
+import { CalibrationService } from '../src/services/calibration.js';
+import { CollectorService } from '../src/services/collector.js';
+import { GridRegistry } from '../src/services/grid-registry.js';
+import { IngestAuth } from '../src/services/ingest-auth.js';
+import { PrivacyMaskService } from '../src/services/privacy-masks.js';
+import type { RedisPublisher } from '../src/services/redis-publisher.js';
+import { FakePublisher } from './fakes.js';
+
+const ADMIN_KEY = 'admin-secret';
+
+const CHANGES = [
+  { method: 'PUT' as const, url: '/cameras/cam-1/calibration', payload: { type: 'rect', image_width: 1280, image_height: 960 } },
+  { method: 'DELETE' as const, url: '/cameras/cam-1/calibration' },
+  { method: 'PUT' as const, url: '/cameras/cam-1/privacy-masks', payload: { masks: [{ cells: ['G_01_01'], action: 'drop' }] } },
+  { method: 'DELETE' as const, url: '/cameras/cam-1/privacy-masks' },
+  { method: 'PUT' as const, url: '/cameras/cam-1/grid', payload: { width: 12, height: 12 } },
+];
+
+async function buildServer(authRequired: boolean, adminKey?: string, publisher = new FakePublisher()): Promise<FastifyInstance> {
+  const gridRegistry = new GridRegistry();
+  const calibrationService = new CalibrationService(gridRegistry);
+  const privacyMasks = new PrivacyMaskService(gridRegistry);
+  const collectorService = new CollectorService('collector-test', publisher as unknown as RedisPublisher, {
+    gridRegistry,
+    calibrationService,
+    privacyMasks,
+  });
+  const ingestAuth = new IngestAuth(new ApiKeyStore(), authRequired);
+
+  const server = fastify();
+  await server.register(calibrationRoutes, { calibrationService, ingestAuth, adminKey });
+  await server.register(privacyRoutes, { privacyMasks, ingestAuth, adminKey });
+  await server.register(gridRoutes, { collectorService, gridRegistry, ingestAuth, adminKey });
+  return server;
+}
+
+describe('camera config routes', () => {
+  let server: FastifyInstance | undefined;
+
+  afterEach(async () => {
+    await server?.close();
+    server = undefined;
+  });
+
+  it.each(CHANGES)('needs the admin key for $method $url once ingest auth is required', async change => {
+    server = await buildServer(true, ADMIN_KEY);
+
+    expect((await server.inject(change)).statusCode).toBe(401);
+    expect((await server.inject({ ...change, headers: { authorization: 'Bearer wrong-secret' } })).statusCode).toBe(401);
+
+    const authorized = await server.inject({ ...change, headers: { authorization: `Bearer ${ADMIN_KEY}` } });
+    expect([200, 404]).toContain(authorized.statusCode);
+  });
+
+  it('refuses config changes when auth is required but no admin key is set', async () => {
+    server = await buildServer(true);
+
+    const response = await server.inject({ ...CHANGES[0], headers: { authorization: `Bearer ${ADMIN_KEY}` } });
+    expect(response.statusCode).toBe(403);
+  });
+
+  it('leaves config reads open', async () => {
+    server = await buildServer(true, ADMIN_KEY);
+
+    expect((await server.inject({ method: 'GET', url: '/cameras/cam-1/grid' })).statusCode).toBe(200);
+    expect((await server.inject({ method: 'GET', url: '/calibrations' })).statusCode).toBe(200);
+    expect((await server.inject({ method: 'GET', url: '/privacy-masks' })).statusCode).toBe(200);
+  });
+
+  it('leaves config changes open while ingest auth is off', async () => {
+    server = await buildServer(false);
+
+    const response = await server.inject(CHANGES[4]);
+    expect(response.statusCode).toBe(200);
+    expect(response.json()).toMatchObject({ camera_id: 'cam-1', width: 12, height: 12 });
+  });
+
+  it('rejects grids too large to draw', async () => {
+    server = await buildServer(false);
+
+    const response = await server.inject({ method: 'PUT', url: '/cameras/cam-1/grid', payload: { width: 10000, height: 12 } });
+    expect(response.statusCode).toBe(400);
+    expect(response.json()).toMatchObject({ issues: [{ field: 'width' }] });
+    expect((await server.inject({ method: 'GET', url: '/cameras/cam-1/grid' })).json()).toMatchObject({ configured: false });
+  });
+
+  it('keeps the old grid when it cannot be published to the manager', async () => {
+    const publisher = new FakePublisher();
+    publisher.failing = true;
+    server = await buildServer(false, undefined, publisher);
+
+    expect((await server.inject(CHANGES[4])).statusCode).toBe(500);
+    expect((await server.inject({ method: 'GET', url: '/cameras/cam-1/grid' })).json()).toMatchObject({ configured: false });
+  });
+});
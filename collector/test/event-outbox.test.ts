@@ -0,0 +1,93 @@
+import { mkdtemp, readdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { EventOutbox, type OutboxBatch } from '../src/services/event-outbox.js';
+import type { NormalizedEvent } from '../src/types/detection.js';
+
+function event(index: number): NormalizedEvent {
+  return {
+    event_id: `evt-${index}`,
+    collector_id: 'collector-01',
+    camera_id: 'cam-1',
+    object_id: `obj-${index}`,
+    grid_cell_id: 'G_01_01',
+    ts_ms: 1000 + index,
+    class: 'worker',
+    confidence: 0.9,
+    bbox: [0, 0, 10, 10],
+  };
+}
+
+describe('EventOutbox', () => {
+  let dir: string;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'outbox-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('drops whole segments, oldest first, once past the cap', async () => {
+    const outbox = new EventOutbox(dir, { maxBytes: 2000, segmentBytes: 500 });
+    await outbox.load();
+
+    for (let i = 0; i < 40; i++) {
+      await outbox.append([event(i)]);
+    }
+
+    const stats = outbox.getStats();
+    expect(stats.bytes).toBeLessThanOrEqual(2000);
+    expect(stats.dropped_events + stats.depth).toBe(40);
+    expect((await readdir(dir)).length).toBe(stats.segments);
+
+    const replayed: string[] = [];
+    await outbox.replay(async batch => {
+      replayed.push(...batch.events.map(e => e.event_id));
+    });
+    // What survives is the newest events, still in order.
+    expect(replayed).toEqual(Array.from({ length: stats.depth }, (_, i) => `evt-${40 - stats.depth + i}`));
+    expect(await readdir(dir)).toEqual([]);
+  });
+
+  it('replays late events separately and in order with the rest', async () => {
+    const outbox = new EventOutbox(dir);
+    await outbox.append([event(1), event(2)]);
+    await outbox.append([event(3)], 5000);
+    await outbox.append([event(4)]);
+
+    const batches: OutboxBatch[] = [];
+    await outbox.replay(async batch => {
+      batches.push(batch);
+    });
+
+    expect(batches.map(batch => [batch.events.map(e => e.event_id), batch.watermarkTsMs])).toEqual([
+      [['evt-1', 'evt-2'], undefined],
+      [['evt-3'], 5000],
+      [['evt-4'], undefined],
+    ]);
+  });
+
+  it('keeps unpublished events across a failed replay and a restart', async () => {
+    const outbox = new EventOutbox(dir, { replayBatchSize: 2 });
+    await outbox.append([event(1), event(2), event(3), event(4)]);
+
+    let calls = 0;
+    const published = await outbox.replay(async () => {
+      if (++calls > 1) throw new Error('Redis client not connected');
+    });
+    expect(published).toBe(2);
+
+    const reloaded = new EventOutbox(dir);
+    await reloaded.load();
+    expect(reloaded.depth).toBe(2);
+
+    const replayed: string[] = [];
+    await reloaded.replay(async batch => {
+      replayed.push(...batch.events.map(e => e.event_id));
+    });
+    expect(replayed).toEqual(['evt-3', 'evt-4']);
+  });
+});
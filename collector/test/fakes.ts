@@ -0,0 +1,28 @@
+import type { NormalizedEvent } from '../src/types/detection.js';
+import type { CameraGrid } from '../src/types/grid.js';
+
+/** Stands in for RedisPublisher, which is also the default event transport. */
+export class FakePublisher {
+  readonly name = 'redis';
+  events: NormalizedEvent[] = [];
+  grids: CameraGrid[] = [];
+  /** Makes every publish fail, as when Redis is down. */
+  failing = false;
+
+  async connect(): Promise<void> {}
+  async disconnect(): Promise<void> {}
+  isReady(): boolean {
+    return true;
+  }
+  async publishCameraGrid(collectorId: string, grid: CameraGrid): Promise<void> {
+    if (this.failing) throw new Error('Redis is down');
+    this.grids.push(grid);
+  }
+  async publishDetectionEvents(events: NormalizedEvent[]): Promise<void> {
+    if (this.failing) throw new Error('Redis is down');
+    this.events.push(...events);
+  }
+  async publishLateEvents(): Promise<void> {
+    if (this.failing) throw new Error('Redis is down');
+  }
+}
@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import { CameraFrameSchema, type CameraFrame } from '../src/types/detection.js';
+import { StreamClientMessageSchema } from '../src/types/stream.js';
+import {
+  decodeFrame,
+  decodeStreamMessage,
+  encodeFrame,
+  encodeStreamMessage,
+  formatForContentType,
+  FRAME_CONTENT_TYPES,
+  FRAME_FORMATS,
+} from '../src/utils/frame-codecs.js';
+
+const FRAME: CameraFrame = {
+  camera_id: 'cam-1',
+  frame_id: 'f-1',
+  // Past 2^32, so protobuf's int64 has to come back as a plain number.
+  timestamp_ms: 1_760_000_000_123,
+  objects: [
+    { object_id: 'obj-1', class: 'pallet', confidence: 0.875, grid_cell_id: 'G_03_04', bbox: [10.5, 20, 30, 40.25] },
+    // Tracked and calibrated cameras leave these unset.
+    { class: 'worker', confidence: 0.5, bbox: [1, 2, 3, 4] },
+  ],
+};
+
+describe('frame codecs', () => {
+  it.each(FRAME_FORMATS)('round-trips a frame through %s', format => {
+    const decoded = decodeFrame(format, encodeFrame(format, FRAME));
+    expect(CameraFrameSchema.parse(decoded)).toEqual(FRAME);
+  });
+
+  it.each(FRAME_FORMATS)('round-trips an empty frame through %s', format => {
+    const empty: CameraFrame = { camera_id: 'cam-1', frame_id: 'f-2', timestamp_ms: 0, objects: [] };
+    expect(CameraFrameSchema.parse(decodeFrame(format, encodeFrame(format, empty)))).toEqual(empty);
+  });
+
+  it.each(['msgpack', 'protobuf'] as const)('round-trips stream messages through %s', format => {
+    const hello = { type: 'hello' as const, camera_ids: ['cam-1', 'cam-2'] };
+    expect(StreamClientMessageSchema.parse(decodeStreamMessage(format, encodeStreamMessage(format, hello)))).toEqual(hello);
+
+    const decoded = StreamClientMessageSchema.parse(
+      decodeStreamMessage(format, encodeStreamMessage(format, { type: 'frame', seq: 7, frame: FRAME }))
+    );
+    expect(decoded).toMatchObject({ type: 'frame', seq: 7 });
+    expect(decoded.type === 'frame' && CameraFrameSchema.parse(decoded.frame)).toEqual(FRAME);
+  });
+
+  it('throws on bytes that are not the named format', () => {
+    expect(() => decodeFrame('msgpack', Buffer.from([0xc1]))).toThrow();
+    expect(() => decodeFrame('protobuf', Buffer.from([0xff, 0xff, 0xff]))).toThrow();
+  });
+
+  it('maps content types to formats', () => {
+    for (const format of FRAME_FORMATS) {
+      for (const contentType of FRAME_CONTENT_TYPES[format]) {
+        expect(formatForContentType(`${contentType.toUpperCase()}; charset=utf-8`)).toBe(format);
+      }
+    }
+    expect(formatForContentType(undefined)).toBe('json');
+    expect(formatForContentType('text/csv')).toBeNull();
+  });
+});
@@ -0,0 +1,177 @@
+import fastify, { type FastifyInstance } from 'fastify';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { framesRoutes } from '../src/routes/frames.js';
+import { ApiKeyStore } from '../src/services/api-keys.js';
+import { ClockSkewEstimator } from '../src/services/clock-skew.js';
+import { CollectorService } from '../src/services/collector.js';
+import { IngestAuth } from '../src/services/ingest-auth.js';
+import { CollectorMetrics } from '../src/services/metrics.js';
+import { RateLimiter } from '../src/services/rate-limiter.js';
+import type { RedisPublisher } from '../src/services/redis-publisher.js';
+import type { CameraFrame } from '../src/types/detection.js';
+import { encodeFrame, FRAME_CONTENT_TYPES, type FrameFormat } from '../src/utils/frame-codecs.js';
+import { FakePublisher } from './fakes.js';
+
+function frame(frameId: string): CameraFrame {
+  return {
+    camera_id: 'cam-1',
+    frame_id: frameId,
+    timestamp_ms: Date.now(),
+    objects: [{ object_id: 'obj-1', class: 'worker', confidence: 0.9, grid_cell_id: 'G_01_02', bbox: [10, 20, 30, 40] }],
+  };
+}
+
+const CASES = (Object.entries(FRAME_CONTENT_TYPES) as [FrameFormat, string[]][])
+  .flatMap(([format, contentTypes]) => contentTypes.map(contentType => ({ format, contentType })));
+
+describe('POST /frames content negotiation', () => {
+  let publisher: FakePublisher;
+  let service: CollectorService;
+  let server: FastifyInstance;
+
+  beforeEach(async () => {
+    publisher = new FakePublisher();
+    service = new CollectorService('collector-test', publisher as unknown as RedisPublisher);
+    await service.start();
+
+    server = fastify();
+    await server.register(framesRoutes, {
+      collectorService: service,
+      ingestAuth: new IngestAuth(new ApiKeyStore(), false),
+      rateLimiter: new RateLimiter(),
+      metrics: new CollectorMetrics(),
+    });
+  });
+
+  afterEach(async () => {
+    await server.close();
+    await service.stop();
+  });
+
+  it.each(CASES)('accepts $format bodies sent as $contentType', async ({ format, contentType }) => {
+    const sent = frame(`f-${format}`);
+    const response = await server.inject({
+      method: 'POST',
+      url: '/frames',
+      headers: { 'content-type': contentType },
+      payload: encodeFrame(format, sent),
+    });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.json()).toMatchObject({ status: 'processed', camera_id: 'cam-1', frame_id: sent.frame_id });
+    expect(publisher.events).toHaveLength(1);
+    expect(publisher.events[0]).toMatchObject({ camera_id: 'cam-1', object_id: 'obj-1', ts_ms: sent.timestamp_ms });
+  });
+
+  it.each(['msgpack', 'protobuf'] as const)('rejects malformed %s bodies with a 400', async format => {
+    const response = await server.inject({
+      method: 'POST',
+      url: '/frames',
+      headers: { 'content-type': FRAME_CONTENT_TYPES[format][0] },
+      payload: Buffer.from([0xc1, 0xff, 0xff]),
+    });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.json()).toMatchObject({ error: 'Malformed frame body', issues: [{ field: '' }] });
+    expect(publisher.events).toHaveLength(0);
+  });
+
+  it('validates decoded binary frames like JSON ones', async () => {
+    const invalid = { ...frame('f-bad'), objects: [{ class: 'worker', confidence: 2, grid_cell_id: 'G_01_02', bbox: [1, 2, 3, 4] }] };
+    const response = await server.inject({
+      method: 'POST',
+      url: '/frames',
+      headers: { 'content-type': 'application/x-msgpack' },
+      payload: encodeFrame('msgpack', invalid as CameraFrame),
+    });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.json()).toMatchObject({ error: 'Invalid camera frame', status: 'rejected' });
+  });
+
+  it('refuses content types it has no codec for', async () => {
+    const response = await server.inject({
+      method: 'POST',
+      url: '/frames',
+      headers: { 'content-type': 'application/cbor' },
+      payload: Buffer.from([0xa0]),
+    });
+
+    expect(response.statusCode).toBe(415);
+  });
+});
+
+describe('POST /frames replay source', () => {
+  const ADMIN_KEY = 'admin-secret';
+  const HOUR_MS = 60 * 60 * 1000;
+  let publisher: FakePublisher;
+  let clockSkew: ClockSkewEstimator;
+  let apiKeys: ApiKeyStore;
+  let service: CollectorService;
+  let server: FastifyInstance;
+
+  async function buildServer(authRequired: boolean): Promise<void> {
+    publisher = new FakePublisher();
+    clockSkew = new ClockSkewEstimator({ smoothing: 1, correct: true });
+    apiKeys = new ApiKeyStore();
+    service = new CollectorService('collector-test', publisher as unknown as RedisPublisher, { clockSkew });
+    await service.start();
+
+    server = fastify();
+    await server.register(framesRoutes, {
+      collectorService: service,
+      ingestAuth: new IngestAuth(apiKeys, authRequired),
+      rateLimiter: new RateLimiter(),
+      metrics: new CollectorMetrics(),
+      adminKey: ADMIN_KEY,
+    });
+  }
+
+  function sendReplay(headers: Record<string, string> = {}) {
+    return server.inject({
+      method: 'POST',
+      url: '/frames',
+      headers: { 'x-frame-source': 'replay', ...headers },
+      payload: { ...frame('f-replay'), timestamp_ms: Date.now() - HOUR_MS },
+    });
+  }
+
+  afterEach(async () => {
+    await server.close();
+    await service.stop();
+  });
+
+  it('treats replays from callers without a key as live frames', async () => {
+    await buildServer(false);
+
+    expect((await sendReplay()).statusCode).toBe(200);
+    expect(clockSkew.getSkew('cam-1')?.samples).toBe(1);
+    expect(publisher.events[0].replayed).toBeUndefined();
+  });
+
+  it('honours replays sent with the admin key', async () => {
+    await buildServer(false);
+
+    expect((await sendReplay({ authorization: `Bearer ${ADMIN_KEY}` })).statusCode).toBe(200);
+    expect(clockSkew.getSkew('cam-1')).toBeNull();
+    expect(publisher.events[0].replayed).toBe(true);
+  });
+
+  it('honours replays only from keys allowed to replay', async () => {
+    await buildServer(true);
+    const camera = await apiKeys.create({ name: 'camera', camera_ids: ['cam-1'], require_signature: false, allow_replay: false });
+    const replayer = await apiKeys.create({ name: 'replayer', camera_ids: ['*'], require_signature: false, allow_replay: true });
+
+    expect((await sendReplay({ 'x-api-key': camera.api_key })).statusCode).toBe(200);
+    expect(publisher.events[0].replayed).toBeUndefined();
+
+    const replayed = await server.inject({
+      method: 'POST',
+      url: '/frames',
+      headers: { 'x-frame-source': 'replay', 'x-api-key': replayer.api_key },
+      payload: { ...frame('f-replay-2'), timestamp_ms: Date.now() - HOUR_MS },
+    });
+    expect(replayed.statusCode).toBe(200);
+    expect(publisher.events[1].replayed).toBe(true);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { LateEventFilter } from '../src/services/late-event-filter.js';
+
+const NOW = 1_760_000_000_000;
+
+describe('LateEventFilter', () => {
+  it('marks frames behind the watermark as late', () => {
+    const filter = new LateEventFilter(5000);
+
+    expect(filter.check('cam-1', NOW, NOW)).toBe(false);
+    expect(filter.check('cam-1', NOW - 4000, NOW + 10)).toBe(false);
+    expect(filter.check('cam-1', NOW - 6000, NOW + 20)).toBe(true);
+  });
+
+  it("doesn't let a future timestamp push later frames behind the watermark", () => {
+    const filter = new LateEventFilter(5000, { futureToleranceMs: 1000 });
+
+    expect(filter.check('cam-1', NOW + 3_600_000, NOW)).toBe(false);
+    expect(filter.getStats()['cam-1'].watermark_ts_ms).toBe(NOW - 4000);
+
+    for (let i = 1; i <= 10; i++) {
+      expect(filter.check('cam-1', NOW + i * 100, NOW + i * 100)).toBe(false);
+    }
+  });
+
+  it('marks live frames far behind the watermark as late', () => {
+    const filter = new LateEventFilter(5000, { resetMs: 60_000 });
+
+    filter.check('cam-1', NOW, NOW);
+    expect(filter.check('cam-1', NOW - 86_400_000, NOW + 100)).toBe(true);
+    expect(filter.getStats()['cam-1'].watermark_resets).toBe(0);
+  });
+
+  it('marks live frames behind the watermark as late after the camera has been quiet', () => {
+    const filter = new LateEventFilter(5000, { resetMs: 60_000 });
+
+    filter.check('cam-1', NOW, NOW);
+    expect(filter.check('cam-1', NOW - 30_000, NOW + 61_000)).toBe(true);
+  });
+
+  it('restarts the watermark for replayed frames instead of marking them all late', () => {
+    const filter = new LateEventFilter(5000, { resetMs: 60_000 });
+    const replayStart = NOW - 86_400_000;
+
+    filter.check('cam-1', NOW, NOW);
+    expect(filter.check('cam-1', replayStart, NOW + 100, true)).toBe(false);
+    expect(filter.check('cam-1', replayStart + 1000, NOW + 200, true)).toBe(false);
+    expect(filter.getStats()['cam-1'].watermark_resets).toBe(1);
+  });
+});
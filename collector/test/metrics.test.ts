@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { CollectorMetrics } from '../src/services/metrics.js';
+import type { FrameIngestResult } from '../src/types/detection.js';
+
+function result(cameraId: string | undefined, status: FrameIngestResult['status']): FrameIngestResult {
+  return {
+    status,
+    camera_id: cameraId,
+    frame_id: 'f-1',
+    accepted_count: status === 'rejected' ? 0 : 1,
+    rejected_count: status === 'rejected' ? 1 : 0,
+    frame_errors: [],
+    rejected_objects: [],
+  };
+}
+
+async function receivedLabels(metrics: CollectorMetrics): Promise<string[]> {
+  const metric = await metrics.registry.getSingleMetric('collector_frames_received_total')!.get();
+  return metric.values.map(value => String(value.labels.camera_id)).sort();
+}
+
+describe('CollectorMetrics camera labels', () => {
+  it('labels rejected frames from unknown cameras as unknown', async () => {
+    const metrics = new CollectorMetrics();
+    metrics.observeCameras(cameraId => cameraId === 'cam-configured');
+
+    metrics.recordFrameResult(result('cam-1', 'processed'));
+    metrics.recordFrameResult(result('cam-1', 'rejected'));
+    metrics.recordFrameResult(result('cam-configured', 'rejected'));
+    metrics.recordFrameResult(result('junk-1', 'rejected'));
+    metrics.recordFrameResult(result('junk-2', 'rejected'));
+    metrics.recordFrameResult(result(undefined, 'rejected'));
+
+    expect(await receivedLabels(metrics)).toEqual(['cam-1', 'cam-configured', 'unknown']);
+  });
+
+  it('labels rate limited frames by camera only when known', async () => {
+    const metrics = new CollectorMetrics();
+    metrics.recordFrameResult(result('cam-1', 'processed'));
+
+    metrics.recordFrameReceived('cam-1');
+    metrics.recordFrameSkipped('cam-1', 'rate_limited');
+    metrics.recordFrameReceived('junk-1');
+    metrics.recordFrameSkipped('junk-1', 'rate_limited');
+
+    expect(await receivedLabels(metrics)).toEqual(['cam-1', 'unknown']);
+    const skipped = await metrics.registry.getSingleMetric('collector_frames_skipped_total')!.get();
+    expect(skipped.values.map(value => value.labels.camera_id).sort()).toEqual(['cam-1', 'unknown']);
+  });
+});
@@ -0,0 +1,205 @@
+import { createServer, type AddressInfo, type Server } from 'net';
+import { Aedes } from 'aedes';
+import { connectAsync, type MqttClient } from 'mqtt';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { MqttIngestAdapter, matchTopic, resolveCameraId } from '../src/services/mqtt-ingest.js';
+import { FrameValidator } from '../src/services/frame-validator.js';
+import type { CollectorService } from '../src/services/collector.js';
+import type { CameraFrame, FrameIngestResult } from '../src/types/detection.js';
+import { encodeFrame, FRAME_CONTENT_TYPES, type FrameFormat } from '../src/utils/frame-codecs.js';
+
+const TOPIC_PATTERN = 'site/+/camera/+/detections';
+
+/** Stands in for CollectorService: validates like POST /frames and records what it accepted. */
+class RecordingCollector {
+  frames: CameraFrame[] = [];
+  private validator = new FrameValidator();
+
+  constructor(private delayMs: (frame: CameraFrame) => number = () => 0) {}
+
+  async ingestFrame(input: unknown): Promise<FrameIngestResult> {
+    const { frame, result } = this.validator.validate(input);
+    if (frame) {
+      await new Promise(resolve => setTimeout(resolve, this.delayMs(frame)));
+      this.frames.push(frame);
+    }
+    return result;
+  }
+}
+
+function frame(frameId: string, timestampMs: number, cameraId = 'ignored'): CameraFrame {
+  return {
+    camera_id: cameraId,
+    frame_id: frameId,
+    timestamp_ms: timestampMs,
+    objects: [{ object_id: 'obj-1', class: 'worker', confidence: 0.9, grid_cell_id: 'G_01_02', bbox: [10, 20, 30, 40] }],
+  };
+}
+
+async function waitFor(condition: () => boolean, timeoutMs = 5000): Promise<void> {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for MQTT messages');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe('matchTopic', () => {
+  it('captures + segments and honours #', () => {
+    expect(matchTopic(TOPIC_PATTERN, 'site/dock/camera/cam-7/detections')).toEqual(['dock', 'cam-7']);
+    expect(matchTopic('edge/#', 'edge/a/b')).toEqual([]);
+    expect(matchTopic(TOPIC_PATTERN, 'site/dock/camera/cam-7')).toBeNull();
+    expect(matchTopic(TOPIC_PATTERN, 'site/dock/cameras/cam-7/detections')).toBeNull();
+  });
+
+  it('builds camera IDs from templates', () => {
+    expect(resolveCameraId(undefined, ['dock', 'cam-7'])).toBe('cam-7');
+    expect(resolveCameraId('$1-$2', ['dock', 'cam-7'])).toBe('dock-cam-7');
+    expect(resolveCameraId('$3', ['dock', 'cam-7'])).toBeUndefined();
+  });
+});
+
+describe('MqttIngestAdapter', () => {
+  let broker: Aedes;
+  let server: Server;
+  let brokerUrl: string;
+  let publisher: MqttClient;
+  let adapter: MqttIngestAdapter | undefined;
+
+  beforeEach(async () => {
+    broker = await Aedes.createBroker();
+    server = createServer(broker.handle);
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+    brokerUrl = `mqtt://127.0.0.1:${(server.address() as AddressInfo).port}`;
+    publisher = await connectAsync(brokerUrl);
+  });
+
+  afterEach(async () => {
+    await adapter?.stop();
+    adapter = undefined;
+    await publisher.endAsync();
+    await new Promise<void>(resolve => broker.close(() => resolve()));
+    await new Promise<void>(resolve => server.close(() => resolve()));
+  });
+
+  async function startAdapter(collector: RecordingCollector, cameraIdTemplate?: string, payloadFormat?: FrameFormat) {
+    adapter = new MqttIngestAdapter(collector as unknown as CollectorService, {
+      brokerUrl,
+      topics: [TOPIC_PATTERN],
+      cameraIdTemplate,
+      payloadFormat,
+    });
+    await adapter.start();
+    return adapter;
+  }
+
+  it('takes camera_id from the topic, overriding the payload', async () => {
+    const collector = new RecordingCollector();
+    const ingest = await startAdapter(collector, '$1/$2');
+
+    await publisher.publishAsync('site/dock/camera/cam-7/detections', encodeFrame('json', frame('f-1', 1000, 'spoofed')));
+    await waitFor(() => ingest.getStats().messages_received === 1);
+    await ingest.flush();
+
+    expect(collector.frames.map(f => f.camera_id)).toEqual(['dock/cam-7']);
+    expect(ingest.getStats().frames_processed).toBe(1);
+  });
+
+  it.each(['msgpack', 'protobuf'] as const)('decodes %s payloads when configured for them', async format => {
+    const collector = new RecordingCollector();
+    const ingest = await startAdapter(collector, undefined, format);
+    const sent = frame('f-1', 1_760_000_000_123, 'cam-7');
+
+    await publisher.publishAsync('site/dock/camera/cam-7/detections', encodeFrame(format, sent));
+    await publisher.publishAsync('site/dock/camera/cam-7/detections', encodeFrame('json', frame('f-2', 2000, 'cam-7')));
+    await waitFor(() => ingest.getStats().messages_received === 2);
+    await ingest.flush();
+
+    expect(collector.frames).toEqual([sent]);
+    expect(ingest.getStats().parse_errors + ingest.getStats().frames_rejected).toBe(1);
+  });
+
+  it('rejects payloads that are not valid frames', async () => {
+    const collector = new RecordingCollector();
+    const ingest = await startAdapter(collector);
+    const topic = 'site/dock/camera/cam-7/detections';
+
+    await publisher.publishAsync(topic, Buffer.from('{not json'));
+    await publisher.publishAsync(topic, Buffer.from('[1, 2, 3]'));
+    await publisher.publishAsync(topic, Buffer.from(JSON.stringify({ frame_id: 'f-2', objects: [] })));
+    await publisher.publishAsync(topic, encodeFrame('json', frame('f-3', 3000)));
+    await waitFor(() => ingest.getStats().messages_received === 4);
+    await ingest.flush();
+
+    const stats = ingest.getStats();
+    expect(stats.parse_errors).toBe(2);
+    expect(stats.frames_rejected).toBe(1);
+    expect(stats.frames_processed).toBe(1);
+    expect(collector.frames.map(f => f.frame_id)).toEqual(['f-3']);
+  });
+
+  it('keeps frames in order per camera when processing times vary', async () => {
+    // Earlier frames take longer, so unordered processing would finish them last.
+    const collector = new RecordingCollector(f => (f.camera_id === 'cam-a' ? 50 - f.timestamp_ms / 100 : 0));
+    const ingest = await startAdapter(collector);
+
+    for (let i = 0; i < 5; i++) {
+      await publisher.publishAsync('site/dock/camera/cam-a/detections', encodeFrame('json', frame(`a-${i}`, i * 1000)));
+      await publisher.publishAsync('site/dock/camera/cam-b/detections', encodeFrame('json', frame(`b-${i}`, i * 1000)));
+    }
+    await waitFor(() => ingest.getStats().messages_received === 10);
+    await ingest.flush();
+
+    const order = (cameraId: string) => collector.frames.filter(f => f.camera_id === cameraId).map(f => f.frame_id);
+    expect(order('cam-a')).toEqual(['a-0', 'a-1', 'a-2', 'a-3', 'a-4']);
+    expect(order('cam-b')).toEqual(['b-0', 'b-1', 'b-2', 'b-3', 'b-4']);
+  });
+
+  it('counts topics it cannot map to a camera', async () => {
+    const collector = new RecordingCollector();
+    const ingest = await startAdapter(collector, '$3');
+
+    await publisher.publishAsync('site/dock/camera/cam-7/detections', encodeFrame('json', frame('f-1', 1000)));
+    await waitFor(() => ingest.getStats().messages_received === 1);
+
+    expect(ingest.getStats().unmatched_topics).toBe(1);
+    expect(collector.frames).toEqual([]);
+  });
+});
+
+// aedes only speaks MQTT 3.1.1, so MQTT 5 content types are handed to the adapter directly.
+describe('MqttIngestAdapter content types', () => {
+  const topic = 'site/dock/camera/cam-7/detections';
+
+  function adapterFor(collector: RecordingCollector) {
+    return new MqttIngestAdapter(collector as unknown as CollectorService, {
+      brokerUrl: 'mqtt://127.0.0.1:1',
+      topics: [TOPIC_PATTERN],
+      payloadFormat: 'json',
+    });
+  }
+
+  it.each(['msgpack', 'protobuf'] as const)('lets a %s content type override the payload format', async format => {
+    const collector = new RecordingCollector();
+    const ingest = adapterFor(collector);
+
+    for (const [i, contentType] of FRAME_CONTENT_TYPES[format].entries()) {
+      ingest.handleMessage(topic, encodeFrame(format, frame(`f-${i}`, i * 1000, 'cam-7')), contentType);
+    }
+    await ingest.flush();
+
+    expect(collector.frames.map(f => f.frame_id)).toEqual(FRAME_CONTENT_TYPES[format].map((_, i) => `f-${i}`));
+    expect(ingest.getStats().parse_errors).toBe(0);
+  });
+
+  it('counts content types it has no codec for as parse errors', async () => {
+    const collector = new RecordingCollector();
+    const ingest = adapterFor(collector);
+
+    ingest.handleMessage(topic, encodeFrame('json', frame('f-1', 1000, 'cam-7')), 'application/cbor');
+    await ingest.flush();
+
+    expect(collector.frames).toEqual([]);
+    expect(ingest.getStats().parse_errors).toBe(1);
+  });
+});
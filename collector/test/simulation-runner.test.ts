@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import { SimulationRunner } from '../src/services/simulation-runner.js';
+import type { CollectorService } from '../src/services/collector.js';
+import type { CameraFrame } from '../src/types/detection.js';
+
+/** Stands in for CollectorService, keeping the frames a simulation pushes through it. */
+class RecordingCollector {
+  frames: CameraFrame[] = [];
+
+  generateTestFrame(cameraId: string, objectCount: number, options: { timestampMs?: number }): CameraFrame {
+    return { camera_id: cameraId, frame_id: `f-${this.frames.length}`, timestamp_ms: options.timestampMs ?? Date.now(), objects: [] };
+  }
+
+  async processMultipleFrames(frames: CameraFrame[]): Promise<void> {
+    this.frames.push(...frames);
+  }
+}
+
+async function waitForFinish(runner: SimulationRunner, simulationId: string): Promise<void> {
+  const deadline = Date.now() + 5000;
+  while (runner.get(simulationId)?.status === 'running') {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the simulation');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe('SimulationRunner', () => {
+  it('generates exactly frame_count frames per camera', async () => {
+    const collector = new RecordingCollector();
+    const runner = new SimulationRunner(collector as unknown as CollectorService);
+
+    // 309ms at 1000/103 fps works out to 2.9999… frames.
+    const result = runner.start({
+      scenario: 'steady',
+      camera_ids: ['cam-1', 'cam-2'],
+      duration_ms: 3 * 103,
+      frame_rate: 1000 / 103,
+      frame_count: 3,
+      start_ts_ms: 1_000_000,
+    });
+    expect(result.started).toBe(true);
+    if (!result.started) return;
+
+    await waitForFinish(runner, result.job.simulation_id);
+
+    expect(runner.get(result.job.simulation_id)?.ticks_completed).toBe(3);
+    expect(collector.frames.filter(frame => frame.camera_id === 'cam-1').map(frame => frame.timestamp_ms))
+      .toEqual([1_000_000, 1_000_103, 1_000_206]);
+  });
+
+  it('holds frame_count to the duration limit', () => {
+    const collector = new RecordingCollector();
+    const runner = new SimulationRunner(collector as unknown as CollectorService, { maxDurationMs: 60_000 });
+
+    const result = runner.start({
+      scenario: 'steady',
+      camera_ids: ['cam-1'],
+      duration_ms: 1000,
+      frame_rate: 1,
+      frame_count: 1_000_000_000,
+    });
+
+    expect(result).toMatchObject({ started: false, reason: 'limit_exceeded' });
+    expect(runner.list()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,130 @@
+import type { AddressInfo } from 'net';
+import fastify, { type FastifyInstance } from 'fastify';
+import websocket from '@fastify/websocket';
+import WebSocket from 'ws';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { streamRoutes } from '../src/routes/stream.js';
+import { ApiKeyStore } from '../src/services/api-keys.js';
+import { CollectorService } from '../src/services/collector.js';
+import { IngestAuth } from '../src/services/ingest-auth.js';
+import type { RedisPublisher } from '../src/services/redis-publisher.js';
+import type { CameraFrame } from '../src/types/detection.js';
+import type { StreamServerMessage } from '../src/types/stream.js';
+import { encodeStreamMessage } from '../src/utils/frame-codecs.js';
+import { FakePublisher } from './fakes.js';
+
+function frame(frameId: string): CameraFrame {
+  return {
+    camera_id: 'cam-1',
+    frame_id: frameId,
+    timestamp_ms: Date.now(),
+    objects: [{ object_id: 'obj-1', class: 'worker', confidence: 0.9, grid_cell_id: 'G_01_02', bbox: [10, 20, 30, 40] }],
+  };
+}
+
+/** Opens a stream and collects every reply; replies are always JSON text. */
+async function connect(url: string): Promise<{ socket: WebSocket; next: () => Promise<StreamServerMessage> }> {
+  const socket = new WebSocket(url);
+  const received: StreamServerMessage[] = [];
+  const waiting: ((message: StreamServerMessage) => void)[] = [];
+
+  socket.on('message', (data, isBinary) => {
+    expect(isBinary).toBe(false);
+    const message = JSON.parse(data.toString()) as StreamServerMessage;
+    const resolve = waiting.shift();
+    if (resolve) resolve(message);
+    else received.push(message);
+  });
+
+  await new Promise((resolve, reject) => {
+    socket.once('open', resolve);
+    socket.once('error', reject);
+  });
+
+  return {
+    socket,
+    next: () => {
+      const message = received.shift();
+      return message ? Promise.resolve(message) : new Promise(resolve => waiting.push(resolve));
+    },
+  };
+}
+
+describe('GET /stream content negotiation', () => {
+  let publisher: FakePublisher;
+  let service: CollectorService;
+  let server: FastifyInstance;
+  let baseUrl: string;
+  let sockets: WebSocket[];
+
+  beforeEach(async () => {
+    publisher = new FakePublisher();
+    service = new CollectorService('collector-test', publisher as unknown as RedisPublisher);
+    await service.start();
+
+    server = fastify();
+    await server.register(websocket);
+    await server.register(streamRoutes, {
+      collectorId: 'collector-test',
+      collectorService: service,
+      ingestAuth: new IngestAuth(new ApiKeyStore(), false),
+    });
+    await server.listen({ port: 0, host: '127.0.0.1' });
+    baseUrl = `ws://127.0.0.1:${(server.server.address() as AddressInfo).port}/stream`;
+    sockets = [];
+  });
+
+  afterEach(async () => {
+    for (const socket of sockets) socket.close();
+    await server.close();
+    await service.stop();
+  });
+
+  it.each(['msgpack', 'protobuf'] as const)('decodes binary messages with ?format=%s', async format => {
+    const stream = await connect(`${baseUrl}?format=${format}`);
+    sockets.push(stream.socket);
+
+    stream.socket.send(encodeStreamMessage(format, { type: 'hello', camera_ids: ['cam-1'] }));
+    expect(await stream.next()).toMatchObject({ type: 'welcome', camera_ids: ['cam-1'] });
+
+    const sent = frame(`f-${format}`);
+    stream.socket.send(encodeStreamMessage(format, { type: 'frame', seq: 1, frame: sent }));
+    expect(await stream.next()).toMatchObject({ type: 'ack', seq: 1, status: 'processed', frame_id: sent.frame_id });
+    expect(publisher.events).toHaveLength(1);
+    expect(publisher.events[0]).toMatchObject({ camera_id: 'cam-1', ts_ms: sent.timestamp_ms });
+  });
+
+  it('still takes JSON text on a binary stream', async () => {
+    const stream = await connect(`${baseUrl}?format=msgpack`);
+    sockets.push(stream.socket);
+
+    stream.socket.send(JSON.stringify({ type: 'hello', camera_ids: ['cam-1'] }));
+    expect(await stream.next()).toMatchObject({ type: 'welcome' });
+    stream.socket.send(JSON.stringify({ type: 'frame', seq: 1, frame: frame('f-json') }));
+    expect(await stream.next()).toMatchObject({ type: 'ack', seq: 1, status: 'processed' });
+  });
+
+  it('refuses binary messages on a JSON stream', async () => {
+    const stream = await connect(baseUrl);
+    sockets.push(stream.socket);
+
+    stream.socket.send(encodeStreamMessage('msgpack', { type: 'hello', camera_ids: ['cam-1'] }));
+    expect(await stream.next()).toMatchObject({ type: 'error', code: 'invalid_message' });
+  });
+
+  it('reports messages that are not the negotiated format', async () => {
+    const stream = await connect(`${baseUrl}?format=protobuf`);
+    sockets.push(stream.socket);
+
+    stream.socket.send(Buffer.from([0xff, 0xff, 0xff]));
+    expect(await stream.next()).toMatchObject({ type: 'error', code: 'invalid_message' });
+  });
+
+  it('closes streams that ask for an unknown format', async () => {
+    const stream = await connect(`${baseUrl}?format=cbor`);
+    const closed = new Promise<number>(resolve => stream.socket.once('close', resolve));
+
+    expect(await stream.next()).toMatchObject({ type: 'error', code: 'invalid_message' });
+    expect(await closed).toBe(1008);
+  });
+});
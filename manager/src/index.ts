@@ -5,8 +5,14 @@ import pino from 'pino';
 import { RedisClient } from './services/redis-client.js';
 import { DwellProcessor } from './services/dwell-processor.js';
 import { RedisConsumer } from './services/redis-consumer.js';
+import { KafkaConsumer } from './services/kafka-consumer.js';
+import { EventPipeline } from './services/event-pipeline.js';
+import { ReorderBuffer } from './services/reorder-buffer.js';
+import { SiteFusion } from './services/site-fusion.js';
 import { queryRoutes } from './routes/query.js';
 import { feedbackRoutes } from './routes/feedback.js';
+import { collectorRoutes } from './routes/collectors.js';
+import { siteRoutes } from './routes/site.js';
 
 config();
 
@@ -14,7 +20,16 @@ const logger = pino({ name: 'manager-main' });
 
 const PORT = parseInt(process.env.PORT || '3002');
 const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+// While collectors dual-write (`both`), the manager keeps reading Redis.
+const EVENT_TRANSPORT = process.env.EVENT_TRANSPORT === 'kafka' ? 'kafka' : 'redis';
+const KAFKA_BROKERS = (process.env.KAFKA_BROKERS || 'localhost:9092').split(',').map(broker => broker.trim()).filter(Boolean);
 const DWELL_TIMEOUT_MS = parseInt(process.env.DWELL_TIMEOUT_MS || '30000');
+const DWELL_SWEEP_INTERVAL_MS = parseInt(process.env.DWELL_SWEEP_INTERVAL_MS || '5000');
+const LATENESS_WINDOW_MS = parseInt(process.env.LATENESS_WINDOW_MS || '2000');
+const WATERMARK_FUTURE_TOLERANCE_MS = parseInt(process.env.WATERMARK_FUTURE_TOLERANCE_MS || '1000');
+const WATERMARK_RESET_MS = parseInt(process.env.WATERMARK_RESET_MS || '60000');
+const SITE_MATCH_RADIUS_CELLS = parseInt(process.env.SITE_MATCH_RADIUS_CELLS || '1');
+const SITE_MATCH_WINDOW_MS = parseInt(process.env.SITE_MATCH_WINDOW_MS || '2000');
 
 async function main() {
   const server = fastify({ 
@@ -30,47 +45,82 @@ async function main() {
 
   const redisClient = new RedisClient(REDIS_URL);
   const dwellProcessor = new DwellProcessor(redisClient, DWELL_TIMEOUT_MS);
-  const redisConsumer = new RedisConsumer(dwellProcessor, redisClient, REDIS_URL);
+  const siteFusion = new SiteFusion(redisClient, dwellProcessor, {
+    matchRadiusCells: SITE_MATCH_RADIUS_CELLS,
+    matchWindowMs: SITE_MATCH_WINDOW_MS,
+    objectTimeoutMs: DWELL_TIMEOUT_MS,
+  });
+  const reorderBuffer = new ReorderBuffer(LATENESS_WINDOW_MS, {
+    futureToleranceMs: WATERMARK_FUTURE_TOLERANCE_MS,
+    resetMs: WATERMARK_RESET_MS,
+  });
+  const pipeline = new EventPipeline(dwellProcessor, redisClient, reorderBuffer, siteFusion);
+  const eventConsumer = EVENT_TRANSPORT === 'kafka'
+    ? new KafkaConsumer(pipeline, KAFKA_BROKERS)
+    : new RedisConsumer(pipeline, REDIS_URL);
 
   await server.register(queryRoutes, { redisClient });
   await server.register(feedbackRoutes, { redisClient });
+  await server.register(collectorRoutes, { redisClient });
+  await server.register(siteRoutes, { redisClient, siteFusion });
 
   server.get('/status', async (request, reply) => {
-    const consumerState = redisConsumer.getConsumerState();
-    
     return {
       service: 'vision-manager',
       status: 'running',
       timestamp: Date.now(),
       uptime: process.uptime(),
-      redis_consumer: consumerState,
+      event_transport: EVENT_TRANSPORT,
+      ...(eventConsumer instanceof KafkaConsumer
+        ? { kafka_consumer: eventConsumer.getConsumerState() }
+        : { redis_consumer: eventConsumer.getConsumerState() }),
       redis_connected: true,
+      timeout_sweeper: dwellProcessor.getTimeoutSweepStats(),
+    };
+  });
+
+  server.get('/stats/late', async () => {
+    return {
+      ...pipeline.getReorderStats(),
+      timestamp: Date.now(),
     };
   });
 
   process.on('SIGTERM', async () => {
     logger.info('Received SIGTERM, shutting down gracefully');
-    await redisConsumer.stop();
+    dwellProcessor.stopTimeoutSweeper();
+    await eventConsumer.stop();
     await redisClient.disconnect();
     await server.close();
   });
 
   process.on('SIGINT', async () => {
     logger.info('Received SIGINT, shutting down gracefully');
-    await redisConsumer.stop();
+    dwellProcessor.stopTimeoutSweeper();
+    await eventConsumer.stop();
     await redisClient.disconnect();
     await server.close();
   });
 
   try {
     await redisClient.connect();
-    await redisConsumer.start();
+    await siteFusion.load();
+
+    // Objects written before the active-object index existed aren't in it yet.
+    const indexedObjects = await redisClient.indexActiveObjects();
+    dwellProcessor.startTimeoutSweeper(DWELL_SWEEP_INTERVAL_MS);
+
+    await eventConsumer.start();
     await server.listen({ port: PORT, host: '0.0.0.0' });
     
     logger.info({
       port: PORT,
       redisUrl: REDIS_URL,
-      dwellTimeoutMs: DWELL_TIMEOUT_MS
+      eventTransport: EVENT_TRANSPORT,
+      dwellTimeoutMs: DWELL_TIMEOUT_MS,
+      dwellSweepIntervalMs: DWELL_SWEEP_INTERVAL_MS,
+      indexedObjects,
+      latenessWindowMs: LATENESS_WINDOW_MS
     }, 'Manager service started successfully');
 
   } catch (err) {
@@ -0,0 +1,103 @@
+import type { FastifyInstance } from 'fastify';
+import { z } from 'zod';
+import type { RedisClient } from '../services/redis-client.js';
+import { SITE_COLLECTOR_ID } from '../services/site-fusion.js';
+import { CollectorRegistrationSchema } from '../types/index.js';
+
+const CollectorParamsSchema = z.object({
+  collector_id: z.string(),
+});
+
+export async function collectorRoutes(fastify: FastifyInstance, { redisClient }: { redisClient: RedisClient }) {
+
+  fastify.post<{
+    Body: z.infer<typeof CollectorRegistrationSchema>
+  }>('/collectors/register', async (request, reply) => {
+    const parsed = CollectorRegistrationSchema.safeParse(request.body);
+
+    if (!parsed.success) {
+      return reply.status(400).send({
+        error: 'Invalid collector registration',
+        issues: parsed.error.issues.map(issue => ({ field: issue.path.join('.'), message: issue.message })),
+      });
+    }
+
+    if (parsed.data.collector_id === SITE_COLLECTOR_ID) {
+      return reply.status(400).send({
+        error: 'Invalid collector registration',
+        issues: [{ field: 'collector_id', message: `"${SITE_COLLECTOR_ID}" is reserved for site-level data` }],
+      });
+    }
+
+    try {
+      const collector = await redisClient.registerCollector(parsed.data);
+
+      fastify.log.info({
+        collectorId: collector.collector_id,
+        cameraCount: collector.camera_count,
+      }, 'Collector registered');
+
+      return collector;
+    } catch (error) {
+      fastify.log.error({ error }, 'Failed to register collector');
+      return reply.status(500).send({ error: 'Failed to register collector' });
+    }
+  });
+
+  fastify.post<{
+    Params: z.infer<typeof CollectorParamsSchema>
+  }>('/collectors/:collector_id/heartbeat', async (request, reply) => {
+    try {
+      const { collector_id } = CollectorParamsSchema.parse(request.params);
+
+      if (!await redisClient.recordCollectorHeartbeat(collector_id)) {
+        return reply.status(404).send({ error: 'Collector not registered' });
+      }
+
+      return { status: 'ok', collector_id, timestamp: Date.now() };
+    } catch (error) {
+      fastify.log.error({ error }, 'Failed to record collector heartbeat');
+      return reply.status(500).send({ error: 'Failed to record collector heartbeat' });
+    }
+  });
+
+  fastify.get('/collectors', async (request, reply) => {
+    try {
+      const collectors = await redisClient.listCollectors();
+
+      return {
+        collectors,
+        count: collectors.length,
+        timestamp: Date.now(),
+      };
+    } catch (error) {
+      fastify.log.error({ error }, 'Failed to list collectors');
+      return reply.status(500).send({ error: 'Failed to list collectors' });
+    }
+  });
+
+  fastify.get<{
+    Params: z.infer<typeof CollectorParamsSchema>
+  }>('/collectors/:collector_id/cameras', async (request, reply) => {
+    try {
+      const { collector_id } = CollectorParamsSchema.parse(request.params);
+      const collector = await redisClient.getCollector(collector_id);
+
+      if (!collector) {
+        return reply.status(404).send({ error: 'Collector not registered' });
+      }
+
+      const cameras = await redisClient.getCollectorCameras(collector_id);
+
+      return {
+        collector,
+        cameras,
+        count: cameras.length,
+        timestamp: Date.now(),
+      };
+    } catch (error) {
+      fastify.log.error({ error }, 'Failed to get collector cameras');
+      return reply.status(500).send({ error: 'Failed to get collector cameras' });
+    }
+  });
+}
@@ -6,12 +6,14 @@ const QueryParamsSchema = z.object({
   collector_id: z.string(),
   camera_id: z.string(),
   cell_id: z.string().optional(),
+  class: z.string().optional(),
 });
 
 const HeatmapQuerySchema = z.object({
   collector_id: z.string(),
   camera_id: z.string(),
   window_ms: z.coerce.number().optional().default(3600000),
+  class: z.string().optional(),
 });
 
 const ObjectQuerySchema = z.object({
@@ -23,6 +25,11 @@ const ObjectQuerySchema = z.object({
 const ActiveObjectsQuerySchema = z.object({
   collector_id: z.string(),
   camera_id: z.string(),
+  class: z.string().optional(),
+});
+
+const CameraStatusQuerySchema = z.object({
+  collector_id: z.string().optional(),
 });
 
 export async function queryRoutes(fastify: FastifyInstance, { redisClient }: { redisClient: RedisClient }) {
@@ -36,13 +43,15 @@ export async function queryRoutes(fastify: FastifyInstance, { redisClient }: { r
       const stats = await redisClient.getCellStats(
         params.collector_id,
         params.camera_id,
-        params.cell_id
+        params.cell_id,
+        params.class
       );
 
       return {
         collector_id: params.collector_id,
         camera_id: params.camera_id,
         cell_id: params.cell_id,
+        class: params.class,
         stats,
         timestamp: Date.now(),
         total_cells: stats.length,
@@ -91,7 +100,8 @@ export async function queryRoutes(fastify: FastifyInstance, { redisClient }: { r
       const heatmapData = await redisClient.generateHeatmapData(
         params.collector_id,
         params.camera_id,
-        params.window_ms
+        params.window_ms,
+        params.class
       );
 
       return heatmapData;
@@ -102,6 +112,25 @@ export async function queryRoutes(fastify: FastifyInstance, { redisClient }: { r
     }
   });
 
+  fastify.get<{
+    Querystring: z.infer<typeof CameraStatusQuerySchema>
+  }>('/cameras/status', async (request, reply) => {
+    try {
+      const params = CameraStatusQuerySchema.parse(request.query);
+      const cameras = await redisClient.getCameraStatuses(params.collector_id);
+
+      return {
+        collector_id: params.collector_id,
+        cameras,
+        count: cameras.length,
+        timestamp: Date.now(),
+      };
+    } catch (error) {
+      fastify.log.error({ error }, 'Failed to get camera statuses');
+      return reply.status(500).send({ error: 'Failed to get camera statuses' });
+    }
+  });
+
   fastify.get('/health', async (request, reply) => {
     return {
       status: 'healthy',
@@ -150,12 +179,14 @@ export async function queryRoutes(fastify: FastifyInstance, { redisClient }: { r
       
       const activeObjects = await redisClient.getActiveObjects(
         params.collector_id,
-        params.camera_id
+        params.camera_id,
+        params.class
       );
 
       return {
         collector_id: params.collector_id,
         camera_id: params.camera_id,
+        class: params.class,
         objects: activeObjects,
         timestamp: Date.now(),
         count: activeObjects.length,
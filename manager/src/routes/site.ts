@@ -0,0 +1,142 @@
+import type { FastifyInstance } from 'fastify';
+import { z } from 'zod';
+import type { RedisClient } from '../services/redis-client.js';
+import { SITE_COLLECTOR_ID, type SiteFusion } from '../services/site-fusion.js';
+import { CameraSiteTransformSchema, SiteFloorPlanSchema } from '../types/index.js';
+
+const CameraParamsSchema = z.object({
+  collector_id: z.string(),
+  camera_id: z.string(),
+});
+
+const SiteHeatmapQuerySchema = z.object({
+  window_ms: z.coerce.number().optional().default(3600000),
+  class: z.string().optional(),
+});
+
+const SiteObjectParamsSchema = z.object({
+  object_id: z.string(),
+});
+
+function formatIssues(error: z.ZodError) {
+  return error.issues.map(issue => ({ field: issue.path.join('.'), message: issue.message }));
+}
+
+export async function siteRoutes(
+  fastify: FastifyInstance,
+  { redisClient, siteFusion }: { redisClient: RedisClient; siteFusion: SiteFusion }
+) {
+
+  fastify.get('/site', async (request, reply) => {
+    const floorPlan = siteFusion.getFloorPlan();
+
+    if (!floorPlan) {
+      return reply.status(404).send({ error: 'Site floor plan not configured' });
+    }
+
+    return {
+      ...floorPlan,
+      // Site-level data is queried like a camera's with these ids.
+      collector_id: SITE_COLLECTOR_ID,
+      camera_id: floorPlan.site_id,
+      cameras: siteFusion.listTransforms(),
+      fusion: siteFusion.getStats(),
+    };
+  });
+
+  fastify.put<{ Body: unknown }>('/site', async (request, reply) => {
+    const parsed = SiteFloorPlanSchema.safeParse(request.body);
+
+    if (!parsed.success) {
+      return reply.status(400).send({ error: 'Invalid site floor plan', issues: formatIssues(parsed.error) });
+    }
+
+    try {
+      return await siteFusion.setFloorPlan(parsed.data);
+    } catch (error) {
+      fastify.log.error({ error }, 'Failed to store site floor plan');
+      return reply.status(500).send({ error: 'Failed to store site floor plan' });
+    }
+  });
+
+  fastify.put<{
+    Params: z.infer<typeof CameraParamsSchema>;
+    Body: unknown;
+  }>('/site/cameras/:collector_id/:camera_id/transform', async (request, reply) => {
+    const params = CameraParamsSchema.parse(request.params);
+    const parsed = CameraSiteTransformSchema.safeParse(request.body);
+
+    if (!parsed.success) {
+      return reply.status(400).send({ error: 'Invalid camera transform', issues: formatIssues(parsed.error) });
+    }
+
+    try {
+      return await siteFusion.setTransform(params.collector_id, params.camera_id, parsed.data);
+    } catch (error) {
+      fastify.log.error({ error }, 'Failed to store camera transform');
+      return reply.status(500).send({ error: 'Failed to store camera transform' });
+    }
+  });
+
+  fastify.delete<{
+    Params: z.infer<typeof CameraParamsSchema>
+  }>('/site/cameras/:collector_id/:camera_id/transform', async (request, reply) => {
+    const params = CameraParamsSchema.parse(request.params);
+
+    try {
+      if (!await siteFusion.deleteTransform(params.collector_id, params.camera_id)) {
+        return reply.status(404).send({ error: 'Camera transform not found' });
+      }
+
+      return { status: 'deleted', ...params };
+    } catch (error) {
+      fastify.log.error({ error }, 'Failed to delete camera transform');
+      return reply.status(500).send({ error: 'Failed to delete camera transform' });
+    }
+  });
+
+  fastify.get<{
+    Querystring: z.infer<typeof SiteHeatmapQuerySchema>
+  }>('/site/heatmap', async (request, reply) => {
+    const floorPlan = siteFusion.getFloorPlan();
+
+    if (!floorPlan) {
+      return reply.status(404).send({ error: 'Site floor plan not configured' });
+    }
+
+    try {
+      const params = SiteHeatmapQuerySchema.parse(request.query);
+      return await redisClient.generateHeatmapData(SITE_COLLECTOR_ID, floorPlan.site_id, params.window_ms, params.class);
+    } catch (error) {
+      fastify.log.error({ error }, 'Failed to generate site heatmap');
+      return reply.status(500).send({ error: 'Failed to generate site heatmap' });
+    }
+  });
+
+  fastify.get<{
+    Params: z.infer<typeof SiteObjectParamsSchema>
+  }>('/site/objects/:object_id', async (request, reply) => {
+    const floorPlan = siteFusion.getFloorPlan();
+
+    if (!floorPlan) {
+      return reply.status(404).send({ error: 'Site floor plan not configured' });
+    }
+
+    try {
+      const { object_id } = SiteObjectParamsSchema.parse(request.params);
+      const [objectState, timeline] = await Promise.all([
+        redisClient.getObjectState(SITE_COLLECTOR_ID, floorPlan.site_id, object_id),
+        redisClient.getTimeline(SITE_COLLECTOR_ID, floorPlan.site_id, object_id),
+      ]);
+
+      if (!objectState) {
+        return reply.status(404).send({ error: 'Object not found' });
+      }
+
+      return { object_state: objectState, timeline, timestamp: Date.now() };
+    } catch (error) {
+      fastify.log.error({ error }, 'Failed to get site object details');
+      return reply.status(500).send({ error: 'Failed to get site object details' });
+    }
+  });
+}
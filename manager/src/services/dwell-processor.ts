@@ -4,10 +4,32 @@ import { RedisClient } from './redis-client.js';
 
 const logger = pino({ name: 'dwell-processor' });
 
+// Stale objects closed per sweep; any left over are picked up by the next one.
+const SWEEP_BATCH_SIZE = 500;
+
+export interface TimeoutSweepStats {
+  interval_ms: number | null;
+  sweeps: number;
+  objects_timed_out: number;
+  last_sweep_at: number | null;
+  last_sweep_timed_out: number;
+}
+
 export class DwellProcessor {
   private redisClient: RedisClient;
   private processedEvents = new Set<string>();
   private timeoutMs: number;
+  // Events and the sweeper both rewrite object state; work on one object is chained.
+  private objectLocks = new Map<string, Promise<unknown>>();
+  private sweepTimer?: NodeJS.Timeout;
+  private sweeping = false;
+  private sweepStats: TimeoutSweepStats = {
+    interval_ms: null,
+    sweeps: 0,
+    objects_timed_out: 0,
+    last_sweep_at: null,
+    last_sweep_timed_out: 0,
+  };
 
   constructor(redisClient: RedisClient, timeoutMs: number = 30000) {
     this.redisClient = redisClient;
@@ -20,15 +42,25 @@ export class DwellProcessor {
       return;
     }
 
+    // Anonymized detections come from privacy-masked areas. They carry no real
+    // identity, and no object state or timeline may be kept for them.
+    if (event.anonymized) {
+      logger.debug({ eventId: event.event_id, cellId: event.grid_cell_id }, 'Anonymized event, not tracking');
+      return;
+    }
+
     try {
-      const currentState = await this.redisClient.getObjectState(
-        event.collector_id,
-        event.camera_id,
-        event.object_id
-      );
+      const { currentState, newState } = await this.withObjectLock(event, async () => {
+        const currentState = await this.redisClient.getObjectState(
+          event.collector_id,
+          event.camera_id,
+          event.object_id
+        );
 
-      const newState = await this.updateDwellState(event, currentState);
-      await this.redisClient.setObjectState(newState);
+        const newState = await this.updateDwellState(event, currentState);
+        await this.redisClient.setObjectState(newState);
+        return { currentState, newState };
+      });
 
       this.processedEvents.add(event.event_id);
       
@@ -50,14 +82,16 @@ export class DwellProcessor {
     }
   }
 
-  private async updateDwellState(event: NormalizedEvent, currentState: ObjectState | null): Promise<ObjectState> {
+  private async updateDwellState(event: NormalizedEvent, previousState: ObjectState | null): Promise<ObjectState> {
     const now = event.ts_ms;
+    let currentState = previousState;
 
     if (!currentState) {
       const newState: ObjectState = {
         collector_id: event.collector_id,
         camera_id: event.camera_id,
         object_id: event.object_id,
+        class: event.class ?? null,
         current_cell: event.grid_cell_id,
         enter_ts_ms: now,
         last_seen_ts_ms: now,
@@ -76,13 +110,15 @@ export class DwellProcessor {
 
     const timeSinceLastSeen = now - currentState.last_seen_ts_ms;
     
+    // The object comes back as a fresh entry; the gap isn't counted as dwell.
     if (timeSinceLastSeen > this.timeoutMs) {
-      await this.handleTimeout(currentState, now);
+      currentState = await this.handleTimeout(currentState);
     }
 
     if (currentState.current_cell === event.grid_cell_id) {
       return {
         ...currentState,
+        class: event.class ?? currentState.class,
         last_seen_ts_ms: now,
       };
     }
@@ -118,6 +154,7 @@ export class DwellProcessor {
       collector_id: event.collector_id,
       camera_id: event.camera_id,
       object_id: event.object_id,
+      class: event.class ?? currentState.class,
       current_cell: event.grid_cell_id,
       enter_ts_ms: now,
       last_seen_ts_ms: now,
@@ -125,9 +162,15 @@ export class DwellProcessor {
     };
   }
 
-  private async handleTimeout(state: ObjectState, currentTime: number): Promise<void> {
+  /**
+   * Closes the object's stay in its cell at the time it was last seen, and
+   * returns the state with no current cell.
+   */
+  private async handleTimeout(state: ObjectState): Promise<ObjectState> {
+    let dwellTime = 0;
+
     if (state.current_cell && state.enter_ts_ms) {
-      const dwellTime = state.last_seen_ts_ms - state.enter_ts_ms;
+      dwellTime = state.last_seen_ts_ms - state.enter_ts_ms;
       
       await this.redisClient.updateCellDwell(
         state.collector_id,
@@ -157,6 +200,28 @@ export class DwellProcessor {
         reason: 'timeout'
       }, 'Object timed out from cell');
     }
+
+    return {
+      ...state,
+      current_cell: null,
+      enter_ts_ms: null,
+      accumulated_ms: state.accumulated_ms + dwellTime,
+    };
+  }
+
+  private async withObjectLock<T>(state: Pick<ObjectState, 'collector_id' | 'camera_id' | 'object_id'>, work: () => Promise<T>): Promise<T> {
+    const key = `${state.collector_id}:${state.camera_id}:${state.object_id}`;
+    const result = (this.objectLocks.get(key) ?? Promise.resolve()).catch(() => undefined).then(work);
+    this.objectLocks.set(key, result);
+
+    try {
+      return await result;
+    } finally {
+      // Only the last queued task clears the entry.
+      if (this.objectLocks.get(key) === result) {
+        this.objectLocks.delete(key);
+      }
+    }
   }
 
   private async addTimelineEntry(event: NormalizedEvent, entry: TimelineEntry): Promise<void> {
@@ -168,9 +233,68 @@ export class DwellProcessor {
     );
   }
 
-  async processTimeouts(): Promise<void> {
-    const now = Date.now();
-    
-    logger.debug('Processing timeouts for stale objects');
+  /**
+   * Closes the stays of objects that have had no event for longer than the
+   * timeout, so objects that left the camera for good stop showing as active.
+   * Staleness goes by when events were processed rather than their
+   * timestamps, so replayed or skewed event times aren't swept on arrival; the
+   * stay still ends at the last event time. Returns the number timed out.
+   */
+  async processTimeouts(now: number = Date.now()): Promise<number> {
+    const cutoff = now - this.timeoutMs;
+    const stale = await this.redisClient.getStaleObjects(cutoff, SWEEP_BATCH_SIZE);
+    let timedOut = 0;
+
+    for (const candidate of stale) {
+      await this.withObjectLock(candidate, async () => {
+        // An event may have moved the object on since the index was read.
+        const processedAt = await this.redisClient.getLastProcessedAt(candidate.collector_id, candidate.camera_id, candidate.object_id);
+        if (processedAt === null || processedAt > cutoff) return;
+
+        const state = await this.redisClient.getObjectState(candidate.collector_id, candidate.camera_id, candidate.object_id);
+        if (!state?.current_cell) return;
+
+        await this.redisClient.setObjectState(await this.handleTimeout(state));
+        timedOut++;
+      });
+    }
+
+    logger.debug({ candidates: stale.length, timedOut }, 'Processed timeouts for stale objects');
+    return timedOut;
+  }
+
+  startTimeoutSweeper(intervalMs: number): void {
+    this.stopTimeoutSweeper();
+    this.sweepStats.interval_ms = intervalMs;
+
+    this.sweepTimer = setInterval(() => {
+      if (this.sweeping) return;
+      this.sweeping = true;
+
+      this.processTimeouts()
+        .then(timedOut => {
+          this.sweepStats.sweeps++;
+          this.sweepStats.objects_timed_out += timedOut;
+          this.sweepStats.last_sweep_at = Date.now();
+          this.sweepStats.last_sweep_timed_out = timedOut;
+        })
+        .catch(error => {
+          logger.error({ error }, 'Timeout sweep failed');
+        })
+        .finally(() => {
+          this.sweeping = false;
+        });
+    }, intervalMs);
+  }
+
+  stopTimeoutSweeper(): void {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = undefined;
+    }
+  }
+
+  getTimeoutSweepStats(): TimeoutSweepStats {
+    return { ...this.sweepStats };
   }
 }
\ No newline at end of file
@@ -0,0 +1,96 @@
+import pino from 'pino';
+import { DwellProcessor } from './dwell-processor.js';
+import { RedisClient } from './redis-client.js';
+import { ReorderBuffer, type ReorderStats } from './reorder-buffer.js';
+import type { SiteFusion } from './site-fusion.js';
+import type { NormalizedEvent } from '../types/index.js';
+
+const logger = pino({ name: 'event-pipeline' });
+
+/**
+ * Takes detection events from whichever consumer reads the event transport,
+ * puts them in ts_ms order with the reorder buffer and feeds released events
+ * to dwell processing and site fusion. Events behind the watermark are
+ * recorded as late instead.
+ */
+export class EventPipeline {
+  // Batches are processed one after another so released events keep their order.
+  private processing: Promise<void> = Promise.resolve();
+  private settledListeners: Array<(events: NormalizedEvent[]) => void> = [];
+
+  constructor(
+    private dwellProcessor: DwellProcessor,
+    private redisClient: RedisClient,
+    private reorderBuffer: ReorderBuffer = new ReorderBuffer(),
+    private siteFusion?: SiteFusion
+  ) {}
+
+  /** Returns true when the event was buffered, false when it was recorded as late. */
+  async accept(event: NormalizedEvent): Promise<boolean> {
+    // Events behind the watermark would be processed out of order.
+    if (!this.reorderBuffer.add(event)) {
+      const watermarkTsMs = this.reorderBuffer.getWatermark(event.collector_id, event.camera_id) ?? event.ts_ms;
+      await this.redisClient.recordLateEvent(event, watermarkTsMs);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Calls the listener with each batch of buffered events once it has been
+   * processed. A batch that failed counts too, since it isn't retried.
+   */
+  onSettled(listener: (events: NormalizedEvent[]) => void): void {
+    this.settledListeners.push(listener);
+  }
+
+  /** Processes every event the watermarks have released; returns how many. */
+  async flush(): Promise<number> {
+    return this.enqueue(() => this.reorderBuffer.release());
+  }
+
+  /** Processes everything still buffered, e.g. on shutdown. */
+  async drain(): Promise<number> {
+    return this.enqueue(() => this.reorderBuffer.drain());
+  }
+
+  getReorderStats(): ReorderStats {
+    return this.reorderBuffer.getStats();
+  }
+
+  private enqueue(take: () => NormalizedEvent[]): Promise<number> {
+    const result = this.processing.then(async () => {
+      const events = take();
+      try {
+        await this.processEvents(events);
+      } finally {
+        for (const listener of this.settledListeners) listener(events);
+      }
+      return events.length;
+    });
+    this.processing = result.then(() => undefined, () => undefined);
+    return result;
+  }
+
+  private async processEvents(events: NormalizedEvent[]): Promise<void> {
+    for (const event of events) {
+      await this.dwellProcessor.processEvent(event);
+
+      // Also add to recent events list for real-time log
+      try {
+        await this.redisClient.addRecentEvent(event);
+      } catch (logError) {
+        logger.error({ logError }, 'Failed to add event to recent events log');
+      }
+    }
+
+    if (!this.siteFusion) return;
+
+    // Released events are in order per camera only. Fusion compares cameras,
+    // so it takes the batch merged by ts_ms; the sort is stable, which keeps
+    // each camera's own order.
+    for (const event of [...events].sort((a, b) => a.ts_ms - b.ts_ms)) {
+      await this.siteFusion.processEvent(event);
+    }
+  }
+}
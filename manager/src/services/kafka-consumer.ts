@@ -2,18 +2,42 @@ import { Kafka } from 'kafkajs';
 import type { Consumer, EachMessagePayload } from 'kafkajs';
 import pino from 'pino';
 import { NormalizedEventSchema, type NormalizedEvent } from '../types/index.js';
-import { DwellProcessor } from './dwell-processor.js';
+import type { EventPipeline } from './event-pipeline.js';
+import { OffsetTracker } from './offset-tracker.js';
+import type { ReorderStats } from './reorder-buffer.js';
 
 const logger = pino({ name: 'kafka-consumer' });
 
+interface MessagePosition {
+  topic: string;
+  partition: number;
+  offset: string;
+}
+
+/**
+ * Reads detection events from Kafka into the event pipeline. Offsets are
+ * committed by hand, only once the events read up to them have left the
+ * reorder buffer and been processed, so a restart doesn't lose what was still
+ * buffered; it may process some events twice instead.
+ */
 export class KafkaConsumer {
   private kafka: Kafka;
   private consumer: Consumer;
-  private dwellProcessor: DwellProcessor;
+  private pipeline: EventPipeline;
   private isRunning = false;
-
-  constructor(dwellProcessor: DwellProcessor, brokers: string[] = ['localhost:9092']) {
-    this.dwellProcessor = dwellProcessor;
+  private releaseInterval?: NodeJS.Timeout;
+  private offsets = new OffsetTracker();
+  // Where each buffered event was read from, to settle its offset once processed.
+  private positions = new WeakMap<NormalizedEvent, MessagePosition>();
+
+  constructor(pipeline: EventPipeline, brokers: string[] = ['localhost:9092']) {
+    this.pipeline = pipeline;
+    this.pipeline.onSettled(events => {
+      for (const event of events) {
+        const position = this.positions.get(event);
+        if (position) this.offsets.settle(position.topic, position.partition, position.offset);
+      }
+    });
     
     this.kafka = new Kafka({
       clientId: 'vision-manager-consumer',
@@ -39,11 +63,24 @@ export class KafkaConsumer {
       });
 
       await this.consumer.run({
+        autoCommit: false,
         eachMessage: async (payload: EachMessagePayload) => {
           await this.handleMessage(payload);
         },
       });
 
+      // Messages only go into the reorder buffer; released events are processed here.
+      this.releaseInterval = setInterval(() => {
+        this.pipeline.flush()
+          .catch(error => {
+            logger.error({ error }, 'Failed to process released detection events');
+          })
+          .then(() => this.commitSettled())
+          .catch(error => {
+            logger.error({ error }, 'Failed to commit Kafka offsets');
+          });
+      }, 100);
+
       this.isRunning = true;
       logger.info('Kafka consumer started');
 
@@ -56,7 +93,16 @@ export class KafkaConsumer {
   async stop(): Promise<void> {
     if (!this.isRunning) return;
 
+    if (this.releaseInterval) {
+      clearInterval(this.releaseInterval);
+      this.releaseInterval = undefined;
+    }
+
     try {
+      // Stops fetching but stays connected, so the drained events can still be committed.
+      await this.consumer.stop();
+      await this.pipeline.drain();
+      await this.commitSettled();
       await this.consumer.disconnect();
       this.isRunning = false;
       logger.info('Kafka consumer stopped');
@@ -66,11 +112,24 @@ export class KafkaConsumer {
     }
   }
 
+  private async commitSettled(): Promise<void> {
+    const offsets = this.offsets.committable();
+    if (offsets.length === 0) return;
+
+    await this.consumer.commitOffsets(offsets);
+    this.offsets.committed(offsets);
+  }
+
   private async handleMessage(payload: EachMessagePayload): Promise<void> {
     const { topic, partition, message } = payload;
+    const position: MessagePosition = { topic, partition, offset: message.offset };
+    // Anything not left in the reorder buffer is done with once this returns.
+    let buffered = false;
+    this.offsets.read(topic, partition, message.offset);
 
     if (!message.value) {
       logger.warn({ topic, partition }, 'Received empty message');
+      this.offsets.settle(topic, partition, message.offset);
       return;
     }
 
@@ -79,7 +138,7 @@ export class KafkaConsumer {
       
       switch (topic) {
         case 'raw.detections':
-          await this.handleDetectionEvent(messageStr, message);
+          buffered = await this.handleDetectionEvent(messageStr, message, position);
           break;
         case 'feedback.updates':
           await this.handleFeedbackEvent(messageStr, message);
@@ -97,14 +156,20 @@ export class KafkaConsumer {
         key: message.key?.toString()
       }, 'Failed to process message');
     }
+
+    if (!buffered) {
+      this.offsets.settle(topic, partition, message.offset);
+    }
   }
 
-  private async handleDetectionEvent(messageStr: string, message: any): Promise<void> {
+  /** Returns true when the event is waiting in the reorder buffer. */
+  private async handleDetectionEvent(messageStr: string, message: any, position: MessagePosition): Promise<boolean> {
     try {
       const eventData = JSON.parse(messageStr);
       const event = NormalizedEventSchema.parse(eventData);
       
-      await this.dwellProcessor.processEvent(event);
+      this.positions.set(event, position);
+      const buffered = await this.pipeline.accept(event);
 
       logger.debug({
         eventId: event.event_id,
@@ -113,8 +178,9 @@ export class KafkaConsumer {
         objectId: event.object_id,
         cellId: event.grid_cell_id,
         offset: message.offset
-      }, 'Processed detection event');
+      }, 'Received detection event');
 
+      return buffered;
     } catch (error) {
       logger.error({ error, messageStr }, 'Failed to parse detection event');
       throw error;
@@ -136,10 +202,15 @@ export class KafkaConsumer {
     }
   }
 
-  getConsumerState(): { isRunning: boolean; topics: string[] } {
+  getReorderStats(): ReorderStats {
+    return this.pipeline.getReorderStats();
+  }
+
+  getConsumerState(): { isRunning: boolean; topics: string[]; reorder: ReorderStats } {
     return {
       isRunning: this.isRunning,
-      topics: ['raw.detections', 'feedback.updates']
+      topics: ['raw.detections', 'feedback.updates'],
+      reorder: this.pipeline.getReorderStats(),
     };
   }
 }
\ No newline at end of file
@@ -0,0 +1,67 @@
+import type { TopicPartitionOffsetAndMetadata } from 'kafkajs';
+
+interface PartitionOffsets {
+  topic: string;
+  partition: number;
+  // Offsets read but not yet settled.
+  pending: Set<bigint>;
+  // One past the newest offset read.
+  next: bigint;
+  committed: bigint | null;
+}
+
+/**
+ * Works out which Kafka offsets are safe to commit. A message is pending from
+ * when it is read until its event has been processed, which can be a lateness
+ * window later, and a partition is only committed up to its oldest pending
+ * message. A restart then reads again whatever the reorder buffer still held.
+ */
+export class OffsetTracker {
+  private partitions = new Map<string, PartitionOffsets>();
+
+  read(topic: string, partition: number, offset: string): void {
+    const key = `${topic}:${partition}`;
+    const value = BigInt(offset);
+    let entry = this.partitions.get(key);
+
+    if (!entry) {
+      entry = { topic, partition, pending: new Set(), next: value, committed: null };
+      this.partitions.set(key, entry);
+    }
+
+    entry.pending.add(value);
+    if (value >= entry.next) entry.next = value + 1n;
+  }
+
+  settle(topic: string, partition: number, offset: string): void {
+    this.partitions.get(`${topic}:${partition}`)?.pending.delete(BigInt(offset));
+  }
+
+  /** Offsets to commit, for the partitions that moved since they were last committed. */
+  committable(): TopicPartitionOffsetAndMetadata[] {
+    const offsets: TopicPartitionOffsetAndMetadata[] = [];
+
+    for (const entry of this.partitions.values()) {
+      let offset = entry.next;
+      for (const pending of entry.pending) {
+        if (pending < offset) offset = pending;
+      }
+
+      if (entry.committed === null || offset > entry.committed) {
+        offsets.push({ topic: entry.topic, partition: entry.partition, offset: offset.toString() });
+      }
+    }
+
+    return offsets;
+  }
+
+  committed(offsets: TopicPartitionOffsetAndMetadata[]): void {
+    for (const { topic, partition, offset } of offsets) {
+      const entry = this.partitions.get(`${topic}:${partition}`);
+      const value = BigInt(offset);
+      if (entry && (entry.committed === null || value > entry.committed)) {
+        entry.committed = value;
+      }
+    }
+  }
+}
@@ -1,10 +1,49 @@
 import { createClient } from 'redis';
 import type { RedisClientType } from 'redis';
 import pino from 'pino';
-import type { ObjectState, TimelineEntry, CellStats, HeatmapData } from '../types/index.js';
+import { DEFAULT_GRID_SIZE, parseGridCellId } from '@vision-logistics/shared/grid.js';
+import type {
+  ObjectState,
+  TimelineEntry,
+  CellStats,
+  HeatmapData,
+  NormalizedEvent,
+  CameraStatus,
+  CollectorRegistration,
+  CollectorInfo,
+  RegisteredCamera,
+  SiteFloorPlan,
+  StoredSiteFloorPlan,
+  CameraSiteTransform,
+  StoredCameraSiteTransform,
+} from '../types/index.js';
 
 const logger = pino({ name: 'redis-client' });
 
+// A collector that misses this many heartbeats in a row is reported offline.
+const MISSED_HEARTBEATS_BEFORE_OFFLINE = 3;
+
+// Sorted set of the state keys of objects currently in a cell, scored by when
+// the manager last wrote their state (wall clock, not event time), so stale
+// objects can be found without scanning keys.
+const ACTIVE_OBJECTS_KEY = 'index:active-objects';
+
+type StoredCollector = Omit<CollectorInfo, 'status' | 'camera_count'>;
+
+// Cleared fields are stored as the string 'null'.
+function parseObjectState(data: Record<string, string>): ObjectState {
+  return {
+    collector_id: data.collector_id,
+    camera_id: data.camera_id,
+    object_id: data.object_id,
+    class: data.class || null,
+    current_cell: !data.current_cell || data.current_cell === 'null' ? null : data.current_cell,
+    enter_ts_ms: !data.enter_ts_ms || data.enter_ts_ms === 'null' ? null : parseInt(data.enter_ts_ms),
+    last_seen_ts_ms: parseInt(data.last_seen_ts_ms),
+    accumulated_ms: parseInt(data.accumulated_ms || '0'),
+  };
+}
+
 export class RedisClient {
   private client: RedisClientType;
   private isConnected = false;
@@ -53,30 +92,31 @@ export class RedisClient {
     return `timeline:${collectorId}:${cameraId}:${objectId}`;
   }
 
+  private getCollectorCamerasKey(collectorId: string): string {
+    return `collector:${collectorId}:cameras`;
+  }
+
+  private getObjectClassKey(collectorId: string, cameraId: string): string {
+    return `objclass:${collectorId}:${cameraId}`;
+  }
+
   async getObjectState(collectorId: string, cameraId: string, objectId: string): Promise<ObjectState | null> {
     const key = this.getObjectStateKey(collectorId, cameraId, objectId);
     const data = await this.client.hGetAll(key);
     
     if (Object.keys(data).length === 0) return null;
 
-    return {
-      collector_id: data.collector_id,
-      camera_id: data.camera_id,
-      object_id: data.object_id,
-      current_cell: data.current_cell === 'null' ? null : data.current_cell,
-      enter_ts_ms: data.enter_ts_ms ? parseInt(data.enter_ts_ms) : null,
-      last_seen_ts_ms: parseInt(data.last_seen_ts_ms),
-      accumulated_ms: parseInt(data.accumulated_ms),
-    };
+    return parseObjectState(data);
   }
 
-  async setObjectState(state: ObjectState): Promise<void> {
+  async setObjectState(state: ObjectState, processedAt: number = Date.now()): Promise<void> {
     const key = this.getObjectStateKey(state.collector_id, state.camera_id, state.object_id);
     
     await this.client.hSet(key, {
       collector_id: state.collector_id,
       camera_id: state.camera_id,
       object_id: state.object_id,
+      class: state.class ?? '',
       current_cell: state.current_cell ?? 'null',
       enter_ts_ms: state.enter_ts_ms?.toString() ?? 'null',
       last_seen_ts_ms: state.last_seen_ts_ms.toString(),
@@ -84,6 +124,72 @@ export class RedisClient {
     });
 
     await this.client.expire(key, 86400);
+
+    if (state.current_cell) {
+      await this.client.zAdd(ACTIVE_OBJECTS_KEY, { score: processedAt, value: key });
+    } else {
+      await this.client.zRem(ACTIVE_OBJECTS_KEY, key);
+    }
+
+    // Per-camera object -> class index, so cell stats can be filtered by class
+    if (state.class) {
+      const classKey = this.getObjectClassKey(state.collector_id, state.camera_id);
+      await this.client.hSet(classKey, state.object_id, state.class);
+      await this.client.expire(classKey, 86400);
+    }
+  }
+
+  /**
+   * Objects still in a cell whose state was last written at or before
+   * `cutoffMs`, oldest first. Index entries whose state has expired or left
+   * its cell are cleaned up on the way.
+   */
+  async getStaleObjects(cutoffMs: number, limit: number): Promise<ObjectState[]> {
+    const keys = await this.client.zRangeByScore(ACTIVE_OBJECTS_KEY, '-inf', cutoffMs, {
+      LIMIT: { offset: 0, count: limit },
+    });
+
+    const states: ObjectState[] = [];
+    for (const key of keys) {
+      const data = await this.client.hGetAll(key);
+      const state = Object.keys(data).length > 0 ? parseObjectState(data) : null;
+
+      if (state?.current_cell) {
+        states.push(state);
+      } else {
+        await this.client.zRem(ACTIVE_OBJECTS_KEY, key);
+      }
+    }
+
+    return states;
+  }
+
+  /** When the object's state was last written while it was in a cell, or null if it isn't in one. */
+  async getLastProcessedAt(collectorId: string, cameraId: string, objectId: string): Promise<number | null> {
+    return this.client.zScore(ACTIVE_OBJECTS_KEY, this.getObjectStateKey(collectorId, cameraId, objectId));
+  }
+
+  /**
+   * Adds objects that are in a cell to the active index. Needed once for state
+   * written before the index existed; uses SCAN, so it doesn't block Redis.
+   * They count as processed now, so they time out a full timeout later.
+   */
+  async indexActiveObjects(): Promise<number> {
+    const indexedAt = Date.now();
+    let indexed = 0;
+
+    for await (const key of this.client.scanIterator({ MATCH: 'obj:*', COUNT: 500 })) {
+      const data = await this.client.hGetAll(key);
+      if (Object.keys(data).length === 0) continue;
+
+      const state = parseObjectState(data);
+      if (state.current_cell) {
+        await this.client.zAdd(ACTIVE_OBJECTS_KEY, { score: indexedAt, value: key }, { NX: true });
+        indexed++;
+      }
+    }
+
+    return indexed;
   }
 
   async updateCellDwell(collectorId: string, cameraId: string, cellId: string, objectId: string, dwellMs: number): Promise<void> {
@@ -97,29 +203,38 @@ export class RedisClient {
     await this.client.zRem(key, objectId);
   }
 
-  async getCellStats(collectorId: string, cameraId: string, cellId?: string): Promise<CellStats[]> {
+  async getCellStats(collectorId: string, cameraId: string, cellId?: string, objectClass?: string): Promise<CellStats[]> {
     const pattern = cellId 
       ? this.getCellKey(collectorId, cameraId, cellId)
       : `cell:${collectorId}:${cameraId}:*`;
     
     const keys = await this.client.keys(pattern);
+    const classIndex = objectClass
+      ? await this.client.hGetAll(this.getObjectClassKey(collectorId, cameraId))
+      : null;
     const stats: CellStats[] = [];
 
     for (const key of keys) {
       const cellIdFromKey = key.split(':').slice(3).join(':');
-      const cellData = await this.client.hGetAll(key);
+      // Cell keys are sorted sets of object_id scored by that object's dwell
+      const entries = await this.client.zRangeWithScores(key, 0, -1);
+      const dwells = entries
+        .filter(entry => !classIndex || classIndex[entry.value] === objectClass)
+        .map(entry => entry.score);
       
-      if (Object.keys(cellData).length === 0) continue;
+      if (dwells.length === 0) continue;
+
+      const totalDwell = dwells.reduce((sum, dwell) => sum + dwell, 0);
 
       stats.push({
-        collector_id: cellData.collector_id || collectorId,
-        camera_id: cellData.camera_id || cameraId,
-        grid_cell_id: cellData.grid_cell_id || cellIdFromKey,
-        total_dwell_ms: parseInt(cellData.total_dwell_ms || '0'),
-        object_count: parseInt(cellData.object_count || '0'),
-        avg_dwell_ms: parseInt(cellData.avg_dwell_ms || '0'),
-        max_dwell_ms: parseInt(cellData.max_dwell_ms || '0'),
-        min_dwell_ms: parseInt(cellData.min_dwell_ms || '0'),
+        collector_id: collectorId,
+        camera_id: cameraId,
+        grid_cell_id: cellIdFromKey,
+        total_dwell_ms: totalDwell,
+        object_count: dwells.length,
+        avg_dwell_ms: Math.round(totalDwell / dwells.length),
+        max_dwell_ms: Math.max(...dwells),
+        min_dwell_ms: Math.min(...dwells),
       });
     }
 
@@ -141,35 +256,209 @@ export class RedisClient {
       .sort((a, b) => b.from_ts_ms - a.from_ts_ms);
   }
 
+  async getCameraGrid(collectorId: string, cameraId: string): Promise<HeatmapData['grid_size']> {
+    // Published by collectors from their camera grid registry.
+    const data = await this.client.hGet('camera:grids', `${collectorId}:${cameraId}`);
+    if (!data) return DEFAULT_GRID_SIZE;
+
+    try {
+      const { width, height } = JSON.parse(data);
+      return { width, height };
+    } catch (error) {
+      logger.error({ error, collectorId, cameraId }, 'Failed to parse camera grid');
+      return DEFAULT_GRID_SIZE;
+    }
+  }
+
+  async getCameraStatuses(collectorId?: string): Promise<CameraStatus[]> {
+    // Published by collectors whenever a camera's liveness changes.
+    const entries = await this.client.hGetAll('camera:status');
+    const now = Date.now();
+    const statuses: CameraStatus[] = [];
+
+    for (const [field, data] of Object.entries(entries)) {
+      try {
+        const status = JSON.parse(data) as CameraStatus;
+        if (collectorId && status.collector_id !== collectorId) continue;
+
+        // A collector that died can't report its cameras going offline.
+        const lastFrameAge = status.last_frame_ts_ms === null ? null : now - status.last_frame_ts_ms;
+        if (status.status !== 'offline' && lastFrameAge !== null && lastFrameAge >= status.offline_after_ms) {
+          statuses.push({ ...status, status: 'offline', frame_rate: 0, stale: true });
+        } else {
+          statuses.push(status);
+        }
+      } catch (error) {
+        logger.error({ error, field }, 'Failed to parse camera status');
+      }
+    }
+
+    return statuses.sort((a, b) =>
+      a.collector_id.localeCompare(b.collector_id) || a.camera_id.localeCompare(b.camera_id));
+  }
+
+  async registerCollector(registration: CollectorRegistration): Promise<CollectorInfo> {
+    const { cameras, ...collector } = registration;
+    const now = Date.now();
+    const stored: StoredCollector = { ...collector, registered_at: now, last_heartbeat_ms: now };
+    const camerasKey = this.getCollectorCamerasKey(collector.collector_id);
+
+    // Registration carries the collector's full camera list, so it replaces the old one.
+    const multi = this.client.multi()
+      .hSet('collectors', collector.collector_id, JSON.stringify(stored))
+      .del(camerasKey);
+    for (const camera of cameras) {
+      multi.hSet(camerasKey, camera.camera_id, JSON.stringify(camera));
+    }
+    await multi.exec();
+
+    return this.toCollectorInfo(stored, cameras.length, now);
+  }
+
+  /** Returns false when the collector has not registered, so it knows to register again. */
+  async recordCollectorHeartbeat(collectorId: string): Promise<boolean> {
+    const collector = await this.readCollector(collectorId);
+    if (!collector) return false;
+
+    collector.last_heartbeat_ms = Date.now();
+    await this.client.hSet('collectors', collectorId, JSON.stringify(collector));
+    return true;
+  }
+
+  async listCollectors(): Promise<CollectorInfo[]> {
+    const entries = await this.client.hGetAll('collectors');
+    const now = Date.now();
+    const collectors: CollectorInfo[] = [];
+
+    for (const [collectorId, data] of Object.entries(entries)) {
+      try {
+        const stored = JSON.parse(data) as StoredCollector;
+        const cameraCount = await this.client.hLen(this.getCollectorCamerasKey(collectorId));
+        collectors.push(this.toCollectorInfo(stored, cameraCount, now));
+      } catch (error) {
+        logger.error({ error, collectorId }, 'Failed to parse collector registration');
+      }
+    }
+
+    return collectors.sort((a, b) => a.collector_id.localeCompare(b.collector_id));
+  }
+
+  async getCollector(collectorId: string): Promise<CollectorInfo | null> {
+    const stored = await this.readCollector(collectorId);
+    if (!stored) return null;
+
+    const cameraCount = await this.client.hLen(this.getCollectorCamerasKey(collectorId));
+    return this.toCollectorInfo(stored, cameraCount, Date.now());
+  }
+
+  async getCollectorCameras(collectorId: string): Promise<RegisteredCamera[]> {
+    const [entries, statuses] = await Promise.all([
+      this.client.hGetAll(this.getCollectorCamerasKey(collectorId)),
+      this.getCameraStatuses(collectorId),
+    ]);
+    const liveness = new Map(statuses.map(status => [status.camera_id, status.status]));
+
+    return Object.values(entries)
+      .map(data => {
+        const camera = JSON.parse(data) as RegisteredCamera;
+        return { ...camera, collector_id: collectorId, liveness: liveness.get(camera.camera_id) };
+      })
+      .sort((a, b) => a.camera_id.localeCompare(b.camera_id));
+  }
+
+  async getSiteFloorPlan(): Promise<StoredSiteFloorPlan | null> {
+    const data = await this.client.get('site:floor');
+    return data ? JSON.parse(data) as StoredSiteFloorPlan : null;
+  }
+
+  /**
+   * Site-level dwell is stored like a camera's under collector `site`, so the
+   * site grid is published alongside camera grids for the heatmap to use.
+   */
+  async setSiteFloorPlan(siteCollectorId: string, floorPlan: SiteFloorPlan): Promise<StoredSiteFloorPlan> {
+    const stored: StoredSiteFloorPlan = { ...floorPlan, updated_at: Date.now() };
+
+    await this.client.multi()
+      .set('site:floor', JSON.stringify(stored))
+      .hSet('camera:grids', `${siteCollectorId}:${floorPlan.site_id}`, JSON.stringify({
+        width: floorPlan.width,
+        height: floorPlan.height,
+      }))
+      .exec();
+
+    return stored;
+  }
+
+  async listSiteTransforms(): Promise<StoredCameraSiteTransform[]> {
+    const entries = await this.client.hGetAll('site:transforms');
+
+    return Object.values(entries)
+      .map(data => JSON.parse(data) as StoredCameraSiteTransform)
+      .sort((a, b) => a.collector_id.localeCompare(b.collector_id) || a.camera_id.localeCompare(b.camera_id));
+  }
+
+  async setSiteTransform(collectorId: string, cameraId: string, transform: CameraSiteTransform): Promise<StoredCameraSiteTransform> {
+    const stored: StoredCameraSiteTransform = {
+      ...transform,
+      collector_id: collectorId,
+      camera_id: cameraId,
+      updated_at: Date.now(),
+    };
+
+    await this.client.hSet('site:transforms', `${collectorId}:${cameraId}`, JSON.stringify(stored));
+    return stored;
+  }
+
+  async deleteSiteTransform(collectorId: string, cameraId: string): Promise<boolean> {
+    return await this.client.hDel('site:transforms', `${collectorId}:${cameraId}`) > 0;
+  }
+
+  private async readCollector(collectorId: string): Promise<StoredCollector | null> {
+    const data = await this.client.hGet('collectors', collectorId);
+    return data ? JSON.parse(data) as StoredCollector : null;
+  }
+
+  private toCollectorInfo(stored: StoredCollector, cameraCount: number, now: number): CollectorInfo {
+    const offlineAfterMs = stored.heartbeat_interval_ms * MISSED_HEARTBEATS_BEFORE_OFFLINE;
+
+    return {
+      ...stored,
+      status: now - stored.last_heartbeat_ms > offlineAfterMs ? 'offline' : 'online',
+      camera_count: cameraCount,
+    };
+  }
+
   async generateHeatmapData(
     collectorId: string, 
     cameraId: string, 
-    windowMs: number = 3600000
+    windowMs: number = 3600000,
+    objectClass?: string
   ): Promise<HeatmapData> {
     const now = Date.now();
+    const gridSize = await this.getCameraGrid(collectorId, cameraId);
     
     // For real-time mode (windowMs = 0), return empty historical data
     if (windowMs === 0) {
       return {
         collector_id: collectorId,
         camera_id: cameraId,
-        grid_size: { width: 20, height: 15 },
+        grid_size: gridSize,
         cells: [],
         timestamp: now,
         window_ms: windowMs,
       };
     }
     
-    const stats = await this.getCellStats(collectorId, cameraId);
+    const stats = await this.getCellStats(collectorId, cameraId, undefined, objectClass);
     const maxDwell = stats.length > 0 ? Math.max(...stats.map(s => s.total_dwell_ms)) : 1;
     
     const cells = stats.map(stat => {
-      const [, gridX, gridY] = stat.grid_cell_id.match(/G_(\d+)_(\d+)/) || ['', '0', '0'];
+      const { x, y } = parseGridCellId(stat.grid_cell_id) ?? { x: 0, y: 0 };
       
       return {
         grid_cell_id: stat.grid_cell_id,
-        x: parseInt(gridX),
-        y: parseInt(gridY),
+        x,
+        y,
         dwell_ms: stat.total_dwell_ms,
         object_count: stat.object_count,
         intensity: stat.total_dwell_ms / maxDwell,
@@ -179,8 +468,8 @@ export class RedisClient {
     return {
       collector_id: collectorId,
       camera_id: cameraId,
-      grid_size: { width: 20, height: 15 },
-      cells,
+      grid_size: gridSize,
+      cells: cells.filter(cell => cell.x < gridSize.width && cell.y < gridSize.height),
       timestamp: now,
       window_ms: windowMs,
     };
@@ -203,6 +492,18 @@ export class RedisClient {
     }
   }
 
+  async recordLateEvent(event: NormalizedEvent, watermarkTsMs: number): Promise<void> {
+    const payload = JSON.stringify({ source: 'manager', watermark_ts_ms: watermarkTsMs, received_at: Date.now(), event });
+
+    try {
+      await this.client.publish('detection:late', payload);
+      await this.client.lPush('detection:late', payload);
+      await this.client.lTrim('detection:late', 0, 999);
+    } catch (error) {
+      logger.error({ error, eventId: event.event_id }, 'Failed to record late event');
+    }
+  }
+
   async getRecentEvents(limit: number = 50): Promise<any[]> {
     try {
       // Get recent events from a simple list  
@@ -232,7 +533,7 @@ export class RedisClient {
     }
   }
 
-  async getActiveObjects(collectorId: string, cameraId: string): Promise<ObjectState[]> {
+  async getActiveObjects(collectorId: string, cameraId: string, objectClass?: string): Promise<ObjectState[]> {
     try {
       const pattern = `obj:${collectorId}:${cameraId}:*`;
       const keys = await this.client.keys(pattern);
@@ -247,15 +548,13 @@ export class RedisClient {
           if (Object.keys(data).length === 0) return null;
           
           const state: ObjectState = {
+            ...parseObjectState(data),
             collector_id: data.collector_id || collectorId,
             camera_id: data.camera_id || cameraId,
-            object_id: data.object_id,
-            current_cell: data.current_cell || null,
-            enter_ts_ms: data.enter_ts_ms ? parseInt(data.enter_ts_ms) : null,
-            last_seen_ts_ms: parseInt(data.last_seen_ts_ms),
-            accumulated_ms: parseInt(data.accumulated_ms || '0'),
           };
 
+          if (objectClass && state.class !== objectClass) return null;
+
           // Only return objects that are currently in a cell (active)
           return state.current_cell ? state : null;
         })
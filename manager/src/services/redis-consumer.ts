@@ -1,21 +1,19 @@
 import { createClient } from 'redis';
 import pino from 'pino';
-import { DwellProcessor } from './dwell-processor.js';
-import { RedisClient } from './redis-client.js';
-import type { NormalizedEvent } from '../types/detection.js';
+import type { EventPipeline } from './event-pipeline.js';
+import type { ReorderStats } from './reorder-buffer.js';
+import { NormalizedEventSchema, type NormalizedEvent } from '../types/index.js';
 
 const logger = pino({ name: 'redis-consumer' });
 
 export class RedisConsumer {
   private client: any;
-  private dwellProcessor: DwellProcessor;
-  private redisClient: RedisClient;
+  private pipeline: EventPipeline;
   private isRunning = false;
   private processingInterval?: NodeJS.Timeout;
 
-  constructor(dwellProcessor: DwellProcessor, redisClient: RedisClient, redisUrl: string = 'redis://localhost:6379') {
-    this.dwellProcessor = dwellProcessor;
-    this.redisClient = redisClient;
+  constructor(pipeline: EventPipeline, redisUrl: string = 'redis://localhost:6379') {
+    this.pipeline = pipeline;
     this.client = createClient({ url: redisUrl });
     
     this.client.on('error', (err) => {
@@ -56,6 +54,8 @@ export class RedisConsumer {
       this.processingInterval = undefined;
     }
 
+    await this.pipeline.drain();
+
     if (this.client.isOpen) {
       await this.client.disconnect();
     }
@@ -67,43 +67,44 @@ export class RedisConsumer {
     try {
       // Get oldest events from the sorted set (FIFO processing)
       const results = await this.client.zRange('detection:queue', 0, 9);
-      
-      if (results.length === 0) {
-        return;
-      }
 
       // Remove the processed items from queue
       if (results.length > 0) {
         await this.client.zRem('detection:queue', results);
       }
 
-      const events: NormalizedEvent[] = results.map(result => 
-        JSON.parse(result) as NormalizedEvent
-      );
-
-      // Process events through dwell processor
-      for (const event of events) {
-        await this.dwellProcessor.processDetectionEvent(event);
-        
-        // Also add to recent events list for real-time log
+      for (const result of results as string[]) {
+        let event: NormalizedEvent;
         try {
-          await this.redisClient.addRecentEvent(event);
-        } catch (logError) {
-          logger.error({ logError }, 'Failed to add event to recent events log');
+          event = NormalizedEventSchema.parse(JSON.parse(result));
+        } catch (parseError) {
+          logger.error({ parseError, result }, 'Dropping malformed detection event');
+          continue;
         }
+
+        await this.pipeline.accept(event);
       }
 
-      logger.debug({ eventCount: events.length }, 'Processed detection events from Redis queue');
+      const processed = await this.pipeline.flush();
+
+      if (processed > 0) {
+        logger.debug({ eventCount: processed }, 'Processed detection events from Redis queue');
+      }
     } catch (error) {
       logger.error({ error }, 'Failed to process detection queue');
     }
   }
 
+  getReorderStats(): ReorderStats {
+    return this.pipeline.getReorderStats();
+  }
+
   getConsumerState(): any {
     return {
       connected: this.client.isOpen,
       running: this.isRunning,
-      type: 'redis'
+      type: 'redis',
+      reorder: this.pipeline.getReorderStats()
     };
   }
 }
\ No newline at end of file
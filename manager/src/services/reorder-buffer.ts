@@ -0,0 +1,195 @@
+import pino from 'pino';
+import type { NormalizedEvent } from '../types/index.js';
+
+const logger = pino({ name: 'reorder-buffer' });
+
+interface CameraBuffer {
+  events: NormalizedEvent[];
+  // Held events let go by a watermark restart, released ahead of the rest.
+  ready: NormalizedEvent[];
+  maxTsMs: number;
+  watermarkTsMs: number;
+  lastArrivalMs: number;
+  lateEvents: number;
+  lastLateMs: number | null;
+  watermarkResets: number;
+}
+
+export interface CameraReorderStats {
+  buffered_events: number;
+  max_ts_ms: number;
+  watermark_ts_ms: number;
+  late_events: number;
+  last_late_ts_ms: number | null;
+  watermark_resets: number;
+}
+
+export interface ReorderBufferOptions {
+  /**
+   * How far ahead of its arrival time an event's ts_ms may move the watermark.
+   * Kept below the lateness window, a future timestamp can't make events
+   * stamped with the current time late.
+   */
+  futureToleranceMs?: number;
+  /**
+   * A replayed event this far behind the watermark restarts it instead of
+   * counting as late. Live events behind the watermark are always late.
+   */
+  resetMs?: number;
+}
+
+export interface ReorderStats {
+  lateness_ms: number;
+  buffered_events: number;
+  late_events: number;
+  cameras: Record<string, CameraReorderStats>;
+}
+
+/**
+ * Holds events per camera for the lateness window and releases them in ts_ms
+ * order once the watermark (newest ts_ms minus the window) passes them. If a
+ * camera goes quiet for a full window its watermark jumps to the newest event
+ * so the tail isn't held forever. Events behind the watermark can no longer be
+ * placed in order and are reported as late instead.
+ *
+ * Timestamps only count up to the arrival time plus a tolerance, so one event
+ * stamped in the future can't make the camera's later events late. Only events
+ * the collector marked `replayed` may restart the watermark by jumping far back
+ * in time; anything else behind it is late, however far, so dwell state never
+ * sees time run backwards.
+ */
+export class ReorderBuffer {
+  private cameras = new Map<string, CameraBuffer>();
+  private futureToleranceMs: number;
+  private resetMs: number;
+
+  constructor(private latenessMs: number = 2000, options: ReorderBufferOptions = {}) {
+    this.futureToleranceMs = options.futureToleranceMs ?? 1000;
+    this.resetMs = options.resetMs ?? 60000;
+  }
+
+  /** Returns false when the event is late and was not buffered. */
+  add(event: NormalizedEvent, now: number = Date.now()): boolean {
+    const key = `${event.collector_id}:${event.camera_id}`;
+    const boundedTsMs = Math.min(event.ts_ms, now + this.futureToleranceMs);
+    let buffer = this.cameras.get(key);
+
+    if (!buffer) {
+      buffer = {
+        events: [],
+        ready: [],
+        maxTsMs: boundedTsMs,
+        watermarkTsMs: Number.NEGATIVE_INFINITY,
+        lastArrivalMs: now,
+        lateEvents: 0,
+        lastLateMs: null,
+        watermarkResets: 0,
+      };
+      this.cameras.set(key, buffer);
+    } else if (event.replayed && event.ts_ms < buffer.watermarkTsMs - this.resetMs) {
+      logger.info({ camera: key, tsMs: event.ts_ms, watermarkTsMs: buffer.watermarkTsMs }, 'Restarting camera watermark');
+      // What's held arrived first, so it goes out before the restarted stream.
+      buffer.ready.push(...buffer.events.splice(0));
+      buffer.maxTsMs = boundedTsMs;
+      buffer.watermarkTsMs = Number.NEGATIVE_INFINITY;
+      buffer.watermarkResets++;
+    }
+
+    if (event.ts_ms < buffer.watermarkTsMs) {
+      buffer.lateEvents++;
+      buffer.lastLateMs = now;
+      logger.warn({
+        eventId: event.event_id,
+        camera: key,
+        tsMs: event.ts_ms,
+        watermarkTsMs: buffer.watermarkTsMs,
+      }, 'Event arrived behind the watermark');
+      return false;
+    }
+
+    insertSorted(buffer.events, event);
+    buffer.maxTsMs = Math.max(buffer.maxTsMs, boundedTsMs);
+    buffer.lastArrivalMs = now;
+    buffer.watermarkTsMs = Math.max(buffer.watermarkTsMs, buffer.maxTsMs - this.latenessMs);
+    return true;
+  }
+
+  getWatermark(collectorId: string, cameraId: string): number | null {
+    return this.cameras.get(`${collectorId}:${cameraId}`)?.watermarkTsMs ?? null;
+  }
+
+  /** Removes and returns every event at or below its camera's watermark, oldest first per camera. */
+  release(now: number = Date.now()): NormalizedEvent[] {
+    const released: NormalizedEvent[] = [];
+
+    for (const buffer of this.cameras.values()) {
+      released.push(...buffer.ready.splice(0));
+
+      // A quiet camera releases everything, including events stamped past the tolerance.
+      if (now - buffer.lastArrivalMs >= this.latenessMs) {
+        buffer.watermarkTsMs = Math.max(buffer.watermarkTsMs, buffer.maxTsMs);
+        released.push(...buffer.events.splice(0));
+        continue;
+      }
+
+      let count = 0;
+      while (count < buffer.events.length && buffer.events[count].ts_ms <= buffer.watermarkTsMs) {
+        count++;
+      }
+
+      if (count > 0) {
+        released.push(...buffer.events.splice(0, count));
+      }
+    }
+
+    return released;
+  }
+
+  /** Empties every buffer regardless of watermarks, e.g. on shutdown. */
+  drain(): NormalizedEvent[] {
+    const drained: NormalizedEvent[] = [];
+    for (const buffer of this.cameras.values()) {
+      drained.push(...buffer.ready.splice(0), ...buffer.events.splice(0));
+      buffer.watermarkTsMs = Math.max(buffer.watermarkTsMs, buffer.maxTsMs);
+    }
+    return drained;
+  }
+
+  getStats(): ReorderStats {
+    const cameras: Record<string, CameraReorderStats> = {};
+    let bufferedEvents = 0;
+    let lateEvents = 0;
+
+    for (const [key, buffer] of this.cameras) {
+      cameras[key] = {
+        buffered_events: buffer.ready.length + buffer.events.length,
+        max_ts_ms: buffer.maxTsMs,
+        watermark_ts_ms: buffer.watermarkTsMs,
+        late_events: buffer.lateEvents,
+        last_late_ts_ms: buffer.lastLateMs,
+        watermark_resets: buffer.watermarkResets,
+      };
+      bufferedEvents += buffer.ready.length + buffer.events.length;
+      lateEvents += buffer.lateEvents;
+    }
+
+    return { lateness_ms: this.latenessMs, buffered_events: bufferedEvents, late_events: lateEvents, cameras };
+  }
+}
+
+// Inserts after any events with the same ts_ms so arrival order breaks ties.
+function insertSorted(events: NormalizedEvent[], event: NormalizedEvent): void {
+  let low = 0;
+  let high = events.length;
+
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (events[mid].ts_ms <= event.ts_ms) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+
+  events.splice(low, 0, event);
+}
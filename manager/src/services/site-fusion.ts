@@ -0,0 +1,279 @@
+import { randomUUID } from 'crypto';
+import pino from 'pino';
+import { formatGridCellId, parseGridCellId } from '@vision-logistics/shared/grid.js';
+import type { DwellProcessor } from './dwell-processor.js';
+import type { RedisClient } from './redis-client.js';
+import type {
+  CameraSiteTransform,
+  NormalizedEvent,
+  SiteFloorPlan,
+  SiteFusionStats,
+  StoredCameraSiteTransform,
+  StoredSiteFloorPlan,
+} from '../types/index.js';
+
+const logger = pino({ name: 'site-fusion' });
+
+// Site-level object state, cell dwell and timelines are stored under this
+// collector id with the site id as the camera, so the per-camera queries work
+// for the site as well.
+export const SITE_COLLECTOR_ID = 'site';
+
+export interface SiteFusionOptions {
+  /** How far, in site cells, another camera's detection may be from a site object and still be it. */
+  matchRadiusCells?: number;
+  /** How recently a site object must have been seen for another camera's detection to match it. */
+  matchWindowMs?: number;
+  /** Site objects and camera bindings unseen for this long are forgotten. */
+  objectTimeoutMs?: number;
+}
+
+interface SiteObject {
+  site_object_id: string;
+  class: string | null;
+  x: number;
+  y: number;
+  last_seen_ts_ms: number;
+  /** Binding key of the object each camera currently sees as this site object. */
+  sources: Map<string, string>;
+}
+
+interface Binding {
+  siteObjectId: string;
+  lastSeenTsMs: number;
+}
+
+function cameraKey(collectorId: string, cameraId: string): string {
+  return `${collectorId}:${cameraId}`;
+}
+
+/**
+ * Fuses camera events into one site-level floor grid. Each camera object is
+ * bound to a site object; a camera object that appears near a site object
+ * another camera is already following joins it, so an object crossing between
+ * cameras keeps one identity. Overlapping cameras report the same site object
+ * at about the same time, and only the first report at each timestamp is kept.
+ *
+ * Events arrive merged by ts_ms within each released batch. A camera whose
+ * events are released in a later batch can still report a site object older
+ * than it already is; those reports are counted as `events_out_of_order` and
+ * not fused, since site dwell must not run backwards. Site objects and
+ * bindings are kept in memory only, so after a restart cameras bind to new
+ * site objects; site dwell and timelines already written stay in Redis.
+ */
+export class SiteFusion {
+  private floorPlan: StoredSiteFloorPlan | null = null;
+  private transforms = new Map<string, StoredCameraSiteTransform>();
+  private siteObjects = new Map<string, SiteObject>();
+  private bindings = new Map<string, Binding>();
+  private lastExpiryTsMs = 0;
+  private matchRadiusCells: number;
+  private matchWindowMs: number;
+  private objectTimeoutMs: number;
+  private stats = {
+    events_received: 0,
+    events_fused: 0,
+    events_deduplicated: 0,
+    events_out_of_order: 0,
+    events_unmapped: 0,
+    cross_camera_matches: 0,
+  };
+
+  constructor(
+    private redisClient: RedisClient,
+    private dwellProcessor: DwellProcessor,
+    options: SiteFusionOptions = {}
+  ) {
+    this.matchRadiusCells = options.matchRadiusCells ?? 1;
+    this.matchWindowMs = options.matchWindowMs ?? 2000;
+    this.objectTimeoutMs = options.objectTimeoutMs ?? 30000;
+  }
+
+  async load(): Promise<void> {
+    this.floorPlan = await this.redisClient.getSiteFloorPlan();
+    this.transforms = new Map((await this.redisClient.listSiteTransforms())
+      .map(transform => [cameraKey(transform.collector_id, transform.camera_id), transform]));
+
+    logger.info({
+      siteId: this.floorPlan?.site_id,
+      cameraCount: this.transforms.size,
+    }, 'Loaded site floor plan');
+  }
+
+  getFloorPlan(): StoredSiteFloorPlan | null {
+    return this.floorPlan;
+  }
+
+  async setFloorPlan(floorPlan: SiteFloorPlan): Promise<StoredSiteFloorPlan> {
+    this.floorPlan = await this.redisClient.setSiteFloorPlan(SITE_COLLECTOR_ID, floorPlan);
+    // Site objects were placed on the old grid.
+    this.siteObjects.clear();
+    this.bindings.clear();
+
+    logger.info({ siteId: floorPlan.site_id, width: floorPlan.width, height: floorPlan.height }, 'Site floor plan updated');
+    return this.floorPlan;
+  }
+
+  listTransforms(): StoredCameraSiteTransform[] {
+    return [...this.transforms.values()];
+  }
+
+  async setTransform(collectorId: string, cameraId: string, transform: CameraSiteTransform): Promise<StoredCameraSiteTransform> {
+    const stored = await this.redisClient.setSiteTransform(collectorId, cameraId, transform);
+    this.transforms.set(cameraKey(collectorId, cameraId), stored);
+    return stored;
+  }
+
+  async deleteTransform(collectorId: string, cameraId: string): Promise<boolean> {
+    this.transforms.delete(cameraKey(collectorId, cameraId));
+    return this.redisClient.deleteSiteTransform(collectorId, cameraId);
+  }
+
+  /** Maps a camera grid cell onto the site grid; null when it lands off the floor plan. */
+  toSiteCell(collectorId: string, cameraId: string, cellId: string): { x: number; y: number } | null {
+    const transform = this.transforms.get(cameraKey(collectorId, cameraId));
+    const cell = parseGridCellId(cellId);
+    if (!this.floorPlan || !transform || !cell) return null;
+
+    // Cell centres, scaled into site cells.
+    const u = (cell.x + 0.5) * transform.scale_x;
+    const v = (cell.y + 0.5) * transform.scale_y;
+    const angle = (transform.rotation_deg * Math.PI) / 180;
+    const x = Math.floor(transform.offset_x + u * Math.cos(angle) - v * Math.sin(angle));
+    const y = Math.floor(transform.offset_y + u * Math.sin(angle) + v * Math.cos(angle));
+
+    if (x < 0 || y < 0 || x >= this.floorPlan.width || y >= this.floorPlan.height) return null;
+    return { x, y };
+  }
+
+  async processEvent(event: NormalizedEvent): Promise<void> {
+    // Anonymized events have no identity to fuse, and must not gain one here.
+    if (!this.floorPlan || event.anonymized) return;
+    this.stats.events_received++;
+
+    const cell = this.toSiteCell(event.collector_id, event.camera_id, event.grid_cell_id);
+    if (!cell) {
+      this.stats.events_unmapped++;
+      return;
+    }
+
+    this.expire(event.ts_ms);
+
+    const source = cameraKey(event.collector_id, event.camera_id);
+    const bindingKey = `${source}:${event.object_id}`;
+    let binding = this.bindings.get(bindingKey);
+    let siteObject = binding && this.siteObjects.get(binding.siteObjectId);
+
+    if (!binding || !siteObject) {
+      const matched = this.match(source, event, cell);
+      if (matched) {
+        this.stats.cross_camera_matches++;
+      }
+
+      siteObject = matched ?? this.createSiteObject(event, cell);
+      binding = { siteObjectId: siteObject.site_object_id, lastSeenTsMs: event.ts_ms };
+      siteObject.sources.set(source, bindingKey);
+      this.bindings.set(bindingKey, binding);
+    }
+    binding.lastSeenTsMs = Math.max(binding.lastSeenTsMs, event.ts_ms);
+
+    // Another camera already placed this object at this time or later.
+    if (event.ts_ms <= siteObject.last_seen_ts_ms) {
+      if (event.ts_ms === siteObject.last_seen_ts_ms) {
+        this.stats.events_deduplicated++;
+      } else {
+        this.stats.events_out_of_order++;
+        logger.debug({
+          eventId: event.event_id,
+          siteObjectId: siteObject.site_object_id,
+          tsMs: event.ts_ms,
+          lastSeenTsMs: siteObject.last_seen_ts_ms,
+        }, 'Camera reported a site object older than it already is');
+      }
+      return;
+    }
+
+    siteObject.x = cell.x;
+    siteObject.y = cell.y;
+    siteObject.class = event.class ?? siteObject.class;
+    siteObject.last_seen_ts_ms = event.ts_ms;
+    this.stats.events_fused++;
+
+    await this.dwellProcessor.processEvent({
+      event_id: `site-${event.event_id}`,
+      collector_id: SITE_COLLECTOR_ID,
+      camera_id: this.floorPlan.site_id,
+      object_id: siteObject.site_object_id,
+      grid_cell_id: formatGridCellId(cell.x, cell.y),
+      ts_ms: event.ts_ms,
+      class: siteObject.class ?? undefined,
+      confidence: event.confidence,
+    });
+  }
+
+  getStats(): SiteFusionStats {
+    return {
+      site_id: this.floorPlan?.site_id ?? null,
+      ...this.stats,
+      active_site_objects: this.siteObjects.size,
+    };
+  }
+
+  /**
+   * Finds the nearest recently seen site object of the same class. Objects the
+   * camera already sees as something else are skipped: one camera seeing two
+   * objects means they are two objects.
+   */
+  private match(source: string, event: NormalizedEvent, cell: { x: number; y: number }): SiteObject | null {
+    let best: SiteObject | null = null;
+    let bestDistance = Infinity;
+
+    for (const siteObject of this.siteObjects.values()) {
+      if (event.class && siteObject.class && event.class !== siteObject.class) continue;
+      if (Math.abs(event.ts_ms - siteObject.last_seen_ts_ms) > this.matchWindowMs) continue;
+
+      const distance = Math.max(Math.abs(siteObject.x - cell.x), Math.abs(siteObject.y - cell.y));
+      if (distance > this.matchRadiusCells || distance >= bestDistance) continue;
+
+      const existing = siteObject.sources.get(source);
+      const existingBinding = existing && this.bindings.get(existing);
+      if (existingBinding && event.ts_ms - existingBinding.lastSeenTsMs <= this.matchWindowMs) continue;
+
+      best = siteObject;
+      bestDistance = distance;
+    }
+
+    return best;
+  }
+
+  private createSiteObject(event: NormalizedEvent, cell: { x: number; y: number }): SiteObject {
+    const siteObject: SiteObject = {
+      site_object_id: `site-obj-${randomUUID()}`,
+      class: event.class ?? null,
+      x: cell.x,
+      y: cell.y,
+      last_seen_ts_ms: -Infinity,
+      sources: new Map(),
+    };
+
+    this.siteObjects.set(siteObject.site_object_id, siteObject);
+    return siteObject;
+  }
+
+  private expire(nowTsMs: number): void {
+    if (nowTsMs - this.lastExpiryTsMs < 1000) return;
+    this.lastExpiryTsMs = nowTsMs;
+
+    for (const [bindingKey, binding] of this.bindings) {
+      if (nowTsMs - binding.lastSeenTsMs > this.objectTimeoutMs) {
+        this.bindings.delete(bindingKey);
+      }
+    }
+
+    for (const [siteObjectId, siteObject] of this.siteObjects) {
+      if (nowTsMs - siteObject.last_seen_ts_ms > this.objectTimeoutMs) {
+        this.siteObjects.delete(siteObjectId);
+      }
+    }
+  }
+}
@@ -1,5 +1,8 @@
 import { z } from 'zod';
 
+export const BboxSchema = z.tuple([z.number(), z.number(), z.number(), z.number()]);
+
+// class/confidence/bbox are optional so events from older collectors still parse.
 export const NormalizedEventSchema = z.object({
   event_id: z.string(),
   collector_id: z.string(),
@@ -7,12 +10,20 @@ export const NormalizedEventSchema = z.object({
   object_id: z.string(),
   grid_cell_id: z.string(),
   ts_ms: z.number(),
+  class: z.string().optional(),
+  confidence: z.number().min(0).max(1).optional(),
+  bbox: BboxSchema.optional(),
+  // Set by the collector's privacy masks; object_id is then a placeholder.
+  anonymized: z.boolean().optional(),
+  // Set by the collector on replayed data, the only events that may restart a watermark.
+  replayed: z.boolean().optional(),
 });
 
 export const ObjectStateSchema = z.object({
   collector_id: z.string(),
   camera_id: z.string(),
   object_id: z.string(),
+  class: z.string().nullable(),
   current_cell: z.string().nullable(),
   enter_ts_ms: z.number().nullable(),
   last_seen_ts_ms: z.number(),
@@ -51,12 +62,54 @@ export const FeedbackDeleteSpanSchema = z.object({
   to_ts_ms: z.number(),
 });
 
+export const CameraRegistrationSchema = z.object({
+  camera_id: z.string().min(1),
+  display_name: z.string().optional(),
+  location: z.string().optional(),
+  grid_size: z.object({
+    width: z.number().int().positive(),
+    height: z.number().int().positive(),
+  }),
+});
+
+export const CollectorRegistrationSchema = z.object({
+  collector_id: z.string().min(1),
+  display_name: z.string().optional(),
+  location: z.string().optional(),
+  url: z.string().optional(),
+  heartbeat_interval_ms: z.number().int().positive(),
+  cameras: z.array(CameraRegistrationSchema),
+});
+
+// The site floor plan is a grid of its own, shared by every camera on the site.
+export const SiteFloorPlanSchema = z.object({
+  site_id: z.string().min(1),
+  name: z.string().optional(),
+  width: z.number().int().positive(),
+  height: z.number().int().positive(),
+});
+
+// Places a camera's grid on the site grid: camera cells are scaled into site
+// cells, rotated clockwise about the camera grid's origin, then offset.
+export const CameraSiteTransformSchema = z.object({
+  offset_x: z.number(),
+  offset_y: z.number(),
+  scale_x: z.number().positive().default(1),
+  scale_y: z.number().positive().default(1),
+  rotation_deg: z.number().default(0),
+});
+
+export type Bbox = z.infer<typeof BboxSchema>;
 export type NormalizedEvent = z.infer<typeof NormalizedEventSchema>;
 export type ObjectState = z.infer<typeof ObjectStateSchema>;
 export type TimelineEntry = z.infer<typeof TimelineEntrySchema>;
 export type FeedbackRelabel = z.infer<typeof FeedbackRelabelSchema>;
 export type FeedbackCorrectCell = z.infer<typeof FeedbackCorrectCellSchema>;
 export type FeedbackDeleteSpan = z.infer<typeof FeedbackDeleteSpanSchema>;
+export type CameraRegistration = z.infer<typeof CameraRegistrationSchema>;
+export type CollectorRegistration = z.infer<typeof CollectorRegistrationSchema>;
+export type SiteFloorPlan = z.infer<typeof SiteFloorPlanSchema>;
+export type CameraSiteTransform = z.infer<typeof CameraSiteTransformSchema>;
 
 export interface CellStats {
   collector_id: string;
@@ -83,4 +136,57 @@ export interface HeatmapData {
   }>;
   timestamp: number;
   window_ms: number;
-}
\ No newline at end of file
+}
+
+export type CameraLiveness = 'live' | 'degraded' | 'offline';
+
+export interface CameraStatus {
+  collector_id: string;
+  camera_id: string;
+  status: CameraLiveness;
+  last_frame_ts_ms: number | null;
+  frame_rate: number;
+  changed_at: number;
+  offline_after_ms: number;
+  /** Set when the collector stopped reporting and the status was derived from the last frame time. */
+  stale?: boolean;
+}
+
+export interface CollectorInfo extends Omit<CollectorRegistration, 'cameras'> {
+  status: 'online' | 'offline';
+  registered_at: number;
+  last_heartbeat_ms: number;
+  camera_count: number;
+}
+
+export interface RegisteredCamera extends CameraRegistration {
+  collector_id: string;
+  liveness?: CameraLiveness;
+}
+
+export interface StoredSiteFloorPlan extends SiteFloorPlan {
+  updated_at: number;
+}
+
+export interface StoredCameraSiteTransform extends CameraSiteTransform {
+  collector_id: string;
+  camera_id: string;
+  updated_at: number;
+}
+
+export interface SiteFusionStats {
+  site_id: string | null;
+  /** Camera events seen by the fusion step. */
+  events_received: number;
+  /** Events passed on to site-level dwell. */
+  events_fused: number;
+  /** Events from a camera whose view of the object was already covered by another camera. */
+  events_deduplicated: number;
+  /** Events older than their site object already was, from a camera released after another. */
+  events_out_of_order: number;
+  /** Events from cameras without a transform, or that land off the site grid. */
+  events_unmapped: number;
+  /** Camera objects that joined a site object first seen by another camera. */
+  cross_camera_matches: number;
+  active_site_objects: number;
+}
@@ -0,0 +1,88 @@
+import { describe, expect, it } from 'vitest';
+import { DwellProcessor } from '../src/services/dwell-processor.js';
+import type { RedisClient } from '../src/services/redis-client.js';
+import type { NormalizedEvent, ObjectState, TimelineEntry } from '../src/types/index.js';
+
+/** Keeps object state and the active-object index in memory, like RedisClient does in Redis. */
+class MemoryStore {
+  states = new Map<string, ObjectState>();
+  active = new Map<string, number>();
+  timeline: TimelineEntry[] = [];
+  clock = 0;
+
+  async getObjectState(collectorId: string, cameraId: string, objectId: string): Promise<ObjectState | null> {
+    return this.states.get(`${collectorId}:${cameraId}:${objectId}`) ?? null;
+  }
+
+  async setObjectState(state: ObjectState, processedAt: number = this.clock): Promise<void> {
+    const key = `${state.collector_id}:${state.camera_id}:${state.object_id}`;
+    this.states.set(key, state);
+    if (state.current_cell) this.active.set(key, processedAt);
+    else this.active.delete(key);
+  }
+
+  async getStaleObjects(cutoffMs: number): Promise<ObjectState[]> {
+    return [...this.active].filter(([, processedAt]) => processedAt <= cutoffMs).map(([key]) => this.states.get(key)!);
+  }
+
+  async getLastProcessedAt(collectorId: string, cameraId: string, objectId: string): Promise<number | null> {
+    return this.active.get(`${collectorId}:${cameraId}:${objectId}`) ?? null;
+  }
+
+  async updateCellDwell(): Promise<void> {}
+
+  async addTimelineEntry(collectorId: string, cameraId: string, objectId: string, entry: TimelineEntry): Promise<void> {
+    this.timeline.push(entry);
+  }
+}
+
+function event(id: string, tsMs: number): NormalizedEvent {
+  return {
+    event_id: id,
+    collector_id: 'collector-01',
+    camera_id: 'cam-1',
+    object_id: 'obj-1',
+    grid_cell_id: 'G_01_01',
+    ts_ms: tsMs,
+    class: 'worker',
+    confidence: 0.9,
+    bbox: [0, 0, 10, 10],
+  };
+}
+
+describe('DwellProcessor timeout sweep', () => {
+  const TIMEOUT_MS = 30000;
+  const NOW = 1_760_000_000_000;
+
+  it('does not sweep replayed objects just because their timestamps are old', async () => {
+    const store = new MemoryStore();
+    const processor = new DwellProcessor(store as unknown as RedisClient, TIMEOUT_MS);
+
+    // Footage from a day ago, processed just now.
+    const replayTsMs = NOW - 24 * 60 * 60 * 1000;
+    store.clock = NOW;
+    await processor.processEvent(event('evt-1', replayTsMs));
+    await processor.processEvent(event('evt-2', replayTsMs + 1000));
+
+    expect(await processor.processTimeouts(NOW + 1000)).toBe(0);
+    expect((await store.getObjectState('collector-01', 'cam-1', 'obj-1'))?.current_cell).toBe('G_01_01');
+  });
+
+  it('times objects out once no event has arrived for the timeout, ending the stay at the last event', async () => {
+    const store = new MemoryStore();
+    const processor = new DwellProcessor(store as unknown as RedisClient, TIMEOUT_MS);
+
+    const replayTsMs = NOW - 24 * 60 * 60 * 1000;
+    store.clock = NOW;
+    await processor.processEvent(event('evt-1', replayTsMs));
+    store.clock = NOW + 5000;
+    await processor.processEvent(event('evt-2', replayTsMs + 5000));
+
+    expect(await processor.processTimeouts(NOW + 5000 + TIMEOUT_MS - 1)).toBe(0);
+    expect(await processor.processTimeouts(NOW + 5000 + TIMEOUT_MS)).toBe(1);
+
+    const state = await store.getObjectState('collector-01', 'cam-1', 'obj-1');
+    expect(state).toMatchObject({ current_cell: null, accumulated_ms: 5000 });
+    expect(store.timeline.at(-1)).toMatchObject({ type: 'leave', to_ts_ms: replayTsMs + 5000, meta: { reason: 'timeout' } });
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, expect, it } from 'vitest';
+import { EventPipeline } from '../src/services/event-pipeline.js';
+import { ReorderBuffer } from '../src/services/reorder-buffer.js';
+import type { DwellProcessor } from '../src/services/dwell-processor.js';
+import type { RedisClient } from '../src/services/redis-client.js';
+import type { SiteFusion } from '../src/services/site-fusion.js';
+import type { NormalizedEvent } from '../src/types/index.js';
+
+function event(tsMs: number, cameraId = 'cam-1'): NormalizedEvent {
+  return {
+    event_id: `evt-${cameraId}-${tsMs}`,
+    collector_id: 'collector-01',
+    camera_id: cameraId,
+    object_id: 'obj-1',
+    grid_cell_id: 'G_01_01',
+    ts_ms: tsMs,
+    class: 'worker',
+    confidence: 0.9,
+    bbox: [0, 0, 10, 10],
+  };
+}
+
+function createPipeline(latenessMs: number) {
+  const processed: number[] = [];
+  const late: number[] = [];
+  const dwellProcessor = {
+    processEvent: async (e: NormalizedEvent) => {
+      processed.push(e.ts_ms);
+    },
+  } as unknown as DwellProcessor;
+  const redisClient = {
+    recordLateEvent: async (e: NormalizedEvent) => {
+      late.push(e.ts_ms);
+    },
+    addRecentEvent: async () => {},
+  } as unknown as RedisClient;
+
+  return { pipeline: new EventPipeline(dwellProcessor, redisClient, new ReorderBuffer(latenessMs)), processed, late };
+}
+
+describe('EventPipeline', () => {
+  it('processes events in ts_ms order once the watermark passes them', async () => {
+    const { pipeline, processed } = createPipeline(1000);
+
+    for (const tsMs of [1000, 1300, 1200, 1100]) {
+      await pipeline.accept(event(tsMs));
+    }
+    expect(await pipeline.flush()).toBe(0);
+
+    await pipeline.accept(event(2250));
+    await pipeline.flush();
+    expect(processed).toEqual([1000, 1100, 1200]);
+
+    await pipeline.drain();
+    expect(processed).toEqual([1000, 1100, 1200, 1300, 2250]);
+  });
+
+  it('records events behind the watermark as late instead of processing them', async () => {
+    const { pipeline, processed, late } = createPipeline(1000);
+
+    await pipeline.accept(event(5000));
+    await pipeline.accept(event(3000));
+    await pipeline.drain();
+
+    expect(late).toEqual([3000]);
+    expect(processed).toEqual([5000]);
+  });
+
+  it('settles buffered events only once they have been processed', async () => {
+    const { pipeline, processed } = createPipeline(1000);
+    const settled: number[] = [];
+    pipeline.onSettled(events => settled.push(...events.map(e => e.ts_ms)));
+
+    expect(await pipeline.accept(event(1000))).toBe(true);
+    expect(await pipeline.accept(event(1500))).toBe(true);
+    await pipeline.flush();
+    expect(settled).toEqual([]);
+
+    await pipeline.accept(event(2100));
+    await pipeline.flush();
+    expect(settled).toEqual([1000]);
+    expect(processed).toEqual([1000]);
+  });
+
+  it('feeds site fusion each released batch merged by ts_ms across cameras', async () => {
+    const fused: string[] = [];
+    const siteFusion = {
+      processEvent: async (e: NormalizedEvent) => {
+        fused.push(e.event_id);
+      },
+    } as unknown as SiteFusion;
+    const dwellProcessor = { processEvent: async () => {} } as unknown as DwellProcessor;
+    const redisClient = { addRecentEvent: async () => {} } as unknown as RedisClient;
+    const pipeline = new EventPipeline(dwellProcessor, redisClient, new ReorderBuffer(1000), siteFusion);
+
+    await pipeline.accept(event(1100, 'cam-1'));
+    await pipeline.accept(event(1200, 'cam-1'));
+    await pipeline.accept(event(1050, 'cam-2'));
+    await pipeline.accept(event(1150, 'cam-2'));
+    await pipeline.drain();
+
+    expect(fused).toEqual(['evt-cam-2-1050', 'evt-cam-1-1100', 'evt-cam-2-1150', 'evt-cam-1-1200']);
+  });
+});
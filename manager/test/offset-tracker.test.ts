@@ -0,0 +1,40 @@
+import { describe, expect, it } from 'vitest';
+import { OffsetTracker } from '../src/services/offset-tracker.js';
+
+describe('OffsetTracker', () => {
+  it('commits a partition only up to its oldest unprocessed message', () => {
+    const offsets = new OffsetTracker();
+
+    for (const offset of ['10', '11', '12']) {
+      offsets.read('raw.detections', 0, offset);
+    }
+    offsets.settle('raw.detections', 0, '11');
+    offsets.settle('raw.detections', 0, '12');
+    expect(offsets.committable()).toEqual([{ topic: 'raw.detections', partition: 0, offset: '10' }]);
+
+    offsets.settle('raw.detections', 0, '10');
+    expect(offsets.committable()).toEqual([{ topic: 'raw.detections', partition: 0, offset: '13' }]);
+  });
+
+  it('only offers partitions that moved since their last commit', () => {
+    const offsets = new OffsetTracker();
+
+    offsets.read('raw.detections', 0, '5');
+    offsets.read('raw.detections', 1, '7');
+    offsets.settle('raw.detections', 1, '7');
+    offsets.committed(offsets.committable());
+    expect(offsets.committable()).toEqual([]);
+
+    offsets.settle('raw.detections', 0, '5');
+    expect(offsets.committable()).toEqual([{ topic: 'raw.detections', partition: 0, offset: '6' }]);
+  });
+
+  it('offers a failed commit again', () => {
+    const offsets = new OffsetTracker();
+
+    offsets.read('raw.detections', 0, '1');
+    offsets.settle('raw.detections', 0, '1');
+    expect(offsets.committable()).toHaveLength(1);
+    expect(offsets.committable()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, expect, it } from 'vitest';
+import { ReorderBuffer } from '../src/services/reorder-buffer.js';
+import type { NormalizedEvent } from '../src/types/index.js';
+
+const NOW = 1_760_000_000_000;
+
+function event(tsMs: number): NormalizedEvent {
+  return {
+    event_id: `evt-${tsMs}`,
+    collector_id: 'collector-01',
+    camera_id: 'cam-1',
+    object_id: 'obj-1',
+    grid_cell_id: 'G_01_01',
+    ts_ms: tsMs,
+    class: 'worker',
+    confidence: 0.9,
+    bbox: [0, 0, 10, 10],
+  };
+}
+
+describe('ReorderBuffer', () => {
+  it('releases events in ts_ms order behind the watermark', () => {
+    const buffer = new ReorderBuffer(1000);
+
+    buffer.add(event(NOW - 500), NOW);
+    buffer.add(event(NOW - 900), NOW);
+    buffer.add(event(NOW + 600), NOW);
+
+    expect(buffer.release(NOW).map(e => e.ts_ms)).toEqual([NOW - 900, NOW - 500]);
+    expect(buffer.add(event(NOW - 800), NOW)).toBe(false);
+  });
+
+  it("doesn't let a future timestamp push later events behind the watermark", () => {
+    const buffer = new ReorderBuffer(2000, { futureToleranceMs: 1000 });
+
+    expect(buffer.add(event(NOW + 3_600_000), NOW)).toBe(true);
+    expect(buffer.getWatermark('collector-01', 'cam-1')).toBe(NOW - 1000);
+
+    expect(buffer.add(event(NOW + 100), NOW + 100)).toBe(true);
+    expect(buffer.getStats().late_events).toBe(0);
+  });
+
+  it('treats live events far behind the watermark as late', () => {
+    const buffer = new ReorderBuffer(1000, { resetMs: 60_000 });
+
+    buffer.add(event(NOW), NOW);
+    buffer.add(event(NOW + 500), NOW + 500);
+    expect(buffer.add(event(NOW - 86_400_000), NOW + 600)).toBe(false);
+
+    const stats = buffer.getStats();
+    expect(stats.late_events).toBe(1);
+    expect(stats.cameras['collector-01:cam-1'].watermark_resets).toBe(0);
+    expect(buffer.release(NOW + 600).map(e => e.ts_ms)).toEqual([]);
+  });
+
+  it('treats live events behind the watermark as late after the camera has been quiet', () => {
+    const buffer = new ReorderBuffer(1000, { resetMs: 60_000 });
+
+    buffer.add(event(NOW), NOW);
+    buffer.release(NOW + 2000);
+
+    expect(buffer.add(event(NOW - 30_000), NOW + 61_000)).toBe(false);
+    expect(buffer.add(event(NOW + 61_000), NOW + 61_000)).toBe(true);
+    expect(buffer.getStats().late_events).toBe(1);
+  });
+
+  it('restarts the watermark when replayed events jump far back in time', () => {
+    const buffer = new ReorderBuffer(1000, { resetMs: 60_000 });
+
+    buffer.add(event(NOW), NOW);
+    buffer.add(event(NOW + 500), NOW + 500);
+    expect(buffer.add({ ...event(NOW - 86_400_000), replayed: true }, NOW + 600)).toBe(true);
+    expect(buffer.add({ ...event(NOW - 86_399_000), replayed: true }, NOW + 700)).toBe(true);
+
+    const stats = buffer.getStats();
+    expect(stats.late_events).toBe(0);
+    expect(stats.cameras['collector-01:cam-1'].watermark_resets).toBe(1);
+    // Held events go out first, ahead of the restarted stream.
+    expect(buffer.release(NOW + 700).map(e => e.ts_ms)).toEqual([NOW, NOW + 500, NOW - 86_400_000]);
+  });
+
+  it('treats replayed events just behind the watermark as late', () => {
+    const buffer = new ReorderBuffer(1000, { resetMs: 60_000 });
+
+    buffer.add(event(NOW), NOW);
+    buffer.add(event(NOW + 2000), NOW + 2000);
+    expect(buffer.add({ ...event(NOW - 1000), replayed: true }, NOW + 2000)).toBe(false);
+    expect(buffer.getStats().cameras['collector-01:cam-1'].watermark_resets).toBe(0);
+  });
+});
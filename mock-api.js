@@ -1,5 +1,6 @@
 import http from 'http';
 import url from 'url';
+import { DEFAULT_GRID_SIZE, formatGridCellId, parseGridCellId, scaleToGrid } from '@vision-logistics/shared/grid.js';
 
 // CORS headers helper
 function setCORSHeaders(res) {
@@ -8,6 +9,24 @@ function setCORSHeaders(res) {
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
 }
 
+// Grid layouts per camera; the animated patterns below are laid out on the
+// default 20x15 grid and scaled onto whatever grid the camera uses.
+const mockCameraGrids = {
+  'heatwave-cam': DEFAULT_GRID_SIZE,
+  'cam-loading-dock': { width: 40, height: 10 },
+  'cam-storage-A': { width: 12, height: 12 }
+};
+
+function getCameraGrid(cameraId) {
+  return mockCameraGrids[cameraId] || DEFAULT_GRID_SIZE;
+}
+
+function scaleCellId(cellId, grid) {
+  const { x, y } = parseGridCellId(cellId) ?? { x: 0, y: 0 };
+  const scaled = scaleToGrid(x, y, grid);
+  return formatGridCellId(scaled.x, scaled.y);
+}
+
 // Mock data
 const mockHeatmapData = {
   collector_id: "collector-01",
@@ -78,7 +97,8 @@ const server = http.createServer((req, res) => {
     }
     else if (pathname === '/heatmap') {
       // Create animated movement patterns on the heatmap
-      const dynamicData = { ...mockHeatmapData };
+      const grid = getCameraGrid(parsedUrl.query.camera_id);
+      const dynamicData = { ...mockHeatmapData, grid_size: grid };
       const now = Date.now();
 
       // Create moving hotspots that travel across the heatmap
@@ -138,11 +158,12 @@ const server = http.createServer((req, res) => {
         // Add heat to the main cell and surrounding cells
         for (let dx = -pos.size; dx <= pos.size; dx++) {
           for (let dy = -pos.size; dy <= pos.size; dy++) {
-            const x = pos.x + dx;
-            const y = pos.y + dy;
+            const baseX = pos.x + dx;
+            const baseY = pos.y + dy;
 
-            if (x >= 0 && x < 20 && y >= 0 && y < 15) {
-              const cellId = `G_${x.toString().padStart(2, '0')}_${y.toString().padStart(2, '0')}`;
+            if (baseX >= 0 && baseX < DEFAULT_GRID_SIZE.width && baseY >= 0 && baseY < DEFAULT_GRID_SIZE.height) {
+              const { x, y } = scaleToGrid(baseX, baseY, grid);
+              const cellId = formatGridCellId(x, y);
               const distance = Math.sqrt(dx*dx + dy*dy);
               const falloff = Math.max(0, 1 - distance / (pos.size + 1));
               const cellIntensity = pos.intensity * falloff;
@@ -172,9 +193,10 @@ const server = http.createServer((req, res) => {
         { x: 1, y: 1 }, { x: 18, y: 2 }, { x: 5, y: 13 }, { x: 12, y: 11 }
       ];
 
-      backgroundCells.forEach(cell => {
-        const cellId = `G_${cell.x.toString().padStart(2, '0')}_${cell.y.toString().padStart(2, '0')}`;
-        const randomIntensity = 0.2 + Math.sin(now / 5000 + cell.x) * 0.15;
+      backgroundCells.forEach(baseCell => {
+        const cell = scaleToGrid(baseCell.x, baseCell.y, grid);
+        const cellId = formatGridCellId(cell.x, cell.y);
+        const randomIntensity = 0.2 + Math.sin(now / 5000 + baseCell.x) * 0.15;
 
         heatmapGrid[cellId] = {
           grid_cell_id: cellId,
@@ -254,8 +276,42 @@ const server = http.createServer((req, res) => {
         }
       ];
 
+      const grid = getCameraGrid(parsedUrl.query.camera_id);
+
       res.writeHead(200);
-      res.end(JSON.stringify({ objects: activeObjects }));
+      res.end(JSON.stringify({
+        objects: activeObjects.map(obj => ({ ...obj, current_cell: scaleCellId(obj.current_cell, grid) }))
+      }));
+    }
+    else if (pathname === '/collectors') {
+      res.writeHead(200);
+      res.end(JSON.stringify({
+        collectors: [{
+          collector_id: 'collector-01',
+          display_name: 'Mock collector',
+          heartbeat_interval_ms: 10000,
+          status: 'online',
+          registered_at: Date.now() - 60000,
+          last_heartbeat_ms: Date.now(),
+          camera_count: 1
+        }],
+        count: 1,
+        timestamp: Date.now()
+      }));
+    }
+    else if (pathname === '/collectors/collector-01/cameras') {
+      res.writeHead(200);
+      res.end(JSON.stringify({
+        cameras: [{
+          collector_id: 'collector-01',
+          camera_id: 'heatwave-cam',
+          display_name: 'Heatwave demo camera',
+          grid_size: getCameraGrid('heatwave-cam'),
+          liveness: 'live'
+        }],
+        count: 1,
+        timestamp: Date.now()
+      }));
     }
     else if (pathname === '/events/recent') {
       // Generate much more dynamic events
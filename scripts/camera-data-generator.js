@@ -1,10 +1,14 @@
 #!/usr/bin/env node
 
-import { randomUUID } from 'crypto';
 import axios from 'axios';
 import { EventEmitter } from 'events';
+import { DEFAULT_GRID_SIZE, formatGridCellId, scaleFromGrid } from '@vision-logistics/shared/grid.js';
+import { discoverTopology, fetchCameraGrids } from './camera-grids.js';
+import { createFrameRecorder, createRandom, parseReproducibilityArgs } from './seeded-random.js';
 
 const COLLECTOR_URL = process.env.COLLECTOR_URL || 'http://localhost:3001';
+const MANAGER_URL = process.env.MANAGER_URL || 'http://localhost:3002';
+const COLLECTOR_API_KEY = process.env.COLLECTOR_API_KEY;
 
 // Object classes with different behavior patterns
 const OBJECT_CLASSES = {
@@ -16,7 +20,8 @@ const OBJECT_CLASSES = {
   'truck': { speed: 0.3, stickiness: 0.4, spawn_rate: 0.05, lifetime: { min: 180, max: 900 } }
 };
 
-// Grid zones with different characteristics
+// Grid zones with different characteristics, laid out on the default 20x15
+// grid and scaled to each camera's own grid
 const GRID_ZONES = {
   'loading_dock': { x: [0, 5], y: [0, 5], activity: 'high', preferred_objects: ['forklift', 'worker', 'pallet'] },
   'storage_area': { x: [6, 15], y: [2, 12], activity: 'medium', preferred_objects: ['pallet', 'container', 'box'] },
@@ -46,7 +51,11 @@ class CameraDataGenerator extends EventEmitter {
       ...options
     };
 
+    this.random = createRandom(this.options.seed); // Seeded when reproducible output is wanted
+    this.recordFrame = createFrameRecorder(this.options.output);
+    this.batchIndex = 0;
     this.objects = new Map(); // Tracks all objects across all cameras
+    this.cameraGrids = new Map(); // Grid size per camera, from the collector
     this.isRunning = false;
     this.frameCount = 0;
     this.startTime = Date.now();
@@ -63,33 +72,59 @@ class CameraDataGenerator extends EventEmitter {
 
   // Generate unique object ID
   generateObjectId(objectClass) {
-    return `${objectClass}-${randomUUID().slice(0, 8)}`;
+    return `${objectClass}-${this.random.hex(8)}`;
+  }
+
+  // Time of the current batch: the wall clock, or a virtual clock when a start time is given
+  now() {
+    if (this.options.startTs === undefined) return Date.now();
+    return this.options.startTs + this.batchIndex * this.options.interval;
+  }
+
+  // Get grid size for a camera
+  getCameraGrid(cameraId) {
+    return this.cameraGrids.get(cameraId) || DEFAULT_GRID_SIZE;
+  }
+
+  // Load grid sizes for all cameras, preferring those the collectors registered with the manager
+  async loadCameraGrids() {
+    if (this.options.cameraGrids) {
+      this.cameraGrids = new Map(this.options.cameraGrids);
+      return;
+    }
+
+    const cameraIds = this.options.collectors.flatMap(collector => collector.cameras);
+    this.cameraGrids = await fetchCameraGrids(COLLECTOR_URL, cameraIds);
   }
 
   // Get random grid cell within zone or anywhere
-  getGridCell(zone = null) {
+  getGridCell(zone = null, grid = DEFAULT_GRID_SIZE) {
     let x, y;
     
     if (zone && GRID_ZONES[zone]) {
       const zoneData = GRID_ZONES[zone];
-      x = Math.floor(Math.random() * (zoneData.x[1] - zoneData.x[0] + 1)) + zoneData.x[0];
-      y = Math.floor(Math.random() * (zoneData.y[1] - zoneData.y[0] + 1)) + zoneData.y[0];
+      const baseX = zoneData.x[0] + this.random.next() * (zoneData.x[1] - zoneData.x[0] + 1);
+      const baseY = zoneData.y[0] + this.random.next() * (zoneData.y[1] - zoneData.y[0] + 1);
+      x = Math.min(grid.width - 1, Math.floor(baseX * grid.width / DEFAULT_GRID_SIZE.width));
+      y = Math.min(grid.height - 1, Math.floor(baseY * grid.height / DEFAULT_GRID_SIZE.height));
     } else {
-      x = Math.floor(Math.random() * 20);
-      y = Math.floor(Math.random() * 15);
+      x = Math.floor(this.random.next() * grid.width);
+      y = Math.floor(this.random.next() * grid.height);
     }
     
     return {
-      id: `G_${x.toString().padStart(2, '0')}_${y.toString().padStart(2, '0')}`,
+      id: formatGridCellId(x, y),
       x, y
     };
   }
 
   // Get zone for a given cell
-  getCellZone(x, y) {
+  getCellZone(x, y, grid = DEFAULT_GRID_SIZE) {
+    const base = scaleFromGrid(x, y, grid);
+
     for (const [zoneName, zoneData] of Object.entries(GRID_ZONES)) {
-      if (x >= zoneData.x[0] && x <= zoneData.x[1] && 
-          y >= zoneData.y[0] && y <= zoneData.y[1]) {
+      if (base.x >= zoneData.x[0] && base.x <= zoneData.x[1] && 
+          base.y >= zoneData.y[0] && base.y <= zoneData.y[1]) {
         return zoneName;
       }
     }
@@ -99,7 +134,8 @@ class CameraDataGenerator extends EventEmitter {
   // Simulate object movement with realistic patterns
   simulateObjectMovement(obj) {
     const objectData = OBJECT_CLASSES[obj.class];
-    const currentZone = this.getCellZone(obj.x, obj.y);
+    const grid = this.getCameraGrid(obj.camera_id);
+    const currentZone = this.getCellZone(obj.x, obj.y, grid);
     const zoneData = GRID_ZONES[currentZone] || { activity: 'medium' };
     
     // Determine if object should move based on stickiness and activity
@@ -107,7 +143,7 @@ class CameraDataGenerator extends EventEmitter {
                       (zoneData.activity === 'high' ? 1.2 : 
                        zoneData.activity === 'low' ? 0.5 : 1.0);
     
-    if (Math.random() > moveChance) {
+    if (this.random.next() > moveChance) {
       return obj; // Object stays in same position
     }
 
@@ -118,81 +154,82 @@ class CameraDataGenerator extends EventEmitter {
     switch (obj.class) {
       case 'forklift':
         // Forklifts move in corridors and between zones
-        if (Math.random() < 0.7) {
+        if (this.random.next() < 0.7) {
           // Prefer corridor movement
-          if (obj.y === 0 || obj.y === 1 || obj.y === 13 || obj.y === 14) {
-            newX += Math.random() < 0.5 ? -1 : 1; // Horizontal in corridors
+          const baseY = scaleFromGrid(obj.x, obj.y, grid).y;
+          if (baseY <= 1 || baseY >= 13) {
+            newX += this.random.next() < 0.5 ? -1 : 1; // Horizontal in corridors
           } else {
-            newY += Math.random() < 0.5 ? -1 : 1; // Vertical movement
+            newY += this.random.next() < 0.5 ? -1 : 1; // Vertical movement
           }
         } else {
           // Random movement
-          newX += Math.floor(Math.random() * 3) - 1;
-          newY += Math.floor(Math.random() * 3) - 1;
+          newX += Math.floor(this.random.next() * 3) - 1;
+          newY += Math.floor(this.random.next() * 3) - 1;
         }
         break;
 
       case 'worker':
         // Workers move more randomly but tend to stay in their zones
-        if (Math.random() < 0.3) {
+        if (this.random.next() < 0.3) {
           // Stay in zone
-          const moves = this.getAdjacentCells(obj.x, obj.y);
+          const moves = this.getAdjacentCells(obj.x, obj.y, grid);
           const zoneMovement = moves.filter(([x, y]) => 
-            this.getCellZone(x, y) === currentZone);
+            this.getCellZone(x, y, grid) === currentZone);
           
           if (zoneMovement.length > 0) {
-            [newX, newY] = zoneMovement[Math.floor(Math.random() * zoneMovement.length)];
+            [newX, newY] = zoneMovement[Math.floor(this.random.next() * zoneMovement.length)];
           }
         } else {
           // Random movement
-          newX += Math.floor(Math.random() * 3) - 1;
-          newY += Math.floor(Math.random() * 3) - 1;
+          newX += Math.floor(this.random.next() * 3) - 1;
+          newY += Math.floor(this.random.next() * 3) - 1;
         }
         break;
 
       case 'pallet':
       case 'container':
         // Heavy objects move slowly and prefer adjacent cells
-        const adjacentCells = this.getAdjacentCells(obj.x, obj.y);
+        const adjacentCells = this.getAdjacentCells(obj.x, obj.y, grid);
         if (adjacentCells.length > 0) {
-          [newX, newY] = adjacentCells[Math.floor(Math.random() * adjacentCells.length)];
+          [newX, newY] = adjacentCells[Math.floor(this.random.next() * adjacentCells.length)];
         }
         break;
 
       case 'truck':
         // Trucks move primarily in loading/shipping areas
         if (currentZone === 'shipping_zone' || currentZone === 'loading_dock') {
-          newX += Math.random() < 0.5 ? -1 : 1;
+          newX += this.random.next() < 0.5 ? -1 : 1;
         } else {
           // Move towards shipping/loading areas
-          if (obj.x < 10) newX += 1; // Move towards loading dock
+          if (obj.x < grid.width / 2) newX += 1; // Move towards loading dock
           else newX -= 1; // Move towards shipping zone
         }
         break;
 
       default:
         // Default movement pattern
-        newX += Math.floor(Math.random() * 3) - 1;
-        newY += Math.floor(Math.random() * 3) - 1;
+        newX += Math.floor(this.random.next() * 3) - 1;
+        newY += Math.floor(this.random.next() * 3) - 1;
     }
 
     // Ensure movement stays within bounds
-    newX = Math.max(0, Math.min(19, newX));
-    newY = Math.max(0, Math.min(14, newY));
+    newX = Math.max(0, Math.min(grid.width - 1, newX));
+    newY = Math.max(0, Math.min(grid.height - 1, newY));
 
     return { ...obj, x: newX, y: newY, 
-             grid_cell_id: `G_${newX.toString().padStart(2, '0')}_${newY.toString().padStart(2, '0')}` };
+             grid_cell_id: formatGridCellId(newX, newY) };
   }
 
   // Get adjacent cells
-  getAdjacentCells(x, y) {
+  getAdjacentCells(x, y, grid = DEFAULT_GRID_SIZE) {
     const adjacent = [];
     for (let dx = -1; dx <= 1; dx++) {
       for (let dy = -1; dy <= 1; dy++) {
         if (dx === 0 && dy === 0) continue;
         const newX = x + dx;
         const newY = y + dy;
-        if (newX >= 0 && newX < 20 && newY >= 0 && newY < 15) {
+        if (newX >= 0 && newX < grid.width && newY >= 0 && newY < grid.height) {
           adjacent.push([newX, newY]);
         }
       }
@@ -207,7 +244,7 @@ class CameraDataGenerator extends EventEmitter {
     // Select object class based on zone preferences
     if (preferredZone && GRID_ZONES[preferredZone]) {
       const zonePreferences = GRID_ZONES[preferredZone].preferred_objects;
-      objectClass = zonePreferences[Math.floor(Math.random() * zonePreferences.length)];
+      objectClass = zonePreferences[Math.floor(this.random.next() * zonePreferences.length)];
       zone = preferredZone;
     } else {
       // Weighted random selection
@@ -216,24 +253,25 @@ class CameraDataGenerator extends EventEmitter {
       zone = null;
     }
 
-    const cell = this.getGridCell(zone);
+    const grid = this.getCameraGrid(cameraId);
+    const cell = this.getGridCell(zone, grid);
     const lifetime = OBJECT_CLASSES[objectClass].lifetime;
-    const lifespan = (lifetime.min + Math.random() * (lifetime.max - lifetime.min)) * 1000;
+    const lifespan = (lifetime.min + this.random.next() * (lifetime.max - lifetime.min)) * 1000;
 
     const obj = {
       object_id: this.generateObjectId(objectClass),
       class: objectClass,
-      confidence: 0.7 + Math.random() * 0.3,
+      confidence: 0.7 + this.random.next() * 0.3,
       grid_cell_id: cell.id,
       x: cell.x,
       y: cell.y,
       bbox: this.generateBbox(objectClass),
-      created_at: Date.now(),
-      expires_at: Date.now() + lifespan,
+      created_at: this.now(),
+      expires_at: this.now() + lifespan,
       collector_id: collectorId,
       camera_id: cameraId,
       movement_pattern: this.getMovementPattern(objectClass),
-      zone: this.getCellZone(cell.x, cell.y)
+      zone: this.getCellZone(cell.x, cell.y, grid)
     };
 
     this.stats.objects_created++;
@@ -254,12 +292,12 @@ class CameraDataGenerator extends EventEmitter {
     const [baseWidth, baseHeight] = baseSizes[objectClass] || [80, 80];
     const variance = 0.2; // 20% size variance
     
-    const width = baseWidth * (1 + (Math.random() - 0.5) * variance);
-    const height = baseHeight * (1 + (Math.random() - 0.5) * variance);
+    const width = baseWidth * (1 + (this.random.next() - 0.5) * variance);
+    const height = baseHeight * (1 + (this.random.next() - 0.5) * variance);
     
     return [
-      Math.floor(Math.random() * (1200 - width)),
-      Math.floor(Math.random() * (800 - height)),
+      Math.floor(this.random.next() * (1200 - width)),
+      Math.floor(this.random.next() * (800 - height)),
       Math.floor(width),
       Math.floor(height)
     ];
@@ -282,7 +320,7 @@ class CameraDataGenerator extends EventEmitter {
   // Weighted random selection
   weightedRandomSelect(weights) {
     const totalWeight = weights.reduce((sum, [, weight]) => sum + weight, 0);
-    let random = Math.random() * totalWeight;
+    let random = this.random.next() * totalWeight;
     
     for (const [item, weight] of weights) {
       if (random < weight) return item;
@@ -294,7 +332,7 @@ class CameraDataGenerator extends EventEmitter {
 
   // Generate detection frame for a specific camera
   generateCameraFrame(collectorId, cameraId, scenario = 'warehouse_operations') {
-    const timestamp = Date.now();
+    const timestamp = this.now();
     const frameId = `${cameraId}-${timestamp}`;
     const cameraKey = `${collectorId}:${cameraId}`;
     
@@ -313,7 +351,7 @@ class CameraDataGenerator extends EventEmitter {
     // Update existing objects (movement)
     objects = objects.map(obj => {
       const updated = this.simulateObjectMovement(obj);
-      updated.confidence = 0.7 + Math.random() * 0.3; // Slight confidence variation
+      updated.confidence = 0.7 + this.random.next() * 0.3; // Slight confidence variation
       return updated;
     });
 
@@ -367,7 +405,7 @@ class CameraDataGenerator extends EventEmitter {
     const baseRate = scenarioRates[scenario] || 0.3;
     const spawnChance = baseRate * (1 - currentCount / maxObjects);
     
-    return Math.random() < spawnChance ? Math.floor(Math.random() * 3) + 1 : 0;
+    return this.random.next() < spawnChance ? Math.floor(this.random.next() * 3) + 1 : 0;
   }
 
   // Get maximum objects for a camera based on its coverage area
@@ -402,7 +440,10 @@ class CameraDataGenerator extends EventEmitter {
   async sendFrame(frame) {
     try {
       const response = await axios.post(`${COLLECTOR_URL}/frames`, frame, {
-        headers: { 'Content-Type': 'application/json' },
+        headers: {
+          'Content-Type': 'application/json',
+          ...(COLLECTOR_API_KEY && { 'X-API-Key': COLLECTOR_API_KEY })
+        },
         timeout: 5000
       });
       
@@ -437,12 +478,14 @@ class CameraDataGenerator extends EventEmitter {
           this.options.scenario
         );
         frames.push(frame);
+        this.recordFrame(frame);
       }
     }
+    this.batchIndex++;
 
     // Send frames
     const results = await Promise.allSettled(
-      frames.map(frame => this.sendFrame(frame))
+      frames.map(frame => this.options.dryRun ? Promise.resolve() : this.sendFrame(frame))
     );
 
     const successful = results.filter(r => r.status === 'fulfilled').length;
@@ -507,9 +550,17 @@ class CameraDataGenerator extends EventEmitter {
     console.log(`   • Scenario: ${this.options.scenario}`);
     console.log(`   • Duration: ${this.formatDuration(this.options.duration * 1000)}`);
     console.log(`   • Interval: ${this.formatDuration(this.options.interval)}`);
-    console.log(`   • Target URL: ${COLLECTOR_URL}`);
+    console.log(`   • Target URL: ${this.options.dryRun ? 'none (dry run)' : COLLECTOR_URL}`);
+    if (this.options.seed !== undefined) {
+      console.log(`   • Seed: ${this.options.seed}${this.options.startTs !== undefined ? `, start time ${this.options.startTs}` : ''}`);
+    }
+    if (this.options.output) {
+      console.log(`   • Recording frames to: ${this.options.output}`);
+    }
     console.log('');
 
+    await this.loadCameraGrids();
+
     this.isRunning = true;
     this.startTime = Date.now();
     const endTime = this.startTime + (this.options.duration * 1000);
@@ -530,11 +581,15 @@ class CameraDataGenerator extends EventEmitter {
     });
 
     // Main generation loop
-    while (this.isRunning && Date.now() < endTime) {
+    // A dry run doesn't wait between batches, so it is bounded by batch count instead of time
+    const totalBatches = Math.ceil(this.options.duration * 1000 / this.options.interval);
+    const hasTimeLeft = () => this.options.dryRun ? this.batchIndex < totalBatches : Date.now() < endTime;
+
+    while (this.isRunning && hasTimeLeft()) {
       try {
         await this.generateBatch();
         
-        if (Date.now() < endTime) {
+        if (!this.options.dryRun && hasTimeLeft()) {
           await new Promise(resolve => setTimeout(resolve, this.options.interval));
         }
         
@@ -613,25 +668,33 @@ class CameraDataGenerator extends EventEmitter {
 
 // CLI interface
 async function main() {
-  const args = process.argv.slice(2);
+  const { options: reproducibility, rest: args } = parseReproducibilityArgs(process.argv.slice(2));
   const scenarioName = args[0] || 'warehouse_busy';
   
   console.log('🎬 Vision Logistics - Camera Data Generator');
   console.log('==========================================\n');
 
   // Check if collector service is available
-  try {
-    const response = await axios.get(`${COLLECTOR_URL}/health`, { timeout: 5000 });
-    console.log('✅ Collector service is healthy:', response.data);
-  } catch (error) {
-    console.error('❌ Collector service not available:', error.message);
-    console.log('💡 Make sure to start the system first:');
-    console.log('   npm run fix-and-start');
-    process.exit(1);
+  if (!reproducibility.dryRun) {
+    try {
+      const response = await axios.get(`${COLLECTOR_URL}/health`, { timeout: 5000 });
+      console.log('✅ Collector service is healthy:', response.data);
+    } catch (error) {
+      console.error('❌ Collector service not available:', error.message);
+      console.log('💡 Make sure to start the system first:');
+      console.log('   npm run fix-and-start');
+      process.exit(1);
+    }
   }
 
-  // Create and start generator
-  const config = CameraDataGenerator.createDemoScenario(scenarioName);
+  // Create and start generator, on the registered cameras when there are any
+  const config = { ...CameraDataGenerator.createDemoScenario(scenarioName), ...reproducibility };
+  const topology = reproducibility.dryRun ? null : await discoverTopology(MANAGER_URL);
+  if (topology) {
+    console.log(`🗺️  Using ${topology.collectors.length} collector(s) registered with ${MANAGER_URL}`);
+    config.collectors = topology.collectors;
+    config.cameraGrids = topology.grids;
+  }
   const generator = new CameraDataGenerator(config);
 
   // Handle graceful shutdown
@@ -0,0 +1,46 @@
+import axios from 'axios';
+import { DEFAULT_GRID_SIZE } from '@vision-logistics/shared/grid.js';
+
+// Asks the collector's grid registry for each camera's grid, falling back to
+// the default layout when the collector is unreachable.
+export async function fetchCameraGrids(collectorUrl, cameraIds) {
+  const grids = new Map();
+
+  await Promise.all(cameraIds.map(async (cameraId) => {
+    try {
+      const response = await axios.get(`${collectorUrl}/cameras/${encodeURIComponent(cameraId)}/grid`, { timeout: 5000 });
+      grids.set(cameraId, { width: response.data.width, height: response.data.height });
+    } catch (error) {
+      grids.set(cameraId, DEFAULT_GRID_SIZE);
+    }
+  }));
+
+  return grids;
+}
+
+// Asks the manager which collectors have registered and which cameras each
+// one serves. Returns null when the manager is unreachable or nothing has
+// registered yet, so callers can fall back to their built-in layout.
+export async function discoverTopology(managerUrl) {
+  try {
+    const { data } = await axios.get(`${managerUrl}/collectors`, { timeout: 5000 });
+    const collectors = [];
+    const grids = new Map();
+
+    for (const collector of data.collectors) {
+      const response = await axios.get(`${managerUrl}/collectors/${encodeURIComponent(collector.collector_id)}/cameras`, { timeout: 5000 });
+      const cameras = response.data.cameras;
+
+      for (const camera of cameras) {
+        grids.set(camera.camera_id, camera.grid_size);
+      }
+      if (cameras.length > 0) {
+        collectors.push({ id: collector.collector_id, cameras: cameras.map(camera => camera.camera_id) });
+      }
+    }
+
+    return collectors.length > 0 ? { collectors, grids } : null;
+  } catch (error) {
+    return null;
+  }
+}
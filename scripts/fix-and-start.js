@@ -482,7 +482,9 @@ async function main() {
     const collector = await startService('Collector', 'dev', 'collector', {
       COLLECTOR_ID: 'collector-01',
       PORT: '3001',
-      KAFKA_BROKERS: 'localhost:9093'
+      KAFKA_BROKERS: 'localhost:9093',
+      MANAGER_URL: 'http://localhost:3002',
+      ENABLE_TEST_ROUTES: 'true'
     });
     services.push({ name: 'Collector', process: collector, port: 3001 });
     
@@ -1,69 +1,91 @@
 #!/usr/bin/env node
 
-import { randomUUID } from 'crypto';
 import axios from 'axios';
+import { DEFAULT_GRID_SIZE, formatGridCellId, parseGridCellId } from '@vision-logistics/shared/grid.js';
+import { discoverTopology, fetchCameraGrids } from './camera-grids.js';
+import { createFrameRecorder, createRandom, parseReproducibilityArgs } from './seeded-random.js';
 
 const COLLECTOR_BASE_URL = process.env.COLLECTOR_URL || 'http://localhost:3001';
+const COLLECTOR_API_KEY = process.env.COLLECTOR_API_KEY;
+const MANAGER_URL = process.env.MANAGER_URL || 'http://localhost:3002';
 const BATCH_SIZE = parseInt(process.env.BATCH_SIZE) || 20;
 const INTERVAL_MS = parseInt(process.env.INTERVAL_MS) || 2000;
 const DURATION_MINUTES = parseInt(process.env.DURATION_MINUTES) || 5;
 
-const COLLECTORS = ['collector-01', 'collector-02'];
-const CAMERAS_PER_COLLECTOR = ['cam-001', 'cam-002', 'cam-003'];
+// Used when no collectors have registered with the manager
+const DEFAULT_COLLECTORS = [
+  { id: 'collector-01', cameras: ['cam-001', 'cam-002', 'cam-003'] },
+  { id: 'collector-02', cameras: ['cam-001', 'cam-002', 'cam-003'] }
+];
 const OBJECT_CLASSES = ['pallet', 'forklift', 'worker', 'box', 'container', 'truck'];
 
 class TestDataGenerator {
-  constructor() {
+  constructor(options = {}) {
+    this.options = options;
+    this.random = createRandom(options.seed);
+    this.recordFrame = createFrameRecorder(options.output);
+    this.batchIndex = 0;
     this.objects = new Map();
+    this.collectors = DEFAULT_COLLECTORS;
+    this.cameraGrids = new Map();
     this.isRunning = false;
   }
 
+  getCameraGrid(cameraId) {
+    return this.cameraGrids.get(cameraId) || DEFAULT_GRID_SIZE;
+  }
+
   generateObjectId(prefix = 'obj') {
-    return `${prefix}-${randomUUID().slice(0, 8)}`;
+    return `${prefix}-${this.random.hex(8)}`;
+  }
+
+  // Wall clock, or a virtual clock stepping by INTERVAL_MS when a start time is given
+  now() {
+    if (this.options.startTs === undefined) return Date.now();
+    return this.options.startTs + this.batchIndex * INTERVAL_MS;
   }
 
   getRandomClass() {
-    return OBJECT_CLASSES[Math.floor(Math.random() * OBJECT_CLASSES.length)];
+    return OBJECT_CLASSES[Math.floor(this.random.next() * OBJECT_CLASSES.length)];
   }
 
-  getRandomGridCell() {
-    const x = Math.floor(Math.random() * 20);
-    const y = Math.floor(Math.random() * 15);
-    return `G_${x.toString().padStart(2, '0')}_${y.toString().padStart(2, '0')}`;
+  getRandomGridCell(grid = DEFAULT_GRID_SIZE) {
+    const x = Math.floor(this.random.next() * grid.width);
+    const y = Math.floor(this.random.next() * grid.height);
+    return formatGridCellId(x, y);
   }
 
   getRandomBbox() {
     return [
-      Math.floor(Math.random() * 1000),
-      Math.floor(Math.random() * 800),
-      50 + Math.floor(Math.random() * 200),
-      50 + Math.floor(Math.random() * 200)
+      Math.floor(this.random.next() * 1000),
+      Math.floor(this.random.next() * 800),
+      50 + Math.floor(this.random.next() * 200),
+      50 + Math.floor(this.random.next() * 200)
     ];
   }
 
-  simulateObjectMovement(objectId, currentCell) {
-    if (Math.random() < 0.3) {
-      return this.getRandomGridCell();
+  simulateObjectMovement(objectId, currentCell, grid = DEFAULT_GRID_SIZE) {
+    if (this.random.next() < 0.3) {
+      return this.getRandomGridCell(grid);
     }
     
-    const [, xStr, yStr] = currentCell.match(/G_(\d+)_(\d+)/) || ['', '0', '0'];
-    const x = parseInt(xStr);
-    const y = parseInt(yStr);
+    const { x, y } = parseGridCellId(currentCell) ?? { x: 0, y: 0 };
     
     const moves = [
       [x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]
-    ].filter(([nx, ny]) => nx >= 0 && nx < 20 && ny >= 0 && ny < 15);
+    ].filter(([nx, ny]) => nx >= 0 && nx < grid.width && ny >= 0 && ny < grid.height);
     
     if (moves.length === 0) return currentCell;
     
-    const [newX, newY] = moves[Math.floor(Math.random() * moves.length)];
-    return `G_${newX.toString().padStart(2, '0')}_${newY.toString().padStart(2, '0')}`;
+    const [newX, newY] = moves[Math.floor(this.random.next() * moves.length)];
+    return formatGridCellId(newX, newY);
   }
 
   createDetectionFrame(collectorId, cameraId) {
-    const timestamp = Date.now();
+    const timestamp = this.now();
     const frameId = `${cameraId}-${timestamp}`;
     const cameraKey = `${collectorId}:${cameraId}`;
+    const grid = this.getCameraGrid(cameraId);
     
     if (!this.objects.has(cameraKey)) {
       this.objects.set(cameraKey, []);
@@ -71,12 +93,12 @@ class TestDataGenerator {
     
     const currentObjects = this.objects.get(cameraKey);
     
-    if (Math.random() < 0.2) {
+    if (this.random.next() < 0.2) {
       currentObjects.push({
         object_id: this.generateObjectId(),
         class: this.getRandomClass(),
-        grid_cell_id: this.getRandomGridCell(),
-        confidence: 0.7 + Math.random() * 0.3,
+        grid_cell_id: this.getRandomGridCell(grid),
+        confidence: 0.7 + this.random.next() * 0.3,
         last_seen: timestamp
       });
     }
@@ -86,13 +108,13 @@ class TestDataGenerator {
         return false;
       }
       
-      if (Math.random() < 0.05) {
+      if (this.random.next() < 0.05) {
         return false;
       }
       
-      obj.grid_cell_id = this.simulateObjectMovement(obj.object_id, obj.grid_cell_id);
+      obj.grid_cell_id = this.simulateObjectMovement(obj.object_id, obj.grid_cell_id, grid);
       obj.last_seen = timestamp;
-      obj.confidence = 0.7 + Math.random() * 0.3;
+      obj.confidence = 0.7 + this.random.next() * 0.3;
       return true;
     }));
 
@@ -116,7 +138,10 @@ class TestDataGenerator {
   async sendFrame(frame) {
     try {
       const response = await axios.post(`${COLLECTOR_BASE_URL}/frames`, frame, {
-        headers: { 'Content-Type': 'application/json' },
+        headers: {
+          'Content-Type': 'application/json',
+          ...(COLLECTOR_API_KEY && { 'X-API-Key': COLLECTOR_API_KEY })
+        },
         timeout: 5000
       });
       
@@ -131,15 +156,19 @@ class TestDataGenerator {
   async generateBatch() {
     const frames = [];
     
-    for (const collectorId of COLLECTORS) {
-      for (const cameraId of CAMERAS_PER_COLLECTOR) {
-        const frame = this.createDetectionFrame(collectorId, cameraId);
+    for (const collector of this.collectors) {
+      for (const cameraId of collector.cameras) {
+        const frame = this.createDetectionFrame(collector.id, cameraId);
         frames.push(frame);
+        this.recordFrame(frame);
       }
     }
+    this.batchIndex++;
     
     try {
-      await Promise.all(frames.map(frame => this.sendFrame(frame)));
+      if (!this.options.dryRun) {
+        await Promise.all(frames.map(frame => this.sendFrame(frame)));
+      }
       
       const totalObjects = frames.reduce((sum, frame) => sum + frame.objects.length, 0);
       console.log(`📊 Batch complete: ${frames.length} frames, ${totalObjects} total objects`);
@@ -157,14 +186,30 @@ class TestDataGenerator {
       return;
     }
 
+    const topology = this.options.dryRun ? null : await discoverTopology(MANAGER_URL);
+    if (topology) {
+      this.collectors = topology.collectors;
+      this.cameraGrids = topology.grids;
+    } else {
+      this.cameraGrids = await fetchCameraGrids(COLLECTOR_BASE_URL, [...new Set(this.collectors.flatMap(c => c.cameras))]);
+    }
+
     console.log(`🚀 Starting test data generation...`);
     console.log(`📋 Configuration:`);
-    console.log(`   - Collectors: ${COLLECTORS.join(', ')}`);
-    console.log(`   - Cameras per collector: ${CAMERAS_PER_COLLECTOR.join(', ')}`);
+    console.log(`   - Topology: ${topology ? `discovered from ${MANAGER_URL}` : 'built-in defaults'}`);
+    for (const collector of this.collectors) {
+      console.log(`   - ${collector.id}: ${collector.cameras.join(', ')}`);
+    }
     console.log(`   - Batch size: ${BATCH_SIZE} frames`);
     console.log(`   - Interval: ${INTERVAL_MS}ms`);
     console.log(`   - Duration: ${DURATION_MINUTES} minutes`);
-    console.log(`   - Target URL: ${COLLECTOR_BASE_URL}`);
+    console.log(`   - Target URL: ${this.options.dryRun ? 'none (dry run)' : COLLECTOR_BASE_URL}`);
+    if (this.options.seed !== undefined) {
+      console.log(`   - Seed: ${this.options.seed}${this.options.startTs !== undefined ? `, start time ${this.options.startTs}` : ''}`);
+    }
+    if (this.options.output) {
+      console.log(`   - Recording frames to: ${this.options.output}`);
+    }
 
     this.isRunning = true;
     const startTime = Date.now();
@@ -173,7 +218,11 @@ class TestDataGenerator {
     let totalFrames = 0;
     let totalObjects = 0;
 
-    while (this.isRunning && Date.now() < endTime) {
+    // A dry run doesn't wait between batches, so it is bounded by batch count instead of time
+    const totalBatches = Math.ceil(DURATION_MINUTES * 60 * 1000 / INTERVAL_MS);
+    const hasTimeLeft = () => this.options.dryRun ? this.batchIndex < totalBatches : Date.now() < endTime;
+
+    while (this.isRunning && hasTimeLeft()) {
       try {
         const result = await this.generateBatch();
         batchCount++;
@@ -185,7 +234,7 @@ class TestDataGenerator {
         
         console.log(`📈 Stats: ${batchCount} batches, ${totalFrames} frames, ${totalObjects} objects | ${elapsed.toFixed(1)}s elapsed, ${remaining.toFixed(1)}s remaining`);
         
-        if (Date.now() < endTime) {
+        if (!this.options.dryRun && hasTimeLeft()) {
           await new Promise(resolve => setTimeout(resolve, INTERVAL_MS));
         }
         
@@ -217,18 +266,22 @@ async function checkCollectorHealth() {
 }
 
 async function main() {
-  console.log('🔍 Checking collector service...');
-  
-  const isHealthy = await checkCollectorHealth();
-  if (!isHealthy) {
-    console.error('❌ Cannot start - collector service is not available');
-    console.log('💡 Make sure to start the services first:');
-    console.log('   cd docker && docker-compose up -d');
-    console.log('   npm run dev:collector');
-    process.exit(1);
+  const { options } = parseReproducibilityArgs(process.argv.slice(2));
+
+  if (!options.dryRun) {
+    console.log('🔍 Checking collector service...');
+
+    const isHealthy = await checkCollectorHealth();
+    if (!isHealthy) {
+      console.error('❌ Cannot start - collector service is not available');
+      console.log('💡 Make sure to start the services first:');
+      console.log('   cd docker && docker-compose up -d');
+      console.log('   npm run dev:collector');
+      process.exit(1);
+    }
   }
 
-  const generator = new TestDataGenerator();
+  const generator = new TestDataGenerator(options);
   
   process.on('SIGINT', () => {
     console.log('\n👋 Received SIGINT, shutting down gracefully...');
@@ -0,0 +1,88 @@
+import { appendFileSync, writeFileSync } from 'fs';
+
+// Same algorithm as collector/src/utils/random.ts, so a seed means the same
+// thing to the generator CLIs and to the collector's test frame routes.
+
+// xmur3: folds an arbitrary string seed into a 32-bit state.
+function hashSeed(seed) {
+  let hash = 1779033703 ^ seed.length;
+  for (let i = 0; i < seed.length; i++) {
+    hash = Math.imul(hash ^ seed.charCodeAt(i), 3432918353);
+    hash = (hash << 13) | (hash >>> 19);
+  }
+  hash = Math.imul(hash ^ (hash >>> 16), 2246822507);
+  hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+  return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+// mulberry32: small and fast, plenty for test data.
+function mulberry32(state) {
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Reproducible with a seed, Math.random without one.
+export function createRandom(seed) {
+  const next = seed === undefined ? Math.random : mulberry32(hashSeed(String(seed)));
+
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: (items) => items[Math.floor(next() * items.length)],
+    hex: (length) => Array.from({ length }, () => Math.floor(next() * 16).toString(16)).join('')
+  };
+}
+
+// Reads the reproducibility options shared by the generator CLIs:
+//   --seed <value>       seed the generator (or SEED)
+//   --start-ts <ms>      stamp frames from this time instead of the clock (or START_TS_MS)
+//   --output <file>      also write every generated frame to this JSONL file
+//   --dry-run            generate without sending, as fast as possible
+// The same seed, start time and config produce byte-identical frames.
+export function parseReproducibilityArgs(args, env = process.env) {
+  const options = {
+    seed: env.SEED,
+    startTs: env.START_TS_MS ? parseInt(env.START_TS_MS) : undefined,
+    output: undefined,
+    dryRun: false
+  };
+  const rest = [];
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--seed':
+        options.seed = args[++i];
+        break;
+      case '--start-ts':
+        options.startTs = parseInt(args[++i]);
+        break;
+      case '--output':
+        options.output = args[++i];
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      default:
+        rest.push(args[i]);
+    }
+  }
+
+  if (options.startTs !== undefined && Number.isNaN(options.startTs)) {
+    throw new Error('--start-ts must be a timestamp in milliseconds');
+  }
+
+  return { options, rest };
+}
+
+// Writes frames to a JSONL file, truncating it first so reruns can be diffed.
+export function createFrameRecorder(path) {
+  if (!path) return () => {};
+
+  writeFileSync(path, '');
+  return (frame) => appendFileSync(path, JSON.stringify(frame) + '\n');
+}
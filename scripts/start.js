@@ -313,7 +313,9 @@ async function start() {
   await startService('collector', 'dev', 'collector', {
     COLLECTOR_ID: 'collector-01',
     PORT: '3001',
-    KAFKA_BROKERS: kafkaBrokers
+    KAFKA_BROKERS: kafkaBrokers,
+    MANAGER_URL: 'http://localhost:3002',
+    ENABLE_TEST_ROUTES: 'true'
   });
   
   await startService('manager', 'dev', 'manager', {
@@ -2,10 +2,14 @@
 
 import { CameraDataGenerator, OBJECT_CLASSES, GRID_ZONES } from './camera-data-generator.js';
 import axios from 'axios';
+import { parseReproducibilityArgs } from './seeded-random.js';
+import { formatGridCellId, parseGridCellId, scaleToGrid } from '@vision-logistics/shared/grid.js';
 
 const COLLECTOR_URL = process.env.COLLECTOR_URL || 'http://localhost:3001';
 
-// Visualization-specific scenarios designed to create interesting patterns
+// Visualization-specific scenarios designed to create interesting patterns.
+// Patterns are drawn on the default 20x15 grid and scaled to each camera's grid,
+// and draw from the generator's random source so --seed reproduces them.
 class VisualizationScenarios {
   
   // Create a "heatwave" pattern that moves across the grid
@@ -24,13 +28,13 @@ class VisualizationScenarios {
         
         // Create a concentration of objects that follows the wave
         for (let i = 0; i < 8; i++) {
-          const x = Math.max(0, Math.min(19, waveX + Math.floor(Math.random() * 4) - 2));
-          const y = Math.floor(Math.random() * 15);
+          const x = Math.max(0, Math.min(19, waveX + Math.floor(generator.random.next() * 4) - 2));
+          const y = Math.floor(generator.random.next() * 15);
           
           objects.push({
             object_id: `heatwave-${frameNumber}-${i}`,
             class: 'worker',
-            confidence: 0.8 + Math.random() * 0.2,
+            confidence: 0.8 + generator.random.next() * 0.2,
             grid_cell_id: `G_${x.toString().padStart(2, '0')}_${y.toString().padStart(2, '0')}`,
             bbox: [x * 60, y * 53, 40, 40]
           });
@@ -159,15 +163,15 @@ class VisualizationScenarios {
         const zone = GRID_ZONES[targetZone];
         
         for (let i = 0; i < objectCount; i++) {
-          const x = Math.floor(Math.random() * (zone.x[1] - zone.x[0] + 1)) + zone.x[0];
-          const y = Math.floor(Math.random() * (zone.y[1] - zone.y[0] + 1)) + zone.y[0];
+          const x = Math.floor(generator.random.next() * (zone.x[1] - zone.x[0] + 1)) + zone.x[0];
+          const y = Math.floor(generator.random.next() * (zone.y[1] - zone.y[0] + 1)) + zone.y[0];
           
           objects.push({
             object_id: `${targetZone}-${frameNumber}-${i}`,
             class: objectClass,
-            confidence: 0.7 + Math.random() * 0.3,
+            confidence: 0.7 + generator.random.next() * 0.3,
             grid_cell_id: `G_${x.toString().padStart(2, '0')}_${y.toString().padStart(2, '0')}`,
-            bbox: [x * 60 + Math.random() * 20, y * 53 + Math.random() * 20, 40, 40]
+            bbox: [x * 60 + generator.random.next() * 20, y * 53 + generator.random.next() * 20, 40, 40]
           });
         }
         
@@ -241,16 +245,16 @@ class VisualizationScenarios {
           
           // Only show cluster if it's "alive"
           if (clusterAge < clusterLifetime * 0.8) {
-            const centerX = Math.floor(Math.random() * 16) + 2;
-            const centerY = Math.floor(Math.random() * 11) + 2;
-            const clusterSize = Math.floor(4 + Math.random() * 6);
+            const centerX = Math.floor(generator.random.next() * 16) + 2;
+            const centerY = Math.floor(generator.random.next() * 11) + 2;
+            const clusterSize = Math.floor(4 + generator.random.next() * 6);
             
             // Create cluster intensity (fade in/out)
             const intensity = Math.sin((clusterAge / clusterLifetime) * Math.PI);
             
             for (let i = 0; i < clusterSize; i++) {
               const angle = (i / clusterSize) * 2 * Math.PI;
-              const radius = 1 + Math.random() * 2;
+              const radius = 1 + generator.random.next() * 2;
               
               const x = Math.round(centerX + radius * Math.cos(angle));
               const y = Math.round(centerY + radius * Math.sin(angle));
@@ -288,7 +292,7 @@ class RealTimeGenerator extends CameraDataGenerator {
 
   // Override frame generation to use custom patterns
   generateCameraFrame(collectorId, cameraId, scenario = 'warehouse_operations') {
-    const timestamp = Date.now();
+    const timestamp = this.now();
     const frameId = `${cameraId}-${timestamp}`;
     
     let objects = [];
@@ -302,6 +306,13 @@ class RealTimeGenerator extends CameraDataGenerator {
       return super.generateCameraFrame(collectorId, cameraId, scenario);
     }
 
+    const grid = this.getCameraGrid(cameraId);
+    objects = objects.map(obj => {
+      const { x, y } = parseGridCellId(obj.grid_cell_id) ?? { x: 0, y: 0 };
+      const scaled = scaleToGrid(x, y, grid);
+      return { ...obj, grid_cell_id: formatGridCellId(scaled.x, scaled.y) };
+    });
+
     this.frameNumber++;
     this.stats.frames_generated++;
 
@@ -316,18 +327,20 @@ class RealTimeGenerator extends CameraDataGenerator {
 }
 
 // Main execution function
-async function runVisualizationScenario(scenarioName = 'heatwave') {
+async function runVisualizationScenario(scenarioName = 'heatwave', reproducibility = {}) {
   console.log('🎨 Vision Logistics - Visualization Generator');
   console.log('============================================\n');
 
   // Check collector service
-  try {
-    const response = await axios.get(`${COLLECTOR_URL}/health`, { timeout: 5000 });
-    console.log('✅ Collector service is ready:', response.data);
-  } catch (error) {
-    console.error('❌ Collector service not available:', error.message);
-    console.log('💡 Start the system first: npm run fix-and-start');
-    process.exit(1);
+  if (!reproducibility.dryRun) {
+    try {
+      const response = await axios.get(`${COLLECTOR_URL}/health`, { timeout: 5000 });
+      console.log('✅ Collector service is ready:', response.data);
+    } catch (error) {
+      console.error('❌ Collector service not available:', error.message);
+      console.log('💡 Start the system first: npm run fix-and-start');
+      process.exit(1);
+    }
   }
 
   // Get scenario configuration
@@ -357,7 +370,8 @@ async function runVisualizationScenario(scenarioName = 'heatwave') {
     collectors: pattern.collectors,
     duration: pattern.duration,
     interval: pattern.interval,
-    scenario: pattern.scenario
+    scenario: pattern.scenario,
+    ...reproducibility
   });
 
   // Set custom pattern
@@ -383,8 +397,9 @@ async function runVisualizationScenario(scenarioName = 'heatwave') {
 
 // CLI interface
 if (import.meta.url === `file://${process.argv[1]}`) {
-  const scenarioName = process.argv[2] || 'heatwave';
-  runVisualizationScenario(scenarioName).catch(console.error);
+  const { options: reproducibility, rest: args } = parseReproducibilityArgs(process.argv.slice(2));
+  const scenarioName = args[0] || 'heatwave';
+  runVisualizationScenario(scenarioName, reproducibility).catch(console.error);
 }
 
 export { VisualizationScenarios, RealTimeGenerator };
\ No newline at end of file
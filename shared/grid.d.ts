@@ -0,0 +1,20 @@
+export interface GridDimensions {
+  width: number;
+  height: number;
+}
+
+export interface GridCell {
+  x: number;
+  y: number;
+}
+
+export declare const DEFAULT_GRID_SIZE: Readonly<GridDimensions>;
+
+export declare function formatGridCellId(x: number, y: number): string;
+
+/** Returns null when the ID doesn't look like G_XX_YY. */
+export declare function parseGridCellId(cellId: string): GridCell | null;
+
+export declare function scaleToGrid(x: number, y: number, grid: GridDimensions): GridCell;
+
+export declare function scaleFromGrid(x: number, y: number, grid: GridDimensions): GridCell;
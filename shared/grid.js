@@ -0,0 +1,34 @@
+// Grid cell helpers shared by the collector, manager, UI and generator scripts.
+// Plain JavaScript so the scripts can import it without a build step; types
+// are in grid.d.ts.
+
+/** Grid used for cameras that have none configured. */
+export const DEFAULT_GRID_SIZE = Object.freeze({ width: 20, height: 15 });
+
+const GRID_CELL_PATTERN = /^G_(\d+)_(\d+)$/;
+
+export function formatGridCellId(x, y) {
+  return `G_${x.toString().padStart(2, '0')}_${y.toString().padStart(2, '0')}`;
+}
+
+export function parseGridCellId(cellId) {
+  const match = cellId.match(GRID_CELL_PATTERN);
+  if (!match) return null;
+  return { x: parseInt(match[1]), y: parseInt(match[2]) };
+}
+
+// Maps a cell on the default 20x15 layout onto another grid.
+export function scaleToGrid(x, y, grid) {
+  return {
+    x: Math.max(0, Math.min(grid.width - 1, Math.floor(x * grid.width / DEFAULT_GRID_SIZE.width))),
+    y: Math.max(0, Math.min(grid.height - 1, Math.floor(y * grid.height / DEFAULT_GRID_SIZE.height)))
+  };
+}
+
+// Maps a cell on any grid back onto the default 20x15 layout.
+export function scaleFromGrid(x, y, grid) {
+  return {
+    x: Math.floor(x * DEFAULT_GRID_SIZE.width / grid.width),
+    y: Math.floor(y * DEFAULT_GRID_SIZE.height / grid.height)
+  };
+}
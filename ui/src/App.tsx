@@ -4,7 +4,7 @@ import { StatsTable } from './components/StatsTable';
 import { SystemStatus } from './components/SystemStatus';
 import { CollectorSelector } from './components/CollectorSelector';
 import { RealTimeLog } from './components/RealTimeLog';
-import { useHeatmap, useCellStats, useSystemStatus, useAutoRefresh, useActiveObjects } from './hooks/useApi';
+import { useHeatmap, useCellStats, useSystemStatus, useAutoRefresh, useActiveObjects, useCameraStatuses, useCollectorTopology } from './hooks/useApi';
 import { formatDate, formatDuration } from './utils/formatters';
 
 function App() {
@@ -24,12 +24,16 @@ function App() {
   const { data: statsData, loading: statsLoading, error: statsError } = useCellStats(primaryCollector, primaryCamera);
   const { status, health, loading: statusLoading } = useSystemStatus();
   const { data: activeObjectsData, loading: objectsLoading, error: objectsError, refresh: refreshActiveObjects } = useActiveObjects(primaryCollector, primaryCamera);
+  const { data: cameraStatuses, refresh: refreshCameraStatuses } = useCameraStatuses();
+  const { data: topology, error: topologyError, refresh: refreshTopology } = useCollectorTopology();
 
   const refreshHeatmapAndLogs = useCallback(() => {
     setLastRefresh(Date.now());
     refreshHeatmap();
     refreshActiveObjects();
-  }, [refreshHeatmap, refreshActiveObjects]);
+    refreshCameraStatuses();
+    refreshTopology();
+  }, [refreshHeatmap, refreshActiveObjects, refreshCameraStatuses, refreshTopology]);
 
   const { isEnabled: autoRefreshEnabled, setIsEnabled: setAutoRefreshEnabled } = useAutoRefresh(
     refreshHeatmapAndLogs, 
@@ -130,6 +134,9 @@ function App() {
               selectedCameras={selectedCameras}
               onCollectorsChange={setSelectedCollectors}
               onCamerasChange={setSelectedCameras}
+              topology={topology}
+              topologyError={topologyError}
+              cameraStatuses={cameraStatuses}
             />
           </div>
 
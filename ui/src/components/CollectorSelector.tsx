@@ -1,26 +1,40 @@
 import React from 'react';
+import type { CameraLiveness, CameraStatus, CollectorTopology, RegisteredCamera } from '../types/api';
 
 interface CollectorSelectorProps {
   selectedCollectors: string[];
   selectedCameras: string[];
   onCollectorsChange: (collectors: string[]) => void;
   onCamerasChange: (cameras: string[]) => void;
+  topology: CollectorTopology[];
+  topologyError?: string | null;
+  cameraStatuses?: CameraStatus[];
 }
 
+const statusStyles: Record<CameraLiveness, string> = {
+  live: 'bg-green-500',
+  degraded: 'bg-yellow-500',
+  offline: 'bg-red-500',
+};
+
 export const CollectorSelector: React.FC<CollectorSelectorProps> = ({
   selectedCollectors,
   selectedCameras,
   onCollectorsChange,
   onCamerasChange,
+  topology,
+  topologyError,
+  cameraStatuses = [],
 }) => {
-  const collectors = ['collector-01', 'collector-02', 'collector-03'];
-  
-  // Define 1:1 mapping between collectors and cameras
-  const collectorCameraMap = {
-    'collector-01': ['cam-001', 'cam-002', 'heatwave-cam'],
-    'collector-02': ['cam-003', 'cam-004'],
-    'collector-03': ['cam-005']
-  };
+  // Collectors register themselves and their cameras with the manager
+  const collectors = topology.map(({ collector }) => collector.collector_id);
+  const collectorInfo = new Map(topology.map(({ collector }) => [collector.collector_id, collector]));
+  const collectorCameraMap: Record<string, string[]> = Object.fromEntries(
+    topology.map(({ collector, cameras }) => [collector.collector_id, cameras.map(camera => camera.camera_id)])
+  );
+  const cameraInfo = new Map<string, RegisteredCamera>(
+    topology.flatMap(({ cameras }) => cameras.map(camera => [camera.camera_id, camera] as const))
+  );
   
   // Get all available cameras
   const cameras = Object.values(collectorCameraMap).flat();
@@ -33,6 +47,10 @@ export const CollectorSelector: React.FC<CollectorSelectorProps> = ({
   
   const availableCameras = getAvailableCameras();
 
+  const statusByCamera = new Map(
+    cameraStatuses.map(status => [`${status.collector_id}:${status.camera_id}`, status])
+  );
+
   const handleCollectorToggle = (collector: string) => {
     if (selectedCollectors.includes(collector)) {
       // Remove collector and its cameras
@@ -88,17 +106,36 @@ export const CollectorSelector: React.FC<CollectorSelectorProps> = ({
             </button>
           </div>
           <div className="space-y-2 max-h-32 overflow-y-auto border border-gray-200 rounded-md p-2">
-            {collectors.map((collector) => (
-              <label key={collector} className="flex items-center space-x-2 cursor-pointer">
-                <input
-                  type="checkbox"
-                  checked={selectedCollectors.includes(collector)}
-                  onChange={() => handleCollectorToggle(collector)}
-                  className="rounded text-primary-600 focus:ring-primary-500"
-                />
-                <span className="text-sm font-mono">{collector}</span>
-              </label>
-            ))}
+            {collectors.map((collector) => {
+              const info = collectorInfo.get(collector);
+
+              return (
+                <label
+                  key={collector}
+                  className="flex items-center space-x-2 cursor-pointer"
+                  title={info?.location}
+                >
+                  <input
+                    type="checkbox"
+                    checked={selectedCollectors.includes(collector)}
+                    onChange={() => handleCollectorToggle(collector)}
+                    className="rounded text-primary-600 focus:ring-primary-500"
+                  />
+                  <span className="text-sm font-mono">{collector}</span>
+                  {info?.display_name && (
+                    <span className="text-xs text-gray-500">{info.display_name}</span>
+                  )}
+                  {info?.status === 'offline' && (
+                    <span className="text-xs text-red-600">offline</span>
+                  )}
+                </label>
+              );
+            })}
+            {collectors.length === 0 && (
+              <div className="text-sm text-gray-500 italic">
+                {topologyError ? 'Could not load collectors' : 'No collectors registered'}
+              </div>
+            )}
           </div>
           <div className="mt-1 text-xs text-gray-500">
             {selectedCollectors.length} of {collectors.length} selected
@@ -124,9 +161,15 @@ export const CollectorSelector: React.FC<CollectorSelectorProps> = ({
                 collectorCameraMap[c].includes(camera)
               );
               const isDisabled = selectedCollectors.length > 0 && !availableCameras.includes(camera);
+              const status = statusByCamera.get(`${collector}:${camera}`);
+              const info = cameraInfo.get(camera);
               
               return (
-                <label key={camera} className={`flex items-center space-x-2 ${isDisabled ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}>
+                <label
+                  key={camera}
+                  className={`flex items-center space-x-2 ${isDisabled ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}
+                  title={[info?.display_name, info?.location].filter(Boolean).join(' · ') || undefined}
+                >
                   <input
                     type="checkbox"
                     checked={selectedCameras.includes(camera)}
@@ -134,8 +177,17 @@ export const CollectorSelector: React.FC<CollectorSelectorProps> = ({
                     disabled={isDisabled}
                     className="rounded text-primary-600 focus:ring-primary-500"
                   />
+                  <span
+                    className={`inline-block w-2 h-2 rounded-full ${status ? statusStyles[status.status] : 'bg-gray-300'}`}
+                    title={status ? `${status.status}, ${status.frame_rate} fps` : 'No status reported'}
+                  />
                   <span className="text-sm font-mono">{camera}</span>
                   <span className="text-xs text-gray-400">({collector})</span>
+                  {status && status.status !== 'live' && (
+                    <span className={`text-xs ${status.status === 'offline' ? 'text-red-600' : 'text-yellow-600'}`}>
+                      {status.status}
+                    </span>
+                  )}
                 </label>
               );
             })}
@@ -1,6 +1,7 @@
 import React from 'react';
 import type { HeatmapData, ObjectState } from '../types/api';
-import { formatDuration, getIntensityColor, getCellId } from '../utils/formatters';
+import { formatGridCellId } from '@vision-logistics/shared/grid.js';
+import { formatDuration, getIntensityColor } from '../utils/formatters';
 
 interface HeatmapGridProps {
   data: HeatmapData;
@@ -22,12 +23,12 @@ export const HeatmapGrid: React.FC<HeatmapGridProps> = ({
   const { grid_size, cells } = data;
   
   const getCellData = (x: number, y: number) => {
-    const cellId = getCellId(x, y);
+    const cellId = formatGridCellId(x, y);
     return cells.find(cell => cell.grid_cell_id === cellId);
   };
 
   const getObjectsInCell = (x: number, y: number) => {
-    const cellId = getCellId(x, y);
+    const cellId = formatGridCellId(x, y);
     return activeObjects.filter(obj => obj.current_cell === cellId);
   };
 
@@ -58,7 +59,7 @@ export const HeatmapGrid: React.FC<HeatmapGridProps> = ({
   };
 
   const handleCellClick = (x: number, y: number) => {
-    const cellId = getCellId(x, y);
+    const cellId = formatGridCellId(x, y);
     onCellClick?.(cellId);
   };
 
@@ -104,82 +105,85 @@ export const HeatmapGrid: React.FC<HeatmapGridProps> = ({
         )}
       </div>
 
-      <div 
-        className="grid gap-1 mx-auto"
-        style={{
-          gridTemplateColumns: `repeat(${grid_size.width}, 1fr)`,
-          maxWidth: `${grid_size.width * 24}px`,
-        }}
-      >
-        {Array.from({ length: grid_size.height }, (_, y) =>
-          Array.from({ length: grid_size.width }, (_, x) => {
-            const cellData = getCellData(x, y);
-            const cellId = getCellId(x, y);
-            const isSelected = selectedCell === cellId;
-            const objectsInCell = getObjectsInCell(x, y);
-            const objectColors = getObjectColors(objectsInCell);
+      {/* Wide camera grids (e.g. 40x10) scroll instead of squeezing the cells */}
+      <div className="overflow-x-auto">
+        <div 
+          className="grid gap-1 mx-auto"
+          style={{
+            gridTemplateColumns: `repeat(${grid_size.width}, 24px)`,
+            width: `${grid_size.width * 28}px`,
+          }}
+        >
+          {Array.from({ length: grid_size.height }, (_, y) =>
+            Array.from({ length: grid_size.width }, (_, x) => {
+              const cellData = getCellData(x, y);
+              const cellId = formatGridCellId(x, y);
+              const isSelected = selectedCell === cellId;
+              const objectsInCell = getObjectsInCell(x, y);
+              const objectColors = getObjectColors(objectsInCell);
             
-            return (
-              <div
-                key={cellId}
-                className={`
-                  w-6 h-6 border border-gray-300 cursor-pointer relative group transition-all
-                  ${cellData ? getIntensityColor(cellData.intensity) : 'bg-gray-200'}
-                  ${isSelected ? 'ring-2 ring-primary-500' : ''}
-                  hover:ring-2 hover:ring-primary-300
-                `}
-                onClick={() => handleCellClick(x, y)}
-                title={`${cellId}${cellData ? ` • ${formatDuration(cellData.dwell_ms)} • ${cellData.object_count} objects` : ' • No data'}${objectsInCell.length > 0 ? ` • Active: ${objectsInCell.map(obj => obj.object_id).join(', ')}` : ''}`}
-              >
-                {cellData && cellData.object_count > 0 && objectsInCell.length === 0 && (
-                  <div className="absolute inset-0 flex items-center justify-center">
-                    <span className="text-xs text-white font-bold drop-shadow">
-                      {cellData.object_count}
-                    </span>
-                  </div>
-                )}
-
-                {/* Display active objects as colored dots */}
-                {objectsInCell.length > 0 && (
-                  <div className="absolute inset-0 flex items-center justify-center">
-                    <div className="flex flex-wrap gap-0.5 max-w-full">
-                      {objectsInCell.slice(0, 4).map((obj, index) => (
-                        <div
-                          key={obj.object_id}
-                          className={`w-1.5 h-1.5 rounded-full ${objectColors[index]} border border-white shadow-sm`}
-                          title={`${obj.object_id}`}
-                        />
-                      ))}
-                      {objectsInCell.length > 4 && (
-                        <div className="w-1.5 h-1.5 rounded-full bg-gray-800 border border-white shadow-sm flex items-center justify-center">
-                          <span className="text-xs text-white font-bold">+</span>
-                        </div>
-                      )}
+              return (
+                <div
+                  key={cellId}
+                  className={`
+                    w-6 h-6 border border-gray-300 cursor-pointer relative group transition-all
+                    ${cellData ? getIntensityColor(cellData.intensity) : 'bg-gray-200'}
+                    ${isSelected ? 'ring-2 ring-primary-500' : ''}
+                    hover:ring-2 hover:ring-primary-300
+                  `}
+                  onClick={() => handleCellClick(x, y)}
+                  title={`${cellId}${cellData ? ` • ${formatDuration(cellData.dwell_ms)} • ${cellData.object_count} objects` : ' • No data'}${objectsInCell.length > 0 ? ` • Active: ${objectsInCell.map(obj => obj.object_id).join(', ')}` : ''}`}
+                >
+                  {cellData && cellData.object_count > 0 && objectsInCell.length === 0 && (
+                    <div className="absolute inset-0 flex items-center justify-center">
+                      <span className="text-xs text-white font-bold drop-shadow">
+                        {cellData.object_count}
+                      </span>
                     </div>
-                  </div>
-                )}
-                
-                <div className="absolute bottom-full left-1/2 transform -translate-x-1/2 mb-2 px-2 py-1 bg-black text-white text-xs rounded opacity-0 group-hover:opacity-100 transition-opacity z-10 whitespace-nowrap pointer-events-none">
-                  {cellId}
-                  {cellData && (
-                    <>
-                      <br />
-                      Dwell: {formatDuration(cellData.dwell_ms)}
-                      <br />
-                      Objects: {cellData.object_count}
-                    </>
                   )}
+
+                  {/* Display active objects as colored dots */}
                   {objectsInCell.length > 0 && (
-                    <>
-                      <br />
-                      <span className="text-green-300">Active:</span> {objectsInCell.map(obj => obj.object_id).join(', ')}
-                    </>
+                    <div className="absolute inset-0 flex items-center justify-center">
+                      <div className="flex flex-wrap gap-0.5 max-w-full">
+                        {objectsInCell.slice(0, 4).map((obj, index) => (
+                          <div
+                            key={obj.object_id}
+                            className={`w-1.5 h-1.5 rounded-full ${objectColors[index]} border border-white shadow-sm`}
+                            title={`${obj.object_id}`}
+                          />
+                        ))}
+                        {objectsInCell.length > 4 && (
+                          <div className="w-1.5 h-1.5 rounded-full bg-gray-800 border border-white shadow-sm flex items-center justify-center">
+                            <span className="text-xs text-white font-bold">+</span>
+                          </div>
+                        )}
+                      </div>
+                    </div>
                   )}
+                
+                  <div className="absolute bottom-full left-1/2 transform -translate-x-1/2 mb-2 px-2 py-1 bg-black text-white text-xs rounded opacity-0 group-hover:opacity-100 transition-opacity z-10 whitespace-nowrap pointer-events-none">
+                    {cellId}
+                    {cellData && (
+                      <>
+                        <br />
+                        Dwell: {formatDuration(cellData.dwell_ms)}
+                        <br />
+                        Objects: {cellData.object_count}
+                      </>
+                    )}
+                    {objectsInCell.length > 0 && (
+                      <>
+                        <br />
+                        <span className="text-green-300">Active:</span> {objectsInCell.map(obj => obj.object_id).join(', ')}
+                      </>
+                    )}
+                  </div>
                 </div>
-              </div>
-            );
-          })
-        )}
+              );
+            })
+          )}
+        </div>
       </div>
 
       <div className="mt-4 text-xs text-gray-500 text-center">
@@ -1,6 +1,6 @@
 import { useState, useEffect, useRef } from 'react';
 import { apiClient } from '../utils/api';
-import type { CellStatsResponse, HeatmapData } from '../types/api';
+import type { CameraStatus, CellStatsResponse, CollectorTopology, HeatmapData } from '../types/api';
 
 export const useHeatmap = (collectorId: string, cameraId: string, windowMs: number = 3600000) => {
   const [data, setData] = useState<HeatmapData | null>(null);
@@ -117,6 +117,65 @@ export const useActiveObjects = (collectorId: string, cameraId: string) => {
   return { data, loading, error, refresh };
 };
 
+export const useCollectorTopology = () => {
+  const [data, setData] = useState<CollectorTopology[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [refreshTrigger, setRefreshTrigger] = useState(0);
+
+  const fetchData = async () => {
+    try {
+      setError(null);
+      const collectors = await apiClient.getCollectors();
+      const topology = await Promise.all(collectors.map(async (collector) => ({
+        collector,
+        cameras: await apiClient.getCollectorCameras(collector.collector_id),
+      })));
+      setData(topology);
+    } catch (err: any) {
+      setError(err.message || 'Failed to fetch collectors');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+  }, [refreshTrigger]);
+
+  const refresh = () => {
+    setRefreshTrigger(prev => prev + 1);
+  };
+
+  return { data, loading, error, refresh };
+};
+
+export const useCameraStatuses = () => {
+  const [data, setData] = useState<CameraStatus[]>([]);
+  const [error, setError] = useState<string | null>(null);
+  const [refreshTrigger, setRefreshTrigger] = useState(0);
+
+  const fetchData = async () => {
+    try {
+      setError(null);
+      const response = await apiClient.getCameraStatuses();
+      setData(response.cameras);
+    } catch (err: any) {
+      setError(err.message || 'Failed to fetch camera statuses');
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+  }, [refreshTrigger]);
+
+  const refresh = () => {
+    setRefreshTrigger(prev => prev + 1);
+  };
+
+  return { data, error, refresh };
+};
+
 export const useAutoRefresh = (callback: () => void, interval: number = 5000) => {
   const [isEnabled, setIsEnabled] = useState(true);
   const intervalRef = useRef<NodeJS.Timeout | null>(null);
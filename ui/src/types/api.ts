@@ -2,6 +2,7 @@ export interface ObjectState {
   collector_id: string;
   camera_id: string;
   object_id: string;
+  class: string | null;
   current_cell: string | null;
   enter_ts_ms: number | null;
   last_seen_ts_ms: number;
@@ -49,6 +50,7 @@ export interface CellStatsResponse {
   collector_id: string;
   camera_id: string;
   cell_id?: string;
+  class?: string;
   stats: CellStats[];
   timestamp: number;
   total_cells: number;
@@ -82,4 +84,50 @@ export interface FeedbackDeleteSpan {
   object_id: string;
   from_ts_ms: number;
   to_ts_ms: number;
-}
\ No newline at end of file
+}
+
+export type CameraLiveness = 'live' | 'degraded' | 'offline';
+
+export interface CameraStatus {
+  collector_id: string;
+  camera_id: string;
+  status: CameraLiveness;
+  last_frame_ts_ms: number | null;
+  frame_rate: number;
+  changed_at: number;
+  offline_after_ms: number;
+  stale?: boolean;
+}
+
+export interface CameraStatusResponse {
+  collector_id?: string;
+  cameras: CameraStatus[];
+  count: number;
+  timestamp: number;
+}
+
+export interface CollectorInfo {
+  collector_id: string;
+  display_name?: string;
+  location?: string;
+  url?: string;
+  heartbeat_interval_ms: number;
+  status: 'online' | 'offline';
+  registered_at: number;
+  last_heartbeat_ms: number;
+  camera_count: number;
+}
+
+export interface RegisteredCamera {
+  collector_id: string;
+  camera_id: string;
+  display_name?: string;
+  location?: string;
+  grid_size: { width: number; height: number };
+  liveness?: CameraLiveness;
+}
+
+export interface CollectorTopology {
+  collector: CollectorInfo;
+  cameras: RegisteredCamera[];
+}
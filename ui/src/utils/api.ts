@@ -1,5 +1,12 @@
 import axios from 'axios';
-import type { CellStatsResponse, HeatmapData, ObjectDetailsResponse } from '../types/api';
+import type {
+  CameraStatusResponse,
+  CellStatsResponse,
+  CollectorInfo,
+  HeatmapData,
+  ObjectDetailsResponse,
+  RegisteredCamera,
+} from '../types/api';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3002';
 
@@ -12,7 +19,8 @@ export const apiClient = {
   getCellStats: async (
     collectorId: string, 
     cameraId: string, 
-    cellId?: string
+    cellId?: string,
+    objectClass?: string
   ): Promise<CellStatsResponse> => {
     const params = new URLSearchParams({
       collector_id: collectorId,
@@ -23,6 +31,10 @@ export const apiClient = {
       params.append('cell_id', cellId);
     }
 
+    if (objectClass) {
+      params.append('class', objectClass);
+    }
+
     const response = await api.get(`/stats/cells?${params}`);
     return response.data;
   },
@@ -30,7 +42,8 @@ export const apiClient = {
   getHeatmap: async (
     collectorId: string, 
     cameraId: string, 
-    windowMs: number = 3600000
+    windowMs: number = 3600000,
+    objectClass?: string
   ): Promise<HeatmapData> => {
     const params = new URLSearchParams({
       collector_id: collectorId,
@@ -38,6 +51,10 @@ export const apiClient = {
       window_ms: windowMs.toString(),
     });
 
+    if (objectClass) {
+      params.append('class', objectClass);
+    }
+
     const response = await api.get(`/heatmap?${params}`);
     return response.data;
   },
@@ -73,16 +90,42 @@ export const apiClient = {
 
   getActiveObjects: async (
     collectorId: string,
-    cameraId: string
+    cameraId: string,
+    objectClass?: string
   ): Promise<any> => {
     const params = new URLSearchParams({
       collector_id: collectorId,
       camera_id: cameraId,
     });
 
+    if (objectClass) {
+      params.append('class', objectClass);
+    }
+
     const response = await api.get(`/objects/active?${params}`);
     return response.data;
   },
+
+  getCollectors: async (): Promise<CollectorInfo[]> => {
+    const response = await api.get('/collectors');
+    return response.data.collectors;
+  },
+
+  getCollectorCameras: async (collectorId: string): Promise<RegisteredCamera[]> => {
+    const response = await api.get(`/collectors/${encodeURIComponent(collectorId)}/cameras`);
+    return response.data.cameras;
+  },
+
+  getCameraStatuses: async (collectorId?: string): Promise<CameraStatusResponse> => {
+    const params = new URLSearchParams();
+
+    if (collectorId) {
+      params.append('collector_id', collectorId);
+    }
+
+    const response = await api.get(`/cameras/status?${params}`);
+    return response.data;
+  },
 };
 
 export default api;
\ No newline at end of file
@@ -46,7 +46,3 @@ export const getIntensityColor = (intensity: number): string => {
   if (intensity > 0) return 'bg-green-500';
   return 'bg-gray-200';
 };
-
-export const getCellId = (x: number, y: number): string => {
-  return `G_${x.toString().padStart(2, '0')}_${y.toString().padStart(2, '0')}`;
-};
\ No newline at end of file